@@ -1,37 +1,53 @@
 import resolve from '@rollup/plugin-node-resolve';
 import commonjs from '@rollup/plugin-commonjs';
 
-export default {
-  input: 'src/litellm.js',
-  output: [
-    {
-      file: 'dist/litellm.js',
-      format: 'cjs',
-      exports: 'named',
-      sourcemap: true
-    },
-    {
-      file: 'dist/litellm.mjs',
-      format: 'esm',
-      sourcemap: true
-    },
-    {
+const plugins = [
+  resolve({
+    browser: true,
+    preferBuiltins: true
+  }),
+  commonjs()
+];
+
+export default [
+  {
+    input: 'src/litellm.js',
+    // The tokenizer rank tables are split into chunks that are only loaded on first use
+    output: [
+      {
+        dir: 'dist',
+        entryFileNames: 'litellm.js',
+        chunkFileNames: 'chunks/[name]-[hash].js',
+        format: 'cjs',
+        exports: 'named',
+        sourcemap: true
+      },
+      {
+        dir: 'dist',
+        entryFileNames: 'litellm.mjs',
+        chunkFileNames: 'chunks/[name]-[hash].mjs',
+        format: 'esm',
+        sourcemap: true
+      }
+    ],
+    plugins,
+    external: ['cross-fetch']
+  },
+  {
+    input: 'src/litellm.js',
+    // A UMD bundle can't load chunks, so the rank tables are inlined
+    output: {
       name: 'litellm',
       file: 'dist/litellm.umd.js',
       format: 'umd',
       exports: 'named',
       sourcemap: true,
+      inlineDynamicImports: true,
       globals: {
         'cross-fetch': 'fetch'
       }
-    }
-  ],
-  plugins: [
-    resolve({
-      browser: true,
-      preferBuiltins: true
-    }),
-    commonjs()
-  ],
-  external: ['cross-fetch']
-};
\ No newline at end of file
+    },
+    plugins,
+    external: ['cross-fetch']
+  }
+];
@@ -1,9 +1,39 @@
 import fetch from 'cross-fetch';
+import {
+  mergeRetryPolicies,
+  isRetryableNetworkError,
+  getNetworkErrorCode,
+  shouldRetryResponse,
+  getRetryDelay,
+  sleep
+} from './utils/retry.js';
+import { RequestController, bindResponse } from './utils/signal.js';
+import { LiteLLMError, TimeoutError, APIConnectionError, getErrorMessage } from './utils/errors.js';
 
 /**
  * Universal HTTP client for making requests to LLM APIs
  */
 class LiteLLMClient {
+  /**
+   * Initialize a new client
+   * 
+   * @param {Object} [options] - Client options
+   * @param {RetryPolicy|false} [options.retry] - Default retry policy for all requests
+   */
+  constructor(options = {}) {
+    this.retryPolicy = options.retry ?? null;
+  }
+
+  /**
+   * Set the default retry policy for all requests
+   * 
+   * @param {RetryPolicy|false} policy - Retry policy, or false to disable retries
+   * @returns {void}
+   */
+  setRetryPolicy(policy) {
+    this.retryPolicy = policy;
+  }
+
   /**
    * Make a request to an LLM API
    * 
@@ -11,69 +41,230 @@ class LiteLLMClient {
    * @param {Object} options - Request options
    * @param {Object} options.headers - HTTP headers
    * @param {string} options.method - HTTP method (GET, POST, etc.)
-   * @param {Object|null} options.body - Request body (for POST, PUT, etc.)
+   * @param {Object|FormData|Blob|ArrayBuffer|Uint8Array|string|null} options.body - Request body (for POST, PUT, etc.);
+   *   plain objects are JSON-encoded, FormData is sent as multipart and binary bodies are sent as-is
    * @param {AbortSignal|null} options.signal - AbortController signal
+   * @param {number} [options.timeout] - Timeout in milliseconds covering all attempts; for streams it ends
+   *   once the response headers have arrived
+   * @param {boolean} [options.stream=false] - Return the raw response so the body can be streamed
+   * @param {string} [options.responseType='json'] - How to read the response: 'json', 'text' or 'arrayBuffer'
+   * @param {RetryPolicy|false} [options.retry] - Retry policy for this request, merged over the client default
    * @returns {Promise<Object>} - The API response
    */
   async request(url, options = {}) {
-    const { headers = {}, method = 'GET', body = null, signal = null, stream = false } = options;
+    const { headers = {}, method = 'GET', body = null, signal = null, timeout, stream = false, responseType = 'json', retry } = options;
+    const retryPolicy = mergeRetryPolicies(this.retryPolicy, retry);
+    const controller = new RequestController(signal, timeout);
+    let streaming = false;
     
     const requestOptions = {
       method,
-      headers: {
-        'Content-Type': 'application/json',
-        ...headers
-      },
-      signal
+      headers: { ...headers },
+      signal: controller.signal
     };
 
     if (body) {
-      requestOptions.body = JSON.stringify(body);
+      const { body: encodedBody, contentType } = await this._encodeBody(body);
+      requestOptions.body = encodedBody;
+      if (contentType) {
+        requestOptions.headers = {
+          'Content-Type': contentType,
+          ...headers
+        };
+      }
+    } else {
+      requestOptions.headers = {
+        'Content-Type': 'application/json',
+        ...headers
+      };
     }
 
     try {
-      const response = await fetch(url, requestOptions);
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new LiteLLMError(
-          `API request failed with status ${response.status}`,
-          response.status,
-          errorData
-        );
-      }
+      for (let attempt = 0; ; attempt++) {
+        const canRetry = attempt < retryPolicy.maxRetries && !controller.signal.aborted;
+        let response;
+
+        try {
+          response = await fetch(url, requestOptions);
+        } catch (error) {
+          if (controller.signal.aborted) {
+            throw createAbortError(controller, error);
+          }
+          if (canRetry && isRetryableNetworkError(error)) {
+            await this._waitForRetry(getRetryDelay(attempt, retryPolicy), controller);
+            continue;
+          }
+
+          throw new APIConnectionError(
+            `Request failed: ${error.message}`,
+            null,
+            { originalError: error },
+            { code: getNetworkErrorCode(error) }
+          );
+        }
+
+        if (!response.ok) {
+          if (canRetry && shouldRetryResponse(response)) {
+            // Drain the body so the connection can be reused
+            await response.arrayBuffer().catch(() => {});
+            await this._waitForRetry(getRetryDelay(attempt, retryPolicy, response.headers), controller);
+            continue;
+          }
+
+          throw await createResponseError(response);
+        }
+
+        // If streaming is requested, return the raw response; the caller's
+        // signal stays linked until the body is released
+        if (stream) {
+          controller.clearTimeout();
+          bindResponse(response, controller);
+          streaming = true;
+          return response;
+        }
 
-      // If streaming is requested, return the raw response
-      if (stream) {
-        return response;
+        try {
+          if (responseType === 'arrayBuffer') {
+            return await response.arrayBuffer();
+          }
+          if (responseType === 'text') {
+            return await response.text();
+          }
+
+          return await response.json();
+        } catch (error) {
+          if (controller.signal.aborted) {
+            throw createAbortError(controller, error);
+          }
+          throw new LiteLLMError(
+            `Request failed: ${error.message}`,
+            500,
+            { originalError: error }
+          );
+        }
+      }
+    } finally {
+      if (!streaming) {
+        controller.dispose();
       }
+    }
+  }
 
-      return await response.json();
+  /**
+   * Wait before retrying a request
+   * 
+   * @private
+   * @param {number} delay - Delay in milliseconds
+   * @param {RequestController} controller - Controller of the request
+   * @returns {Promise<void>}
+   */
+  async _waitForRetry(delay, controller) {
+    try {
+      await sleep(delay, controller.signal);
     } catch (error) {
-      if (error instanceof LiteLLMError) {
-        throw error;
-      }
-      
-      throw new LiteLLMError(
-        `Request failed: ${error.message}`,
-        500,
-        { originalError: error }
-      );
+      throw createAbortError(controller, error);
     }
   }
+
+  /**
+   * Encode a request body for fetch
+   * 
+   * FormData is serialized through the Response constructor so multipart
+   * uploads also work with fetch implementations that don't understand the
+   * WHATWG FormData class (such as node-fetch behind cross-fetch).
+   * 
+   * @private
+   * @param {Object|FormData|Blob|ArrayBuffer|Uint8Array|string} body - Request body
+   * @returns {Promise<Object>} - Encoded body and the Content-Type to send with it, if any
+   */
+  async _encodeBody(body) {
+    if (typeof FormData !== 'undefined' && body instanceof FormData) {
+      const encoded = new Response(body);
+      return {
+        body: await encoded.arrayBuffer(),
+        contentType: encoded.headers.get('content-type')
+      };
+    }
+
+    if (typeof Blob !== 'undefined' && body instanceof Blob) {
+      return { body: await body.arrayBuffer(), contentType: body.type || 'application/octet-stream' };
+    }
+
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+      return { body, contentType: 'application/octet-stream' };
+    }
+
+    if (typeof body === 'string') {
+      return { body, contentType: null };
+    }
+
+    return { body: JSON.stringify(body), contentType: 'application/json' };
+  }
 }
 
 /**
- * Custom error class for LiteLLM errors
+ * Build the error for a failed response
+ * 
+ * The error carries the parsed payload as `data`, the raw body and the
+ * response headers; providers map it onto a more specific error type.
+ * 
+ * @param {Response} response - Failed fetch response
+ * @param {string} [prefix='API request failed'] - Start of the error message
+ * @returns {Promise<LiteLLMError>} - Error to throw
  */
-class LiteLLMError extends Error {
-  constructor(message, status, data = {}) {
-    super(message);
-    this.name = 'LiteLLMError';
-    this.status = status;
-    this.data = data;
+async function createResponseError(response, prefix = 'API request failed') {
+  const body = await response.text().catch(() => '');
+  let errorData = {};
+  try {
+    errorData = body ? JSON.parse(body) : {};
+  } catch (e) {
+    errorData = { message: body };
+  }
+
+  const headers = {};
+  response.headers.forEach((value, name) => {
+    headers[name.toLowerCase()] = value;
+  });
+
+  const detail = getErrorMessage(errorData);
+  return new LiteLLMError(
+    `${prefix} with status ${response.status}${detail ? `: ${detail}` : ''}`,
+    response.status,
+    errorData,
+    {
+      retryable: shouldRetryResponse(response),
+      body,
+      headers
+    }
+  );
+}
+
+/**
+ * Build the error for an aborted request
+ * 
+ * Timeouts become a TimeoutError; a LiteLLMError given as the abort
+ * reason is passed through, and other aborts by the caller get status 499.
+ * 
+ * @param {RequestController} controller - Controller of the request
+ * @param {Error} [error] - Error thrown by fetch
+ * @returns {LiteLLMError} - Error to throw
+ */
+function createAbortError(controller, error) {
+  if (controller.timedOut) {
+    return new TimeoutError(
+      `Request timed out after ${controller.timeout}ms`,
+      408,
+      { originalError: error },
+      { timeout: controller.timeout }
+    );
+  }
+
+  const reason = controller.signal.reason;
+  if (reason instanceof LiteLLMError) {
+    return reason;
   }
+  return new LiteLLMError('Request was aborted', 499, { originalError: reason ?? error });
 }
 
 export default new LiteLLMClient();
-export { LiteLLMClient, LiteLLMError };
\ No newline at end of file
+export { LiteLLMClient, LiteLLMError, createAbortError, createResponseError };
\ No newline at end of file
@@ -1,6 +1,39 @@
-import LiteLLM from './client.js';
-import LiteLLMProxy from './proxy.js';
-import { LiteLLMError, LiteLLMProviderError, LiteLLMTimeoutError, LiteLLMAuthError } from './utils/errors.js';
-import { getProvider, listProviders } from './providers/index.js';
+import liteLLM, {
+  LiteLLM,
+  registerChatTemplate,
+  registerProviderPreset,
+  streamChunkBuilder,
+  createConsoleLogger,
+  completionCost,
+  tokenCounter,
+  registerEncoding,
+  trimMessages,
+  getMaxTokens,
+  registerModelInfo,
+  getModelInfo,
+  InMemoryCache,
+  FileSystemCache,
+  JSONFileStore,
+  BudgetManager
+} from './litellm.js';
 
-// 简 ▋
\ No newline at end of file
+export * from './utils/errors.js';
+export {
+  LiteLLM,
+  registerChatTemplate,
+  registerProviderPreset,
+  streamChunkBuilder,
+  createConsoleLogger,
+  completionCost,
+  tokenCounter,
+  registerEncoding,
+  trimMessages,
+  getMaxTokens,
+  registerModelInfo,
+  getModelInfo,
+  InMemoryCache,
+  FileSystemCache,
+  JSONFileStore,
+  BudgetManager
+};
+export default liteLLM;
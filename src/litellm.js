@@ -1,7 +1,48 @@
 import { MODEL_PREFIXES, PROVIDER_TYPES } from './types.js';
 import OpenAIProvider from './providers/openai.js';
 import AnthropicProvider from './providers/anthropic.js';
-import { LiteLLMError } from './client.js';
+import GoogleProvider from './providers/google.js';
+import AzureProvider from './providers/azure.js';
+import CohereProvider from './providers/cohere.js';
+import HuggingFaceProvider from './providers/huggingface.js';
+import OllamaProvider from './providers/ollama.js';
+import BedrockProvider from './providers/bedrock.js';
+import OpenAICompatibleProvider from './providers/openai-compatible.js';
+import { getProviderPreset, registerProviderPreset } from './providers/presets.js';
+import Provider from './provider.js';
+import client, { createAbortError, createResponseError } from './client.js';
+import {
+  LiteLLMError,
+  BadRequestError,
+  AuthenticationError,
+  NotFoundError,
+  ContextWindowExceededError,
+  ContentPolicyViolationError,
+  RateLimitError,
+  ServiceUnavailableError,
+  TimeoutError,
+  APIConnectionError,
+  BudgetExceededError,
+  LiteLLMProviderError,
+  LiteLLMTimeoutError,
+  LiteLLMAuthError,
+  toLiteLLMError
+} from './utils/errors.js';
+import Router from './router.js';
+import { getNetworkErrorCode } from './utils/retry.js';
+import { registerChatTemplate } from './utils/templates.js';
+import { splitIntoBatches, decodeEmbedding } from './utils/embeddings.js';
+import { streamSSE, withIdleTimeout } from './utils/stream.js';
+import { streamChunkBuilder, completionToChunks } from './utils/chunks.js';
+import { ResponseCache, InMemoryCache, FileSystemCache, JSONFileStore } from './utils/cache.js';
+import { BudgetManager } from './utils/budget.js';
+import { registerModelInfo, getModelInfo, getMaxTokens, completionCost, hasPrice } from './utils/models.js';
+import { tokenCounter, countTokens, tokenUpperBound, getEncodingForModel, loadEncoding, registerEncoding, APPROXIMATION_MARGIN } from './utils/tokens.js';
+import { trimMessages } from './utils/trim.js';
+import { CallbackManager } from './utils/callbacks.js';
+import { createConsoleLogger } from './utils/logger.js';
+import { estimateRequestTokens } from './utils/limiter.js';
+import { RequestController, bindResponse } from './utils/signal.js';
 
 /**
  * LiteLLM class for unified access to various LLM providers
@@ -13,11 +54,21 @@ class LiteLLM {
   constructor() {
     this.providers = {};
     this.proxies = [];
+    this.routers = {};
+    this.cache = null;
+    this.budgetManager = null;
+    this.contextWindowCheck = true;
+    this.logger = createConsoleLogger();
+    this.callbackManager = new CallbackManager({
+      onError: (error, event) => this.logger.error(`Callback for ${event} failed:`, error)
+    });
   }
 
   /**
    * Parse model string to extract provider and actual model name
    * Supports formats: "provider/model" and "model"
+   * Only the first "/" separates the provider, so model names may contain
+   * slashes themselves (e.g. "huggingface/meta-llama/Meta-Llama-3-8B-Instruct")
    * 
    * @param {string} modelString - The model string to parse
    * @returns {Object} - Object with provider and model properties
@@ -27,11 +78,13 @@ class LiteLLM {
       return { provider: null, model: modelString };
     }
 
-    const parts = modelString.split('/');
-    if (parts.length === 2 && parts[0] && parts[1]) {
+    const separator = modelString.indexOf('/');
+    const provider = modelString.slice(0, separator);
+    const model = modelString.slice(separator + 1);
+    if (separator !== -1 && provider && model) {
       return {
-        provider: parts[0].toLowerCase(),
-        model: parts[1]
+        provider: provider.toLowerCase(),
+        model: model
       };
     }
 
@@ -44,9 +97,15 @@ class LiteLLM {
   /**
    * Register a provider for use with LiteLLM
    * 
-   * @param {string} type - Provider type (e.g., 'openai', 'anthropic')
+   * @param {string} type - Provider type (e.g., 'openai', 'anthropic') or preset name (e.g., 'groq')
    * @param {Object} options - Provider options
-   * @returns {Provider} - The registered provider
+   * @param {string} [options.prefix] - Register under this model prefix instead of the provider type, so
+   *   several instances of one provider can coexist (e.g. prefix 'openai-eu' serves "openai-eu/gpt-4o")
+   * @param {RateLimits} [options.limits] - Client-side limits ({ rpm, tpm, maxConcurrent }); requests over
+   *   a limit are queued until they fit
+   * @param {number} [options.timeout] - Default request timeout in milliseconds
+   * @param {number} [options.streamIdleTimeout] - Default longest wait between stream chunks in milliseconds
+   * @returns {Provider} - The registered provider; replaces, with a warning, one registered under the same prefix
    */
   registerProvider(type, options) {
     const providerType = type.toLowerCase();
@@ -59,12 +118,43 @@ class LiteLLM {
       case PROVIDER_TYPES.ANTHROPIC:
         provider = new AnthropicProvider(options);
         break;
+      case PROVIDER_TYPES.GOOGLE:
+        provider = new GoogleProvider(options);
+        break;
+      case PROVIDER_TYPES.AZURE:
+        provider = new AzureProvider(options);
+        break;
+      case PROVIDER_TYPES.COHERE:
+        provider = new CohereProvider(options);
+        break;
+      case PROVIDER_TYPES.HUGGINGFACE:
+        provider = new HuggingFaceProvider(options);
+        break;
+      case PROVIDER_TYPES.OLLAMA:
+        provider = new OllamaProvider(options);
+        break;
+      case PROVIDER_TYPES.BEDROCK:
+        provider = new BedrockProvider(options);
+        break;
+      case PROVIDER_TYPES.OPENAI_COMPATIBLE:
+        provider = new OpenAICompatibleProvider(options);
+        break;
       // Add other providers here
       default:
-        throw new LiteLLMError(`Unsupported provider type: ${type}`, 400);
+        // Vendors with an OpenAI compatible API are configured through presets
+        if (getProviderPreset(providerType)) {
+          provider = new OpenAICompatibleProvider({ ...options, preset: providerType });
+          break;
+        }
+        throw new BadRequestError(`Unsupported provider type: ${type}`);
     }
     
-    this.providers[providerType] = provider;
+    // Providers registered with a prefix (and OpenAI compatible presets) are looked up by it
+    const key = (provider.prefix || providerType).toLowerCase();
+    if (this.providers[key]) {
+      this.logger.warn(`Provider ${key} is already registered and is replaced; pass a prefix to register another instance`);
+    }
+    this.providers[key] = provider;
     return provider;
   }
 
@@ -77,6 +167,128 @@ class LiteLLM {
     this.proxies.push(proxyConfig);
   }
 
+  /**
+   * Register a router that sends a logical model name to an ordered list of
+   * deployments, falling back to the next one on retryable errors
+   * 
+   * @param {Object} options - Router options, see Router
+   * @param {string} options.name - Logical model name, used as `model` in requests
+   * @param {Array<string|Object>} options.deployments - Deployments in fallback order, e.g. ['openai/gpt-4o', 'azure/gpt-4o']
+   * @returns {Router} - The registered router
+   */
+  registerRouter(options) {
+    const router = new Router(options, this);
+    this.routers[router.name] = router;
+    return router;
+  }
+
+  /**
+   * Set the default retry policy for all requests
+   * 
+   * Providers (the `retry` option of registerProvider) and individual calls
+   * (the `retry` option of completion, embedding, ...) can override it.
+   * 
+   * @param {RetryPolicy|false} policy - Retry policy, or false to disable retries
+   * @returns {void}
+   */
+  setRetryPolicy(policy) {
+    client.setRetryPolicy(policy);
+  }
+
+  /**
+   * Enable or disable the completion cache
+   * 
+   * Once enabled, completion and streamCompletion responses are cached by
+   * model, messages and parameters. Individual calls can opt out with the
+   * `cache` option.
+   * 
+   * @param {Object|false} options - Cache options, or false to disable caching
+   * @param {CacheStore} [options.store] - Where entries are kept, defaults to an InMemoryCache
+   * @param {number} [options.ttl] - Default time to live in milliseconds; entries never expire without one
+   * @param {string} [options.namespace='litellm'] - Prefix for the cache keys
+   * @returns {void}
+   */
+  setCache(options = {}) {
+    this.cache = options === false ? null : new ResponseCache(options);
+  }
+
+  /**
+   * Enforce spend budgets on completion and streamCompletion
+   * 
+   * Calls are checked against the budgets of their `user`, `tags` and
+   * deployment before they are made, and their cost is recorded once they
+   * have finished.
+   * 
+   * @param {BudgetManager|false} budgetManager - Budget manager, or false to stop enforcing budgets
+   * @returns {void}
+   */
+  setBudgetManager(budgetManager) {
+    this.budgetManager = budgetManager || null;
+  }
+
+  /**
+   * Enable or disable the context window check
+   * 
+   * When enabled (the default), completion and streamCompletion count the
+   * prompt's tokens before the request is sent and throw a
+   * ContextWindowExceededError if the prompt and max_tokens don't fit the
+   * model's context window. Models without a known context window are not
+   * checked.
+   * 
+   * @param {boolean} enabled - Whether to check prompts before sending them
+   * @returns {void}
+   */
+  setContextWindowCheck(enabled) {
+    this.contextWindowCheck = enabled !== false;
+  }
+
+  /**
+   * Set where LiteLLM writes its log messages
+   * 
+   * The default logger writes warnings and errors to the console.
+   * 
+   * @param {Logger|false} logger - Logger with debug, info, warn and error methods (e.g. console), or false to stop logging
+   * @returns {void}
+   */
+  setLogger(logger) {
+    this.logger = logger || createConsoleLogger('silent');
+  }
+
+  /**
+   * Register a callback for every completion, streamCompletion, embedding,
+   * imageGeneration, transcription and speech call
+   * 
+   * Events:
+   * - pre_call: before the call; the handler may change `payload.options`
+   *   or return new options, and throw to reject the call
+   * - post_call_success: with the response, provider, deployment, usage,
+   *   cost and latency
+   * - post_call_failure: with the error and latency
+   * - stream_chunk: with each chunk and the time to first token
+   * - stream_end: when a stream completed, failed or was abandoned
+   * 
+   * Only pre_call handlers are awaited. Errors in the other handlers are
+   * logged and don't affect the call.
+   * 
+   * @param {string} event - 'pre_call', 'post_call_success', 'post_call_failure', 'stream_chunk' or 'stream_end'
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} - Removes the handler again
+   */
+  on(event, handler) {
+    return this.callbackManager.on(event, handler);
+  }
+
+  /**
+   * Remove a callback registered with on()
+   * 
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler to remove
+   * @returns {void}
+   */
+  off(event, handler) {
+    this.callbackManager.off(event, handler);
+  }
+
   /**
    * Determine the provider type from a model name
    * 
@@ -138,6 +350,15 @@ class LiteLLM {
       };
     }
 
+    // Explicit prefixes can also be model family aliases, e.g. "gemini/..." for the google provider
+    const aliasedType = explicitProvider && MODEL_PREFIXES[explicitProvider];
+    if (aliasedType && this.providers[aliasedType]) {
+      return {
+        provider: this.providers[aliasedType],
+        actualModel
+      };
+    }
+
     // Find provider by model prefix
     const providerType = this.getProviderTypeForModel(actualModel || modelString);
     if (providerType && this.providers[providerType]) {
@@ -160,6 +381,103 @@ class LiteLLM {
     return { provider: null, actualModel: actualModel || modelString };
   }
 
+  /**
+   * Resolve the provider for a request
+   * 
+   * Per-call request settings (`retry`, `priority`, `signal`, `timeout`,
+   * `streamIdleTimeout`, `cache`, `tags`, `budget`, `trim_messages`,
+   * `callbacks`) are taken out of the options, so they are never sent to
+   * the API.
+   * 
+   * @private
+   * @param {Object} options - Request options
+   * @returns {Object} - { provider, requestOptions, queueOptions, streamIdleTimeout, trimOptions } with the provider's own model name
+   */
+  _resolveRequest(options) {
+    const { retry, priority, signal, timeout, streamIdleTimeout, cache, tags, budget, trim_messages, callbacks, ...rest } = options;
+    const { provider, actualModel } = this.getProviderForModel(rest.model);
+    
+    if (!provider) {
+      throw new BadRequestError(`No provider found for model: ${rest.model}`, 400, {}, { model: rest.model });
+    }
+
+    return {
+      provider: typeof provider.withRequestOptions === 'function'
+        ? provider.withRequestOptions({ retry, signal, timeout })
+        : provider,
+      requestOptions: {
+        ...rest,
+        model: actualModel
+      },
+      queueOptions: { priority, signal },
+      streamIdleTimeout: streamIdleTimeout ?? provider.streamIdleTimeout,
+      trimOptions: trim_messages
+    };
+  }
+
+  /**
+   * Wait for the provider's rate limiter, if it has one
+   * 
+   * @private
+   * @param {Provider} provider - Provider the request goes to
+   * @param {Object} requestOptions - Request options, used to estimate tokens
+   * @param {Object} queueOptions - { priority, signal }
+   * @returns {Promise<Function>} - Call release(actualTokens?) once the request has finished
+   */
+  async _acquireSlot(provider, requestOptions, queueOptions) {
+    if (!provider.limiter) {
+      return () => {};
+    }
+
+    return await provider.limiter.acquire({
+      tokens: estimateRequestTokens(requestOptions),
+      priority: queueOptions.priority,
+      signal: queueOptions.signal
+    });
+  }
+
+  /**
+   * Make a request within the provider's rate limits
+   * 
+   * @private
+   * @param {Provider} provider - Provider the request goes to
+   * @param {Object} requestOptions - Request options
+   * @param {Object} queueOptions - { priority, signal }
+   * @param {Function} call - Makes the request
+   * @returns {Promise<Object>} - The response
+   */
+  async _callLimited(provider, requestOptions, queueOptions, call) {
+    const release = await this._acquireSlot(provider, requestOptions, queueOptions);
+    let usage;
+
+    try {
+      const response = await call();
+      usage = response?.usage;
+      return response;
+    } catch (error) {
+      throw this._mapError(error, provider, requestOptions.model);
+    } finally {
+      release(usage?.total_tokens);
+    }
+  }
+
+  /**
+   * Convert an error into the typed error hierarchy, using the provider's
+   * own error format where it has one
+   * 
+   * @private
+   * @param {Error} error - Error thrown by the provider
+   * @param {Provider} provider - Provider the request went to
+   * @param {string} model - Model name sent to the provider
+   * @returns {Error} - Typed error carrying the provider and model
+   */
+  _mapError(error, provider, model) {
+    if (typeof provider.mapError === 'function') {
+      return provider.mapError(error, model);
+    }
+    return toLiteLLMError(error, { provider: provider.proxyName || provider.providerType, model });
+  }
+
   /**
    * Generate a completion for the given messages
    * 
@@ -167,72 +485,729 @@ class LiteLLM {
    * @returns {Promise<Object>} - The completion response
    */
   async completion(options) {
+    const call = await this.callbackManager.start('completion', options);
+    try {
+      const budget = await this._checkBudget(call.options);
+      const response = await this._cachedCompletion(call.options);
+      await this._recordSpend(budget, response, call.options);
+      this.callbackManager.success(call, response);
+      return response;
+    } catch (error) {
+      this.callbackManager.failure(call, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a completion through the cache, if it is enabled
+   * 
+   * @private
+   * @param {CompletionOptions} options - Completion options
+   * @returns {Promise<Object>} - The completion response
+   */
+  async _cachedCompletion(options) {
+    const cache = this._getCache(options);
+    if (!cache) {
+      return await this._completion(options);
+    }
+
+    const key = await this.cache.getKey(options);
+    const cached = cache.noCache ? null : await this.cache.get(key);
+    if (cached) {
+      return { ...this._getCachedResponse(cached), cache_hit: true };
+    }
+
+    const response = await this._completion(options);
+    if (!cache.noStore) {
+      await this.cache.set(key, response, cache.ttl);
+    }
+    return { ...response, cache_hit: false };
+  }
+
+  /**
+   * Generate a completion without the cache
+   * 
+   * @private
+   * @param {CompletionOptions} options - Completion options
+   * @returns {Promise<Object>} - The completion response
+   */
+  async _completion(options) {
     const { model: modelString } = options;
-    const { provider, actualModel } = this.getProviderForModel(modelString);
+    if (this.routers[modelString]) {
+      // The router's deployments are cached and budgeted under the router's name, not their own
+      return await this.routers[modelString].completion({ ...options, cache: false, budget: false });
+    }
+
+    const { provider, requestOptions, queueOptions, trimOptions } = this._resolveRequest(options);
+    if (trimOptions) {
+      requestOptions.messages = await this._trimMessages(provider, requestOptions, trimOptions);
+    }
+    await this._checkContextWindow(provider, requestOptions);
     
-    if (!provider) {
-      throw new LiteLLMError(`No provider found for model: ${modelString}`, 400);
+    const response = await this._callLimited(provider, requestOptions, queueOptions, () => provider.completion(requestOptions));
+    return this._addCost(response, provider, requestOptions.model);
+  }
+
+  /**
+   * Get a cached response as it is returned to the caller
+   * 
+   * @private
+   * @param {Object} cached - Response from the cache
+   * @returns {Object} - The response; a cache hit costs nothing
+   */
+  _getCachedResponse(cached) {
+    return { ...cached, _hidden_params: { ...cached._hidden_params, response_cost: 0 } };
+  }
+
+  /**
+   * Add the provider, the model that was called and the cost of the call to
+   * a response's `_hidden_params`
+   * 
+   * @private
+   * @param {Object} response - Completion response, chunk or embedding response
+   * @param {Provider} provider - Provider the request went to
+   * @param {string} model - Model name sent to the provider, after any proxyModel rewrite
+   * @returns {Object} - The response with `_hidden_params.response_cost`
+   */
+  _addCost(response, provider, model) {
+    const hiddenParams = {
+      ...response._hidden_params,
+      provider: this._getProviderName(provider),
+      model
+    };
+    hiddenParams.response_cost = completionCost(response, hiddenParams);
+    return { ...response, _hidden_params: hiddenParams };
+  }
+
+  /**
+   * Get the name model info is looked up under for a provider
+   * 
+   * @private
+   * @param {Provider} provider - Provider the request goes to
+   * @returns {string} - Proxy name, preset name, prefix or provider type
+   */
+  _getProviderName(provider) {
+    return provider.proxyName || provider.name || provider.prefix || provider.constructor.providerType;
+  }
+
+  /**
+   * Trim a request's messages to fit the model's context window, keeping
+   * max_tokens free for the response
+   * 
+   * @private
+   * @param {Provider} provider - Provider the request goes to
+   * @param {Object} requestOptions - Request options with the provider's own model name
+   * @param {TrimOptions|true} trimOptions - The `trim_messages` option
+   * @returns {Promise<Array<LLMMessage>>} - The messages that fit
+   */
+  async _trimMessages(provider, requestOptions, trimOptions) {
+    if (!requestOptions.messages) {
+      return requestOptions.messages;
+    }
+
+    const settings = trimOptions === true ? {} : trimOptions;
+    return await trimMessages(requestOptions.messages, {
+      ...settings,
+      model: requestOptions.model,
+      provider: this._getProviderName(provider),
+      tools: requestOptions.tools || requestOptions.functions,
+      reserveTokens: settings.reserveTokens ?? (requestOptions.max_tokens || requestOptions.max_completion_tokens || undefined)
+    });
+  }
+
+  /**
+   * Check that a request fits the model's context window before it is sent
+   * 
+   * Approximate counts (models without an offline tokenizer) only fail the
+   * check when they exceed the context window by more than
+   * APPROXIMATION_MARGIN; closer calls are left to the provider. If the
+   * model's encoding can't be loaded, the check is skipped with a warning.
+   * 
+   * @private
+   * @param {Provider} provider - Provider the request goes to
+   * @param {Object} requestOptions - Request options with the provider's own model name
+   * @returns {Promise<void>}
+   * @throws {ContextWindowExceededError} - If the prompt and max_tokens exceed the context window
+   */
+  async _checkContextWindow(provider, requestOptions) {
+    if (!this.contextWindowCheck || !requestOptions.messages) {
+      return;
+    }
+
+    const { model } = requestOptions;
+    const contextWindow = getModelInfo(model, this._getProviderName(provider))?.maxInputTokens;
+    if (!contextWindow) {
+      return;
+    }
+
+    const maxTokens = requestOptions.max_tokens || requestOptions.max_completion_tokens || 0;
+    if (tokenUpperBound(requestOptions) + maxTokens <= contextWindow) {
+      return;
     }
 
-    // Create a new options object with the actual model name
-    const completionOptions = {
-      ...options,
-      model: actualModel
+    const { encoding, exact } = getEncodingForModel(model);
+    try {
+      await loadEncoding(encoding);
+    } catch (error) {
+      this.logger.warn(`Skipping the context window check of ${model}: ${error.message}`);
+      return;
+    }
+
+    const promptTokens = countTokens(requestOptions);
+    const minPromptTokens = exact ? promptTokens : Math.floor(promptTokens * (1 - APPROXIMATION_MARGIN));
+    if (minPromptTokens + maxTokens > contextWindow) {
+      throw new ContextWindowExceededError(
+        `Prompt of ${exact ? '' : 'about '}${promptTokens} tokens` + (maxTokens ? ` plus max_tokens ${maxTokens}` : '') +
+          ` exceeds the context window of ${model} (${contextWindow} tokens)`,
+        400,
+        { prompt_tokens: promptTokens, max_tokens: maxTokens, context_window: contextWindow, exact },
+        { provider: this._getProviderName(provider), model }
+      );
+    }
+  }
+
+  /**
+   * Check the budgets that apply to a call before it is made
+   * 
+   * Deployment budgets of routers are checked by the router, which skips
+   * deployments that are over budget. With `strictPricing` set on the
+   * budget manager, budgeted calls that may go to a model whose cost can't
+   * be known are refused.
+   * 
+   * @private
+   * @param {CompletionOptions} options - Completion options
+   * @returns {Promise<Object|null>} - Budget context ({ user, tags, deployment }), or null if the call is not budgeted
+   * @throws {BudgetExceededError} - If one of the budgets is used up
+   * @throws {BadRequestError} - If pricing is strict and a budgeted call may go to a model without prices
+   */
+  async _checkBudget(options) {
+    if (!this.budgetManager || options.budget === false) {
+      return null;
+    }
+
+    const context = {
+      user: options.user,
+      tags: options.tags || [],
+      deployment: this.routers[options.model] ? null : options.model
     };
-    
-    return await provider.completion(completionOptions);
+
+    if (this.budgetManager.strictPricing) {
+      const models = this.routers[options.model]
+        ? this.routers[options.model].getDeploymentModels()
+        : { [options.model]: options.model };
+      for (const [deployment, model] of Object.entries(models)) {
+        if (this.budgetManager.hasBudget({ ...context, deployment }) && !this._canPrice(model)) {
+          throw new BadRequestError(
+            `Model ${model} has no price, so its spend can't be counted against budgets; ` +
+              'register its price with registerModelInfo or set a fallbackPrice on the BudgetManager',
+            400,
+            {},
+            { model: options.model }
+          );
+        }
+      }
+    }
+
+    await this.budgetManager.check(context);
+    return context;
+  }
+
+  /**
+   * Check whether the spend of calls to a model can be known
+   * 
+   * @private
+   * @param {string} modelString - Model string
+   * @returns {boolean} - True if the model has prices, runs locally for free or is charged at the
+   *   fallback price, or if no provider serves it and the call fails anyway
+   */
+  _canPrice(modelString) {
+    const { provider, actualModel } = this.getProviderForModel(modelString);
+    if (!provider || hasPrice(getModelInfo(actualModel, this._getProviderName(provider)))) {
+      return true;
+    }
+    return this._isFreeLocal(provider) || Boolean(this.budgetManager.fallbackPrice);
+  }
+
+  /**
+   * Check whether a provider runs models locally and its calls cost nothing
+   * 
+   * @private
+   * @param {Provider} provider - Provider
+   * @returns {boolean} - True unless the budget manager charges local models
+   */
+  _isFreeLocal(provider) {
+    return typeof provider.isLocal === 'function' && provider.isLocal() && !this.budgetManager.chargeLocalModels;
+  }
+
+  /**
+   * Record the cost of a finished call against its budgets
+   * 
+   * Responses of models without prices cost nothing if the model runs
+   * locally, and are charged at the budget manager's fallback price
+   * otherwise. Without a fallback price they count as costing nothing,
+   * with a warning.
+   * 
+   * @private
+   * @param {Object|null} budget - Budget context from _checkBudget
+   * @param {Object|null} response - Completion response, or a stream's response from _getStreamSpend
+   * @param {CompletionOptions} options - Completion options of the call
+   * @returns {Promise<void>}
+   */
+  async _recordSpend(budget, response, options) {
+    if (!budget || !response) {
+      return;
+    }
+
+    let cost = response._hidden_params?.response_cost;
+    if (cost === null || cost === undefined) {
+      const modelString = this._getServedModel(options, response.deployment);
+      const { provider, actualModel } = this.getProviderForModel(modelString);
+      cost = provider && this._isFreeLocal(provider) ? 0 : this.budgetManager.getFallbackCost(response.usage);
+      if (cost === null) {
+        this.logger.warn(`Model ${actualModel} has no price, so its calls count as costing nothing against budgets; register its price with registerModelInfo`);
+        cost = 0;
+      }
+    }
+
+    await this.budgetManager.recordSpend(
+      { ...budget, deployment: response.deployment || budget.deployment },
+      cost
+    );
+  }
+
+  /**
+   * Get the model string of the deployment that served a call
+   * 
+   * @private
+   * @param {CompletionOptions} options - Completion options of the call
+   * @param {string} [deployment] - Router deployment that served it
+   * @returns {string} - Model string
+   */
+  _getServedModel(options, deployment) {
+    return deployment ? this.routers[options.model].getDeploymentModels()[deployment] : options.model;
+  }
+
+  /**
+   * Get what a stream is charged for, however it ended
+   * 
+   * A finished stream's last chunk carries its cost. A stream that was left
+   * early or failed is charged for its prompt and the text streamed so far,
+   * as reported by the provider or else counted.
+   * 
+   * @private
+   * @param {CompletionOptions} options - Completion options the stream was started with
+   * @param {Array<Object>} chunks - Chunks yielded to the caller
+   * @returns {Promise<Object|null>} - Response with usage and cost, or null if there is nothing to charge
+   */
+  async _getStreamSpend(options, chunks) {
+    const last = chunks[chunks.length - 1];
+    if (!last || last.cache_hit || last._hidden_params?.response_cost !== undefined) {
+      return last && !last.cache_hit ? last : null;
+    }
+
+    const { provider, actualModel } = this.getProviderForModel(this._getServedModel(options, last.deployment));
+    if (!provider) {
+      return null;
+    }
+
+    const response = { ...streamChunkBuilder(chunks), deployment: last.deployment };
+    response.usage = response.usage || await this._countStreamUsage({ ...options, model: actualModel }, chunks);
+    return this._addCost(response, provider, actualModel);
+  }
+
+  /**
+   * Get the cache settings for a call
+   * 
+   * @private
+   * @param {CompletionOptions} options - Completion options
+   * @returns {Object|null} - { noCache, noStore, ttl }, or null if the call is not cached, which includes calls
+   *   trimming with a summarize function
+   */
+  _getCache(options) {
+    // The summary of the trimmed messages is not known before the call, so it can't be keyed
+    if (!this.cache || options.cache === false || options.trim_messages?.summarize) {
+      return null;
+    }
+    return options.cache || {};
   }
 
   /**
    * Generate a streaming completion for the given messages
    * 
+   * A rate limit slot is held until the stream has finished. Leaving the
+   * loop early cancels the underlying request, and `streamIdleTimeout`
+   * aborts the stream when no chunk arrives in time.
+   * 
+   * Cached completions are replayed as chunks. A streamed completion is
+   * only stored once the stream has been read to the end; its cost is
+   * counted against budgets however it ends, see _getStreamSpend.
+   * 
    * @param {CompletionOptions} options - Completion options
    * @returns {AsyncGenerator} - An async generator that yields completion chunks
    */
   async *streamCompletion(options) {
+    const call = await this.callbackManager.start('stream_completion', options);
+    const chunks = [];
+    let status = 'abandoned';
+    let budget = null;
+    let recorded = false;
+
+    try {
+      budget = await this._checkBudget(call.options);
+      for await (const chunk of this._cachedStreamCompletion(call.options)) {
+        chunks.push(chunk);
+        this.callbackManager.chunk(call, chunk);
+        yield chunk;
+      }
+      recorded = true;
+      await this._recordSpend(budget, budget && await this._getStreamSpend(call.options, chunks), call.options);
+      status = 'completed';
+      this.callbackManager.streamSuccess(call, chunks);
+    } catch (error) {
+      status = 'failed';
+      this.callbackManager.failure(call, error);
+      throw error;
+    } finally {
+      // A stream left early or failed is charged for what it used, without hiding how it ended
+      if (budget && !recorded) {
+        try {
+          await this._recordSpend(budget, await this._getStreamSpend(call.options, chunks), call.options);
+        } catch (error) {
+          this.logger.error('Recording the spend of a stream failed:', error);
+        }
+      }
+      this.callbackManager.streamEnd(call, status);
+    }
+  }
+
+  /**
+   * Generate a streaming completion through the cache, if it is enabled
+   * 
+   * @private
+   * @param {CompletionOptions} options - Completion options
+   * @returns {AsyncGenerator} - An async generator that yields completion chunks
+   */
+  async *_cachedStreamCompletion(options) {
+    const cache = this._getCache(options);
+    if (!cache) {
+      yield* this._streamCompletion(options);
+      return;
+    }
+
+    const key = await this.cache.getKey(options);
+    const cached = cache.noCache ? null : await this.cache.get(key);
+    if (cached) {
+      const includeUsage = Boolean(options.stream_options?.include_usage);
+      for (const chunk of completionToChunks(this._getCachedResponse(cached), { includeUsage })) {
+        yield { ...chunk, cache_hit: true };
+      }
+      return;
+    }
+
+    const chunks = [];
+    for await (const chunk of this._streamCompletion(options)) {
+      chunks.push(chunk);
+      yield { ...chunk, cache_hit: false };
+    }
+    if (!cache.noStore) {
+      await this.cache.set(key, streamChunkBuilder(chunks), cache.ttl);
+    }
+  }
+
+  /**
+   * Generate a streaming completion without the cache
+   * 
+   * @private
+   * @param {CompletionOptions} options - Completion options
+   * @returns {AsyncGenerator} - An async generator that yields completion chunks
+   */
+  async *_streamCompletion(options) {
     const { model: modelString } = options;
-    const { provider, actualModel } = this.getProviderForModel(modelString);
-    
-    if (!provider) {
-      throw new LiteLLMError(`No provider found for model: ${modelString}`, 400);
+    if (this.routers[modelString]) {
+      yield* this.routers[modelString].streamCompletion({ ...options, cache: false, budget: false });
+      return;
+    }
+
+    const controller = new RequestController(options.signal);
+    const { provider, requestOptions, queueOptions, streamIdleTimeout, trimOptions } =
+      this._resolveRequest({ ...options, signal: controller.signal });
+    let release = () => {};
+    let tokens;
+    let finished = false;
+
+    try {
+      if (trimOptions) {
+        requestOptions.messages = await this._trimMessages(provider, requestOptions, trimOptions);
+      }
+      await this._checkContextWindow(provider, requestOptions);
+      release = await this._acquireSlot(provider, requestOptions, queueOptions);
+
+      // Usage is requested from providers that support it so the cost is known, and counted for the others;
+      // callers that didn't ask for it get it on the last chunk
+      const includeUsage = Boolean(requestOptions.stream_options?.include_usage);
+      let chunks = provider.streamCompletion(provider.supportsStreamUsage
+        ? { ...requestOptions, stream_options: { ...requestOptions.stream_options, include_usage: true } }
+        : requestOptions);
+      if (streamIdleTimeout) {
+        chunks = withIdleTimeout(chunks, streamIdleTimeout, error => controller.abort(error));
+      }
+
+      let usage = null;
+      let held = null;
+      const received = [];
+      for await (const chunk of chunks) {
+        received.push(chunk);
+        usage = chunk.usage || usage;
+        tokens = usage?.total_tokens ?? tokens;
+        if (chunk.usage && !includeUsage && !chunk.choices?.length) {
+          continue;
+        }
+
+        if (held) {
+          yield held;
+          held = null;
+        }
+        // Final chunks are held back so the cost can be added once the usage is known
+        if (!chunk.choices?.length || chunk.choices.some(choice => choice.finish_reason)) {
+          held = chunk;
+        } else {
+          yield chunk;
+        }
+      }
+      finished = true;
+
+      if (held) {
+        if (!usage) {
+          usage = await this._countStreamUsage(requestOptions, received);
+          tokens = usage.total_tokens;
+        }
+        yield this._addCost({ ...held, usage }, provider, requestOptions.model);
+      }
+    } catch (error) {
+      throw this._mapError(error, provider, requestOptions.model);
+    } finally {
+      release(tokens);
+      if (!finished) {
+        controller.abort(new DOMException('The stream was abandoned', 'AbortError'));
+      }
+      controller.dispose();
+    }
+  }
+
+  /**
+   * Count the usage of a streamed completion whose provider didn't report it
+   * 
+   * @private
+   * @param {Object} requestOptions - Request options the stream was started with
+   * @param {Array<Object>} chunks - Chunks received from the provider
+   * @returns {Promise<Object>} - OpenAI format usage
+   */
+  async _countStreamUsage(requestOptions, chunks) {
+    const { model, messages, tools, functions } = requestOptions;
+    const promptTokens = await tokenCounter({ model, messages, tools, functions });
+
+    let completionTokens = 0;
+    for (const { message } of streamChunkBuilder(chunks).choices) {
+      const text = [
+        message.content,
+        message.function_call?.arguments,
+        ...(message.tool_calls || []).map(toolCall => toolCall.function.arguments)
+      ].filter(Boolean).join('');
+      completionTokens += await tokenCounter({ model, text });
     }
 
-    // Create a new options object with the actual model name
-    const completionOptions = {
-      ...options,
-      model: actualModel
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
     };
-    
-    yield* provider.streamCompletion(completionOptions);
   }
 
   /**
-   * Process a text chunk from a stream
+   * Rebuild a complete completion from the chunks of a streamed completion
+   * 
+   * @param {Array<Object>} chunks - Chunks yielded by streamCompletion
+   * @returns {Object} - Completion in the same format completion returns
+   */
+  streamChunkBuilder(chunks) {
+    return streamChunkBuilder(chunks);
+  }
+
+  /**
+   * Calculate the cost of a response in USD from its usage and the model's prices
+   * 
+   * @param {Object} response - Response of completion, streamChunkBuilder or embedding
+   * @param {Object} [options] - Pricing options
+   * @param {string} [options.model] - Model to price against, defaults to the one the response came from
+   * @param {string} [options.provider] - Provider type or prefix, defaults to the one the response came from
+   * @returns {number|null} - Cost in USD, or null if the model's prices or the usage are unknown
+   */
+  completionCost(response, options) {
+    return completionCost(response, options);
+  }
+
+  /**
+   * Count the tokens of a prompt without sending it
+   * 
+   * OpenAI models are counted with their own encoding (cl100k_base or
+   * o200k_base); other models are approximated with cl100k_base. The
+   * encodings ship with the library and are loaded on first use, so
+   * counting works offline and in the browser.
+   * 
+   * @param {Object} options - What to count
+   * @param {string} [options.model] - Model name, selects the encoding
+   * @param {Array<LLMMessage>} [options.messages] - Chat messages
+   * @param {Array<Object>} [options.tools] - Tool definitions
+   * @param {string} [options.text] - Plain text, counted without message overhead
+   * @returns {Promise<number>} - Token count
+   */
+  async tokenCounter(options) {
+    return await tokenCounter(options);
+  }
+
+  /**
+   * Get the most tokens a model generates in one response
+   * 
+   * @param {string} model - Model name, or "provider/model"
+   * @returns {number|null} - Max output tokens, or null if unknown
+   */
+  getMaxTokens(model) {
+    return getMaxTokens(model);
+  }
+
+  /**
+   * Generate embeddings for the given input
+   * 
+   * Input arrays larger than the provider accepts in one request are split
+   * into batches and the results merged back in input order.
+   * 
+   * @param {EmbeddingOptions} options - Embedding options
+   * @returns {Promise<Object>} - Embedding response in OpenAI format ({ data: [{ embedding, index }], usage })
+   */
+  async embedding(options) {
+    return await this._callWithCallbacks('embedding', options, callOptions => this._embedding(callOptions));
+  }
+
+  /**
+   * Run a call that returns a single response through the callbacks
+   * 
+   * @private
+   * @param {string} callType - Call type reported to the handlers
+   * @param {Object} options - Request options
+   * @param {function(Object): Promise<*>} send - Makes the call with the options left by the pre_call handlers
+   * @returns {Promise<*>} - The response
+   */
+  async _callWithCallbacks(callType, options, send) {
+    const call = await this.callbackManager.start(callType, options);
+    try {
+      const response = await send(call.options);
+      this.callbackManager.success(call, response);
+      return response;
+    } catch (error) {
+      this.callbackManager.failure(call, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate embeddings without callbacks
    * 
    * @private
-   * @param {string} chunk - The text chunk to process
-   * @returns {Array} - Array of parsed JSON objects from the chunk
-   */
-  *_processChunk(chunk) {
-    const lines = chunk
-      .split('\n')
-      .filter(line => line.trim().startsWith('data:'))
-      .map(line => line.replace(/^data: /, '').trim());
+   * @param {EmbeddingOptions} options - Embedding options
+   * @returns {Promise<Object>} - Embedding response
+   */
+  async _embedding(options) {
+    if (this.routers[options.model]) {
+      return await this.routers[options.model].embedding(options);
+    }
+
+    const { provider, requestOptions, queueOptions } = this._resolveRequest(options);
+    const { model: actualModel, input, batch_size, ...rest } = requestOptions;
     
-    for (const line of lines) {
-      if (line === '[DONE]') {
-        return;
-      }
-      
-      try {
-        if (line) {
-          const parsed = JSON.parse(line);
-          yield parsed;
-        }
-      } catch (e) {
-        console.error('Error parsing SSE line:', line, e);
+    // Providers without embeddings inherit the base implementation, which only throws
+    if (provider.embedding === Provider.prototype.embedding) {
+      throw new BadRequestError(`Embeddings are not supported for model: ${options.model}`, 400, {}, { model: options.model });
+    }
+
+    // A single string, or a single pre-tokenized input, is embedded as one item
+    const isSingleInput = !Array.isArray(input) || typeof input[0] === 'number';
+    const inputs = isSingleInput ? [input] : input;
+    const batchSize = batch_size ||
+      (provider.getEmbeddingBatchSize ? provider.getEmbeddingBatchSize(actualModel) : inputs.length);
+
+    const data = [];
+    let promptTokens = 0;
+    let responseModel = actualModel;
+
+    for (const batch of splitIntoBatches(inputs, batchSize)) {
+      const batchOptions = {
+        ...rest,
+        model: actualModel,
+        input: isSingleInput ? batch[0] : batch
+      };
+      const response = await this._callLimited(provider, batchOptions, queueOptions, () => provider.embedding(batchOptions));
+
+      const offset = data.length;
+      for (const item of [...response.data].sort((a, b) => a.index - b.index)) {
+        data.push({
+          object: 'embedding',
+          embedding: rest.encoding_format === 'base64' ? decodeEmbedding(item.embedding) : item.embedding,
+          index: offset + item.index
+        });
       }
+
+      promptTokens += response.usage?.prompt_tokens || 0;
+      responseModel = response.model || responseModel;
     }
+
+    return this._addCost({
+      object: 'list',
+      data: data,
+      model: responseModel,
+      usage: {
+        prompt_tokens: promptTokens,
+        total_tokens: promptTokens
+      }
+    }, provider, actualModel);
+  }
+
+  /**
+   * Generate images using the specified model
+   * 
+   * @param {ImageGenerationOptions} options - Image generation options
+   * @returns {Promise<Object>} - Image response in OpenAI format ({ created, data })
+   */
+  async imageGeneration(options) {
+    return await this._callWithCallbacks('image_generation', options, callOptions => {
+      const { provider, requestOptions, queueOptions } = this._resolveRequest(callOptions);
+      return this._callLimited(provider, requestOptions, queueOptions, () => provider.imageGeneration(requestOptions));
+    });
+  }
+
+  /**
+   * Transcribe audio using the specified model
+   * 
+   * @param {TranscriptionOptions} options - Transcription options
+   * @returns {Promise<Object|string>} - Transcription in OpenAI format ({ text }), or raw text for text/srt/vtt formats
+   */
+  async transcription(options) {
+    return await this._callWithCallbacks('transcription', options, callOptions => {
+      const { provider, requestOptions, queueOptions } = this._resolveRequest(callOptions);
+      return this._callLimited(provider, requestOptions, queueOptions, () => provider.transcription(requestOptions));
+    });
+  }
+
+  /**
+   * Generate speech audio using the specified model
+   * 
+   * @param {SpeechOptions} options - Speech options
+   * @returns {Promise<ArrayBuffer|ReadableStream>} - Audio data, or the response body stream when options.stream is set
+   */
+  async speech(options) {
+    return await this._callWithCallbacks('speech', options, callOptions => {
+      const { provider, requestOptions, queueOptions } = this._resolveRequest(callOptions);
+      return this._callLimited(provider, requestOptions, queueOptions, () => provider.speech(requestOptions));
+    });
   }
 
   /**
@@ -244,11 +1219,62 @@ class LiteLLM {
    * @param {Array<string>} options.models - List of models to route through this proxy
    * @param {string} options.name - The name of the proxy
    * @param {string} [options.proxyModel] - Optional model to use when making requests through the proxy
+   * @param {number} [options.timeout] - Default request timeout in milliseconds
+   * @param {number} [options.streamIdleTimeout] - Default longest wait between stream chunks in milliseconds
+   * @param {boolean} [options.supportsStreamUsage=false] - Whether the proxy accepts stream_options.include_usage
    * @returns {void}
    */
   createProxy(options) {
-    const { url, headers = {}, models = ['*'], name, proxyModel = null } = options;
-    const self = this;
+    const {
+      url,
+      headers = {},
+      models = ['*'],
+      name,
+      proxyModel = null,
+      timeout,
+      streamIdleTimeout,
+      supportsStreamUsage = false
+    } = options;
+
+    // Send a request to the proxy with the signal and timeout of the calling view;
+    // without a read function the response is returned for streaming
+    const send = async (scope, path, init, read) => {
+      const controller = new RequestController(scope.signal, scope.timeout);
+      let streaming = false;
+
+      try {
+        let response;
+        try {
+          response = await fetch(`${url}${path}`, { ...init, signal: controller.signal });
+        } catch (error) {
+          if (controller.signal.aborted) {
+            throw error;
+          }
+          throw new APIConnectionError(`Proxy request failed: ${error.message}`, null, { originalError: error }, { code: getNetworkErrorCode(error) });
+        }
+        
+        if (!response.ok) {
+          throw await createResponseError(response, 'Proxy request failed');
+        }
+
+        if (!read) {
+          controller.clearTimeout();
+          bindResponse(response, controller);
+          streaming = true;
+          return response;
+        }
+        return await read(response);
+      } catch (error) {
+        if (controller.signal.aborted) {
+          throw createAbortError(controller, error);
+        }
+        throw error;
+      } finally {
+        if (!streaming) {
+          controller.dispose();
+        }
+      }
+    };
     
     // Create a custom provider for this proxy
     const proxyProvider = {
@@ -256,36 +1282,107 @@ class LiteLLM {
       isProxy: true, 
       proxyName: name,
       providerType: 'proxy',
+      timeout,
+      streamIdleTimeout,
+      supportsStreamUsage,
+      signal: null,
+
+      withRequestOptions(requestOptions = {}) {
+        const scoped = Object.create(this);
+        if (requestOptions.signal) {
+          scoped.signal = requestOptions.signal;
+        }
+        if (requestOptions.timeout !== undefined) {
+          scoped.timeout = requestOptions.timeout;
+        }
+        return scoped;
+      },
       
-      completion: async (completionOptions) => {
+      async completion(completionOptions) {
         // If proxyModel is specified, use it instead of the requested model
         const finalOptions = {
           ...completionOptions,
           model: proxyModel || completionOptions.model
         };
 
-        const response = await fetch(`${url}/chat/completions`, {
+        return await send(this, '/chat/completions', {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
             ...headers
           },
           body: JSON.stringify(finalOptions)
-        });
-        
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new LiteLLMError(
-            `Proxy request failed with status ${response.status}`,
-            response.status,
-            errorData
-          );
+        }, response => response.json());
+      },
+      
+      async embedding(embeddingOptions) {
+        return await send(this, '/embeddings', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...headers
+          },
+          body: JSON.stringify({
+            ...embeddingOptions,
+            model: proxyModel || embeddingOptions.model
+          })
+        }, response => response.json());
+      },
+      
+      async imageGeneration(imageOptions) {
+        return await send(this, '/images/generations', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...headers
+          },
+          body: JSON.stringify({
+            ...imageOptions,
+            model: proxyModel || imageOptions.model
+          })
+        }, response => response.json());
+      },
+      
+      async transcription(transcriptionOptions) {
+        const { file, filename = 'audio.mp3', ...fields } = transcriptionOptions;
+        const formData = new FormData();
+        formData.append('file', file instanceof Blob ? file : new Blob([file]), file.name || filename);
+        for (const [key, value] of Object.entries({ ...fields, model: proxyModel || fields.model })) {
+          if (value !== undefined && value !== null) {
+            formData.append(key, String(value));
+          }
         }
-        
-        return await response.json();
+
+        // Let fetch set the multipart boundary
+        return await send(this, '/audio/transcriptions', {
+          method: 'POST',
+          headers: headers,
+          body: formData
+        }, response => ['text', 'srt', 'vtt'].includes(fields.response_format)
+          ? response.text()
+          : response.json());
+      },
+      
+      async speech(speechOptions) {
+        const { stream = false, ...body } = speechOptions;
+        const init = {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...headers
+          },
+          body: JSON.stringify({
+            ...body,
+            model: proxyModel || body.model
+          })
+        };
+
+        return stream
+          ? (await send(this, '/audio/speech', init)).body
+          : await send(this, '/audio/speech', init, response => response.arrayBuffer());
       },
       
-      streamCompletion: async function* (completionOptions) {
+      async *streamCompletion(completionOptions) {
         // If proxyModel is specified, use it instead of the requested model
         const finalOptions = {
           ...completionOptions,
@@ -293,7 +1390,7 @@ class LiteLLM {
           stream: true
         };
 
-        const response = await fetch(`${url}/chat/completions`, {
+        const response = await send(this, '/chat/completions', {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -302,49 +1399,7 @@ class LiteLLM {
           body: JSON.stringify(finalOptions)
         });
         
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new LiteLLMError(
-            `Proxy request failed with status ${response.status}`,
-            response.status,
-            errorData
-          );
-        }
-        
-        // Handle streaming in a way that works in both Node.js and browser environments
-        if (typeof response.body === 'object' && response.body !== null) {
-          // Browser environment or Node.js with fetch that supports ReadableStream
-          if (typeof response.body.getReader === 'function') {
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder('utf-8');
-            
-            try {
-              while (true) {
-                const { done, value } = await reader.read();
-                
-                if (done) {
-                  break;
-                }
-                
-                const chunk = decoder.decode(value);
-                yield* self._processChunk(chunk);
-              }
-            } finally {
-              reader.releaseLock();
-            }
-          } 
-          // Node.js environment with response.body as a Node.js Readable stream
-          else if (typeof response.body.on === 'function') {
-            for await (const chunk of response.body) {
-              const strChunk = new TextDecoder('utf-8').decode(chunk);
-              yield* self._processChunk(strChunk);
-            }
-          }
-        } else if (typeof response.text === 'function') {
-          // Fallback for environments where we can't directly access the stream
-          const text = await response.text();
-          yield* self._processChunk(text);
-        }
+        yield* streamSSE(response);
       }
     };
     
@@ -358,7 +1413,7 @@ class LiteLLM {
       proxyModel // Store the proxyModel with the proxy configuration
     });
 
-    console.log(`Proxy '${name}' registered for models: ${models.join(', ')}${proxyModel ? ` (using proxyModel: ${proxyModel})` : ''}`);
+    this.logger.info(`Proxy '${name}' registered for models: ${models.join(', ')}${proxyModel ? ` (using proxyModel: ${proxyModel})` : ''}`);
   }
 }
 
@@ -366,4 +1421,35 @@ class LiteLLM {
 const liteLLM = new LiteLLM();
 
 export default liteLLM;
-export { LiteLLM };
\ No newline at end of file
+export {
+  LiteLLM,
+  registerChatTemplate,
+  registerProviderPreset,
+  streamChunkBuilder,
+  createConsoleLogger,
+  completionCost,
+  tokenCounter,
+  registerEncoding,
+  trimMessages,
+  getMaxTokens,
+  registerModelInfo,
+  getModelInfo,
+  InMemoryCache,
+  FileSystemCache,
+  JSONFileStore,
+  BudgetManager,
+  LiteLLMError,
+  BadRequestError,
+  AuthenticationError,
+  NotFoundError,
+  ContextWindowExceededError,
+  ContentPolicyViolationError,
+  RateLimitError,
+  ServiceUnavailableError,
+  TimeoutError,
+  APIConnectionError,
+  BudgetExceededError,
+  LiteLLMProviderError,
+  LiteLLMTimeoutError,
+  LiteLLMAuthError
+};
\ No newline at end of file
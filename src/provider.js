@@ -1,9 +1,22 @@
-import client from './client.js';
+import client, { LiteLLMError } from './client.js';
+import { combineRetryPolicies } from './utils/retry.js';
+import { RateLimiter } from './utils/limiter.js';
+import { detectErrorType, toLiteLLMError } from './utils/errors.js';
+
+// Hostnames of base URLs served from the caller's own machine
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]', '0.0.0.0'];
 
 /**
  * Base provider class for all LLM providers
  */
 class Provider {
+  // Whether stream_options.include_usage makes the provider report usage at the end of a stream;
+  // providers that don't are not sent the option, and their usage is counted instead
+  static supportsStreamUsage = false;
+
+  // Whether the provider runs models on the caller's own hardware, so its calls cost nothing
+  static selfHosted = false;
+
   /**
    * Initialize a new provider
    * 
@@ -11,11 +24,51 @@ class Provider {
    * @param {string} options.apiKey - API key for the provider
    * @param {string} [options.baseUrl] - Base URL for the provider's API
    * @param {Object} [options.defaultParams={}] - Default parameters for all requests
+   * @param {RetryPolicy|false} [options.retry] - Retry policy for this provider's requests
+   * @param {string} [options.prefix] - Model prefix the provider is registered under, defaults to its type
+   * @param {RateLimits} [options.limits] - Client-side rpm, tpm and concurrency limits; requests over a limit wait in a queue
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {number} [options.streamIdleTimeout] - Longest wait between stream chunks in milliseconds
+   * @param {boolean} [options.selfHosted] - Whether the models run on your own hardware; defaults to the
+   *   provider type's setting, and to true for localhost base URLs
    */
   constructor(options = {}) {
     this.apiKey = options.apiKey;
     this.baseUrl = options.baseUrl || this.constructor.defaultBaseUrl;
     this.defaultParams = options.defaultParams || {};
+    this.retry = options.retry;
+    this.prefix = options.prefix || null;
+    this.limiter = options.limits ? new RateLimiter(options.limits) : null;
+    this.timeout = options.timeout;
+    this.streamIdleTimeout = options.streamIdleTimeout;
+    this.supportsStreamUsage = this.constructor.supportsStreamUsage;
+    this.selfHosted = options.selfHosted ?? this.constructor.selfHosted;
+    this.signal = null;
+  }
+
+  /**
+   * Get a view of this provider that applies per-call request settings
+   * 
+   * The view shares all state with the provider; only the given settings differ.
+   * 
+   * @param {Object} requestOptions - Request settings
+   * @param {RetryPolicy|false} [requestOptions.retry] - Retry policy, merged over the provider's
+   * @param {AbortSignal} [requestOptions.signal] - Signal that aborts the requests
+   * @param {number} [requestOptions.timeout] - Request timeout in milliseconds, replaces the provider's
+   * @returns {Provider} - Provider view
+   */
+  withRequestOptions(requestOptions = {}) {
+    const scoped = Object.create(this);
+    if (requestOptions.retry !== undefined) {
+      scoped.retry = combineRetryPolicies(this.retry, requestOptions.retry);
+    }
+    if (requestOptions.signal) {
+      scoped.signal = requestOptions.signal;
+    }
+    if (requestOptions.timeout !== undefined) {
+      scoped.timeout = requestOptions.timeout;
+    }
+    return scoped;
   }
 
   /**
@@ -38,6 +91,72 @@ class Provider {
     throw new Error('Not implemented');
   }
 
+  /**
+   * Generate embeddings for the given input
+   * 
+   * @param {EmbeddingOptions} options - Embedding options
+   * @returns {Promise<Object>} - Embedding response in OpenAI format
+   */
+  async embedding(options) {
+    throw new LiteLLMError(`Embeddings are not supported for model: ${options.model}`, 400);
+  }
+
+  /**
+   * Generate images from a prompt
+   * 
+   * @param {ImageGenerationOptions} options - Image generation options
+   * @returns {Promise<Object>} - Image response in OpenAI format ({ created, data })
+   */
+  async imageGeneration(options) {
+    throw new LiteLLMError(`Image generation is not supported for model: ${options.model}`, 400);
+  }
+
+  /**
+   * Transcribe audio to text
+   * 
+   * @param {TranscriptionOptions} options - Transcription options
+   * @returns {Promise<Object|string>} - Transcription response in OpenAI format
+   */
+  async transcription(options) {
+    throw new LiteLLMError(`Transcription is not supported for model: ${options.model}`, 400);
+  }
+
+  /**
+   * Generate speech audio from text
+   * 
+   * @param {SpeechOptions} options - Speech options
+   * @returns {Promise<ArrayBuffer|ReadableStream>} - Audio data, or the response body stream when options.stream is set
+   */
+  async speech(options) {
+    throw new LiteLLMError(`Speech is not supported for model: ${options.model}`, 400);
+  }
+
+  /**
+   * Check whether the provider's models run locally
+   * 
+   * @returns {boolean} - True for self-hosted providers and providers served from localhost
+   */
+  isLocal() {
+    if (this.selfHosted) {
+      return true;
+    }
+    try {
+      return LOCAL_HOSTNAMES.includes(new URL(this.baseUrl).hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get the maximum number of inputs the provider accepts in one embedding request
+   * 
+   * @param {string} model - Embedding model name
+   * @returns {number} - Maximum batch size
+   */
+  getEmbeddingBatchSize(model) {
+    return this.constructor.maxEmbeddingBatchSize || Infinity;
+  }
+
   /**
    * Make a request to the provider's API
    * 
@@ -53,11 +172,42 @@ class Provider {
     };
 
     return await client.request(url, {
+      retry: this.retry,
+      signal: this.signal,
+      timeout: this.timeout,
       ...options,
       headers
     });
   }
 
+  /**
+   * Convert an error from this provider into the typed error hierarchy
+   * 
+   * @param {Error} error - Error thrown while handling a request
+   * @param {string} [model] - Model the request was for
+   * @returns {Error} - Typed error carrying the provider and model
+   */
+  mapError(error, model) {
+    return toLiteLLMError(error, {
+      type: error?.constructor === LiteLLMError ? this._getErrorType(error) : null,
+      provider: this.name || this.prefix || this.constructor.providerType,
+      model
+    });
+  }
+
+  /**
+   * Classify an error from the provider's error payload
+   * 
+   * Understands the OpenAI error format; providers with their own format
+   * override this and fall back to it.
+   * 
+   * @param {LiteLLMError} error - Error with the status, payload and headers of the response
+   * @returns {string|null} - Error type (see ERROR_TYPES), or null to classify by status
+   */
+  _getErrorType(error) {
+    return detectErrorType(error.status, error.data);
+  }
+
   /**
    * Get authentication headers for the provider
    * 
@@ -1,9 +1,34 @@
 import Provider from '../provider.js';
 import { PROVIDER_TYPES } from '../types.js';
+import { LiteLLMError } from '../client.js';
+import { streamSSE } from '../utils/stream.js';
+import { getModelInfo } from '../utils/models.js';
+import {
+  countTokens,
+  tokenUpperBound,
+  getEncodingForModel,
+  loadEncoding,
+  APPROXIMATION_MARGIN
+} from '../utils/tokens.js';
+
+// max_tokens sent for models without known limits
+const DEFAULT_MAX_TOKENS = 4096;
+
+// Anthropic error types (`error.type`) mapped to LiteLLM error types
+const ANTHROPIC_ERROR_TYPES = {
+  invalid_request_error: 'bad_request',
+  authentication_error: 'authentication',
+  permission_error: 'authentication',
+  not_found_error: 'not_found',
+  rate_limit_error: 'rate_limit',
+  api_error: 'service_unavailable',
+  overloaded_error: 'service_unavailable'
+};
 
 class AnthropicProvider extends Provider {
   static defaultBaseUrl = 'https://api.anthropic.com/v1';
   static providerType = PROVIDER_TYPES.ANTHROPIC;
+  static supportsStreamUsage = true;
   
   /**
    * Initialize a new Anthropic provider
@@ -25,6 +50,7 @@ class AnthropicProvider extends Provider {
    * @returns {Promise<Object>} - The completion response
    */
   async completion(options) {
+    await this._loadPromptEncoding(options);
     const transformedOptions = this._transformOptions(options);
     
     const response = await this.makeRequest('/messages', {
@@ -43,6 +69,7 @@ class AnthropicProvider extends Provider {
    * @returns {AsyncGenerator} - An async generator that yields completion chunks
    */
   async *streamCompletion(options) {
+    await this._loadPromptEncoding(options);
     const transformedOptions = this._transformOptions({
       ...options,
       stream: true
@@ -54,87 +81,33 @@ class AnthropicProvider extends Provider {
       stream: true
     });
 
-    // Handle streaming in a way that works in both Node.js and browser environments
-    if (typeof response.body === 'object' && response.body !== null) {
-      // Browser environment or Node.js with fetch that supports ReadableStream
-      if (typeof response.body.getReader === 'function') {
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder('utf-8');
-        
-        try {
-          while (true) {
-            const { done, value } = await reader.read();
-            
-            if (done) {
-              break;
-            }
-            
-            const chunk = decoder.decode(value);
-            const processedChunks = this._processChunk(chunk);
-            
-            for (const processedChunk of processedChunks) {
-              // Convert each Anthropic chunk to OpenAI format
-              yield this._convertStreamChunkToOpenAIFormat(processedChunk, options);
-            }
-          }
-        } finally {
-          reader.releaseLock();
-        }
-      } 
-      // Node.js environment with response.body as a Node.js Readable stream
-      else if (typeof response.body.on === 'function') {
-        for await (const chunk of response.body) {
-          const strChunk = new TextDecoder('utf-8').decode(chunk);
-          const processedChunks = this._processChunk(strChunk);
-          
-          for (const processedChunk of processedChunks) {
-            // Convert each Anthropic chunk to OpenAI format
-            yield this._convertStreamChunkToOpenAIFormat(processedChunk, options);
-          }
-        }
-      }
-    } else if (typeof response.text === 'function') {
-      // Fallback for environments where we can't directly access the stream
-      const text = await response.text();
-      const processedChunks = this._processChunk(text);
-      
-      for (const processedChunk of processedChunks) {
-        // Convert each Anthropic chunk to OpenAI format
-        yield this._convertStreamChunkToOpenAIFormat(processedChunk, options);
+    const state = this._createStreamState();
+
+    for await (const event of streamSSE(response)) {
+      // Convert each Anthropic event to OpenAI format
+      const openAIChunk = this._convertStreamChunkToOpenAIFormat(event, options, state);
+      if (openAIChunk) {
+        yield openAIChunk;
       }
     }
   }
 
   /**
-   * Process a text chunk from a stream
+   * Create the state shared by all chunks of one stream
    * 
    * @private
-   * @param {string} chunk - The text chunk to process
-   * @returns {Array} - Array of parsed JSON objects from the chunk
+   * @returns {Object} - Stream state (id, tool call indexes, usage)
    */
-  _processChunk(chunk) {
-    const result = [];
-    const lines = chunk
-      .split('\n')
-      .filter(line => line.trim().startsWith('data:'))
-      .map(line => line.replace(/^data: /, '').trim());
-    
-    for (const line of lines) {
-      if (line === '[DONE]') {
-        continue;
-      }
-      
-      try {
-        if (line) {
-          const parsed = JSON.parse(line);
-          result.push(parsed);
-        }
-      } catch (e) {
-        console.error('Error parsing SSE line:', line, e);
-      }
-    }
-    
-    return result;
+  _createStreamState() {
+    return {
+      id: `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+      created: Math.floor(Date.now() / 1000),
+      // Anthropic content block index -> OpenAI tool call index
+      toolCallIndexes: {},
+      nextToolCallIndex: 0,
+      // Anthropic usage, converted once the stream has finished
+      usage: {}
+    };
   }
 
   /**
@@ -143,56 +116,122 @@ class AnthropicProvider extends Provider {
    * @private
    * @param {Object} chunk - Anthropic format chunk
    * @param {Object} options - Original request options
-   * @returns {Object} - OpenAI format chunk
+   * @param {Object} [state] - Stream state from _createStreamState
+   * @returns {Object|null} - OpenAI format chunk, or null for events with nothing to report
    */
-  _convertStreamChunkToOpenAIFormat(chunk, options) {
-    // Generate a unique ID if needed
-    const id = `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
-    
-    // Default structure for OpenAI format
-    const openAIFormat = {
-      id: id,
-      object: 'chat.completion.chunk',
-      created: Math.floor(Date.now() / 1000),
-      model: options.model,
-      choices: [
-        {
-          index: 0,
-          delta: {},
-          finish_reason: null
-        }
-      ]
-    };
+  _convertStreamChunkToOpenAIFormat(chunk, options, state = this._createStreamState()) {
+    const legacyFunctions = this._usesLegacyFunctions(options);
+    const delta = {};
+    let finishReason = null;
 
-    // Handle different Anthropic SSE event types
-    if (chunk.type === 'content_block_start') {
-      // Content block start doesn't contain actual content yet
-      return openAIFormat;
+    if (chunk.type === 'message_start') {
+      state.usage = { ...chunk.message?.usage };
+      delta.role = 'assistant';
+      delta.content = '';
+    } 
+    else if (chunk.type === 'content_block_start') {
+      const block = chunk.content_block || {};
+      if (block.type === 'text' && block.text) {
+        delta.content = block.text;
+      } 
+      else if (block.type === 'tool_use') {
+        const toolCallIndex = state.nextToolCallIndex++;
+        state.toolCallIndexes[chunk.index] = toolCallIndex;
+        
+        if (legacyFunctions) {
+          // The legacy API has no parallel calls, only the first is reported
+          if (toolCallIndex > 0) {
+            return null;
+          }
+          delta.function_call = { name: block.name, arguments: '' };
+        } else {
+          delta.tool_calls = [{
+            index: toolCallIndex,
+            id: block.id,
+            type: 'function',
+            function: {
+              name: block.name,
+              arguments: ''
+            }
+          }];
+        }
+      } 
+      else {
+        return null;
+      }
     } 
     else if (chunk.type === 'content_block_delta') {
-      if (chunk.delta.type === 'text_delta' && chunk.delta.text) {
-        openAIFormat.choices[0].delta.content = chunk.delta.text;
+      if (chunk.delta.type === 'text_delta') {
+        delta.content = chunk.delta.text;
+      } 
+      else if (chunk.delta.type === 'input_json_delta') {
+        const toolCallIndex = state.toolCallIndexes[chunk.index];
+        if (toolCallIndex === undefined || (legacyFunctions && toolCallIndex > 0)) {
+          return null;
+        }
+        
+        if (legacyFunctions) {
+          delta.function_call = { arguments: chunk.delta.partial_json };
+        } else {
+          delta.tool_calls = [{
+            index: toolCallIndex,
+            function: {
+              arguments: chunk.delta.partial_json
+            }
+          }];
+        }
+      } 
+      else {
+        // thinking and signature deltas have no OpenAI equivalent
+        return null;
       }
-      // Handle tool calls in streaming mode
-      else if (chunk.delta.type === 'tool_use') {
-        // For tool_use, we need to convert to function_call format
-        openAIFormat.choices[0].delta.function_call = {
-          name: chunk.delta.name || '',
-          arguments: chunk.delta.input ? JSON.stringify(chunk.delta.input) : ''
-        };
-        openAIFormat.choices[0].finish_reason = 'function_call';
+    } 
+    else if (chunk.type === 'message_delta') {
+      // message_delta usage is cumulative for the whole message
+      for (const [key, value] of Object.entries(chunk.usage || {})) {
+        if (value !== null && value !== undefined) {
+          state.usage[key] = value;
+        }
+      }
+      
+      finishReason = this._convertStopReason(chunk.delta?.stop_reason);
+      if (finishReason === 'tool_calls' && legacyFunctions) {
+        finishReason = 'function_call';
       }
     } 
-    else if (chunk.type === 'content_block_stop') {
-      // End of a content block
-      openAIFormat.choices[0].finish_reason = 'stop';
-    }
     else if (chunk.type === 'message_stop') {
-      // End of the entire message
-      openAIFormat.choices[0].finish_reason = 'stop';
+      if (!options.stream_options?.include_usage) {
+        return null;
+      }
+      
+      // Trailing usage chunk, as sent by OpenAI when include_usage is set
+      return {
+        id: state.id,
+        object: 'chat.completion.chunk',
+        created: state.created,
+        model: options.model,
+        choices: [],
+        usage: this._convertUsage(state.usage)
+      };
+    } 
+    else {
+      // ping and content_block_stop
+      return null;
     }
     
-    return openAIFormat;
+    return {
+      id: state.id,
+      object: 'chat.completion.chunk',
+      created: state.created,
+      model: options.model,
+      choices: [
+        {
+          index: 0,
+          delta: delta,
+          finish_reason: finishReason
+        }
+      ]
+    };
   }
 
   /**
@@ -207,44 +246,44 @@ class AnthropicProvider extends Provider {
     // Generate a unique ID if needed
     const id = `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
     
-    // Extract content and handle different content types
-    let content = null;
-    let functionCall = null;
+    // Text blocks are concatenated, every tool_use block becomes a tool call
+    const textParts = [];
+    const toolCalls = [];
     
     if (response.content && Array.isArray(response.content)) {
-      // Process different types of content blocks
       for (const block of response.content) {
         if (block.type === 'text') {
-          content = block.text;
+          textParts.push(block.text);
         } 
         else if (block.type === 'tool_use') {
-          // Convert tool_use to function_call
-          functionCall = {
-            name: block.name,
-            arguments: JSON.stringify(block.input)
-          };
+          toolCalls.push({
+            id: block.id,
+            type: 'function',
+            function: {
+              name: block.name,
+              arguments: JSON.stringify(block.input || {})
+            }
+          });
         }
       }
     }
     
-    // Map Anthropic stop_reason to OpenAI finish_reason
-    let finishReason = 'stop';
-    if (response.stop_reason === 'tool_use') {
-      finishReason = 'function_call';
-    } else if (response.stop_reason === 'max_tokens') {
-      finishReason = 'length';
-    }
+    let finishReason = this._convertStopReason(response.stop_reason);
     
     // Build message object
     const message = {
       role: 'assistant',
-      content: content
+      content: textParts.length > 0 ? textParts.join('') : null
     };
     
-    // Add function_call if present
-    if (functionCall) {
-      message.function_call = functionCall;
-      message.content = null; // OpenAI sets content to null when there's a function call
+    if (toolCalls.length > 0) {
+      // Callers using the legacy functions API expect a single function_call
+      if (this._usesLegacyFunctions(options)) {
+        message.function_call = toolCalls[0].function;
+        finishReason = 'function_call';
+      } else {
+        message.tool_calls = toolCalls;
+      }
     }
     
     // Create OpenAI-format response
@@ -260,14 +299,70 @@ class AnthropicProvider extends Provider {
           finish_reason: finishReason
         }
       ],
-      usage: {
-        prompt_tokens: response.usage?.input_tokens || 0,
-        completion_tokens: response.usage?.output_tokens || 0,
-        total_tokens: (response.usage?.input_tokens || 0) + (response.usage?.output_tokens || 0)
-      }
+      usage: this._convertUsage(response.usage)
     };
   }
 
+  /**
+   * Convert Anthropic usage to OpenAI usage
+   * 
+   * Anthropic counts prompt caching reads and writes separately from
+   * input_tokens; they are added to prompt_tokens, with the reads reported
+   * as cached_tokens like OpenAI does.
+   * 
+   * @private
+   * @param {Object} usage - Anthropic usage
+   * @returns {Object} - OpenAI usage object
+   */
+  _convertUsage(usage = {}) {
+    const cacheRead = usage.cache_read_input_tokens || 0;
+    const cacheWrite = usage.cache_creation_input_tokens || 0;
+    const promptTokens = (usage.input_tokens || 0) + cacheRead + cacheWrite;
+    const completionTokens = usage.output_tokens || 0;
+    const converted = {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+
+    if (cacheRead || cacheWrite) {
+      converted.prompt_tokens_details = { cached_tokens: cacheRead };
+      converted.cache_creation_input_tokens = cacheWrite;
+    }
+    return converted;
+  }
+
+  /**
+   * Map an Anthropic stop_reason to an OpenAI finish_reason
+   * 
+   * @private
+   * @param {string} stopReason - Anthropic stop reason
+   * @returns {string} - OpenAI finish reason
+   */
+  _convertStopReason(stopReason) {
+    switch (stopReason) {
+      case 'tool_use':
+        return 'tool_calls';
+      case 'max_tokens':
+        return 'length';
+      case 'refusal':
+        return 'content_filter';
+      default:
+        return 'stop';
+    }
+  }
+
+  /**
+   * Check whether a request uses the legacy OpenAI functions API instead of tools
+   * 
+   * @private
+   * @param {CompletionOptions} options - Completion options
+   * @returns {boolean} - True if only `functions` were given
+   */
+  _usesLegacyFunctions(options) {
+    return !options.tools && Array.isArray(options.functions) && options.functions.length > 0;
+  }
+
   /**
    * Get authentication headers for Anthropic
    * 
@@ -280,9 +375,28 @@ class AnthropicProvider extends Provider {
     };
   }
 
+  /**
+   * Classify an Anthropic error from its `error.type`
+   * 
+   * @param {LiteLLMError} error - Error with the status, payload and headers of the response
+   * @returns {string|null} - Error type, or null to classify by status
+   */
+  _getErrorType(error) {
+    const detected = super._getErrorType(error);
+    if (detected) {
+      return detected;
+    }
+    return ANTHROPIC_ERROR_TYPES[error.data?.error?.type] || null;
+  }
+
   /**
    * Transform messages to Anthropic-specific format
    * 
+   * System messages are skipped (they go to the top-level `system` field),
+   * assistant tool calls become `tool_use` blocks and tool results become
+   * `tool_result` blocks in a user turn. Consecutive turns of the same role
+   * are merged, since Anthropic requires user and assistant turns to alternate.
+   * 
    * @param {Array<LLMMessage>} messages - Messages to transform
    * @returns {Array<Object>} - Transformed messages
    */
@@ -291,47 +405,243 @@ class AnthropicProvider extends Provider {
       return [];
     }
     
-    // Anthropic uses a different format for messages
-    // Extract system message if present
-    let systemMessage = '';
     const formattedMessages = [];
+    // Legacy function calls carry no id, so one is generated and matched to the result by name
+    const legacyCallIds = {};
+    let legacyCallCount = 0;
+    
+    const pushBlocks = (role, blocks) => {
+      if (blocks.length === 0) {
+        return;
+      }
+      const last = formattedMessages[formattedMessages.length - 1];
+      if (last && last.role === role) {
+        last.content.push(...blocks);
+      } else {
+        formattedMessages.push({ role: role, content: blocks });
+      }
+    };
     
     for (const message of messages) {
       if (message.role === 'system') {
-        systemMessage = message.content;
-      } else if (message.role === 'user' || message.role === 'assistant') {
-        formattedMessages.push({
-          role: message.role,
-          content: message.content
-        });
+        continue;
+      }
+      
+      if (message.role === 'tool') {
+        pushBlocks('user', [{
+          type: 'tool_result',
+          tool_use_id: message.tool_call_id,
+          content: this._convertToolResultContent(message.content)
+        }]);
+      } 
+      else if (message.role === 'function') {
+        pushBlocks('user', [{
+          type: 'tool_result',
+          tool_use_id: legacyCallIds[message.name] || `toolu_${message.name}`,
+          content: this._convertToolResultContent(message.content)
+        }]);
+      } 
+      else if (message.role === 'assistant') {
+        const blocks = this._convertContent(message.content);
         
-        // Handle function calls from user (tool results)
-        if (message.role === 'user' && message.function_call_result) {
-          formattedMessages.push({
-            role: 'tool',
-            name: message.function_call_result.name,
-            content: message.function_call_result.content
+        for (const toolCall of message.tool_calls || []) {
+          blocks.push({
+            type: 'tool_use',
+            id: toolCall.id,
+            name: toolCall.function.name,
+            input: this._parseToolArguments(toolCall.function.arguments)
           });
         }
         
-        // Handle function calls from assistant
-        if (message.role === 'assistant' && message.function_call) {
-          // Anthropic expects tool_use inside the content array
-          formattedMessages.push({
-            role: 'assistant',
-            content: [{
-              type: 'tool_use',
-              name: message.function_call.name,
-              input: JSON.parse(message.function_call.arguments)
-            }]
+        if (message.function_call) {
+          const callId = `toolu_${message.function_call.name}_${legacyCallCount++}`;
+          legacyCallIds[message.function_call.name] = callId;
+          blocks.push({
+            type: 'tool_use',
+            id: callId,
+            name: message.function_call.name,
+            input: this._parseToolArguments(message.function_call.arguments)
           });
         }
+        
+        pushBlocks('assistant', blocks);
+      } 
+      else if (message.role === 'user') {
+        pushBlocks('user', this._convertContent(message.content));
       }
     }
     
     return formattedMessages;
   }
 
+  /**
+   * Convert OpenAI message content to Anthropic content blocks
+   * 
+   * @private
+   * @param {string|Array<Object>|null} content - OpenAI message content
+   * @returns {Array<Object>} - Anthropic content blocks
+   */
+  _convertContent(content) {
+    if (content === null || content === undefined || content === '') {
+      return [];
+    }
+    if (typeof content === 'string') {
+      return [{ type: 'text', text: content }];
+    }
+    if (!Array.isArray(content)) {
+      return [{ type: 'text', text: String(content) }];
+    }
+    
+    return content.map(part => {
+      if (part.type === 'image_url') {
+        const url = part.image_url?.url || part.image_url;
+        const match = /^data:([^;]+);base64,(.*)$/.exec(url);
+        return match
+          ? { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } }
+          : { type: 'image', source: { type: 'url', url: url } };
+      }
+      return part;
+    });
+  }
+
+  /**
+   * Convert OpenAI tool message content to tool_result content
+   * 
+   * @private
+   * @param {string|Array<Object>|Object} content - Tool message content
+   * @returns {string|Array<Object>} - tool_result content
+   */
+  _convertToolResultContent(content) {
+    if (Array.isArray(content)) {
+      return this._convertContent(content);
+    }
+    if (content !== null && typeof content === 'object') {
+      return JSON.stringify(content);
+    }
+    return content === null || content === undefined ? '' : String(content);
+  }
+
+  /**
+   * Parse tool call arguments, which OpenAI sends as a JSON string
+   * 
+   * @private
+   * @param {string|Object} args - Tool call arguments
+   * @returns {Object} - Parsed arguments
+   */
+  _parseToolArguments(args) {
+    if (!args) {
+      return {};
+    }
+    if (typeof args !== 'string') {
+      return args;
+    }
+    try {
+      return JSON.parse(args);
+    } catch (e) {
+      throw new LiteLLMError(`Invalid tool call arguments: ${args}`, 400);
+    }
+  }
+
+  /**
+   * Convert OpenAI tools, or legacy functions, to Anthropic tools
+   * 
+   * @private
+   * @param {CompletionOptions} options - Completion options
+   * @returns {Array<Object>} - Anthropic tool definitions
+   */
+  _transformTools(options) {
+    const functions = options.tools
+      ? options.tools.filter(tool => tool.type === 'function').map(tool => tool.function)
+      : options.functions || [];
+    
+    const tools = functions.map(fn => ({
+      name: fn.name,
+      description: fn.description,
+      input_schema: fn.parameters || { type: 'object', properties: {} }
+    }));
+    
+    // Anthropic server tools (e.g. web search) are passed through unchanged
+    if (options.tools) {
+      tools.push(...options.tools.filter(tool => tool.type !== 'function'));
+    }
+    
+    return tools;
+  }
+
+  /**
+   * Convert OpenAI tool_choice / function_call to Anthropic tool_choice
+   * 
+   * @private
+   * @param {string|Object} toolChoice - OpenAI tool choice
+   * @param {boolean} [parallelToolCalls] - OpenAI parallel_tool_calls
+   * @returns {Object|null} - Anthropic tool_choice
+   */
+  _transformToolChoice(toolChoice, parallelToolCalls) {
+    let transformed = null;
+    
+    if (toolChoice === 'auto') {
+      transformed = { type: 'auto' };
+    } else if (toolChoice === 'none') {
+      transformed = { type: 'none' };
+    } else if (toolChoice === 'required' || toolChoice === 'any') {
+      transformed = { type: 'any' };
+    } else if (toolChoice && typeof toolChoice === 'object') {
+      const name = toolChoice.function?.name || toolChoice.name;
+      if (name) {
+        transformed = { type: 'tool', name: name };
+      }
+    }
+    
+    if (parallelToolCalls === false && transformed?.type !== 'none') {
+      transformed = { type: 'auto', ...transformed, disable_parallel_tool_use: true };
+    }
+    
+    return transformed;
+  }
+
+  /**
+   * Get max_tokens for a request that doesn't set it: the model's output
+   * limit, or as much of it as the context window leaves room for
+   * 
+   * Prompts are counted with the encoding loaded by _loadPromptEncoding.
+   * 
+   * @private
+   * @param {CompletionOptions} options - Completion options
+   * @returns {number} - max_tokens
+   */
+  _getDefaultMaxTokens(options) {
+    const info = getModelInfo(options.model);
+    if (!info?.maxOutputTokens) {
+      return DEFAULT_MAX_TOKENS;
+    }
+    if (!info.maxInputTokens) {
+      return info.maxOutputTokens;
+    }
+    
+    // Only a prompt whose byte count doesn't leave room is counted, padded by the margin as Claude's
+    // tokenizer is not available offline
+    const prompt = { model: options.model, messages: options.messages, tools: options.tools };
+    const upperBound = tokenUpperBound(prompt);
+    if (upperBound + info.maxOutputTokens <= info.maxInputTokens) {
+      return info.maxOutputTokens;
+    }
+
+    const promptTokens = Math.min(upperBound, Math.ceil(countTokens(prompt) * (1 + APPROXIMATION_MARGIN)));
+    return Math.max(Math.min(info.maxOutputTokens, info.maxInputTokens - promptTokens), 1);
+  }
+
+  /**
+   * Load the encoding _getDefaultMaxTokens counts prompts with, for requests without max_tokens
+   * 
+   * @param {CompletionOptions} options - Completion options
+   * @returns {Promise<void>}
+   */
+  async _loadPromptEncoding(options) {
+    if (!options.max_tokens && !options.max_completion_tokens) {
+      await loadEncoding(getEncodingForModel(options.model).encoding);
+    }
+  }
+
   /**
    * Transform options to Anthropic-specific format
    * 
@@ -348,40 +658,40 @@ class AnthropicProvider extends Provider {
       stream: options.stream || false,
     };
     
-    // Extract all system messages and combine them if there are multiple
+    // Extract all system messages and combine them into the top-level system prompt;
+    // content parts are sent as text blocks so their cache_control is kept
     const systemMessages = options.messages?.filter(m => m.role === 'system') || [];
-    if (systemMessages.length > 1) {
-      // Multiple system messages, combine them into a single system message
-      const combinedContent = systemMessages.map(m => m.content).join('\n');
-      transformed.system = combinedContent;
-
-      // Remove all system messages and add a single combined one
-      options.messages = options.messages.filter(m => m.role !== 'system');
+    if (systemMessages.some(m => Array.isArray(m.content))) {
+      transformed.system = systemMessages
+        .flatMap(m => this._convertContent(m.content))
+        .filter(block => block.type === 'text');
+    } else if (systemMessages.length > 0) {
+      transformed.system = systemMessages.map(m => m.content).join('\n');
     }
 
     // Add completion parameters
     // max_tokens is required for Anthropic
-    transformed.max_tokens = options.max_tokens || 2048;
-    transformed.stop = options.stop || ['stop', 'max_tokens'];
+    transformed.max_tokens = options.max_tokens || options.max_completion_tokens || this._getDefaultMaxTokens(options);
+    if (options.stop) {
+      transformed.stop_sequences = Array.isArray(options.stop) ? options.stop : [options.stop];
+    }
     if (options.temperature !== undefined) {
       transformed.temperature = options.temperature;
     }
 
     if (options.tools || options.functions) {
-      // Convert OpenAI functions/tools to Anthropic tools
-      const tools = options.tools || 
-        (options.functions ? [{ type: 'function', functions: options.functions }] : []);
-        
-      transformed.tools = tools.map(tool => {
-        if (tool.type === 'function') {
-          return {
-            name: tool.function.name,
-            description: tool.function.description,
-            input_schema: tool.function.parameters
-          };
-        }
-        return tool;
-      });
+      const tools = this._transformTools(options);
+      if (tools.length > 0) {
+        transformed.tools = tools;
+      }
+
+      const toolChoice = this._transformToolChoice(
+        options.tool_choice || options.function_call,
+        options.parallel_tool_calls
+      );
+      if (toolChoice) {
+        transformed.tool_choice = toolChoice;
+      }
     }
 
     if (options.additional_params) {
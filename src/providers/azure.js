@@ -0,0 +1,116 @@
+import OpenAIProvider from './openai.js';
+import { PROVIDER_TYPES } from '../types.js';
+import { LiteLLMError } from '../client.js';
+
+class AzureProvider extends OpenAIProvider {
+  static defaultApiVersion = '2024-10-21';
+  static providerType = PROVIDER_TYPES.AZURE;
+
+  /**
+   * Initialize a new Azure OpenAI provider
+   *
+   * @param {Object} options - Provider options
+   * @param {string} [options.apiKey] - Azure OpenAI API key, sent as the `api-key` header
+   * @param {string} [options.azureAdToken] - Azure AD (Entra ID) bearer token, used instead of apiKey
+   * @param {Function} [options.azureAdTokenProvider] - Async function returning a fresh Azure AD token for each request
+   * @param {string} [options.baseUrl] - Resource endpoint, e.g. https://my-resource.openai.azure.com
+   * @param {string} [options.resourceName] - Resource name, used to build baseUrl when it is not given
+   * @param {string} [options.apiVersion] - Azure OpenAI api-version query parameter
+   * @param {Object} [options.deployments={}] - Map of model names to deployment names
+   * @param {Object} [options.defaultParams={}] - Default parameters for all requests
+   */
+  constructor(options = {}) {
+    super(options);
+
+    const baseUrl = options.baseUrl ||
+      (options.resourceName ? `https://${options.resourceName}.openai.azure.com` : null);
+    if (!baseUrl) {
+      throw new LiteLLMError('Azure provider requires either baseUrl or resourceName', 400);
+    }
+
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiVersion = options.apiVersion || this.constructor.defaultApiVersion;
+    this.azureAdToken = options.azureAdToken || null;
+    this.azureAdTokenProvider = options.azureAdTokenProvider || null;
+    this.deployments = options.deployments || {};
+  }
+
+  /**
+   * Resolve the deployment name for a model
+   * Models without an entry in `deployments` are used as the deployment name directly,
+   * so "azure/my-deployment" routes to the "my-deployment" deployment.
+   *
+   * @param {string} model - Model name
+   * @returns {string} - Deployment name
+   */
+  getDeployment(model) {
+    return this.deployments[model] || model;
+  }
+
+  /**
+   * Get the deployment-scoped API path for an endpoint
+   *
+   * @param {string} endpoint - Endpoint path, e.g. '/chat/completions'
+   * @param {Object} options - Request options
+   * @returns {string} - API path relative to the base URL
+   */
+  _getApiPath(endpoint, options) {
+    const deployment = encodeURIComponent(this.getDeployment(options.model));
+    return `/openai/deployments/${deployment}${endpoint}?api-version=${encodeURIComponent(this.apiVersion)}`;
+  }
+
+  /**
+   * Make a request to the Azure OpenAI API, resolving Azure AD tokens when a
+   * token provider is configured
+   *
+   * @param {string} path - API path
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - The API response
+   */
+  async makeRequest(path, options = {}) {
+    if (this.azureAdTokenProvider) {
+      const token = await this.azureAdTokenProvider();
+      options = {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          ...options.headers
+        }
+      };
+    }
+
+    return await super.makeRequest(path, options);
+  }
+
+  /**
+   * Get authentication headers for Azure OpenAI
+   *
+   * @returns {Object} - Azure authentication headers
+   */
+  _getAuthHeaders() {
+    if (this.azureAdTokenProvider) {
+      // Resolved per request in makeRequest
+      return {};
+    }
+    if (this.azureAdToken) {
+      return {
+        'Authorization': `Bearer ${this.azureAdToken}`
+      };
+    }
+    return {
+      'api-key': this.apiKey
+    };
+  }
+
+  /**
+   * Check if Azure supports the given model
+   *
+   * @param {string} model - Model name to check
+   * @returns {boolean} - True if a deployment is configured for the model
+   */
+  supportsModel(model) {
+    return Object.prototype.hasOwnProperty.call(this.deployments, model);
+  }
+}
+
+export default AzureProvider;
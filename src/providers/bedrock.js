@@ -0,0 +1,754 @@
+import Provider from '../provider.js';
+import AnthropicProvider from './anthropic.js';
+import { PROVIDER_TYPES } from '../types.js';
+import client, { LiteLLMError } from '../client.js';
+import { signRequest } from '../utils/sigv4.js';
+import { EventStreamDecoder } from '../utils/eventstream.js';
+import { readStream } from '../utils/stream.js';
+import { createEmbeddingResponse } from '../utils/embeddings.js';
+
+// Bedrock exception types reported in streams, mapped to HTTP status codes
+const EXCEPTION_STATUS = {
+  validationException: 400,
+  accessDeniedException: 403,
+  resourceNotFoundException: 404,
+  modelTimeoutException: 408,
+  throttlingException: 429,
+  serviceUnavailableException: 503
+};
+
+// Bedrock exception types returned by the HTTP API, mapped to LiteLLM error types
+const EXCEPTION_ERROR_TYPES = {
+  ValidationException: 'bad_request',
+  AccessDeniedException: 'authentication',
+  UnrecognizedClientException: 'authentication',
+  ExpiredTokenException: 'authentication',
+  ResourceNotFoundException: 'not_found',
+  ModelTimeoutException: 'timeout',
+  ThrottlingException: 'rate_limit',
+  ServiceQuotaExceededException: 'rate_limit',
+  ModelNotReadyException: 'service_unavailable',
+  ModelErrorException: 'service_unavailable',
+  ServiceUnavailableException: 'service_unavailable',
+  InternalServerException: 'service_unavailable'
+};
+
+class BedrockProvider extends Provider {
+  static providerType = PROVIDER_TYPES.BEDROCK;
+  static supportsStreamUsage = true;
+  static anthropicVersion = 'bedrock-2023-05-31';
+
+  /**
+   * Initialize a new AWS Bedrock provider
+   *
+   * Anthropic models are called through InvokeModel with the Anthropic Messages
+   * body, so they share the message and tool translation of AnthropicProvider.
+   * All other model families (Llama, Titan, ...) go through the Converse API.
+   *
+   * @param {Object} options - Provider options
+   * @param {string} [options.region='us-east-1'] - AWS region
+   * @param {string} [options.accessKeyId] - AWS access key id
+   * @param {string} [options.secretAccessKey] - AWS secret access key
+   * @param {string} [options.sessionToken] - Session token for temporary credentials
+   * @param {Function} [options.credentials] - Async function returning { accessKeyId, secretAccessKey, sessionToken },
+   *   called for every request so rotating credentials can be used
+   * @param {string} [options.apiKey] - Bedrock API key, sent as a bearer token instead of SigV4 signing
+   * @param {string} [options.baseUrl] - Bedrock runtime endpoint, defaults to the regional endpoint
+   * @param {Object} [options.defaultParams={}] - Default parameters for all requests
+   */
+  constructor(options = {}) {
+    super(options);
+    this.region = options.region || 'us-east-1';
+    this.baseUrl = (options.baseUrl || `https://bedrock-runtime.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+    this.credentials = options.credentials || {
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey,
+      sessionToken: options.sessionToken
+    };
+    this.anthropic = new AnthropicProvider({ defaultParams: this.defaultParams });
+  }
+
+  /**
+   * Generate a completion for the given messages
+   *
+   * @param {CompletionOptions} options - Completion options
+   * @returns {Promise<Object>} - The completion response
+   */
+  async completion(options) {
+    const modelPath = `/model/${encodeURIComponent(options.model)}`;
+
+    if (this._isAnthropicModel(options.model)) {
+      await this.anthropic._loadPromptEncoding(options);
+      const response = await this.makeRequest(`${modelPath}/invoke`, {
+        method: 'POST',
+        body: this._transformAnthropicOptions(options)
+      });
+
+      return this.anthropic._convertResponseToOpenAIFormat(response, options);
+    }
+
+    const response = await this.makeRequest(`${modelPath}/converse`, {
+      method: 'POST',
+      body: this._transformOptions(options)
+    });
+
+    // Convert Converse response format to OpenAI format
+    return this._convertResponseToOpenAIFormat(response, options);
+  }
+
+  /**
+   * Generate a streaming completion for the given messages
+   *
+   * @param {CompletionOptions} options - Completion options
+   * @returns {AsyncGenerator} - An async generator that yields completion chunks
+   */
+  async *streamCompletion(options) {
+    const modelPath = `/model/${encodeURIComponent(options.model)}`;
+    const isAnthropic = this._isAnthropicModel(options.model);
+    if (isAnthropic) {
+      await this.anthropic._loadPromptEncoding(options);
+    }
+
+    const response = isAnthropic
+      ? await this.makeRequest(`${modelPath}/invoke-with-response-stream`, {
+        method: 'POST',
+        body: this._transformAnthropicOptions(options),
+        stream: true
+      })
+      : await this.makeRequest(`${modelPath}/converse-stream`, {
+        method: 'POST',
+        body: this._transformOptions(options),
+        stream: true
+      });
+
+    const decoder = new EventStreamDecoder();
+    const state = {
+      id: `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+      created: Math.floor(Date.now() / 1000),
+      isAnthropic,
+      anthropic: isAnthropic ? this.anthropic._createStreamState() : null,
+      toolCallIndexes: {},
+      nextToolCallIndex: 0,
+      finishReason: null
+    };
+
+    for await (const bytes of readStream(response)) {
+      yield* this._convertMessages(decoder.push(bytes), options, state);
+    }
+
+    // A stream that ended without a metadata event still needs its finish chunk
+    if (state.finishReason) {
+      yield this._createChunk(state, options, {}, state.finishReason);
+    }
+  }
+
+  /**
+   * Generate embeddings for the given input
+   *
+   * Supports the Titan and Cohere embedding model families. Titan embeds a
+   * single text per request, see getEmbeddingBatchSize.
+   *
+   * @param {EmbeddingOptions} options - Embedding options
+   * @returns {Promise<Object>} - Embedding response in OpenAI format
+   */
+  async embedding(options) {
+    const modelPath = `/model/${encodeURIComponent(options.model)}/invoke`;
+    const inputs = Array.isArray(options.input) ? options.input : [options.input];
+
+    if (/(^|\.)cohere\.embed/.test(options.model)) {
+      const response = await this.makeRequest(modelPath, {
+        method: 'POST',
+        body: {
+          texts: inputs,
+          input_type: options.input_type || 'search_document',
+          ...options.additional_params
+        }
+      });
+
+      return createEmbeddingResponse(options.model, response.embeddings || []);
+    }
+
+    const embeddings = [];
+    let promptTokens = 0;
+    for (const text of inputs) {
+      const body = { inputText: text };
+      if (options.dimensions !== undefined) {
+        body.dimensions = options.dimensions;
+      }
+
+      const response = await this.makeRequest(modelPath, {
+        method: 'POST',
+        body: {
+          ...body,
+          ...options.additional_params
+        }
+      });
+
+      embeddings.push(response.embedding);
+      promptTokens += response.inputTextTokenCount || 0;
+    }
+
+    return createEmbeddingResponse(options.model, embeddings, promptTokens);
+  }
+
+  /**
+   * Get the maximum number of inputs per embedding request
+   *
+   * @param {string} model - Embedding model id
+   * @returns {number} - Maximum batch size
+   */
+  getEmbeddingBatchSize(model) {
+    return /(^|\.)cohere\.embed/.test(model) ? 96 : 1;
+  }
+
+  /**
+   * Convert decoded event stream messages to OpenAI chunks
+   *
+   * @private
+   * @param {Array<EventStreamMessage>} messages - Decoded event stream messages
+   * @param {Object} options - Original request options
+   * @param {Object} state - Per-stream state
+   * @returns {Generator<Object>} - OpenAI format chunks
+   */
+  *_convertMessages(messages, options, state) {
+    const textDecoder = new TextDecoder('utf-8');
+
+    for (const message of messages) {
+      const payload = message.payload.length ? JSON.parse(textDecoder.decode(message.payload)) : {};
+
+      if (message.headers[':message-type'] === 'exception' || message.headers[':message-type'] === 'error') {
+        const type = message.headers[':exception-type'] || message.headers[':error-code'] || 'unknown';
+        throw new LiteLLMError(
+          `Bedrock stream error (${type}): ${payload.message || payload.Message || message.headers[':error-message'] || ''}`,
+          EXCEPTION_STATUS[type] || 500,
+          payload
+        );
+      }
+
+      const eventType = message.headers[':event-type'];
+
+      if (state.isAnthropic) {
+        // InvokeModelWithResponseStream wraps each Anthropic event as base64 bytes
+        if (eventType === 'chunk' && payload.bytes) {
+          const bytes = Uint8Array.from(atob(payload.bytes), c => c.charCodeAt(0));
+          const event = JSON.parse(textDecoder.decode(bytes));
+          const chunk = this.anthropic._convertStreamChunkToOpenAIFormat(event, options, state.anthropic);
+          if (chunk) {
+            yield chunk;
+          }
+        }
+        continue;
+      }
+
+      const chunk = this._convertStreamChunkToOpenAIFormat(eventType, payload, options, state);
+      if (chunk) {
+        yield chunk;
+      }
+    }
+  }
+
+  /**
+   * Create an OpenAI format chunk for a stream
+   *
+   * @private
+   * @param {Object} state - Per-stream state
+   * @param {Object} options - Original request options
+   * @param {Object} delta - Choice delta
+   * @param {string|null} [finishReason=null] - Finish reason
+   * @returns {Object} - OpenAI format chunk
+   */
+  _createChunk(state, options, delta, finishReason = null) {
+    return {
+      id: state.id,
+      object: 'chat.completion.chunk',
+      created: state.created,
+      model: options.model,
+      choices: [
+        {
+          index: 0,
+          delta: delta,
+          finish_reason: finishReason
+        }
+      ]
+    };
+  }
+
+  /**
+   * Convert a ConverseStream event to OpenAI format
+   *
+   * @private
+   * @param {string} eventType - Event type header
+   * @param {Object} event - Event payload
+   * @param {Object} options - Original request options
+   * @param {Object} state - Per-stream state
+   * @returns {Object|null} - OpenAI format chunk, or null for events without an equivalent
+   */
+  _convertStreamChunkToOpenAIFormat(eventType, event, options, state) {
+    switch (eventType) {
+      case 'messageStart':
+        return this._createChunk(state, options, { role: 'assistant' });
+
+      case 'contentBlockStart': {
+        const toolUse = event.start?.toolUse;
+        if (!toolUse) {
+          return null;
+        }
+        const index = state.nextToolCallIndex++;
+        state.toolCallIndexes[event.contentBlockIndex] = index;
+        return this._createChunk(state, options, {
+          tool_calls: [{
+            index,
+            id: toolUse.toolUseId,
+            type: 'function',
+            function: { name: toolUse.name, arguments: '' }
+          }]
+        });
+      }
+
+      case 'contentBlockDelta': {
+        const delta = event.delta || {};
+        if (typeof delta.text === 'string') {
+          return this._createChunk(state, options, { content: delta.text });
+        }
+        if (delta.toolUse) {
+          return this._createChunk(state, options, {
+            tool_calls: [{
+              index: state.toolCallIndexes[event.contentBlockIndex] ?? 0,
+              function: { arguments: delta.toolUse.input || '' }
+            }]
+          });
+        }
+        return null;
+      }
+
+      case 'messageStop':
+        // Held back so it can be sent together with the usage from the metadata event
+        state.finishReason = this._mapStopReason(event.stopReason);
+        return null;
+
+      case 'metadata': {
+        const chunk = this._createChunk(state, options, {}, state.finishReason || 'stop');
+        chunk.usage = this._convertUsage(event.usage);
+        state.finishReason = null;
+        return chunk;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Map a Converse stopReason to an OpenAI finish_reason
+   *
+   * @private
+   * @param {string} stopReason - Converse stop reason
+   * @returns {string} - OpenAI finish reason
+   */
+  _mapStopReason(stopReason) {
+    switch (stopReason) {
+      case 'tool_use':
+        return 'tool_calls';
+      case 'max_tokens':
+        return 'length';
+      case 'guardrail_intervened':
+      case 'content_filtered':
+        return 'content_filter';
+      default:
+        return 'stop';
+    }
+  }
+
+  /**
+   * Convert Converse usage to OpenAI usage
+   *
+   * @private
+   * @param {Object} usage - Converse usage
+   * @returns {Object} - OpenAI usage object
+   */
+  _convertUsage(usage = {}) {
+    // Prompt cache reads and writes are not part of inputTokens
+    const cacheRead = usage.cacheReadInputTokens || 0;
+    const cacheWrite = usage.cacheWriteInputTokens || 0;
+    const promptTokens = (usage.inputTokens || 0) + cacheRead + cacheWrite;
+    const completionTokens = usage.outputTokens || 0;
+    const converted = {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: usage.totalTokens || promptTokens + completionTokens
+    };
+
+    if (cacheRead || cacheWrite) {
+      converted.prompt_tokens_details = { cached_tokens: cacheRead };
+      converted.cache_creation_input_tokens = cacheWrite;
+    }
+    return converted;
+  }
+
+  /**
+   * Convert complete Converse response to OpenAI format
+   *
+   * @private
+   * @param {Object} response - Converse response
+   * @param {Object} options - Original request options
+   * @returns {Object} - OpenAI format response
+   */
+  _convertResponseToOpenAIFormat(response, options) {
+    const id = `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+
+    let content = null;
+    const toolCalls = [];
+    for (const block of response.output?.message?.content || []) {
+      if (typeof block.text === 'string') {
+        content = (content || '') + block.text;
+      } else if (block.toolUse) {
+        toolCalls.push({
+          id: block.toolUse.toolUseId,
+          type: 'function',
+          function: {
+            name: block.toolUse.name,
+            arguments: JSON.stringify(block.toolUse.input || {})
+          }
+        });
+      }
+    }
+
+    const message = {
+      role: 'assistant',
+      content: content
+    };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+
+    return {
+      id: id,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: options.model,
+      choices: [
+        {
+          index: 0,
+          message: message,
+          finish_reason: this._mapStopReason(response.stopReason)
+        }
+      ],
+      usage: this._convertUsage(response.usage)
+    };
+  }
+
+  /**
+   * Make a signed request to the Bedrock runtime API
+   *
+   * @param {string} path - API path
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - The API response
+   */
+  async makeRequest(path, options = {}) {
+    const url = `${this.baseUrl}${path}`;
+    let authHeaders = this._getAuthHeaders();
+
+    if (!this.apiKey) {
+      const credentials = typeof this.credentials === 'function'
+        ? await this.credentials()
+        : this.credentials;
+
+      // client.request serializes the body with JSON.stringify, so the signed
+      // payload hash matches what is sent
+      authHeaders = await signRequest({
+        method: options.method || 'GET',
+        url,
+        body: options.body ? JSON.stringify(options.body) : '',
+        region: this.region,
+        service: 'bedrock',
+        credentials
+      });
+    }
+
+    return await client.request(url, {
+      retry: this.retry,
+      signal: this.signal,
+      timeout: this.timeout,
+      ...options,
+      headers: {
+        ...authHeaders,
+        ...options.headers
+      }
+    });
+  }
+
+  /**
+   * Get authentication headers for Bedrock API keys; SigV4 headers are added in makeRequest
+   *
+   * @returns {Object} - Bedrock authentication headers
+   */
+  _getAuthHeaders() {
+    if (!this.apiKey) {
+      return {};
+    }
+    return {
+      'Authorization': `Bearer ${this.apiKey}`
+    };
+  }
+
+  /**
+   * Classify a Bedrock error from its AWS exception type
+   *
+   * @param {LiteLLMError} error - Error with the status, payload and headers of the response
+   * @returns {string|null} - Error type, or null to classify by status
+   */
+  _getErrorType(error) {
+    // e.g. "ThrottlingException:http://internal.amazon.com/coral/com.amazon.bedrock/"
+    const exception = (error.headers?.['x-amzn-errortype'] || error.data?.__type || '')
+      .split(':')[0]
+      .split('#')
+      .pop();
+    const type = EXCEPTION_ERROR_TYPES[exception];
+
+    // Validation errors may still be context window or content policy errors
+    if (type && type !== 'bad_request') {
+      return type;
+    }
+    return super._getErrorType(error) || type || null;
+  }
+
+  /**
+   * Check whether a Bedrock model id belongs to the Anthropic family,
+   * including cross-region inference profiles such as "us.anthropic.claude-..."
+   *
+   * @private
+   * @param {string} model - Bedrock model id
+   * @returns {boolean} - True for Anthropic models
+   */
+  _isAnthropicModel(model) {
+    return /(^|\.)anthropic\./.test(model);
+  }
+
+  /**
+   * Build an InvokeModel body for Anthropic models from the Anthropic Messages translation
+   *
+   * @private
+   * @param {CompletionOptions} options - Completion options
+   * @returns {Object} - InvokeModel request body
+   */
+  _transformAnthropicOptions(options) {
+    // Bedrock takes the model from the URL and streaming from the endpoint
+    const { model, stream, ...body } = this.anthropic._transformOptions(options);
+    body.anthropic_version = this.constructor.anthropicVersion;
+
+    return body;
+  }
+
+  /**
+   * Convert OpenAI message content to Converse content blocks
+   *
+   * @private
+   * @param {string|Array<Object>} content - OpenAI message content
+   * @returns {Array<Object>} - Converse content blocks
+   */
+  _convertContent(content) {
+    if (content === null || content === undefined || content === '') {
+      return [];
+    }
+    if (typeof content === 'string') {
+      return [{ text: content }];
+    }
+
+    return content.map(part => {
+      if (part.type === 'text') {
+        return { text: part.text };
+      }
+      if (part.type === 'image_url') {
+        const url = typeof part.image_url === 'string' ? part.image_url : part.image_url.url;
+        const match = /^data:image\/([a-z]+);base64,(.*)$/.exec(url);
+        if (!match) {
+          throw new LiteLLMError('Bedrock only accepts images as base64 data URLs', 400);
+        }
+        return { image: { format: match[1] === 'jpg' ? 'jpeg' : match[1], source: { bytes: match[2] } } };
+      }
+      return null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Transform messages to Converse format
+   *
+   * @param {Array<LLMMessage>} messages - Messages to transform
+   * @returns {Array<Object>} - Converse messages
+   */
+  _transformMessages(messages) {
+    if (!messages || !Array.isArray(messages)) {
+      return [];
+    }
+
+    const formattedMessages = [];
+    // Legacy function calls carry no id, so one is generated and matched to the result by name
+    const legacyCallIds = {};
+    let legacyCallCount = 0;
+    const push = (role, content) => {
+      if (content.length === 0) {
+        return;
+      }
+      // Converse requires alternating roles, so merge consecutive same-role messages
+      const last = formattedMessages[formattedMessages.length - 1];
+      if (last && last.role === role) {
+        last.content.push(...content);
+      } else {
+        formattedMessages.push({ role, content });
+      }
+    };
+
+    for (const message of messages) {
+      if (message.role === 'system') {
+        // System messages are sent as the top-level system field
+        continue;
+      }
+
+      if (message.role === 'user') {
+        push('user', this._convertContent(message.content));
+      } else if (message.role === 'assistant') {
+        const content = this._convertContent(message.content);
+        for (const toolCall of message.tool_calls || []) {
+          content.push({
+            toolUse: {
+              toolUseId: toolCall.id,
+              name: toolCall.function.name,
+              input: this._parseArguments(toolCall.function.arguments)
+            }
+          });
+        }
+        if (message.function_call) {
+          const callId = `tooluse_${message.function_call.name}_${legacyCallCount++}`;
+          legacyCallIds[message.function_call.name] = callId;
+          content.push({
+            toolUse: {
+              toolUseId: callId,
+              name: message.function_call.name,
+              input: this._parseArguments(message.function_call.arguments)
+            }
+          });
+        }
+        push('assistant', content);
+      } else if (message.role === 'tool' || message.role === 'function') {
+        const text = typeof message.content === 'string'
+          ? message.content
+          : this._convertContent(message.content).map(block => block.text || '').join('');
+        push('user', [{
+          toolResult: {
+            toolUseId: message.role === 'tool'
+              ? message.tool_call_id
+              : legacyCallIds[message.name] || `tooluse_${message.name}`,
+            content: [{ text: text }]
+          }
+        }]);
+      }
+    }
+
+    return formattedMessages;
+  }
+
+  /**
+   * Parse JSON encoded tool call arguments
+   *
+   * @private
+   * @param {string|Object} args - Arguments as sent by OpenAI clients
+   * @returns {Object} - Parsed arguments
+   */
+  _parseArguments(args) {
+    if (!args) {
+      return {};
+    }
+    if (typeof args === 'object') {
+      return args;
+    }
+    try {
+      return JSON.parse(args);
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Transform options to Converse format
+   *
+   * @param {CompletionOptions} options - Options to transform
+   * @returns {Object} - Converse request body
+   */
+  _transformOptions(options) {
+    const params = {
+      ...this.defaultParams,
+      ...options
+    };
+
+    const transformed = {
+      messages: this._transformMessages(params.messages)
+    };
+
+    const systemMessages = params.messages?.filter(m => m.role === 'system') || [];
+    if (systemMessages.length > 0) {
+      transformed.system = systemMessages.flatMap(m => this._convertContent(m.content));
+    }
+
+    const inferenceConfig = {};
+    if (params.max_tokens !== undefined) {
+      inferenceConfig.maxTokens = params.max_tokens;
+    }
+    if (params.temperature !== undefined) {
+      inferenceConfig.temperature = params.temperature;
+    }
+    if (params.top_p !== undefined) {
+      inferenceConfig.topP = params.top_p;
+    }
+    if (params.stop) {
+      inferenceConfig.stopSequences = Array.isArray(params.stop) ? params.stop : [params.stop];
+    }
+    if (Object.keys(inferenceConfig).length > 0) {
+      transformed.inferenceConfig = inferenceConfig;
+    }
+
+    // Converse has no "none" choice, so no tools are offered instead
+    const toolChoice = params.tool_choice || params.function_call;
+    if ((params.tools || params.functions) && toolChoice !== 'none') {
+      const functions = params.tools
+        ? params.tools.filter(tool => tool.type === 'function').map(tool => tool.function)
+        : params.functions;
+
+      transformed.toolConfig = {
+        tools: functions.map(fn => ({
+          toolSpec: {
+            name: fn.name,
+            description: fn.description,
+            inputSchema: { json: fn.parameters || { type: 'object', properties: {} } }
+          }
+        }))
+      };
+
+      const toolName = toolChoice?.function?.name || toolChoice?.name;
+      if (toolChoice === 'auto') {
+        transformed.toolConfig.toolChoice = { auto: {} };
+      } else if (toolChoice === 'required') {
+        transformed.toolConfig.toolChoice = { any: {} };
+      } else if (toolName) {
+        transformed.toolConfig.toolChoice = { tool: { name: toolName } };
+      }
+    }
+
+    if (params.additional_params) {
+      Object.assign(transformed, params.additional_params);
+    }
+
+    return transformed;
+  }
+
+  /**
+   * Bedrock models are only used when requested explicitly with "bedrock/<model id>"
+   *
+   * @param {string} model - Model name to check
+   * @returns {boolean} - Always false
+   */
+  supportsModel(model) {
+    return false;
+  }
+}
+
+export default BedrockProvider;
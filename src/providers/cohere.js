@@ -0,0 +1,576 @@
+import Provider from '../provider.js';
+import { PROVIDER_TYPES } from '../types.js';
+import { createEmbeddingResponse } from '../utils/embeddings.js';
+import { streamNDJSON } from '../utils/stream.js';
+
+class CohereProvider extends Provider {
+  static defaultBaseUrl = 'https://api.cohere.com/v1';
+  static providerType = PROVIDER_TYPES.COHERE;
+  static maxEmbeddingBatchSize = 96;
+  static supportsStreamUsage = true;
+
+  /**
+   * Initialize a new Cohere provider
+   *
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Cohere API key
+   * @param {string} [options.baseUrl] - Base URL for the Cohere API
+   * @param {Object} [options.defaultParams={}] - Default parameters for all requests
+   */
+  constructor(options = {}) {
+    super(options);
+  }
+
+  /**
+   * Generate a completion for the given messages
+   *
+   * @param {CompletionOptions} options - Completion options
+   * @returns {Promise<Object>} - The completion response
+   */
+  async completion(options) {
+    const transformedOptions = this._transformOptions(options);
+
+    const response = await this.makeRequest('/chat', {
+      method: 'POST',
+      body: transformedOptions
+    });
+
+    // Convert Cohere response format to OpenAI format
+    return this._convertResponseToOpenAIFormat(response, options);
+  }
+
+  /**
+   * Generate a streaming completion for the given messages
+   *
+   * @param {CompletionOptions} options - Completion options
+   * @returns {AsyncGenerator} - An async generator that yields completion chunks
+   */
+  async *streamCompletion(options) {
+    const transformedOptions = this._transformOptions({
+      ...options,
+      stream: true
+    });
+
+    const response = await this.makeRequest('/chat', {
+      method: 'POST',
+      body: transformedOptions,
+      stream: true
+    });
+
+    // Every chunk of a single stream shares the same id
+    const state = {
+      id: `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+      created: Math.floor(Date.now() / 1000),
+      streamedToolCalls: false
+    };
+
+    // Cohere streams newline-delimited JSON
+    for await (const event of streamNDJSON(response)) {
+      const chunk = this._convertStreamChunkToOpenAIFormat(event, options, state);
+      if (chunk) {
+        yield chunk;
+      }
+    }
+  }
+
+  /**
+   * Generate embeddings for the given input
+   *
+   * @param {EmbeddingOptions} options - Embedding options
+   * @param {string} [options.input_type='search_document'] - Cohere input type (search_document, search_query, classification, clustering)
+   * @returns {Promise<Object>} - Embedding response in OpenAI format
+   */
+  async embedding(options) {
+    const response = await this.makeRequest('/embed', {
+      method: 'POST',
+      body: {
+        model: options.model,
+        texts: Array.isArray(options.input) ? options.input : [options.input],
+        input_type: options.input_type || 'search_document',
+        embedding_types: ['float'],
+        ...options.additional_params
+      }
+    });
+
+    // With embedding_types the vectors are grouped by type
+    const embeddings = Array.isArray(response.embeddings)
+      ? response.embeddings
+      : response.embeddings?.float || [];
+
+    return createEmbeddingResponse(
+      options.model,
+      embeddings,
+      response.meta?.billed_units?.input_tokens || 0
+    );
+  }
+
+  /**
+   * Map a Cohere finish_reason to an OpenAI finish_reason
+   *
+   * @private
+   * @param {string} finishReason - Cohere finish reason
+   * @param {boolean} hasToolCalls - Whether the response contains tool calls
+   * @returns {string} - OpenAI finish reason
+   */
+  _mapFinishReason(finishReason, hasToolCalls) {
+    if (hasToolCalls) {
+      return 'tool_calls';
+    }
+    switch (finishReason) {
+      case 'MAX_TOKENS':
+        return 'length';
+      case 'ERROR_TOXIC':
+        return 'content_filter';
+      default:
+        return 'stop';
+    }
+  }
+
+  /**
+   * Convert Cohere meta to OpenAI usage
+   *
+   * @private
+   * @param {Object} meta - Cohere response meta
+   * @returns {Object} - OpenAI usage object
+   */
+  _convertUsage(meta = {}) {
+    const tokens = meta.tokens || meta.billed_units || {};
+    const promptTokens = tokens.input_tokens || 0;
+    const completionTokens = tokens.output_tokens || 0;
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  /**
+   * Convert a Cohere tool call to an OpenAI tool call
+   *
+   * @private
+   * @param {Object} toolCall - Cohere tool call ({ name, parameters })
+   * @returns {Object} - OpenAI tool call
+   */
+  _convertToolCall(toolCall) {
+    return {
+      id: `call_${Math.random().toString(36).substr(2, 12)}`,
+      type: 'function',
+      function: {
+        name: toolCall.name,
+        arguments: JSON.stringify(toolCall.parameters || {})
+      }
+    };
+  }
+
+  /**
+   * Convert Cohere stream event to OpenAI format
+   *
+   * @private
+   * @param {Object} event - Cohere stream event
+   * @param {Object} options - Original request options
+   * @param {Object} state - Per-stream state
+   * @returns {Object|null} - OpenAI format chunk, or null for events without an equivalent
+   */
+  _convertStreamChunkToOpenAIFormat(event, options, state) {
+    const openAIFormat = {
+      id: state.id,
+      object: 'chat.completion.chunk',
+      created: state.created,
+      model: options.model,
+      choices: [
+        {
+          index: 0,
+          delta: {},
+          finish_reason: null
+        }
+      ]
+    };
+    const choice = openAIFormat.choices[0];
+
+    switch (event.event_type) {
+      case 'stream-start':
+        choice.delta.role = 'assistant';
+        return openAIFormat;
+
+      case 'text-generation':
+        choice.delta.content = event.text;
+        return openAIFormat;
+
+      case 'tool-calls-chunk': {
+        // Chunks without a tool_call_delta carry the model's tool plan, which has no OpenAI equivalent
+        const toolCallDelta = event.tool_call_delta;
+        if (!toolCallDelta) {
+          return null;
+        }
+
+        const index = toolCallDelta.index || 0;
+        const toolCall = { index, function: {} };
+        if (toolCallDelta.name) {
+          toolCall.id = `call_${Math.random().toString(36).substr(2, 12)}`;
+          toolCall.type = 'function';
+          toolCall.function.name = toolCallDelta.name;
+        }
+        toolCall.function.arguments = toolCallDelta.parameters || '';
+        state.streamedToolCalls = true;
+
+        choice.delta.tool_calls = [toolCall];
+        return openAIFormat;
+      }
+
+      case 'tool-calls-generation':
+        state.hasToolCalls = true;
+        // Already streamed incrementally through tool-calls-chunk events
+        if (state.streamedToolCalls || !event.tool_calls?.length) {
+          return null;
+        }
+        choice.delta.tool_calls = event.tool_calls.map((toolCall, index) => ({
+          index,
+          ...this._convertToolCall(toolCall)
+        }));
+        return openAIFormat;
+
+      case 'stream-end':
+        choice.finish_reason = this._mapFinishReason(
+          event.finish_reason,
+          state.hasToolCalls || state.streamedToolCalls
+        );
+        if (event.response?.meta) {
+          openAIFormat.usage = this._convertUsage(event.response.meta);
+        }
+        return openAIFormat;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Convert complete Cohere response to OpenAI format
+   *
+   * @private
+   * @param {Object} response - Cohere format response
+   * @param {Object} options - Original request options
+   * @returns {Object} - OpenAI format response
+   */
+  _convertResponseToOpenAIFormat(response, options) {
+    const id = `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+    const toolCalls = (response.tool_calls || []).map(toolCall => this._convertToolCall(toolCall));
+
+    const message = {
+      role: 'assistant',
+      content: response.text || null
+    };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+
+    return {
+      id: id,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: options.model,
+      choices: [
+        {
+          index: 0,
+          message: message,
+          finish_reason: this._mapFinishReason(response.finish_reason, toolCalls.length > 0)
+        }
+      ],
+      usage: this._convertUsage(response.meta)
+    };
+  }
+
+  /**
+   * Get authentication headers for Cohere
+   *
+   * @returns {Object} - Cohere authentication headers
+   */
+  _getAuthHeaders() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`
+    };
+  }
+
+  /**
+   * Classify a Cohere error; Cohere reports invalid API keys with status 498
+   * 
+   * @param {LiteLLMError} error - Error with the status, payload and headers of the response
+   * @returns {string|null} - Error type, or null to classify by status
+   */
+  _getErrorType(error) {
+    if (error.status === 498) {
+      return 'authentication';
+    }
+    return super._getErrorType(error);
+  }
+
+  /**
+   * Flatten OpenAI message content to plain text
+   *
+   * @private
+   * @param {string|Array<Object>} content - OpenAI message content
+   * @returns {string} - Text content
+   */
+  _contentToText(content) {
+    if (Array.isArray(content)) {
+      return content.filter(part => part.type === 'text').map(part => part.text).join('');
+    }
+    return content || '';
+  }
+
+  /**
+   * Wrap a tool message content into Cohere tool outputs
+   *
+   * @private
+   * @param {string|Array<Object>} content - Tool message content
+   * @returns {Array<Object>} - Cohere tool outputs
+   */
+  _toolOutputs(content) {
+    const text = this._contentToText(content);
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) {
+        return parsed.map(item => (item && typeof item === 'object' ? item : { result: item }));
+      }
+      if (parsed && typeof parsed === 'object') {
+        return [parsed];
+      }
+      return [{ result: parsed }];
+    } catch (e) {
+      return [{ result: text }];
+    }
+  }
+
+  /**
+   * Transform messages to Cohere chat history
+   *
+   * Returns the chat history along with the current `message` and any
+   * trailing `tool_results`, which Cohere takes as separate request fields.
+   *
+   * @param {Array<LLMMessage>} messages - Messages to transform
+   * @returns {Object} - { chat_history, message, tool_results }
+   */
+  _transformMessages(messages) {
+    if (!messages || !Array.isArray(messages)) {
+      return { chat_history: [], message: '', tool_results: [] };
+    }
+
+    // Cohere tool results reference the original call, so keep calls by id
+    const toolCallsById = {};
+    const history = [];
+
+    for (const message of messages) {
+      if (message.role === 'system') {
+        // System messages are sent as preamble
+        continue;
+      }
+
+      if (message.role === 'user') {
+        history.push({ role: 'USER', message: this._contentToText(message.content) });
+      } else if (message.role === 'assistant') {
+        const entry = { role: 'CHATBOT', message: this._contentToText(message.content) };
+        const toolCalls = (message.tool_calls || []).map(toolCall => {
+          const call = {
+            name: toolCall.function.name,
+            parameters: this._parseArguments(toolCall.function.arguments)
+          };
+          toolCallsById[toolCall.id] = call;
+          return call;
+        });
+        if (message.function_call) {
+          toolCalls.push({
+            name: message.function_call.name,
+            parameters: this._parseArguments(message.function_call.arguments)
+          });
+        }
+        if (toolCalls.length > 0) {
+          entry.tool_calls = toolCalls;
+        }
+        history.push(entry);
+      } else if (message.role === 'tool' || message.role === 'function') {
+        const call = toolCallsById[message.tool_call_id] || { name: message.name, parameters: {} };
+        const toolResult = { call, outputs: this._toolOutputs(message.content) };
+
+        // Consecutive tool messages belong to the same TOOL turn
+        const last = history[history.length - 1];
+        if (last && last.role === 'TOOL') {
+          last.tool_results.push(toolResult);
+        } else {
+          history.push({ role: 'TOOL', tool_results: [toolResult] });
+        }
+      }
+    }
+
+    // The final turn becomes `message` (user) or `tool_results` (tool)
+    const last = history[history.length - 1];
+    if (last && last.role === 'TOOL') {
+      history.pop();
+      return { chat_history: history, message: '', tool_results: last.tool_results };
+    }
+    if (last && last.role === 'USER') {
+      history.pop();
+      return { chat_history: history, message: last.message, tool_results: [] };
+    }
+    return { chat_history: history, message: '', tool_results: [] };
+  }
+
+  /**
+   * Parse JSON encoded tool call arguments
+   *
+   * @private
+   * @param {string|Object} args - Arguments as sent by OpenAI clients
+   * @returns {Object} - Parsed arguments
+   */
+  _parseArguments(args) {
+    if (!args) {
+      return {};
+    }
+    if (typeof args === 'object') {
+      return args;
+    }
+    try {
+      return JSON.parse(args);
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Map a JSON schema type to a Cohere parameter type
+   *
+   * @private
+   * @param {Object} schema - JSON schema of a single parameter
+   * @returns {string} - Cohere type name
+   */
+  _mapParameterType(schema = {}) {
+    switch (schema.type) {
+      case 'string':
+        return 'str';
+      case 'integer':
+        return 'int';
+      case 'number':
+        return 'float';
+      case 'boolean':
+        return 'bool';
+      case 'array':
+        return `List[${this._mapParameterType(schema.items)}]`;
+      case 'object':
+        return 'Dict';
+      default:
+        return 'str';
+    }
+  }
+
+  /**
+   * Convert OpenAI tools / functions to Cohere tools
+   *
+   * @private
+   * @param {CompletionOptions} options - Completion options
+   * @returns {Array<Object>} - Cohere tools
+   */
+  _transformTools(options) {
+    const functions = options.tools
+      ? options.tools.filter(tool => tool.type === 'function').map(tool => tool.function)
+      : options.functions || [];
+
+    return functions.map(fn => {
+      const properties = fn.parameters?.properties || {};
+      const required = fn.parameters?.required || [];
+      const parameterDefinitions = {};
+
+      for (const [name, schema] of Object.entries(properties)) {
+        parameterDefinitions[name] = {
+          description: schema.description,
+          type: this._mapParameterType(schema),
+          required: required.includes(name)
+        };
+      }
+
+      return {
+        name: fn.name,
+        description: fn.description || '',
+        parameter_definitions: parameterDefinitions
+      };
+    });
+  }
+
+  /**
+   * Transform options to Cohere-specific format
+   *
+   * @param {CompletionOptions} options - Options to transform
+   * @returns {Object} - Transformed options for Cohere
+   */
+  _transformOptions(options) {
+    const params = {
+      ...this.defaultParams,
+      ...options
+    };
+    const { chat_history, message, tool_results } = this._transformMessages(params.messages);
+
+    const transformed = {
+      model: params.model,
+      message: message,
+      chat_history: chat_history,
+      stream: params.stream || false
+    };
+
+    if (tool_results.length > 0) {
+      transformed.tool_results = tool_results;
+    }
+
+    // Combine all system messages into the preamble
+    const systemMessages = params.messages?.filter(m => m.role === 'system') || [];
+    if (systemMessages.length > 0) {
+      transformed.preamble = systemMessages.map(m => this._contentToText(m.content)).join('\n');
+    }
+
+    // Add completion parameters
+    if (params.temperature !== undefined) {
+      transformed.temperature = params.temperature;
+    }
+    if (params.max_tokens !== undefined) {
+      transformed.max_tokens = params.max_tokens;
+    }
+    if (params.top_p !== undefined) {
+      transformed.p = params.top_p;
+    }
+    if (params.top_k !== undefined) {
+      transformed.k = params.top_k;
+    }
+    if (params.stop) {
+      transformed.stop_sequences = Array.isArray(params.stop) ? params.stop : [params.stop];
+    }
+    if (params.frequency_penalty !== undefined) {
+      transformed.frequency_penalty = params.frequency_penalty;
+    }
+    if (params.presence_penalty !== undefined) {
+      transformed.presence_penalty = params.presence_penalty;
+    }
+    if (params.seed !== undefined) {
+      transformed.seed = params.seed;
+    }
+
+    // tool_choice "none" is expressed by not offering any tools
+    if ((params.tools || params.functions) && params.tool_choice !== 'none') {
+      transformed.tools = this._transformTools(params);
+    }
+
+    if (params.additional_params) {
+      Object.assign(transformed, params.additional_params);
+    }
+
+    return transformed;
+  }
+
+  /**
+   * Check if Cohere supports the given model
+   *
+   * @param {string} model - Model name to check
+   * @returns {boolean} - True if Cohere supports the model
+   */
+  supportsModel(model) {
+    return model.startsWith('command') || model.startsWith('embed-');
+  }
+}
+
+export default CohereProvider;
@@ -0,0 +1,666 @@
+import Provider from '../provider.js';
+import { PROVIDER_TYPES } from '../types.js';
+import { createEmbeddingResponse } from '../utils/embeddings.js';
+import { streamSSE } from '../utils/stream.js';
+
+// Google API error statuses (`error.status`) mapped to LiteLLM error types
+const GOOGLE_ERROR_TYPES = {
+  INVALID_ARGUMENT: 'bad_request',
+  FAILED_PRECONDITION: 'bad_request',
+  UNAUTHENTICATED: 'authentication',
+  PERMISSION_DENIED: 'authentication',
+  NOT_FOUND: 'not_found',
+  RESOURCE_EXHAUSTED: 'rate_limit',
+  DEADLINE_EXCEEDED: 'timeout',
+  INTERNAL: 'service_unavailable',
+  UNAVAILABLE: 'service_unavailable'
+};
+
+class GoogleProvider extends Provider {
+  static defaultBaseUrl = 'https://generativelanguage.googleapis.com/v1beta';
+  static providerType = PROVIDER_TYPES.GOOGLE;
+  static maxEmbeddingBatchSize = 100;
+  static supportsStreamUsage = true;
+
+  /**
+   * Initialize a new Google (Gemini) provider
+   *
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Google AI Studio API key
+   * @param {string} [options.baseUrl] - Base URL for the Gemini API
+   * @param {Object} [options.defaultParams={}] - Default parameters for all requests
+   * @param {Array<Object>} [options.safetySettings] - Gemini safety settings sent with every request
+   */
+  constructor(options = {}) {
+    super(options);
+    this.safetySettings = options.safetySettings || null;
+  }
+
+  /**
+   * Generate a completion for the given messages
+   *
+   * @param {CompletionOptions} options - Completion options
+   * @returns {Promise<Object>} - The completion response
+   */
+  async completion(options) {
+    const transformedOptions = this._transformOptions(options);
+
+    const response = await this.makeRequest(`/models/${options.model}:generateContent`, {
+      method: 'POST',
+      body: transformedOptions
+    });
+
+    // Convert Gemini response format to OpenAI format
+    return this._convertResponseToOpenAIFormat(response, options);
+  }
+
+  /**
+   * Generate a streaming completion for the given messages
+   *
+   * @param {CompletionOptions} options - Completion options
+   * @returns {AsyncGenerator} - An async generator that yields completion chunks
+   */
+  async *streamCompletion(options) {
+    const transformedOptions = this._transformOptions(options);
+
+    const response = await this.makeRequest(`/models/${options.model}:streamGenerateContent?alt=sse`, {
+      method: 'POST',
+      body: transformedOptions,
+      stream: true
+    });
+
+    // Every chunk of a single stream shares the same id and tool call counter
+    const state = {
+      id: this._generateId(),
+      created: Math.floor(Date.now() / 1000),
+      toolCallIndex: 0,
+      sentRole: false
+    };
+
+    for await (const event of streamSSE(response)) {
+      yield this._convertStreamChunkToOpenAIFormat(event, options, state);
+    }
+  }
+
+  /**
+   * Generate embeddings for the given input
+   *
+   * @param {EmbeddingOptions} options - Embedding options
+   * @returns {Promise<Object>} - Embedding response in OpenAI format
+   */
+  async embedding(options) {
+    const inputs = Array.isArray(options.input) ? options.input : [options.input];
+
+    const response = await this.makeRequest(`/models/${options.model}:batchEmbedContents`, {
+      method: 'POST',
+      body: {
+        requests: inputs.map(text => ({
+          model: `models/${options.model}`,
+          content: { parts: [{ text }] },
+          ...(options.task_type && { taskType: options.task_type }),
+          ...(options.dimensions && { outputDimensionality: options.dimensions })
+        }))
+      }
+    });
+
+    // Gemini does not report token usage for embeddings
+    return createEmbeddingResponse(
+      options.model,
+      (response.embeddings || []).map(embedding => embedding.values)
+    );
+  }
+
+  /**
+   * Generate an OpenAI style completion id
+   *
+   * @private
+   * @returns {string} - Completion id
+   */
+  _generateId() {
+    return `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+  }
+
+  /**
+   * Map a Gemini finishReason to an OpenAI finish_reason
+   *
+   * @private
+   * @param {string} finishReason - Gemini finish reason
+   * @param {boolean} hasToolCalls - Whether the candidate contains function calls
+   * @returns {string|null} - OpenAI finish reason
+   */
+  _mapFinishReason(finishReason, hasToolCalls) {
+    if (!finishReason) {
+      return null;
+    }
+    if (hasToolCalls) {
+      return 'tool_calls';
+    }
+    switch (finishReason) {
+      case 'STOP':
+        return 'stop';
+      case 'MAX_TOKENS':
+        return 'length';
+      case 'SAFETY':
+      case 'RECITATION':
+      case 'BLOCKLIST':
+      case 'PROHIBITED_CONTENT':
+      case 'SPII':
+        return 'content_filter';
+      default:
+        return 'stop';
+    }
+  }
+
+  /**
+   * Convert Gemini usage metadata to OpenAI usage
+   *
+   * @private
+   * @param {Object} usageMetadata - Gemini usage metadata
+   * @returns {Object} - OpenAI usage object
+   */
+  _convertUsage(usageMetadata = {}) {
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    // Thinking tokens are billed as output but not counted in candidatesTokenCount
+    const reasoningTokens = usageMetadata.thoughtsTokenCount || 0;
+    const completionTokens = (usageMetadata.candidatesTokenCount || 0) + reasoningTokens;
+    const usage = {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: usageMetadata.totalTokenCount || promptTokens + completionTokens
+    };
+
+    if (usageMetadata.cachedContentTokenCount) {
+      usage.prompt_tokens_details = { cached_tokens: usageMetadata.cachedContentTokenCount };
+    }
+    if (reasoningTokens) {
+      usage.completion_tokens_details = { reasoning_tokens: reasoningTokens };
+    }
+    return usage;
+  }
+
+  /**
+   * Convert Gemini stream chunk to OpenAI format
+   *
+   * @private
+   * @param {Object} chunk - Gemini GenerateContentResponse chunk
+   * @param {Object} options - Original request options
+   * @param {Object} state - Per-stream state (id, tool call counter)
+   * @returns {Object} - OpenAI format chunk
+   */
+  _convertStreamChunkToOpenAIFormat(chunk, options, state) {
+    const candidates = chunk.candidates && chunk.candidates.length ? chunk.candidates : [{ index: 0 }];
+
+    const openAIFormat = {
+      id: state.id,
+      object: 'chat.completion.chunk',
+      created: state.created,
+      model: options.model,
+      choices: candidates.map((candidate, i) => {
+        const delta = {};
+        if (!state.sentRole) {
+          delta.role = 'assistant';
+        }
+
+        let text = '';
+        const toolCalls = [];
+        for (const part of candidate.content?.parts || []) {
+          if (typeof part.text === 'string' && !part.thought) {
+            text += part.text;
+          } else if (part.functionCall) {
+            toolCalls.push({
+              index: state.toolCallIndex++,
+              id: `call_${Math.random().toString(36).substr(2, 12)}`,
+              type: 'function',
+              function: {
+                name: part.functionCall.name,
+                arguments: JSON.stringify(part.functionCall.args || {})
+              }
+            });
+          }
+        }
+
+        if (text) {
+          delta.content = text;
+        }
+        if (toolCalls.length > 0) {
+          delta.tool_calls = toolCalls;
+          state.hasToolCalls = true;
+        }
+
+        return {
+          index: candidate.index ?? i,
+          delta,
+          finish_reason: this._mapFinishReason(candidate.finishReason, state.hasToolCalls)
+        };
+      })
+    };
+    state.sentRole = true;
+
+    // Gemini reports cumulative usage; attach it once the stream has finished
+    if (chunk.usageMetadata && openAIFormat.choices.some(choice => choice.finish_reason)) {
+      openAIFormat.usage = this._convertUsage(chunk.usageMetadata);
+    }
+
+    return openAIFormat;
+  }
+
+  /**
+   * Convert complete Gemini response to OpenAI format
+   *
+   * @private
+   * @param {Object} response - Gemini format response
+   * @param {Object} options - Original request options
+   * @returns {Object} - OpenAI format response
+   */
+  _convertResponseToOpenAIFormat(response, options) {
+    const candidates = response.candidates || [];
+
+    const choices = candidates.map((candidate, i) => {
+      let content = null;
+      const toolCalls = [];
+
+      for (const part of candidate.content?.parts || []) {
+        if (typeof part.text === 'string' && !part.thought) {
+          content = (content || '') + part.text;
+        } else if (part.functionCall) {
+          toolCalls.push({
+            id: `call_${Math.random().toString(36).substr(2, 12)}`,
+            type: 'function',
+            function: {
+              name: part.functionCall.name,
+              arguments: JSON.stringify(part.functionCall.args || {})
+            }
+          });
+        }
+      }
+
+      const message = {
+        role: 'assistant',
+        content: content
+      };
+      if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls;
+      }
+
+      return {
+        index: candidate.index ?? i,
+        message: message,
+        finish_reason: this._mapFinishReason(candidate.finishReason || 'STOP', toolCalls.length > 0)
+      };
+    });
+
+    // A prompt blocked by safety filters comes back without any candidates
+    if (choices.length === 0) {
+      choices.push({
+        index: 0,
+        message: { role: 'assistant', content: null },
+        finish_reason: response.promptFeedback?.blockReason ? 'content_filter' : 'stop'
+      });
+    }
+
+    return {
+      id: this._generateId(),
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: options.model,
+      choices: choices,
+      usage: this._convertUsage(response.usageMetadata)
+    };
+  }
+
+  /**
+   * Get authentication headers for Google
+   *
+   * @returns {Object} - Google authentication headers
+   */
+  _getAuthHeaders() {
+    return {
+      'x-goog-api-key': this.apiKey
+    };
+  }
+
+  /**
+   * Classify a Gemini error from its gRPC status and error details
+   * 
+   * @param {LiteLLMError} error - Error with the status, payload and headers of the response
+   * @returns {string|null} - Error type, or null to classify by status
+   */
+  _getErrorType(error) {
+    const details = error.data?.error?.details || [];
+    // Invalid API keys are reported as 400 INVALID_ARGUMENT
+    if (details.some(detail => detail.reason === 'API_KEY_INVALID')) {
+      return 'authentication';
+    }
+
+    const detected = super._getErrorType(error);
+    if (detected) {
+      return detected;
+    }
+    return GOOGLE_ERROR_TYPES[error.data?.error?.status] || null;
+  }
+
+  /**
+   * Convert OpenAI message content (string or content parts) to Gemini parts
+   *
+   * @private
+   * @param {string|Array<Object>} content - OpenAI message content
+   * @returns {Array<Object>} - Gemini parts
+   */
+  _convertContentToParts(content) {
+    if (content === null || content === undefined) {
+      return [];
+    }
+    if (typeof content === 'string') {
+      return content ? [{ text: content }] : [];
+    }
+
+    const parts = [];
+    for (const part of content) {
+      if (part.type === 'text') {
+        parts.push({ text: part.text });
+      } else if (part.type === 'image_url') {
+        const url = typeof part.image_url === 'string' ? part.image_url : part.image_url.url;
+        const match = /^data:([^;]+);base64,(.*)$/.exec(url);
+        if (match) {
+          parts.push({ inlineData: { mimeType: match[1], data: match[2] } });
+        } else {
+          parts.push({ fileData: { mimeType: 'image/jpeg', fileUri: url } });
+        }
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * Transform messages to Gemini contents
+   *
+   * @param {Array<LLMMessage>} messages - Messages to transform
+   * @returns {Array<Object>} - Gemini contents
+   */
+  _transformMessages(messages) {
+    if (!messages || !Array.isArray(messages)) {
+      return [];
+    }
+
+    // Gemini function responses are matched by name, so remember which
+    // function each tool call id refers to
+    const toolCallNames = {};
+    const contents = [];
+
+    const push = (role, parts) => {
+      if (parts.length === 0) {
+        return;
+      }
+      // Gemini expects alternating turns, so merge consecutive same-role messages
+      const last = contents[contents.length - 1];
+      if (last && last.role === role) {
+        last.parts.push(...parts);
+      } else {
+        contents.push({ role, parts });
+      }
+    };
+
+    for (const message of messages) {
+      if (message.role === 'system') {
+        // System messages are sent as systemInstruction
+        continue;
+      }
+
+      if (message.role === 'user') {
+        push('user', this._convertContentToParts(message.content));
+      } else if (message.role === 'assistant') {
+        const parts = this._convertContentToParts(message.content);
+
+        for (const toolCall of message.tool_calls || []) {
+          toolCallNames[toolCall.id] = toolCall.function.name;
+          parts.push({
+            functionCall: {
+              name: toolCall.function.name,
+              args: this._parseArguments(toolCall.function.arguments)
+            }
+          });
+        }
+        if (message.function_call) {
+          parts.push({
+            functionCall: {
+              name: message.function_call.name,
+              args: this._parseArguments(message.function_call.arguments)
+            }
+          });
+        }
+
+        push('model', parts);
+      } else if (message.role === 'tool' || message.role === 'function') {
+        const name = message.name || toolCallNames[message.tool_call_id];
+        push('user', [{
+          functionResponse: {
+            name: name,
+            response: this._parseToolResult(message.content)
+          }
+        }]);
+      }
+    }
+
+    return contents;
+  }
+
+  /**
+   * Parse JSON encoded tool call arguments
+   *
+   * @private
+   * @param {string|Object} args - Arguments as sent by OpenAI clients
+   * @returns {Object} - Parsed arguments
+   */
+  _parseArguments(args) {
+    if (!args) {
+      return {};
+    }
+    if (typeof args === 'object') {
+      return args;
+    }
+    try {
+      return JSON.parse(args);
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Wrap a tool result into the object Gemini expects as functionResponse.response
+   *
+   * @private
+   * @param {string|Array<Object>} content - Tool message content
+   * @returns {Object} - Function response payload
+   */
+  _parseToolResult(content) {
+    const text = Array.isArray(content)
+      ? content.filter(part => part.type === 'text').map(part => part.text).join('')
+      : content;
+
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+      return { content: parsed };
+    } catch (e) {
+      return { content: text };
+    }
+  }
+
+  /**
+   * Strip JSON schema keywords the Gemini API rejects
+   *
+   * @private
+   * @param {Object} schema - JSON schema
+   * @returns {Object} - Sanitized schema
+   */
+  _sanitizeSchema(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map(item => this._sanitizeSchema(item));
+    }
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (key === '$schema' || key === 'additionalProperties') {
+        continue;
+      }
+      result[key] = this._sanitizeSchema(value);
+    }
+    return result;
+  }
+
+  /**
+   * Convert OpenAI tools / functions to Gemini function declarations
+   *
+   * @private
+   * @param {CompletionOptions} options - Completion options
+   * @returns {Array<Object>} - Gemini function declarations
+   */
+  _transformTools(options) {
+    const functions = options.tools
+      ? options.tools.filter(tool => tool.type === 'function').map(tool => tool.function)
+      : options.functions || [];
+
+    return functions.map(fn => {
+      const declaration = {
+        name: fn.name,
+        description: fn.description
+      };
+      // Gemini rejects an empty object schema for parameterless functions
+      if (fn.parameters && Object.keys(fn.parameters.properties || {}).length > 0) {
+        declaration.parameters = this._sanitizeSchema(fn.parameters);
+      }
+      return declaration;
+    });
+  }
+
+  /**
+   * Convert OpenAI tool_choice / function_call to Gemini toolConfig
+   *
+   * @private
+   * @param {string|Object} toolChoice - OpenAI tool choice
+   * @returns {Object|null} - Gemini toolConfig
+   */
+  _transformToolChoice(toolChoice) {
+    if (!toolChoice) {
+      return null;
+    }
+    if (toolChoice === 'auto') {
+      return { functionCallingConfig: { mode: 'AUTO' } };
+    }
+    if (toolChoice === 'none') {
+      return { functionCallingConfig: { mode: 'NONE' } };
+    }
+    if (toolChoice === 'required') {
+      return { functionCallingConfig: { mode: 'ANY' } };
+    }
+
+    const name = toolChoice.function?.name || toolChoice.name;
+    if (name) {
+      return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [name] } };
+    }
+    return null;
+  }
+
+  /**
+   * Transform options to Gemini-specific format
+   *
+   * @param {CompletionOptions} options - Options to transform
+   * @returns {Object} - Transformed options for Gemini
+   */
+  _transformOptions(options) {
+    const params = {
+      ...this.defaultParams,
+      ...options
+    };
+
+    const transformed = {
+      contents: this._transformMessages(params.messages)
+    };
+
+    // Combine all system messages into the system instruction
+    const systemMessages = params.messages?.filter(m => m.role === 'system') || [];
+    if (systemMessages.length > 0) {
+      transformed.systemInstruction = {
+        parts: systemMessages.flatMap(m => this._convertContentToParts(m.content))
+      };
+    }
+
+    // Add generation parameters
+    const generationConfig = {};
+    if (params.temperature !== undefined) {
+      generationConfig.temperature = params.temperature;
+    }
+    if (params.top_p !== undefined) {
+      generationConfig.topP = params.top_p;
+    }
+    if (params.top_k !== undefined) {
+      generationConfig.topK = params.top_k;
+    }
+    if (params.max_tokens !== undefined) {
+      generationConfig.maxOutputTokens = params.max_tokens;
+    }
+    if (params.n !== undefined) {
+      generationConfig.candidateCount = params.n;
+    }
+    if (params.stop) {
+      generationConfig.stopSequences = Array.isArray(params.stop) ? params.stop : [params.stop];
+    }
+    if (params.presence_penalty !== undefined) {
+      generationConfig.presencePenalty = params.presence_penalty;
+    }
+    if (params.frequency_penalty !== undefined) {
+      generationConfig.frequencyPenalty = params.frequency_penalty;
+    }
+    if (params.seed !== undefined) {
+      generationConfig.seed = params.seed;
+    }
+    if (params.response_format?.type === 'json_object' || params.response_format?.type === 'json_schema') {
+      generationConfig.responseMimeType = 'application/json';
+      if (params.response_format.json_schema?.schema) {
+        generationConfig.responseSchema = this._sanitizeSchema(params.response_format.json_schema.schema);
+      }
+    }
+    if (Object.keys(generationConfig).length > 0) {
+      transformed.generationConfig = generationConfig;
+    }
+
+    if (params.tools || params.functions) {
+      const declarations = this._transformTools(params);
+      if (declarations.length > 0) {
+        transformed.tools = [{ functionDeclarations: declarations }];
+      }
+
+      const toolConfig = this._transformToolChoice(params.tool_choice || params.function_call);
+      if (toolConfig) {
+        transformed.toolConfig = toolConfig;
+      }
+    }
+
+    if (this.safetySettings) {
+      transformed.safetySettings = this.safetySettings;
+    }
+
+    if (params.additional_params) {
+      Object.assign(transformed, params.additional_params);
+    }
+
+    return transformed;
+  }
+
+  /**
+   * Check if Google supports the given model
+   *
+   * @param {string} model - Model name to check
+   * @returns {boolean} - True if Google supports the model
+   */
+  supportsModel(model) {
+    return model.startsWith('gemini-') || model.startsWith('palm');
+  }
+}
+
+export default GoogleProvider;
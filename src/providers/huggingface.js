@@ -0,0 +1,372 @@
+import Provider from '../provider.js';
+import { PROVIDER_TYPES } from '../types.js';
+import { getChatTemplate, inferChatTemplate, renderChatTemplate } from '../utils/templates.js';
+import { streamSSE } from '../utils/stream.js';
+
+// TGI validation messages for prompts that don't fit, e.g.
+// "`inputs` tokens + `max_new_tokens` must be <= 4096"
+const TGI_CONTEXT_WINDOW_PATTERN = /tokens.*must be <=|must have less than \d+ (input )?tokens/i;
+
+class HuggingFaceProvider extends Provider {
+  static defaultBaseUrl = 'https://api-inference.huggingface.co/models';
+  static providerType = PROVIDER_TYPES.HUGGINGFACE;
+
+  /**
+   * Initialize a new Hugging Face / Text Generation Inference provider
+   *
+   * @param {Object} options - Provider options
+   * @param {string} [options.apiKey] - Hugging Face token (optional for self-hosted TGI)
+   * @param {string} [options.baseUrl] - Inference API base URL, or the URL of a TGI server
+   * @param {boolean} [options.routeByModel] - Append the model name to baseUrl; defaults to true
+   *   for the hosted Inference API and false for a custom (self-hosted TGI) baseUrl
+   * @param {string|ChatTemplate} [options.chatTemplate] - Template used to render messages into `inputs`;
+   *   inferred from the model name when omitted
+   * @param {boolean} [options.messagesApi=false] - Use TGI's OpenAI compatible /v1/chat/completions
+   *   endpoint instead of rendering a raw prompt
+   * @param {Object} [options.defaultParams={}] - Default parameters for all requests
+   */
+  constructor(options = {}) {
+    super(options);
+    this.baseUrl = this.baseUrl.replace(/\/+$/, '');
+    this.routeByModel = options.routeByModel ?? !options.baseUrl;
+    this.chatTemplate = options.chatTemplate || null;
+    this.messagesApi = options.messagesApi || false;
+  }
+
+  /**
+   * Generate a completion for the given messages
+   *
+   * @param {CompletionOptions} options - Completion options
+   * @returns {Promise<Object>} - The completion response
+   */
+  async completion(options) {
+    if (this.messagesApi) {
+      return await this.makeRequest(this._getPath(options.model, '/v1/chat/completions'), {
+        method: 'POST',
+        body: this._transformChatOptions(options)
+      });
+    }
+
+    const template = this._resolveTemplate(options);
+    const transformedOptions = this._transformOptions(options, template);
+
+    const response = await this.makeRequest(this._getPath(options.model, '/generate'), {
+      method: 'POST',
+      body: transformedOptions
+    });
+
+    // Convert TGI response format to OpenAI format
+    return this._convertResponseToOpenAIFormat(response, options, template);
+  }
+
+  /**
+   * Generate a streaming completion for the given messages
+   *
+   * @param {CompletionOptions} options - Completion options
+   * @returns {AsyncGenerator} - An async generator that yields completion chunks
+   */
+  async *streamCompletion(options) {
+    let response;
+    let template = null;
+
+    if (this.messagesApi) {
+      response = await this.makeRequest(this._getPath(options.model, '/v1/chat/completions'), {
+        method: 'POST',
+        body: this._transformChatOptions({ ...options, stream: true }),
+        stream: true
+      });
+    } else {
+      template = this._resolveTemplate(options);
+      response = await this.makeRequest(this._getPath(options.model, '/generate_stream'), {
+        method: 'POST',
+        body: this._transformOptions({ ...options, stream: true }, template),
+        stream: true
+      });
+    }
+
+    // Every chunk of a single stream shares the same id
+    const state = {
+      id: `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+      created: Math.floor(Date.now() / 1000),
+      sentRole: false,
+      template
+    };
+
+    for await (const event of streamSSE(response)) {
+      // The messages API already streams OpenAI chunks
+      if (this.messagesApi) {
+        yield event;
+        continue;
+      }
+
+      const chunk = this._convertStreamChunkToOpenAIFormat(event, options, state);
+      if (chunk) {
+        yield chunk;
+      }
+    }
+  }
+
+  /**
+   * Build the request path for a model
+   *
+   * @private
+   * @param {string} model - Model name
+   * @param {string} endpoint - TGI endpoint, e.g. "/generate"
+   * @returns {string} - API path relative to the base URL
+   */
+  _getPath(model, endpoint) {
+    return this.routeByModel ? `/${model}${endpoint}` : endpoint;
+  }
+
+  /**
+   * Resolve the chat template for a request
+   *
+   * @private
+   * @param {CompletionOptions} options - Completion options
+   * @returns {ChatTemplate} - Template definition
+   */
+  _resolveTemplate(options) {
+    return getChatTemplate(options.chat_template || this.chatTemplate || inferChatTemplate(options.model));
+  }
+
+  /**
+   * Map a TGI finish_reason to an OpenAI finish_reason
+   *
+   * @private
+   * @param {string} finishReason - TGI finish reason
+   * @returns {string} - OpenAI finish reason
+   */
+  _mapFinishReason(finishReason) {
+    return finishReason === 'length' ? 'length' : 'stop';
+  }
+
+  /**
+   * Remove a trailing template stop sequence that TGI leaves in generated text
+   *
+   * @private
+   * @param {string} text - Generated text
+   * @param {ChatTemplate} template - Template definition
+   * @returns {string} - Cleaned text
+   */
+  _stripStopSequence(text, template) {
+    for (const stop of template.stop || []) {
+      if (text.endsWith(stop)) {
+        return text.slice(0, -stop.length);
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Convert TGI stream event to OpenAI format
+   *
+   * @private
+   * @param {Object} event - TGI stream event
+   * @param {Object} options - Original request options
+   * @param {Object} state - Per-stream state
+   * @returns {Object|null} - OpenAI format chunk, or null for events without content
+   */
+  _convertStreamChunkToOpenAIFormat(event, options, state) {
+    const delta = {};
+    if (!state.sentRole) {
+      delta.role = 'assistant';
+      state.sentRole = true;
+    }
+
+    const token = event.token || {};
+    const isStop = (state.template.stop || []).includes(token.text);
+    if (!token.special && !isStop && token.text) {
+      delta.content = token.text;
+    }
+
+    const openAIFormat = {
+      id: state.id,
+      object: 'chat.completion.chunk',
+      created: state.created,
+      model: options.model,
+      choices: [
+        {
+          index: 0,
+          delta: delta,
+          finish_reason: event.details ? this._mapFinishReason(event.details.finish_reason) : null
+        }
+      ]
+    };
+
+    if (event.details) {
+      openAIFormat.usage = {
+        prompt_tokens: event.details.prefill?.length || 0,
+        completion_tokens: event.details.generated_tokens || 0,
+        total_tokens: (event.details.prefill?.length || 0) + (event.details.generated_tokens || 0)
+      };
+    } else if (Object.keys(delta).length === 0) {
+      return null;
+    }
+
+    return openAIFormat;
+  }
+
+  /**
+   * Convert complete TGI response to OpenAI format
+   *
+   * @private
+   * @param {Object|Array<Object>} response - TGI response (the hosted API wraps it in an array)
+   * @param {Object} options - Original request options
+   * @param {ChatTemplate} template - Template used to render the prompt
+   * @returns {Object} - OpenAI format response
+   */
+  _convertResponseToOpenAIFormat(response, options, template) {
+    const id = `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+    const result = Array.isArray(response) ? response[0] || {} : response;
+    const details = result.details || {};
+
+    const promptTokens = details.prefill?.length || 0;
+    const completionTokens = details.generated_tokens || 0;
+
+    return {
+      id: id,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: options.model,
+      choices: [
+        {
+          index: 0,
+          message: {
+            role: 'assistant',
+            content: this._stripStopSequence(result.generated_text || '', template)
+          },
+          finish_reason: this._mapFinishReason(details.finish_reason)
+        }
+      ],
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  /**
+   * Get authentication headers for Hugging Face
+   *
+   * @returns {Object} - Hugging Face authentication headers
+   */
+  _getAuthHeaders() {
+    if (!this.apiKey) {
+      return {};
+    }
+    return {
+      'Authorization': `Bearer ${this.apiKey}`
+    };
+  }
+
+  /**
+   * Classify a Text Generation Inference error from its `error_type`
+   * 
+   * @param {LiteLLMError} error - Error with the status, payload and headers of the response
+   * @returns {string|null} - Error type, or null to classify by status
+   */
+  _getErrorType(error) {
+    const detected = super._getErrorType(error);
+    if (detected) {
+      return detected;
+    }
+
+    const { error: message = '', error_type: errorType } = error.data || {};
+    if (errorType === 'validation' && TGI_CONTEXT_WINDOW_PATTERN.test(message)) {
+      return 'context_window_exceeded';
+    }
+    if (errorType === 'overloaded') {
+      return 'rate_limit';
+    }
+    return null;
+  }
+
+  /**
+   * Transform options for TGI's OpenAI compatible messages API
+   *
+   * @private
+   * @param {CompletionOptions} options - Options to transform
+   * @returns {Object} - Transformed options
+   */
+  _transformChatOptions(options) {
+    const { chat_template, additional_params, ...rest } = options;
+    return {
+      ...super._transformOptions(rest),
+      ...additional_params
+    };
+  }
+
+  /**
+   * Transform options to a TGI /generate request
+   *
+   * @param {CompletionOptions} options - Options to transform
+   * @param {ChatTemplate} template - Template used to render the prompt
+   * @returns {Object} - Transformed options for TGI
+   */
+  _transformOptions(options, template) {
+    const params = {
+      ...this.defaultParams,
+      ...options
+    };
+
+    const parameters = {
+      return_full_text: false,
+      details: true
+    };
+
+    if (params.max_tokens !== undefined) {
+      parameters.max_new_tokens = params.max_tokens;
+    }
+    // TGI requires a strictly positive temperature; 0 means greedy decoding
+    if (params.temperature === 0) {
+      parameters.do_sample = false;
+    } else if (params.temperature !== undefined) {
+      parameters.temperature = params.temperature;
+    }
+    if (params.top_p !== undefined) {
+      parameters.top_p = params.top_p;
+    }
+    if (params.top_k !== undefined) {
+      parameters.top_k = params.top_k;
+    }
+    if (params.seed !== undefined) {
+      parameters.seed = params.seed;
+    }
+    if (params.repetition_penalty !== undefined) {
+      parameters.repetition_penalty = params.repetition_penalty;
+    }
+
+    const stop = [
+      ...(template.stop || []),
+      ...(params.stop ? (Array.isArray(params.stop) ? params.stop : [params.stop]) : [])
+    ];
+    if (stop.length > 0) {
+      parameters.stop = stop;
+    }
+
+    const transformed = {
+      inputs: renderChatTemplate(template, params.messages),
+      parameters: parameters,
+      stream: params.stream || false
+    };
+
+    if (params.additional_params) {
+      Object.assign(transformed.parameters, params.additional_params);
+    }
+
+    return transformed;
+  }
+
+  /**
+   * Hugging Face models are only used when requested explicitly with "huggingface/<model>"
+   *
+   * @param {string} model - Model name to check
+   * @returns {boolean} - Always false
+   */
+  supportsModel(model) {
+    return false;
+  }
+}
+
+export default HuggingFaceProvider;
@@ -0,0 +1,433 @@
+import Provider from '../provider.js';
+import { PROVIDER_TYPES } from '../types.js';
+import { createEmbeddingResponse } from '../utils/embeddings.js';
+import { streamNDJSON } from '../utils/stream.js';
+
+// OpenAI style parameters that map onto Ollama's `options` object
+const OPTION_MAPPING = {
+  temperature: 'temperature',
+  top_p: 'top_p',
+  top_k: 'top_k',
+  max_tokens: 'num_predict',
+  num_predict: 'num_predict',
+  num_ctx: 'num_ctx',
+  seed: 'seed',
+  stop: 'stop',
+  presence_penalty: 'presence_penalty',
+  frequency_penalty: 'frequency_penalty',
+  repeat_penalty: 'repeat_penalty'
+};
+
+class OllamaProvider extends Provider {
+  static defaultBaseUrl = 'http://localhost:11434';
+  static providerType = PROVIDER_TYPES.OLLAMA;
+  static supportsStreamUsage = true;
+  static selfHosted = true;
+
+  /**
+   * Initialize a new Ollama provider
+   *
+   * @param {Object} options - Provider options
+   * @param {string} [options.apiKey] - Optional bearer token for Ollama servers behind an auth proxy
+   * @param {string} [options.baseUrl] - Base URL of the Ollama server
+   * @param {string|number} [options.keepAlive] - How long Ollama keeps the model loaded (e.g. "5m")
+   * @param {Object} [options.defaultParams={}] - Default parameters for all requests
+   */
+  constructor(options = {}) {
+    super(options);
+    this.baseUrl = this.baseUrl.replace(/\/+$/, '');
+    this.keepAlive = options.keepAlive;
+  }
+
+  /**
+   * Generate a completion for the given messages
+   *
+   * @param {CompletionOptions} options - Completion options
+   * @returns {Promise<Object>} - The completion response
+   */
+  async completion(options) {
+    const transformedOptions = this._transformOptions(options);
+
+    const response = await this.makeRequest('/api/chat', {
+      method: 'POST',
+      body: transformedOptions
+    });
+
+    // Convert Ollama response format to OpenAI format
+    return this._convertResponseToOpenAIFormat(response, options);
+  }
+
+  /**
+   * Generate a streaming completion for the given messages
+   *
+   * @param {CompletionOptions} options - Completion options
+   * @returns {AsyncGenerator} - An async generator that yields completion chunks
+   */
+  async *streamCompletion(options) {
+    const transformedOptions = this._transformOptions({
+      ...options,
+      stream: true
+    });
+
+    const response = await this.makeRequest('/api/chat', {
+      method: 'POST',
+      body: transformedOptions,
+      stream: true
+    });
+
+    // Every chunk of a single stream shares the same id and tool call counter
+    const state = {
+      id: `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+      created: Math.floor(Date.now() / 1000),
+      sentRole: false,
+      toolCallIndex: 0
+    };
+
+    // Ollama streams newline-delimited JSON
+    for await (const event of streamNDJSON(response)) {
+      yield this._convertStreamChunkToOpenAIFormat(event, options, state);
+    }
+  }
+
+  /**
+   * Generate embeddings for the given input
+   *
+   * @param {EmbeddingOptions} options - Embedding options
+   * @returns {Promise<Object>} - Embedding response in OpenAI format
+   */
+  async embedding(options) {
+    const body = {
+      model: options.model,
+      input: options.input
+    };
+    if (options.dimensions !== undefined) {
+      body.dimensions = options.dimensions;
+    }
+    const keepAlive = options.keep_alive ?? this.keepAlive;
+    if (keepAlive !== undefined) {
+      body.keep_alive = keepAlive;
+    }
+
+    const response = await this.makeRequest('/api/embed', {
+      method: 'POST',
+      body: {
+        ...body,
+        ...options.additional_params
+      }
+    });
+
+    return createEmbeddingResponse(options.model, response.embeddings || [], response.prompt_eval_count || 0);
+  }
+
+  /**
+   * List the models available on the Ollama server
+   *
+   * @returns {Promise<Object>} - OpenAI style model list ({ object: 'list', data })
+   */
+  async listModels() {
+    const response = await this.makeRequest('/api/tags', {
+      method: 'GET'
+    });
+
+    return {
+      object: 'list',
+      data: (response.models || []).map(model => ({
+        id: model.name,
+        object: 'model',
+        created: model.modified_at ? Math.floor(new Date(model.modified_at).getTime() / 1000) : 0,
+        owned_by: 'ollama',
+        details: model.details
+      }))
+    };
+  }
+
+  /**
+   * Map an Ollama done_reason to an OpenAI finish_reason
+   *
+   * @private
+   * @param {string} doneReason - Ollama done reason
+   * @param {boolean} hasToolCalls - Whether the response contains tool calls
+   * @returns {string} - OpenAI finish reason
+   */
+  _mapFinishReason(doneReason, hasToolCalls) {
+    if (hasToolCalls) {
+      return 'tool_calls';
+    }
+    return doneReason === 'length' ? 'length' : 'stop';
+  }
+
+  /**
+   * Convert Ollama token counts to OpenAI usage
+   *
+   * @private
+   * @param {Object} response - Final Ollama response
+   * @returns {Object} - OpenAI usage object
+   */
+  _convertUsage(response) {
+    const promptTokens = response.prompt_eval_count || 0;
+    const completionTokens = response.eval_count || 0;
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  /**
+   * Convert Ollama tool calls to OpenAI tool calls
+   *
+   * @private
+   * @param {Array<Object>} toolCalls - Ollama tool calls
+   * @returns {Array<Object>} - OpenAI tool calls
+   */
+  _convertToolCalls(toolCalls = []) {
+    return toolCalls.map(toolCall => ({
+      id: `call_${Math.random().toString(36).substr(2, 12)}`,
+      type: 'function',
+      function: {
+        name: toolCall.function.name,
+        arguments: typeof toolCall.function.arguments === 'string'
+          ? toolCall.function.arguments
+          : JSON.stringify(toolCall.function.arguments || {})
+      }
+    }));
+  }
+
+  /**
+   * Convert Ollama stream line to OpenAI format
+   *
+   * @private
+   * @param {Object} chunk - Ollama stream line
+   * @param {Object} options - Original request options
+   * @param {Object} state - Per-stream state
+   * @returns {Object} - OpenAI format chunk
+   */
+  _convertStreamChunkToOpenAIFormat(chunk, options, state) {
+    const delta = {};
+    if (!state.sentRole) {
+      delta.role = 'assistant';
+      state.sentRole = true;
+    }
+
+    if (chunk.message?.content) {
+      delta.content = chunk.message.content;
+    }
+    if (chunk.message?.tool_calls?.length) {
+      delta.tool_calls = this._convertToolCalls(chunk.message.tool_calls)
+        .map(toolCall => ({ index: state.toolCallIndex++, ...toolCall }));
+      state.hasToolCalls = true;
+    }
+
+    const openAIFormat = {
+      id: state.id,
+      object: 'chat.completion.chunk',
+      created: state.created,
+      model: options.model,
+      choices: [
+        {
+          index: 0,
+          delta: delta,
+          finish_reason: chunk.done ? this._mapFinishReason(chunk.done_reason, state.hasToolCalls) : null
+        }
+      ]
+    };
+
+    if (chunk.done) {
+      openAIFormat.usage = this._convertUsage(chunk);
+    }
+
+    return openAIFormat;
+  }
+
+  /**
+   * Convert complete Ollama response to OpenAI format
+   *
+   * @private
+   * @param {Object} response - Ollama format response
+   * @param {Object} options - Original request options
+   * @returns {Object} - OpenAI format response
+   */
+  _convertResponseToOpenAIFormat(response, options) {
+    const id = `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+    const toolCalls = this._convertToolCalls(response.message?.tool_calls);
+
+    const message = {
+      role: 'assistant',
+      content: response.message?.content || null
+    };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+
+    return {
+      id: id,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: options.model,
+      choices: [
+        {
+          index: 0,
+          message: message,
+          finish_reason: this._mapFinishReason(response.done_reason, toolCalls.length > 0)
+        }
+      ],
+      usage: this._convertUsage(response)
+    };
+  }
+
+  /**
+   * Get authentication headers for Ollama
+   *
+   * @returns {Object} - Ollama authentication headers
+   */
+  _getAuthHeaders() {
+    if (!this.apiKey) {
+      return {};
+    }
+    return {
+      'Authorization': `Bearer ${this.apiKey}`
+    };
+  }
+
+  /**
+   * Transform messages to Ollama-specific format
+   *
+   * @param {Array<LLMMessage>} messages - Messages to transform
+   * @returns {Array<Object>} - Transformed messages
+   */
+  _transformMessages(messages) {
+    if (!messages || !Array.isArray(messages)) {
+      return [];
+    }
+
+    const toolCallNames = {};
+
+    return messages.map(message => {
+      const formatted = { role: message.role === 'function' ? 'tool' : message.role, content: '' };
+
+      // Ollama takes plain text content plus a separate list of base64 images
+      if (Array.isArray(message.content)) {
+        const images = [];
+        for (const part of message.content) {
+          if (part.type === 'text') {
+            formatted.content += part.text;
+          } else if (part.type === 'image_url') {
+            const url = typeof part.image_url === 'string' ? part.image_url : part.image_url.url;
+            images.push(url.replace(/^data:[^;]+;base64,/, ''));
+          }
+        }
+        if (images.length > 0) {
+          formatted.images = images;
+        }
+      } else {
+        formatted.content = message.content || '';
+      }
+
+      if (message.tool_calls) {
+        formatted.tool_calls = message.tool_calls.map(toolCall => {
+          toolCallNames[toolCall.id] = toolCall.function.name;
+          return {
+            function: {
+              name: toolCall.function.name,
+              arguments: this._parseArguments(toolCall.function.arguments)
+            }
+          };
+        });
+      }
+
+      if (formatted.role === 'tool') {
+        const name = message.name || toolCallNames[message.tool_call_id];
+        if (name) {
+          formatted.tool_name = name;
+        }
+      }
+
+      return formatted;
+    });
+  }
+
+  /**
+   * Parse JSON encoded tool call arguments
+   *
+   * @private
+   * @param {string|Object} args - Arguments as sent by OpenAI clients
+   * @returns {Object} - Parsed arguments
+   */
+  _parseArguments(args) {
+    if (!args) {
+      return {};
+    }
+    if (typeof args === 'object') {
+      return args;
+    }
+    try {
+      return JSON.parse(args);
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Transform options to Ollama-specific format
+   *
+   * @param {CompletionOptions} options - Options to transform
+   * @returns {Object} - Transformed options for Ollama
+   */
+  _transformOptions(options) {
+    const params = {
+      ...this.defaultParams,
+      ...options
+    };
+
+    const transformed = {
+      model: params.model,
+      messages: this._transformMessages(params.messages),
+      stream: params.stream || false
+    };
+
+    // Sampling parameters go into the `options` object
+    const ollamaOptions = { ...params.options };
+    for (const [key, target] of Object.entries(OPTION_MAPPING)) {
+      if (params[key] !== undefined) {
+        ollamaOptions[target] = key === 'stop' && !Array.isArray(params.stop) ? [params.stop] : params[key];
+      }
+    }
+    if (Object.keys(ollamaOptions).length > 0) {
+      transformed.options = ollamaOptions;
+    }
+
+    if (params.response_format?.type === 'json_object') {
+      transformed.format = 'json';
+    } else if (params.response_format?.type === 'json_schema') {
+      transformed.format = params.response_format.json_schema?.schema || 'json';
+    }
+
+    if (params.tools || params.functions) {
+      transformed.tools = params.tools ||
+        params.functions.map(fn => ({ type: 'function', function: fn }));
+    }
+
+    const keepAlive = params.keep_alive ?? this.keepAlive;
+    if (keepAlive !== undefined) {
+      transformed.keep_alive = keepAlive;
+    }
+
+    if (params.additional_params) {
+      Object.assign(transformed, params.additional_params);
+    }
+
+    return transformed;
+  }
+
+  /**
+   * Ollama models are only used when requested explicitly with "ollama/<model>"
+   *
+   * @param {string} model - Model name to check
+   * @returns {boolean} - Always false
+   */
+  supportsModel(model) {
+    return false;
+  }
+}
+
+export default OllamaProvider;
@@ -0,0 +1,115 @@
+import OpenAIProvider from './openai.js';
+import { PROVIDER_TYPES } from '../types.js';
+import { LiteLLMError } from '../client.js';
+import { getProviderPreset } from './presets.js';
+
+/**
+ * Read an environment variable without breaking in the browser
+ *
+ * @param {string} name - Variable name
+ * @returns {string|undefined} - Value, if set
+ */
+function readEnv(name) {
+  if (!name || typeof process === 'undefined' || !process.env) {
+    return undefined;
+  }
+  return process.env[name];
+}
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  static providerType = PROVIDER_TYPES.OPENAI_COMPATIBLE;
+  static supportsStreamUsage = false;
+
+  /**
+   * Initialize a provider for an OpenAI compatible API
+   *
+   * @param {Object} options - Provider options
+   * @param {string|ProviderPreset} [options.preset] - Preset name (e.g. "groq") or preset definition
+   * @param {string} [options.apiKey] - API key; falls back to the preset's apiKeyEnv variable
+   * @param {string} [options.baseUrl] - Base URL; falls back to the preset's baseUrl
+   * @param {string} [options.prefix] - Model prefix this provider is registered under
+   * @param {Array<string>} [options.unsupportedParams] - Additional parameters to drop
+   * @param {Object<string, string>} [options.paramMapping] - Additional parameter renames
+   * @param {Object} [options.headers] - Additional headers
+   * @param {boolean} [options.supportsStreamUsage] - Whether the API accepts stream_options.include_usage;
+   *   defaults to the preset's setting
+   * @param {Object} [options.defaultParams={}] - Default parameters for all requests
+   */
+  constructor(options = {}) {
+    const presetName = typeof options.preset === 'string' ? options.preset : null;
+    const preset = presetName ? getProviderPreset(presetName) : options.preset || {};
+    if (!preset) {
+      throw new LiteLLMError(`Unknown provider preset: ${options.preset}`, 400);
+    }
+
+    super({
+      ...options,
+      apiKey: options.apiKey || readEnv(preset.apiKeyEnv),
+      baseUrl: options.baseUrl || preset.baseUrl
+    });
+
+    if (!options.baseUrl && !preset.baseUrl) {
+      throw new LiteLLMError('OpenAI compatible provider requires a baseUrl', 400);
+    }
+
+    this.baseUrl = this.baseUrl.replace(/\/+$/, '');
+    this.name = presetName || options.prefix || PROVIDER_TYPES.OPENAI_COMPATIBLE;
+    this.prefix = options.prefix || preset.prefix || presetName;
+    this.unsupportedParams = [...(preset.unsupportedParams || []), ...(options.unsupportedParams || [])];
+    this.paramMapping = { ...preset.paramMapping, ...options.paramMapping };
+    this.headers = { ...preset.headers, ...options.headers };
+    this.transform = options.transform || preset.transform || null;
+    this.supportsStreamUsage = Boolean(options.supportsStreamUsage ?? preset.supportsStreamUsage);
+  }
+
+  /**
+   * Get authentication headers, plus any headers required by the vendor
+   *
+   * @returns {Object} - Request headers
+   */
+  _getAuthHeaders() {
+    if (!this.apiKey) {
+      return { ...this.headers };
+    }
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      ...this.headers
+    };
+  }
+
+  /**
+   * Transform options, applying the vendor's parameter quirks
+   *
+   * @param {CompletionOptions} options - Options to transform
+   * @returns {Object} - Transformed options
+   */
+  _transformOptions(options) {
+    const { additional_params, ...transformed } = super._transformOptions(options);
+    Object.assign(transformed, additional_params);
+
+    for (const param of this.unsupportedParams) {
+      delete transformed[param];
+    }
+
+    for (const [from, to] of Object.entries(this.paramMapping)) {
+      if (transformed[from] !== undefined) {
+        transformed[to] = transformed[from];
+        delete transformed[from];
+      }
+    }
+
+    return this.transform ? this.transform(transformed) : transformed;
+  }
+
+  /**
+   * OpenAI compatible models are only used when requested with their prefix, e.g. "groq/<model>"
+   *
+   * @param {string} model - Model name to check
+   * @returns {boolean} - Always false
+   */
+  supportsModel(model) {
+    return false;
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -1,9 +1,12 @@
 import Provider from '../provider.js';
 import { PROVIDER_TYPES } from '../types.js';
+import { streamSSE } from '../utils/stream.js';
 
 class OpenAIProvider extends Provider {
   static defaultBaseUrl = 'https://api.openai.com/v1';
   static providerType = PROVIDER_TYPES.OPENAI;
+  static maxEmbeddingBatchSize = 2048;
+  static supportsStreamUsage = true;
   
   /**
    * Initialize a new OpenAI provider
@@ -26,7 +29,7 @@ class OpenAIProvider extends Provider {
   async completion(options) {
     const transformedOptions = this._transformOptions(options);
     
-    return await this.makeRequest('/chat/completions', {
+    return await this.makeRequest(this._getApiPath('/chat/completions', options), {
       method: 'POST',
       body: transformedOptions
     });
@@ -44,76 +47,115 @@ class OpenAIProvider extends Provider {
       stream: true
     });
     
-    const response = await this.makeRequest('/chat/completions', {
+    const response = await this.makeRequest(this._getApiPath('/chat/completions', options), {
       method: 'POST',
       body: transformedOptions,
       stream: true
     });
 
-    // Handle streaming in a way that works in both Node.js and browser environments
-    if (typeof response.body === 'object' && response.body !== null) {
-      // Browser environment or Node.js with fetch that supports ReadableStream
-      if (typeof response.body.getReader === 'function') {
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder('utf-8');
-        
-        try {
-          while (true) {
-            const { done, value } = await reader.read();
-            
-            if (done) {
-              break;
-            }
-            
-            const chunk = decoder.decode(value);
-            yield* this._processChunk(chunk);
-          }
-        } finally {
-          reader.releaseLock();
-        }
-      } 
-      // Node.js environment with response.body as a Node.js Readable stream
-      else if (typeof response.body.on === 'function') {
-        const chunks = [];
-        for await (const chunk of response.body) {
-          const strChunk = new TextDecoder('utf-8').decode(chunk);
-          yield* this._processChunk(strChunk);
-        }
+    yield* streamSSE(response);
+  }
+
+  /**
+   * Generate embeddings for the given input
+   * 
+   * @param {EmbeddingOptions} options - Embedding options
+   * @returns {Promise<Object>} - Embedding response in OpenAI format
+   */
+  async embedding(options) {
+    const { additional_params, ...body } = options;
+
+    return await this.makeRequest(this._getApiPath('/embeddings', options), {
+      method: 'POST',
+      body: {
+        ...body,
+        ...additional_params
       }
-    } else if (typeof response.text === 'function') {
-      // Fallback for environments where we can't directly access the stream
-      const text = await response.text();
-      yield* this._processChunk(text);
-    }
+    });
   }
 
   /**
-   * Process a text chunk from a stream
+   * Generate images from a prompt
    * 
-   * @private
-   * @param {string} chunk - The text chunk to process
-   * @returns {Array} - Array of parsed JSON objects from the chunk
+   * @param {ImageGenerationOptions} options - Image generation options
+   * @returns {Promise<Object>} - Image response ({ created, data })
    */
-  *_processChunk(chunk) {
-    const lines = chunk
-      .split('\n')
-      .filter(line => line.trim().startsWith('data:'))
-      .map(line => line.replace(/^data: /, '').trim());
-    
-    for (const line of lines) {
-      if (line === '[DONE]') {
-        return;
+  async imageGeneration(options) {
+    const { additional_params, ...body } = options;
+
+    return await this.makeRequest(this._getApiPath('/images/generations', options), {
+      method: 'POST',
+      body: {
+        ...body,
+        ...additional_params
+      }
+    });
+  }
+
+  /**
+   * Transcribe audio to text
+   * 
+   * @param {TranscriptionOptions} options - Transcription options
+   * @returns {Promise<Object|string>} - Transcription ({ text }), or the raw text for text/srt/vtt formats
+   */
+  async transcription(options) {
+    const { file, filename = 'audio.mp3', additional_params, ...fields } = options;
+
+    const formData = new FormData();
+    const blob = typeof Blob !== 'undefined' && file instanceof Blob ? file : new Blob([file]);
+    formData.append('file', blob, file.name || filename);
+
+    for (const [key, value] of Object.entries({ ...fields, ...additional_params })) {
+      if (value === undefined || value === null) {
+        continue;
       }
-      
-      try {
-        if (line) {
-          const parsed = JSON.parse(line);
-          yield parsed;
-        }
-      } catch (e) {
-        console.error('Error parsing SSE line:', line, e);
+      // Array fields such as timestamp_granularities are sent as repeated "key[]" entries
+      if (Array.isArray(value)) {
+        value.forEach(item => formData.append(`${key}[]`, String(item)));
+      } else {
+        formData.append(key, String(value));
       }
     }
+
+    const textFormats = ['text', 'srt', 'vtt'];
+    return await this.makeRequest(this._getApiPath('/audio/transcriptions', options), {
+      method: 'POST',
+      body: formData,
+      responseType: textFormats.includes(fields.response_format) ? 'text' : 'json'
+    });
+  }
+
+  /**
+   * Generate speech audio from text
+   * 
+   * @param {SpeechOptions} options - Speech options
+   * @returns {Promise<ArrayBuffer|ReadableStream>} - Audio data, or the response body stream when options.stream is set
+   */
+  async speech(options) {
+    const { stream = false, additional_params, ...body } = options;
+
+    const response = await this.makeRequest(this._getApiPath('/audio/speech', options), {
+      method: 'POST',
+      body: {
+        ...body,
+        ...additional_params
+      },
+      stream: stream,
+      responseType: 'arrayBuffer'
+    });
+
+    return stream ? response.body : response;
+  }
+
+  /**
+   * Get the API path for an endpoint
+   * 
+   * @param {string} endpoint - Endpoint path, e.g. '/chat/completions'
+   * @param {Object} options - Request options (used by subclasses that route by model)
+   * @returns {string} - API path relative to the base URL
+   */
+  _getApiPath(endpoint, options) {
+    return endpoint;
   }
 
   /**
@@ -136,7 +178,9 @@ class OpenAIProvider extends Provider {
   supportsModel(model) {
     return model.startsWith('gpt-') || 
            model.startsWith('text-') ||
-           model === 'dall-e-3';
+           model.startsWith('dall-e-') ||
+           model.startsWith('whisper-') ||
+           model.startsWith('tts-');
   }
 }
 
@@ -0,0 +1,75 @@
+/**
+ * @typedef {Object} ProviderPreset
+ * @property {string} baseUrl - Base URL of the OpenAI compatible API
+ * @property {string} [apiKeyEnv] - Environment variable the API key is read from when none is given
+ * @property {string} [prefix] - Model prefix routed to this provider ("groq" for "groq/<model>"); defaults to the preset name
+ * @property {Array<string>} [unsupportedParams=[]] - Request parameters dropped before sending
+ * @property {Object<string, string>} [paramMapping={}] - Request parameters renamed before sending (e.g. max_tokens -> max_completion_tokens)
+ * @property {Object} [headers={}] - Extra headers sent with every request
+ * @property {boolean} [supportsStreamUsage=false] - Whether the API accepts stream_options.include_usage
+ * @property {Function} [transform] - Final hook `(body) => body` for quirks that don't fit the options above
+ */
+
+/**
+ * Built-in presets for OpenAI compatible vendors
+ */
+export const PROVIDER_PRESETS = {
+  deepseek: {
+    baseUrl: 'https://api.deepseek.com/v1',
+    apiKeyEnv: 'DEEPSEEK_API_KEY',
+    unsupportedParams: ['n', 'logit_bias', 'seed', 'user'],
+    supportsStreamUsage: true
+  },
+  groq: {
+    baseUrl: 'https://api.groq.com/openai/v1',
+    apiKeyEnv: 'GROQ_API_KEY',
+    unsupportedParams: ['logprobs', 'top_logprobs', 'logit_bias', 'n']
+  },
+  mistral: {
+    baseUrl: 'https://api.mistral.ai/v1',
+    apiKeyEnv: 'MISTRAL_API_KEY',
+    unsupportedParams: ['logit_bias', 'logprobs', 'top_logprobs', 'user', 'stream_options'],
+    paramMapping: { seed: 'random_seed' },
+    transform(body) {
+      // Mistral calls OpenAI's "required" tool choice "any"
+      if (body.tool_choice === 'required') {
+        body.tool_choice = 'any';
+      }
+      return body;
+    }
+  },
+  together: {
+    baseUrl: 'https://api.together.xyz/v1',
+    apiKeyEnv: 'TOGETHER_API_KEY',
+    unsupportedParams: ['logit_bias', 'user']
+  },
+  vllm: {
+    baseUrl: 'http://localhost:8000/v1',
+    apiKeyEnv: 'VLLM_API_KEY',
+    supportsStreamUsage: true
+  },
+  openrouter: {
+    baseUrl: 'https://openrouter.ai/api/v1',
+    apiKeyEnv: 'OPENROUTER_API_KEY'
+  }
+};
+
+/**
+ * Register a custom preset, or replace a built-in one
+ *
+ * @param {string} name - Preset name, used as the provider type in registerProvider
+ * @param {ProviderPreset} preset - Preset definition
+ */
+export function registerProviderPreset(name, preset) {
+  PROVIDER_PRESETS[name.toLowerCase()] = preset;
+}
+
+/**
+ * Look up a preset by name
+ *
+ * @param {string} name - Preset name
+ * @returns {ProviderPreset|null} - Preset definition or null if unknown
+ */
+export function getProviderPreset(name) {
+  return PROVIDER_PRESETS[name] || null;
+}
@@ -0,0 +1,567 @@
+import {
+  LiteLLMError,
+  BadRequestError,
+  RateLimitError,
+  BudgetExceededError,
+  ContextWindowExceededError,
+  detectErrorType
+} from './utils/errors.js';
+import { RateLimiter, estimateRequestTokens } from './utils/limiter.js';
+
+/**
+ * Check whether an error means the request did not fit the model's context window
+ *
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} - True for context window errors
+ */
+export function isContextWindowError(error) {
+  if (error instanceof ContextWindowExceededError) {
+    return true;
+  }
+  if (!(error instanceof LiteLLMError)) {
+    return false;
+  }
+  return detectErrorType(error.status, error.data) === 'context_window_exceeded';
+}
+
+/**
+ * Check whether a failed request may succeed on another deployment
+ *
+ * The error's own `retryable` flag decides first, so connection failures
+ * (which have no status) and the server's `x-should-retry` header are
+ * honoured. Otherwise rate limits, timeouts and server errors are
+ * retryable. Context window overflows always are, as the next deployment
+ * may have a larger window.
+ *
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} - True if the next deployment should be tried
+ */
+export function isRetryableError(error) {
+  if (!(error instanceof LiteLLMError)) {
+    return false;
+  }
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable || isContextWindowError(error);
+  }
+  const status = error.status;
+  return status === 408 ||
+    status === 429 ||
+    status >= 500 ||
+    isContextWindowError(error);
+}
+
+// Deployment fields used for routing; everything else is merged into the request
+const ROUTING_KEYS = ['id', 'weight', 'rpm', 'tpm', 'limits'];
+
+// Number of recent requests the latency average is taken over
+const LATENCY_WINDOW = 10;
+
+/**
+ * Load balancing strategies
+ *
+ * Each strategy orders the available deployments for one request; the
+ * first is tried first and the rest are the fallbacks.
+ */
+const STRATEGIES = {
+  /**
+   * Deployments in the order they were configured
+   */
+  'ordered': (entries) => entries,
+
+  /**
+   * Weighted random order, weighted by `weight`, `rpm` or `tpm`
+   */
+  'simple-shuffle': (entries) => {
+    const remaining = [...entries];
+    const ordered = [];
+    while (remaining.length > 0) {
+      const weights = remaining.map(({ deployment }) =>
+        deployment.weight ?? deployment.rpm ?? deployment.tpm ?? 1
+      );
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      let pick = Math.random() * total;
+      let index = 0;
+      while (index < remaining.length - 1 && pick >= weights[index]) {
+        pick -= weights[index];
+        index++;
+      }
+      ordered.push(remaining.splice(index, 1)[0]);
+    }
+    return ordered;
+  },
+
+  /**
+   * Fewest requests in flight first
+   */
+  'least-busy': (entries) => [...entries].sort((a, b) => a.stats.inFlight - b.stats.inFlight),
+
+  /**
+   * Lowest average latency over the recent requests first; unmeasured deployments are tried first
+   */
+  'lowest-latency': (entries) => [...entries].sort((a, b) => averageLatency(a.stats) - averageLatency(b.stats)),
+
+  /**
+   * Lowest share of the per-minute rpm/tpm budget used first; deployments over budget go last
+   */
+  'usage-based': (entries) => {
+    const now = Date.now();
+    return [...entries].sort((a, b) => usageRatio(a, now) - usageRatio(b, now));
+  }
+};
+
+// Earlier name of the lowest-latency strategy
+STRATEGIES['latency-based'] = STRATEGIES['lowest-latency'];
+
+/**
+ * Average latency of a deployment's recent requests
+ *
+ * @private
+ * @param {Object} stats - Deployment stats
+ * @returns {number} - Average latency in milliseconds, 0 if not measured yet
+ */
+function averageLatency(stats) {
+  if (stats.latencies.length === 0) {
+    return 0;
+  }
+  return stats.latencies.reduce((sum, latency) => sum + latency, 0) / stats.latencies.length;
+}
+
+/**
+ * Share of a deployment's per-minute budget used in the current minute
+ *
+ * @private
+ * @param {Object} entry - Deployment and its stats
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Highest of the rpm and tpm usage ratios
+ */
+function usageRatio({ deployment, stats }, now) {
+  const usage = currentUsage(stats, now);
+  const requestRatio = deployment.rpm ? usage.requests / deployment.rpm : 0;
+  const tokenRatio = deployment.tpm ? usage.tokens / deployment.tpm : usage.tokens / 1e9;
+  return Math.max(requestRatio, tokenRatio);
+}
+
+/**
+ * Get the request and token counts of the current minute
+ *
+ * @private
+ * @param {Object} stats - Deployment stats
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - { requests, tokens }
+ */
+function currentUsage(stats, now) {
+  const minute = Math.floor(now / 60000);
+  if (stats.minute !== minute) {
+    stats.minute = minute;
+    stats.requests = 0;
+    stats.tokens = 0;
+  }
+  return stats;
+}
+
+/**
+ * Routes a logical model name to a group of deployments
+ *
+ * Deployments are ordered by the load balancing strategy for every request,
+ * and a request that fails with a retryable error falls through to the next
+ * one. Deployments that fail repeatedly are put into cooldown and taken out
+ * of rotation for a while.
+ */
+class Router {
+  /**
+   * Initialize a new router
+   *
+   * @param {Object} options - Router options
+   * @param {string} options.name - Logical model name requests are sent to
+   * @param {Array<string|Object>} options.deployments - Deployments; either a model string such as
+   *   "azure/gpt-4o" or { model, id, weight, rpm, tpm, limits, ...params } where params are merged into each
+   *   request and limits ({ rpm, tpm, maxConcurrent }) are enforced client-side by queueing
+   * @param {string} [options.strategy='ordered'] - 'ordered', 'simple-shuffle', 'least-busy', 'lowest-latency'
+   *   (also accepted as 'latency-based') or 'usage-based'
+   * @param {number} [options.allowedFails=3] - Consecutive retryable failures before a deployment cools down
+   * @param {number} [options.cooldownTime=60000] - How long a deployment stays out of rotation, in milliseconds
+   * @param {Function} [options.isRetryable] - Decides whether an error falls through to the next deployment
+   * @param {LiteLLM} litellm - LiteLLM instance used to call the deployments
+   */
+  constructor(options, litellm) {
+    const {
+      name,
+      deployments,
+      strategy = 'ordered',
+      allowedFails = 3,
+      cooldownTime = 60000,
+      isRetryable = isRetryableError
+    } = options;
+
+    if (!name) {
+      throw new BadRequestError('Router requires a name');
+    }
+    if (!Array.isArray(deployments) || deployments.length === 0) {
+      throw new BadRequestError(`Router ${name} requires at least one deployment`);
+    }
+    if (!STRATEGIES[strategy]) {
+      throw new BadRequestError(`Unknown routing strategy: ${strategy}`);
+    }
+
+    this.name = name;
+    this.deployments = deployments.map(deployment =>
+      typeof deployment === 'string' ? { model: deployment } : { ...deployment }
+    );
+    if (this.deployments.some(deployment => deployment.model === name)) {
+      throw new BadRequestError(`Router ${name} cannot route to itself`);
+    }
+    this.strategy = strategy;
+    this.allowedFails = allowedFails;
+    this.cooldownTime = cooldownTime;
+    this.isRetryable = isRetryable;
+    this.litellm = litellm;
+    this.stats = this.deployments.map(deployment => ({
+      limiter: deployment.limits ? new RateLimiter(deployment.limits) : null,
+      inFlight: 0,
+      latencies: [],
+      fails: 0,
+      cooldownUntil: 0,
+      minute: 0,
+      requests: 0,
+      tokens: 0
+    }));
+  }
+
+  /**
+   * Generate a completion, falling back across deployments
+   *
+   * @param {CompletionOptions} options - Completion options; model is the router name
+   * @returns {Promise<Object>} - The completion response, with `deployment` set to the deployment that served it
+   */
+  async completion(options) {
+    return await this._route(options, async (deploymentOptions, deployment) => {
+      const response = await this.litellm.completion(deploymentOptions);
+      return { ...response, deployment: this._getDeploymentName(deployment) };
+    });
+  }
+
+  /**
+   * Generate embeddings, falling back across deployments
+   *
+   * @param {EmbeddingOptions} options - Embedding options; model is the router name
+   * @returns {Promise<Object>} - The embedding response, with `deployment` set to the deployment that served it
+   */
+  async embedding(options) {
+    return await this._route(options, async (deploymentOptions, deployment) => {
+      const response = await this.litellm.embedding(deploymentOptions);
+      return { ...response, deployment: this._getDeploymentName(deployment) };
+    });
+  }
+
+  /**
+   * Generate a streaming completion, falling back across deployments
+   *
+   * A deployment is only abandoned if it fails before yielding its first
+   * chunk; errors after that are thrown to the caller.
+   *
+   * @param {CompletionOptions} options - Completion options; model is the router name
+   * @returns {AsyncGenerator} - Completion chunks, each with `deployment` set to the deployment that served it
+   */
+  async *streamCompletion(options) {
+    const errors = [];
+
+    const available = await this._getAvailableDeployments();
+    // Ordered right before the first request starts, so concurrent requests see each other in flight
+    for (const { deployment, stats } of STRATEGIES[this.strategy](available)) {
+      const name = this._getDeploymentName(deployment);
+      const deploymentOptions = this._getDeploymentOptions(options, deployment);
+      // Requests queued by the deployment's limiter count as in flight
+      const startedAt = this._startRequest(stats);
+      let release = () => {};
+      let started = false;
+      let tokens = 0;
+
+      try {
+        release = await this._acquireSlot(stats, deploymentOptions);
+        for await (const chunk of this.litellm.streamCompletion(deploymentOptions)) {
+          if (!started) {
+            // Time to first chunk is what matters for streams
+            this._recordLatency(stats, Date.now() - startedAt);
+            started = true;
+          }
+          tokens = chunk.usage?.total_tokens || tokens;
+          yield { ...chunk, deployment: name };
+        }
+        this._recordSuccess(stats, tokens);
+        return;
+      } catch (error) {
+        if (started || !this.isRetryable(error)) {
+          throw error;
+        }
+        this._recordFailure(stats);
+        this.litellm.logger.warn(`Deployment ${name} of ${this.name} failed, trying the next one: ${error.message}`);
+        errors.push({ deployment: name, error });
+      } finally {
+        stats.inFlight--;
+        release(tokens || undefined);
+      }
+    }
+
+    throw this._createFallbackError(errors);
+  }
+
+  /**
+   * Get the current state of every deployment
+   *
+   * @returns {Array<Object>} - { deployment, inFlight, queued, averageLatency, requests, tokens, coolingDown } per deployment
+   */
+  getDeploymentStats() {
+    const now = Date.now();
+    return this.deployments.map((deployment, index) => {
+      const stats = this.stats[index];
+      const usage = currentUsage(stats, now);
+      return {
+        deployment: this._getDeploymentName(deployment),
+        inFlight: stats.inFlight,
+        queued: stats.limiter ? stats.limiter.getStats().queued : 0,
+        averageLatency: averageLatency(stats),
+        requests: usage.requests,
+        tokens: usage.tokens,
+        coolingDown: stats.cooldownUntil > now
+      };
+    });
+  }
+
+  /**
+   * Get the model string of every deployment
+   *
+   * @returns {Object<string, string>} - Model strings keyed by the name each deployment is reported as
+   */
+  getDeploymentModels() {
+    return Object.fromEntries(this.deployments.map(deployment => [this._getDeploymentName(deployment), deployment.model]));
+  }
+
+  /**
+   * Call each deployment in strategy order until one succeeds
+   *
+   * @private
+   * @param {Object} options - Request options; model is the router name
+   * @param {Function} call - Calls one deployment with (deploymentOptions, deployment)
+   * @returns {Promise<Object>} - Response of the first successful deployment
+   */
+  async _route(options, call) {
+    const errors = [];
+
+    const available = await this._getAvailableDeployments();
+    // Ordered right before the first request starts, so concurrent requests see each other in flight
+    for (const { deployment, stats } of STRATEGIES[this.strategy](available)) {
+      const deploymentOptions = this._getDeploymentOptions(options, deployment);
+      // Requests queued by the deployment's limiter count as in flight
+      const startedAt = this._startRequest(stats);
+      let release = () => {};
+      let tokens;
+      try {
+        release = await this._acquireSlot(stats, deploymentOptions);
+        const response = await call(deploymentOptions, deployment);
+        tokens = response.usage?.total_tokens;
+        this._recordLatency(stats, Date.now() - startedAt);
+        this._recordSuccess(stats, tokens || 0);
+        return response;
+      } catch (error) {
+        if (!this.isRetryable(error)) {
+          throw error;
+        }
+        this._recordFailure(stats);
+        this.litellm.logger.warn(`Deployment ${this._getDeploymentName(deployment)} of ${this.name} failed, trying the next one: ${error.message}`);
+        errors.push({ deployment: this._getDeploymentName(deployment), error });
+      } finally {
+        stats.inFlight--;
+        release(tokens);
+      }
+    }
+
+    throw this._createFallbackError(errors);
+  }
+
+  /**
+   * Get the deployments that are not cooling down or over budget
+   *
+   * @private
+   * @returns {Promise<Array<Object>>} - { deployment, stats } in deployment order
+   */
+  async _getAvailableDeployments() {
+    const now = Date.now();
+    let entries = this.deployments
+      .map((deployment, index) => ({ deployment, stats: this.stats[index] }))
+      .filter(({ stats }) => stats.cooldownUntil <= now);
+
+    if (entries.length === 0) {
+      const retryAfter = Math.min(...this.stats.map(stats => stats.cooldownUntil)) - now;
+      throw new RateLimitError(
+        `No deployments available for model ${this.name}, all are cooling down`,
+        429,
+        { retryAfter },
+        { model: this.name }
+      );
+    }
+
+    const budgetManager = this.litellm.budgetManager;
+    if (budgetManager) {
+      const withinBudget = await Promise.all(entries.map(({ deployment }) =>
+        budgetManager.isWithinBudget({ deployment: this._getDeploymentName(deployment) })
+      ));
+      entries = entries.filter((entry, index) => withinBudget[index]);
+
+      if (entries.length === 0) {
+        throw new BudgetExceededError(
+          `No deployments available for model ${this.name}, all are over budget`,
+          429,
+          {},
+          { model: this.name }
+        );
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Wait for a deployment's rate limiter, if it has limits
+   *
+   * @private
+   * @param {Object} stats - Deployment stats
+   * @param {Object} deploymentOptions - Request options for the deployment
+   * @returns {Promise<Function>} - Call release(actualTokens?) once the request has finished
+   */
+  async _acquireSlot(stats, deploymentOptions) {
+    if (!stats.limiter) {
+      return () => {};
+    }
+
+    return await stats.limiter.acquire({
+      tokens: estimateRequestTokens(deploymentOptions),
+      priority: deploymentOptions.priority,
+      signal: deploymentOptions.signal
+    });
+  }
+
+  /**
+   * Record the start of a request to a deployment
+   *
+   * @private
+   * @param {Object} stats - Deployment stats
+   * @returns {number} - Start time in milliseconds
+   */
+  _startRequest(stats) {
+    stats.inFlight++;
+    currentUsage(stats, Date.now()).requests++;
+    return Date.now();
+  }
+
+  /**
+   * Record the latency of a request
+   *
+   * @private
+   * @param {Object} stats - Deployment stats
+   * @param {number} latency - Latency in milliseconds
+   * @returns {void}
+   */
+  _recordLatency(stats, latency) {
+    stats.latencies.push(latency);
+    if (stats.latencies.length > LATENCY_WINDOW) {
+      stats.latencies.shift();
+    }
+  }
+
+  /**
+   * Record a successful request
+   *
+   * @private
+   * @param {Object} stats - Deployment stats
+   * @param {number} tokens - Tokens used by the request
+   * @returns {void}
+   */
+  _recordSuccess(stats, tokens) {
+    stats.fails = 0;
+    currentUsage(stats, Date.now()).tokens += tokens;
+  }
+
+  /**
+   * Record a retryable failure, putting the deployment into cooldown once
+   * it has failed allowedFails times in a row
+   *
+   * @private
+   * @param {Object} stats - Deployment stats
+   * @returns {void}
+   */
+  _recordFailure(stats) {
+    stats.fails++;
+    if (stats.fails >= this.allowedFails) {
+      stats.cooldownUntil = Date.now() + this.cooldownTime;
+      stats.fails = 0;
+    }
+  }
+
+  /**
+   * Build the request options for one deployment
+   *
+   * @private
+   * @param {Object} options - Request options
+   * @param {Object} deployment - Deployment
+   * @returns {Object} - Options with the deployment model and parameters
+   */
+  _getDeploymentOptions(options, deployment) {
+    const params = { ...deployment };
+    for (const key of ROUTING_KEYS) {
+      delete params[key];
+    }
+    return {
+      ...options,
+      ...params,
+      // Callbacks see the call to the router, not each deployment it tries
+      callbacks: false
+    };
+  }
+
+  /**
+   * Get the name a deployment is reported as
+   *
+   * @private
+   * @param {Object} deployment - Deployment
+   * @returns {string} - Deployment id, or its model string
+   */
+  _getDeploymentName(deployment) {
+    return deployment.id || deployment.model;
+  }
+
+  /**
+   * Build the error thrown when every deployment failed
+   *
+   * @private
+   * @param {Array<Object>} errors - Failures ({ deployment, error }) in order
+   * @returns {LiteLLMError} - Error of the same type and status as the last failure
+   */
+  _createFallbackError(errors) {
+    const last = errors[errors.length - 1].error;
+    const summary = errors.map(({ deployment, error }) => `${deployment}: ${error.message}`).join('; ');
+    const ErrorClass = last.constructor;
+
+    return new ErrorClass(
+      `All deployments failed for model ${this.name} (${summary})`,
+      last.status,
+      {
+        errors: errors.map(({ deployment, error }) => ({
+          deployment,
+          message: error.message,
+          status: error.status,
+          data: error.data
+        }))
+      },
+      {
+        provider: last.provider,
+        model: this.name,
+        retryable: last.retryable,
+        code: last.code,
+        body: last.body,
+        headers: last.headers
+      }
+    );
+  }
+}
+
+export default Router;
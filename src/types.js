@@ -12,6 +12,104 @@
  * @property {number} [max_tokens] - Maximum number of tokens to generate
  * @property {boolean} [stream=false] - Whether to stream the response
  * @property {Object} [additional_params] - Any additional provider-specific parameters
+ * @property {RetryPolicy|false} [retry] - Retry policy for this call, merged over the provider and global policies
+ * @property {number} [priority=0] - Rate limit queue priority; higher priorities start first
+ * @property {AbortSignal} [signal] - Cancels the call, whether it is queued, in flight or streaming
+ * @property {number} [timeout] - Request timeout in milliseconds; for streams it covers the wait for the response headers
+ * @property {number} [streamIdleTimeout] - Longest wait between stream chunks in milliseconds
+ * @property {CacheControl|false} [cache] - Cache settings for this call, or false to bypass the cache
+ * @property {string} [user] - End user id, sent to the provider and used for user budgets
+ * @property {Array<string>} [tags] - Tags the call's cost is counted against for tag budgets, e.g. the feature making it
+ * @property {boolean} [budget] - false to skip budget checks and spend recording for this call
+ * @property {TrimOptions|true} [trim_messages] - Drop the oldest turns until the prompt fits the model's context window
+ * @property {Callbacks|Array<Callbacks>|false} [callbacks] - Handlers for this call, run after the global ones; false to skip all callbacks
+ */
+
+/**
+ * @typedef {Object} EmbeddingOptions
+ * @property {string} model - The name of the embedding model to use
+ * @property {string|Array<string>} input - Text (or texts) to embed
+ * @property {string} [encoding_format='float'] - 'float' or 'base64'; base64 embeddings are decoded into Float32Arrays
+ * @property {number} [dimensions] - Number of dimensions of the output embeddings, where supported
+ * @property {number} [batch_size] - Maximum inputs per request, defaults to the provider's limit
+ * @property {Callbacks|Array<Callbacks>|false} [callbacks] - Handlers for this call, run after the global ones; false to skip all callbacks
+ */
+
+/**
+ * @typedef {Object} ImageGenerationOptions
+ * @property {string} model - The name of the image model to use
+ * @property {string} prompt - Description of the image to generate
+ * @property {number} [n=1] - Number of images to generate
+ * @property {string} [size] - Image size, e.g. '1024x1024'
+ * @property {string} [response_format] - 'url' or 'b64_json'
+ */
+
+/**
+ * @typedef {Object} TranscriptionOptions
+ * @property {string} model - The name of the transcription model to use
+ * @property {Blob|File|ArrayBuffer|Uint8Array} file - Audio file to transcribe
+ * @property {string} [filename='audio.mp3'] - File name sent with binary data; its extension tells the API the audio format
+ * @property {string} [language] - Language of the audio (ISO-639-1)
+ * @property {string} [prompt] - Text to guide the transcription style
+ * @property {string} [response_format='json'] - 'json', 'verbose_json', 'text', 'srt' or 'vtt'
+ */
+
+/**
+ * @typedef {Object} SpeechOptions
+ * @property {string} model - The name of the text-to-speech model to use
+ * @property {string} input - Text to turn into audio
+ * @property {string} voice - Voice to use
+ * @property {string} [response_format='mp3'] - Audio format
+ * @property {number} [speed] - Playback speed
+ * @property {boolean} [stream=false] - Return the response body stream instead of an ArrayBuffer
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [maxRetries=2] - Retries after the first attempt; 0 disables retrying
+ * @property {number} [initialDelay=500] - Delay before the first retry in milliseconds
+ * @property {number} [maxDelay=8000] - Upper bound for the backoff delay in milliseconds
+ * @property {number} [multiplier=2] - Backoff growth factor per retry
+ * @property {number} [jitter=0.25] - Fraction of the delay that is randomized (0-1)
+ * @property {number} [maxRetryAfter=60000] - Longest server requested delay to honour; longer ones fall back to backoff
+ */
+
+/**
+ * @typedef {Object} RateLimits
+ * @property {number} [rpm] - Maximum requests per minute
+ * @property {number} [tpm] - Maximum tokens per minute, counted as estimated prompt tokens plus max_tokens
+ * @property {number} [maxConcurrent] - Maximum requests in flight at once
+ */
+
+/**
+ * @typedef {Object} CacheControl
+ * @property {boolean} [noCache=false] - Skip the cache lookup and always call the provider
+ * @property {boolean} [noStore=false] - Don't store the response
+ * @property {number} [ttl] - Time to live of the stored response in milliseconds, overrides the default
+ */
+
+/**
+ * @typedef {Object} TrimOptions
+ * @property {number} [maxTokens] - Token budget of the prompt, defaults to the model's context window minus reserveTokens
+ * @property {number} [reserveTokens] - Tokens kept free for the response, defaults to max_tokens or 4096
+ * @property {function(Array<LLMMessage>): Promise<string>} [summarize] - Summarizes the dropped messages into a system message instead of discarding them
+ */
+
+/**
+ * @typedef {Object} Callbacks
+ * @property {Function} [pre_call] - Called with { callId, callType, model, options, startTime } before the call; may change or return options, or throw to reject the call
+ * @property {Function} [post_call_success] - Called with the pre_call fields plus { endTime, latency, timeToFirstToken, response, provider, deployment, usage, cost, cacheHit }
+ * @property {Function} [post_call_failure] - Called with the pre_call fields plus { endTime, latency, timeToFirstToken, error, provider }
+ * @property {Function} [stream_chunk] - Called with the pre_call fields plus { chunk, index, timeToFirstToken }
+ * @property {Function} [stream_end] - Called with the pre_call fields plus { endTime, latency, timeToFirstToken, status, chunks }; status is 'completed', 'failed' or 'abandoned'
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {function(string): Promise<*>} get - Get a value, undefined if missing
+ * @property {function(string, *, number=): Promise<void>} set - Store a JSON serializable value, with an optional time to live in milliseconds
+ * @property {function(string): Promise<void>} delete - Remove a value
+ * @property {function(): Promise<void>} [clear] - Remove all values
  */
 
 /**
@@ -35,7 +133,10 @@ export const PROVIDER_TYPES = {
   AZURE: 'azure',
   GOOGLE: 'google',
   COHERE: 'cohere',
-  HUGGINGFACE: 'huggingface'
+  HUGGINGFACE: 'huggingface',
+  OLLAMA: 'ollama',
+  BEDROCK: 'bedrock',
+  OPENAI_COMPATIBLE: 'openai_compatible'
 };
 
 export const MODEL_PREFIXES = {
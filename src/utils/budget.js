@@ -0,0 +1,319 @@
+import { BadRequestError, BudgetExceededError } from './errors.js';
+import { InMemoryCache } from './cache.js';
+import { usageCost } from './models.js';
+
+// What a budget can be set for
+const SCOPES = ['user', 'tag', 'deployment'];
+
+// Reset windows; budgets without one never reset
+const PERIODS = ['daily', 'monthly'];
+
+/**
+ * @typedef {Object} Budget
+ * @property {string} scope - 'user', 'tag' or 'deployment'
+ * @property {string} id - User id (the `user` request parameter), tag, or deployment (model string or router deployment id)
+ * @property {number} maxBudget - Spend limit in USD
+ * @property {string} [period] - 'daily' or 'monthly' to reset the spend at the start of each UTC day or month
+ */
+
+/**
+ * Spend limits per user, tag and deployment
+ *
+ * Budgets are defined in code; the spend against them is kept in a store,
+ * so with a persistent store (e.g. a JSONFileStore) it survives restarts.
+ * Spend is recorded after a request has finished, so requests started
+ * while a budget still had room may take it slightly over its limit.
+ *
+ * Spend is the cost of a response. Responses of models without prices are
+ * charged at the fallback price if one is set, except for local models
+ * (Ollama and providers served from localhost), which cost nothing unless
+ * chargeLocalModels is set. Without a fallback price they count as costing
+ * nothing, with a warning; with strictPricing, budgeted calls to them are
+ * refused before they are made instead.
+ */
+export class BudgetManager {
+  /**
+   * Initialize a new budget manager
+   *
+   * @param {Object} [options] - Budget manager options
+   * @param {Array<Budget>} [options.budgets=[]] - Budgets to set
+   * @param {CacheStore} [options.store] - Where spend is kept, defaults to memory
+   * @param {string} [options.namespace='budget'] - Prefix for the store keys
+   * @param {ModelInfo} [options.fallbackPrice] - { inputCost, outputCost } in USD per million tokens, charged for
+   *   the usage of models without prices
+   * @param {boolean} [options.chargeLocalModels=false] - Charge the fallback price for local models too
+   * @param {boolean} [options.strictPricing=false] - Refuse budgeted calls to models whose cost can't be known
+   */
+  constructor(options = {}) {
+    this.store = options.store || new InMemoryCache({ maxSize: Infinity });
+    this.namespace = options.namespace || 'budget';
+    this.fallbackPrice = options.fallbackPrice || null;
+    this.chargeLocalModels = options.chargeLocalModels || false;
+    this.strictPricing = options.strictPricing || false;
+    this.budgets = new Map();
+    // Pending spend updates per store key, so concurrent updates don't overwrite each other
+    this.updates = new Map();
+
+    for (const budget of options.budgets || []) {
+      this.setBudget(budget);
+    }
+  }
+
+  /**
+   * Set a budget, or change the limit or period of an existing one
+   *
+   * The spend recorded so far is kept.
+   *
+   * @param {Budget} budget - Budget
+   * @returns {void}
+   */
+  setBudget(budget) {
+    const { scope, id, maxBudget, period = null } = budget;
+
+    if (!SCOPES.includes(scope)) {
+      throw new BadRequestError(`Unknown budget scope: ${scope}`);
+    }
+    if (!id) {
+      throw new BadRequestError('Budget requires an id');
+    }
+    if (typeof maxBudget !== 'number' || maxBudget < 0) {
+      throw new BadRequestError(`Invalid maxBudget for ${scope} ${id}: ${maxBudget}`);
+    }
+    if (period !== null && !PERIODS.includes(period)) {
+      throw new BadRequestError(`Unknown budget period: ${period}`);
+    }
+
+    this.budgets.set(this._getKey(scope, id), { scope, id, maxBudget, period });
+  }
+
+  /**
+   * Remove a budget
+   *
+   * @param {string} scope - 'user', 'tag' or 'deployment'
+   * @param {string} id - Budget id
+   * @returns {Promise<void>}
+   */
+  async removeBudget(scope, id) {
+    const key = this._getKey(scope, id);
+    this.budgets.delete(key);
+    await this.store.delete(key);
+  }
+
+  /**
+   * Get a budget and its spend in the current period
+   *
+   * @param {string} scope - 'user', 'tag' or 'deployment'
+   * @param {string} id - Budget id
+   * @returns {Promise<Object|null>} - { scope, id, maxBudget, period, spend, resetAt }, or null if there is no such budget
+   */
+  async getBudget(scope, id) {
+    const budget = this.budgets.get(this._getKey(scope, id));
+    return budget ? await this._getState(budget) : null;
+  }
+
+  /**
+   * Reset the spend of a budget to zero
+   *
+   * @param {string} scope - 'user', 'tag' or 'deployment'
+   * @param {string} id - Budget id
+   * @returns {Promise<void>}
+   */
+  async resetSpend(scope, id) {
+    await this.store.delete(this._getKey(scope, id));
+  }
+
+  /**
+   * Check the budgets that apply to a request
+   *
+   * @param {Object} context - Request details
+   * @param {string} [context.user] - User id
+   * @param {Array<string>} [context.tags] - Tags
+   * @param {string} [context.deployment] - Deployment
+   * @returns {Promise<void>}
+   * @throws {BudgetExceededError} - If one of the budgets is used up
+   */
+  async check(context) {
+    const exceeded = await this._findExceeded(context);
+    if (exceeded) {
+      throw new BudgetExceededError(
+        `Budget exceeded for ${exceeded.scope} ${exceeded.id}: spent $${Number(exceeded.spend.toFixed(6))} of $${exceeded.maxBudget}` +
+          (exceeded.period ? ` (${exceeded.period})` : ''),
+        429,
+        {},
+        { budget: exceeded }
+      );
+    }
+  }
+
+  /**
+   * Check whether all budgets that apply to a request have room left
+   *
+   * @param {Object} context - Request details, see check
+   * @returns {Promise<boolean>} - False if one of the budgets is used up
+   */
+  async isWithinBudget(context) {
+    return !(await this._findExceeded(context));
+  }
+
+  /**
+   * Check whether any budget applies to a request
+   *
+   * @param {Object} context - Request details, see check
+   * @returns {boolean} - True if a user, tag or deployment budget is set for the request
+   */
+  hasBudget(context) {
+    return this._getBudgets(context).length > 0;
+  }
+
+  /**
+   * Get the cost of a response of a model without prices, at the fallback price
+   *
+   * @param {Object|null} usage - OpenAI format usage of the response
+   * @returns {number|null} - Cost in USD, or null if there is no fallback price or usage
+   */
+  getFallbackCost(usage) {
+    if (!this.fallbackPrice || !usage) {
+      return null;
+    }
+    return usageCost(usage, this.fallbackPrice);
+  }
+
+  /**
+   * Record the cost of a request against the budgets that apply to it
+   *
+   * @param {Object} context - Request details, see check
+   * @param {number} cost - Cost in USD
+   * @returns {Promise<void>}
+   */
+  async recordSpend(context, cost) {
+    if (!cost) {
+      return;
+    }
+
+    await Promise.all(this._getBudgets(context).map(budget => {
+      const key = this._getKey(budget.scope, budget.id);
+      const update = async () => {
+        const state = await this._getState(budget);
+        await this.store.set(key, {
+          spend: state.spend + cost,
+          periodStart: getPeriodStart(budget.period, Date.now())
+        });
+      };
+
+      const pending = (this.updates.get(key) || Promise.resolve()).then(update, update);
+      this.updates.set(key, pending);
+      return pending.finally(() => {
+        if (this.updates.get(key) === pending) {
+          this.updates.delete(key);
+        }
+      });
+    }));
+  }
+
+  /**
+   * Find the first used up budget that applies to a request
+   *
+   * @private
+   * @param {Object} context - Request details
+   * @returns {Promise<Object|null>} - Budget state, or null if all have room left
+   */
+  async _findExceeded(context) {
+    for (const budget of this._getBudgets(context)) {
+      const state = await this._getState(budget);
+      if (state.spend >= state.maxBudget) {
+        return state;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the budgets that apply to a request
+   *
+   * @private
+   * @param {Object} context - Request details
+   * @returns {Array<Budget>} - Budgets
+   */
+  _getBudgets(context = {}) {
+    const ids = [
+      ['user', context.user],
+      ...(context.tags || []).map(tag => ['tag', tag]),
+      ['deployment', context.deployment]
+    ];
+
+    return ids
+      .filter(([, id]) => id)
+      .map(([scope, id]) => this.budgets.get(this._getKey(scope, id)))
+      .filter(Boolean);
+  }
+
+  /**
+   * Get a budget with its spend in the current period
+   *
+   * @private
+   * @param {Budget} budget - Budget
+   * @returns {Promise<Object>} - { scope, id, maxBudget, period, spend, resetAt }
+   */
+  async _getState(budget) {
+    const now = Date.now();
+    const periodStart = getPeriodStart(budget.period, now);
+    const stored = await this.store.get(this._getKey(budget.scope, budget.id));
+
+    return {
+      ...budget,
+      // Spend from an earlier period no longer counts
+      spend: stored && stored.periodStart === periodStart ? stored.spend : 0,
+      resetAt: getPeriodEnd(budget.period, now)
+    };
+  }
+
+  /**
+   * Get the store key of a budget
+   *
+   * @private
+   * @param {string} scope - Budget scope
+   * @param {string} id - Budget id
+   * @returns {string} - Store key
+   */
+  _getKey(scope, id) {
+    return `${this.namespace}:${scope}:${id}`;
+  }
+}
+
+/**
+ * Get the start of the period a time falls in
+ *
+ * @private
+ * @param {string|null} period - 'daily', 'monthly' or null
+ * @param {number} now - Time in milliseconds
+ * @returns {number} - Period start in milliseconds, 0 for budgets that never reset
+ */
+function getPeriodStart(period, now) {
+  const date = new Date(now);
+  if (period === 'daily') {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  }
+  if (period === 'monthly') {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  }
+  return 0;
+}
+
+/**
+ * Get the time the spend of a period is reset
+ *
+ * @private
+ * @param {string|null} period - 'daily', 'monthly' or null
+ * @param {number} now - Time in milliseconds
+ * @returns {number|null} - Reset time in milliseconds, null for budgets that never reset
+ */
+function getPeriodEnd(period, now) {
+  const date = new Date(now);
+  if (period === 'daily') {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  }
+  if (period === 'monthly') {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  }
+  return null;
+}
@@ -0,0 +1,455 @@
+// Request options that control how a call is made but not what it returns;
+// trim_messages is not one of them, see getCacheKey
+const NON_KEY_OPTIONS = ['stream', 'stream_options', 'retry', 'priority', 'signal', 'timeout', 'streamIdleTimeout', 'cache', 'tags', 'budget', 'callbacks'];
+
+/**
+ * In-memory least-recently-used cache store
+ */
+export class InMemoryCache {
+  /**
+   * Initialize a new in-memory cache
+   *
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.maxSize=1000] - Entries kept before the least recently used are evicted
+   */
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || 1000;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} - The value, or undefined if missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert to mark the entry as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   *
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @param {number} [ttl] - Time to live in milliseconds
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl : null });
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove a value
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove all values
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Cache store keeping one JSON file per entry in a directory (Node.js only)
+ */
+export class FileSystemCache {
+  /**
+   * Initialize a new filesystem cache
+   *
+   * @param {Object} [options] - Cache options
+   * @param {string} [options.directory='.litellm_cache'] - Directory the entries are written to
+   */
+  constructor(options = {}) {
+    this.directory = (options.directory || '.litellm_cache').replace(/[\\/]+$/, '');
+  }
+
+  /**
+   * Get a value
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} - The value, or undefined if missing or expired
+   */
+  async get(key) {
+    const fs = await this._getFs();
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this._getPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   *
+   * @param {string} key - Cache key
+   * @param {*} value - JSON serializable value to store
+   * @param {number} [ttl] - Time to live in milliseconds
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    const fs = await this._getFs();
+    const path = this._getPath(key);
+    const tempPath = `${path}.${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}.tmp`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write and rename so concurrent readers never see a partial file
+    await fs.writeFile(tempPath, JSON.stringify({ value, expiresAt: ttl ? Date.now() + ttl : null }));
+    await fs.rename(tempPath, path);
+  }
+
+  /**
+   * Remove a value
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const fs = await this._getFs();
+    await fs.rm(this._getPath(key), { force: true });
+  }
+
+  /**
+   * Remove all values
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const fs = await this._getFs();
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+
+  /**
+   * Get the file an entry is stored in
+   *
+   * @private
+   * @param {string} key - Cache key
+   * @returns {string} - File path
+   */
+  _getPath(key) {
+    return `${this.directory}/${key.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`;
+  }
+
+  /**
+   * Load the Node.js filesystem module on first use, so the module can be
+   * bundled for the browser
+   *
+   * @private
+   * @returns {Promise<Object>} - fs/promises
+   */
+  async _getFs() {
+    if (!this.fs) {
+      this.fs = await import('fs/promises');
+    }
+    return this.fs;
+  }
+}
+
+/**
+ * Store keeping all entries in a single JSON file (Node.js only)
+ *
+ * The file is read once and rewritten on every change, which suits small
+ * data that must survive restarts, such as budget spend; use a
+ * FileSystemCache for large caches.
+ */
+export class JSONFileStore {
+  /**
+   * Initialize a new JSON file store
+   *
+   * @param {Object} options - Store options
+   * @param {string} options.path - File the entries are kept in
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('JSONFileStore requires a path');
+    }
+    this.path = options.path;
+    this.entries = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Get a value
+   *
+   * @param {string} key - Entry key
+   * @returns {Promise<*>} - The value, or undefined if missing or expired
+   */
+  async get(key) {
+    const entries = await this._load();
+    const entry = entries[key];
+    if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) {
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   *
+   * @param {string} key - Entry key
+   * @param {*} value - JSON serializable value to store
+   * @param {number} [ttl] - Time to live in milliseconds
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    const entries = await this._load();
+    entries[key] = { value, expiresAt: ttl ? Date.now() + ttl : null };
+    await this._save();
+  }
+
+  /**
+   * Remove a value
+   *
+   * @param {string} key - Entry key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const entries = await this._load();
+    delete entries[key];
+    await this._save();
+  }
+
+  /**
+   * Remove all values
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries = {};
+    await this._save();
+  }
+
+  /**
+   * Read the file on first use
+   *
+   * @private
+   * @returns {Promise<Object>} - Entries by key
+   */
+  async _load() {
+    if (!this.entries) {
+      this.entries = this._read();
+    }
+    return await this.entries;
+  }
+
+  /**
+   * Read and parse the file
+   *
+   * @private
+   * @returns {Promise<Object>} - Entries by key, empty if the file does not exist yet
+   */
+  async _read() {
+    const fs = await import('fs/promises');
+    try {
+      return JSON.parse(await fs.readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write the entries, one write at a time
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _save() {
+    const write = async () => {
+      const fs = await import('fs/promises');
+      const entries = await this._load();
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(entries)) {
+        if (entry.expiresAt && entry.expiresAt <= now) {
+          delete entries[key];
+        }
+      }
+
+      const tempPath = `${this.path}.${now.toString(36)}${Math.random().toString(36).substr(2, 5)}.tmp`;
+      // Write and rename so a crash never leaves a partial file
+      await fs.writeFile(tempPath, JSON.stringify(entries));
+      await fs.rename(tempPath, this.path);
+    };
+
+    this.writing = this.writing.then(write, write);
+    await this.writing;
+  }
+}
+
+/**
+ * Completion cache on top of a cache store
+ *
+ * Entries carry their own expiry time, so stores without TTL support
+ * (e.g. a plain IndexedDB adapter) work as well.
+ */
+export class ResponseCache {
+  /**
+   * Initialize a new response cache
+   *
+   * @param {Object} [options] - Cache options
+   * @param {CacheStore} [options.store] - Where entries are kept, defaults to an InMemoryCache
+   * @param {number} [options.ttl] - Default time to live in milliseconds; entries never expire without one
+   * @param {string} [options.namespace='litellm'] - Prefix for the cache keys
+   */
+  constructor(options = {}) {
+    this.store = options.store || new InMemoryCache();
+    this.ttl = options.ttl || null;
+    this.namespace = options.namespace || 'litellm';
+  }
+
+  /**
+   * Get the cache key for a request
+   *
+   * @param {CompletionOptions} options - Request options
+   * @returns {Promise<string>} - Cache key
+   */
+  async getKey(options) {
+    return `${this.namespace}:${await getCacheKey(options)}`;
+  }
+
+  /**
+   * Get a cached response
+   *
+   * Store failures are treated as a miss; a broken cache must not break completions.
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - The response, or null on a miss
+   */
+  async get(key) {
+    try {
+      const entry = await this.store.get(key);
+      if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) {
+        return null;
+      }
+      return entry.response;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store a response
+   *
+   * @param {string} key - Cache key
+   * @param {Object} response - Completion response
+   * @param {number} [ttl] - Time to live in milliseconds, overrides the default
+   * @returns {Promise<void>}
+   */
+  async set(key, response, ttl = this.ttl) {
+    const { cache_hit, ...stored } = response;
+    try {
+      await this.store.set(key, { response: stored, expiresAt: ttl ? Date.now() + ttl : null }, ttl || undefined);
+    } catch (error) {
+      // Ignored for the same reason as in get
+    }
+  }
+}
+
+/**
+ * Get a cache key for a request
+ *
+ * The model, messages and parameters are serialized with sorted keys and
+ * hashed, so the key doesn't depend on property order. Options that only
+ * control how the call is made (stream, retry, timeout, ...) are left out,
+ * so a streamed and a regular call share their entry.
+ *
+ * The key is taken over the messages as given, before trim_messages is
+ * applied, and includes the trim options. Trimming is deterministic for the
+ * same messages, options and model, so calls sharing a key send the same
+ * prompt. A summarize function can't be part of a key, which is why calls
+ * trimming with one are not cached.
+ *
+ * @param {CompletionOptions} options - Request options
+ * @returns {Promise<string>} - Hex digest
+ */
+export async function getCacheKey(options) {
+  const params = { ...options };
+  for (const key of NON_KEY_OPTIONS) {
+    delete params[key];
+  }
+  return await hash(stableStringify(params));
+}
+
+/**
+ * Serialize a value as JSON with object keys in sorted order
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} - JSON text
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => item === undefined ? 'null' : stableStringify(item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash a string, with SHA-256 where Web Crypto is available and 64-bit FNV-1a otherwise
+ *
+ * @private
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+async function hash(text) {
+  const bytes = new TextEncoder().encode(text);
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+
+  if (subtle) {
+    const digest = await subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  let value = 0xcbf29ce484222325n;
+  for (const byte of bytes) {
+    value ^= BigInt(byte);
+    value = (value * 0x100000001b3n) & 0xffffffffffffffffn;
+  }
+  return value.toString(16).padStart(16, '0');
+}
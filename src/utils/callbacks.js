@@ -0,0 +1,279 @@
+import { BadRequestError } from './errors.js';
+import { streamChunkBuilder } from './chunks.js';
+
+// Events handlers can be registered for
+export const CALLBACK_EVENTS = ['pre_call', 'post_call_success', 'post_call_failure', 'stream_chunk', 'stream_end'];
+
+/**
+ * Callback handlers observing the calls of a LiteLLM instance
+ *
+ * Handlers are registered for all calls with on(), or for one call with
+ * its `callbacks` option. pre_call handlers are awaited and can change or
+ * reject the request. The other handlers only observe: they are not
+ * awaited, and their errors go to onError instead of failing the call.
+ */
+export class CallbackManager {
+  /**
+   * Initialize a new callback manager
+   *
+   * @param {Object} [options] - Callback manager options
+   * @param {function(Error, string): void} [options.onError] - Called with the error and the event when a handler throws
+   */
+  constructor(options = {}) {
+    this.handlers = {};
+    for (const event of CALLBACK_EVENTS) {
+      this.handlers[event] = [];
+    }
+    this.onError = options.onError || (() => {});
+  }
+
+  /**
+   * Register a handler for all calls
+   *
+   * @param {string} event - Event name, see CALLBACK_EVENTS
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} - Removes the handler again
+   */
+  on(event, handler) {
+    this._validateEvent(event);
+    if (typeof handler !== 'function') {
+      throw new BadRequestError(`Handler for ${event} must be a function`);
+    }
+    this.handlers[event].push(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Remove a handler registered with on()
+   *
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler to remove
+   * @returns {void}
+   */
+  off(event, handler) {
+    this._validateEvent(event);
+    this.handlers[event] = this.handlers[event].filter(registered => registered !== handler);
+  }
+
+  /**
+   * Start a call and run its pre_call handlers
+   *
+   * Each pre_call handler can change `payload.options` or return a new
+   * options object, and throws to reject the call; a rejected call is reported
+   * to the post_call_failure handlers.
+   *
+   * @param {string} callType - 'completion', 'stream_completion', 'embedding', 'image_generation',
+   *   'transcription' or 'speech'
+   * @param {Object} options - Request options, including the `callbacks` option
+   * @returns {Promise<Object>} - The call; its options are the request options to send
+   */
+  async start(callType, options) {
+    const call = {
+      id: `call-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+      callType,
+      options: { ...options },
+      callbacks: options.callbacks === false ? false : [].concat(options.callbacks || []),
+      startTime: Date.now(),
+      firstChunkTime: null,
+      chunks: 0
+    };
+
+    try {
+      for (const handler of this._getHandlers(call, 'pre_call')) {
+        const payload = this._getPayload(call);
+        const result = await handler(payload);
+        call.options = result && typeof result === 'object' ? result : payload.options;
+      }
+    } catch (error) {
+      this.failure(call, error);
+      throw error;
+    }
+    return call;
+  }
+
+  /**
+   * Report a successful call
+   *
+   * @param {Object} call - The call
+   * @param {Object} response - Response returned to the caller
+   * @returns {void}
+   */
+  success(call, response) {
+    this._emit(call, 'post_call_success', () => ({
+      ...this._getResultPayload(call),
+      response,
+      provider: response?._hidden_params?.provider ?? null,
+      deployment: response?.deployment ?? null,
+      usage: response?.usage ?? null,
+      cost: response?._hidden_params?.response_cost ?? null,
+      cacheHit: response?.cache_hit ?? false
+    }));
+  }
+
+  /**
+   * Report a successful stream, with the completion rebuilt from its chunks
+   *
+   * @param {Object} call - The call
+   * @param {Array<Object>} chunks - Chunks yielded to the caller
+   * @returns {void}
+   */
+  streamSuccess(call, chunks) {
+    if (this._getHandlers(call, 'post_call_success').length === 0) {
+      return;
+    }
+
+    const last = chunks[chunks.length - 1] || {};
+    const response = streamChunkBuilder(chunks);
+    if (last.deployment) {
+      response.deployment = last.deployment;
+    }
+    if (last.cache_hit !== undefined) {
+      response.cache_hit = last.cache_hit;
+    }
+    this.success(call, response);
+  }
+
+  /**
+   * Report a failed call
+   *
+   * @param {Object} call - The call
+   * @param {Error} error - Error thrown to the caller
+   * @returns {void}
+   */
+  failure(call, error) {
+    this._emit(call, 'post_call_failure', () => ({
+      ...this._getResultPayload(call),
+      error,
+      provider: error?.provider ?? null
+    }));
+  }
+
+  /**
+   * Report a stream chunk
+   *
+   * @param {Object} call - The call
+   * @param {Object} chunk - Chunk yielded to the caller
+   * @returns {void}
+   */
+  chunk(call, chunk) {
+    if (call.firstChunkTime === null) {
+      call.firstChunkTime = Date.now();
+    }
+    const index = call.chunks++;
+
+    this._emit(call, 'stream_chunk', () => ({
+      ...this._getPayload(call),
+      chunk,
+      index,
+      timeToFirstToken: call.firstChunkTime - call.startTime
+    }));
+  }
+
+  /**
+   * Report the end of a stream
+   *
+   * @param {Object} call - The call
+   * @param {string} status - 'completed', 'failed', or 'abandoned' if the caller stopped reading
+   * @returns {void}
+   */
+  streamEnd(call, status) {
+    this._emit(call, 'stream_end', () => ({
+      ...this._getResultPayload(call),
+      status,
+      chunks: call.chunks
+    }));
+  }
+
+  /**
+   * Call the handlers of an event, building the payload only if there are any
+   *
+   * @private
+   * @param {Object} call - The call
+   * @param {string} event - Event name
+   * @param {Function} getPayload - Builds the payload
+   * @returns {void}
+   */
+  _emit(call, event, getPayload) {
+    const handlers = this._getHandlers(call, event);
+    if (handlers.length === 0) {
+      return;
+    }
+
+    const payload = getPayload();
+    for (const handler of handlers) {
+      try {
+        const result = handler(payload);
+        if (result && typeof result.then === 'function') {
+          result.then(null, error => this.onError(error, event));
+        }
+      } catch (error) {
+        this.onError(error, event);
+      }
+    }
+  }
+
+  /**
+   * Get the global and per-call handlers of an event
+   *
+   * @private
+   * @param {Object} call - The call
+   * @param {string} event - Event name
+   * @returns {Array<Function>} - Handlers, global ones first
+   */
+  _getHandlers(call, event) {
+    if (call.callbacks === false) {
+      return [];
+    }
+    return [
+      ...this.handlers[event],
+      ...call.callbacks.map(callbacks => callbacks[event]).filter(Boolean)
+    ];
+  }
+
+  /**
+   * Get the payload fields every event has
+   *
+   * @private
+   * @param {Object} call - The call
+   * @returns {Object} - { callId, callType, model, options, startTime }
+   */
+  _getPayload(call) {
+    return {
+      callId: call.id,
+      callType: call.callType,
+      model: call.options.model,
+      options: call.options,
+      startTime: call.startTime
+    };
+  }
+
+  /**
+   * Get the payload fields of events at the end of a call
+   *
+   * @private
+   * @param {Object} call - The call
+   * @returns {Object} - Common fields plus { endTime, latency, timeToFirstToken }
+   */
+  _getResultPayload(call) {
+    const endTime = Date.now();
+    return {
+      ...this._getPayload(call),
+      endTime,
+      latency: endTime - call.startTime,
+      timeToFirstToken: call.firstChunkTime === null ? null : call.firstChunkTime - call.startTime
+    };
+  }
+
+  /**
+   * Check that an event name is known
+   *
+   * @private
+   * @param {string} event - Event name
+   * @returns {void}
+   */
+  _validateEvent(event) {
+    if (!CALLBACK_EVENTS.includes(event)) {
+      throw new BadRequestError(`Unknown callback event: ${event}`);
+    }
+  }
+}
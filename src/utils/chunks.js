@@ -0,0 +1,188 @@
+/**
+ * Rebuild a complete chat completion from the chunks of a streamed completion
+ *
+ * Content and refusal deltas are concatenated, tool call fragments are merged
+ * by index, and the last finish_reason, usage and _hidden_params reported are kept.
+ *
+ * @param {Array<Object>} chunks - OpenAI format chunks as yielded by streamCompletion
+ * @returns {Object} - OpenAI format completion, as returned by completion
+ */
+export function streamChunkBuilder(chunks) {
+  const first = chunks.find(chunk => chunk && chunk.id) || {};
+  const choices = {};
+  let usage = null;
+  let systemFingerprint = null;
+  let hiddenParams = null;
+
+  for (const chunk of chunks) {
+    if (!chunk) {
+      continue;
+    }
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+    if (chunk.system_fingerprint) {
+      systemFingerprint = chunk.system_fingerprint;
+    }
+    if (chunk._hidden_params) {
+      hiddenParams = chunk._hidden_params;
+    }
+
+    for (const choice of chunk.choices || []) {
+      const index = choice.index || 0;
+      if (!choices[index]) {
+        choices[index] = {
+          index: index,
+          message: { role: 'assistant', content: null },
+          finish_reason: null,
+          toolCalls: {}
+        };
+      }
+      mergeChoice(choices[index], choice);
+    }
+  }
+
+  const response = {
+    id: first.id,
+    object: 'chat.completion',
+    created: first.created || Math.floor(Date.now() / 1000),
+    model: first.model,
+    choices: Object.values(choices)
+      .sort((a, b) => a.index - b.index)
+      .map(({ toolCalls, ...choice }) => {
+        const calls = Object.keys(toolCalls)
+          .sort((a, b) => a - b)
+          .map(index => toolCalls[index]);
+        if (calls.length > 0) {
+          choice.message.tool_calls = calls;
+        }
+        return choice;
+      })
+  };
+
+  if (systemFingerprint) {
+    response.system_fingerprint = systemFingerprint;
+  }
+  if (usage) {
+    response.usage = usage;
+  }
+  if (hiddenParams) {
+    response._hidden_params = hiddenParams;
+  }
+
+  return response;
+}
+
+/**
+ * Merge one chunk choice into the accumulated choice
+ *
+ * @private
+ * @param {Object} target - Accumulated choice
+ * @param {Object} choice - Chunk choice
+ * @returns {void}
+ */
+function mergeChoice(target, choice) {
+  const delta = choice.delta || {};
+  const message = target.message;
+
+  if (delta.role) {
+    message.role = delta.role;
+  }
+  if (typeof delta.content === 'string' && delta.content !== '') {
+    message.content = (message.content || '') + delta.content;
+  }
+  if (typeof delta.refusal === 'string') {
+    message.refusal = (message.refusal || '') + delta.refusal;
+  }
+
+  if (delta.function_call) {
+    message.function_call = message.function_call || { name: '', arguments: '' };
+    if (delta.function_call.name) {
+      message.function_call.name = delta.function_call.name;
+    }
+    message.function_call.arguments += delta.function_call.arguments || '';
+  }
+
+  for (const [position, fragment] of (delta.tool_calls || []).entries()) {
+    const index = fragment.index ?? position;
+    if (!target.toolCalls[index]) {
+      target.toolCalls[index] = {
+        id: fragment.id,
+        type: fragment.type || 'function',
+        function: { name: '', arguments: '' }
+      };
+    }
+
+    const toolCall = target.toolCalls[index];
+    if (fragment.id) {
+      toolCall.id = fragment.id;
+    }
+    if (fragment.function?.name) {
+      toolCall.function.name = fragment.function.name;
+    }
+    toolCall.function.arguments += fragment.function?.arguments || '';
+  }
+
+  if (choice.finish_reason) {
+    target.finish_reason = choice.finish_reason;
+  }
+}
+
+/**
+ * Split a complete chat completion into stream chunks, the reverse of
+ * streamChunkBuilder
+ *
+ * Each choice is sent as one delta chunk followed by a chunk with its
+ * finish_reason. Usage is sent in a final chunk without choices when
+ * `includeUsage` is set, like OpenAI does for stream_options.include_usage,
+ * and on the last chunk otherwise; _hidden_params go on the last chunk.
+ *
+ * @param {Object} response - OpenAI format completion
+ * @param {Object} [options] - Chunk options
+ * @param {boolean} [options.includeUsage=false] - Send the usage in a final chunk
+ * @returns {Array<Object>} - OpenAI format chunks
+ */
+export function completionToChunks(response, options = {}) {
+  const base = {
+    id: response.id,
+    object: 'chat.completion.chunk',
+    created: response.created,
+    model: response.model
+  };
+  if (response.system_fingerprint) {
+    base.system_fingerprint = response.system_fingerprint;
+  }
+
+  const chunks = [];
+  for (const choice of response.choices || []) {
+    const { role, content, refusal, function_call, tool_calls } = choice.message || {};
+    const delta = { role: role || 'assistant', content: content ?? null };
+
+    if (refusal) {
+      delta.refusal = refusal;
+    }
+    if (function_call) {
+      delta.function_call = function_call;
+    }
+    if (tool_calls) {
+      delta.tool_calls = tool_calls.map((toolCall, index) => ({ index, ...toolCall }));
+    }
+
+    chunks.push({ ...base, choices: [{ index: choice.index || 0, delta, finish_reason: null }] });
+    chunks.push({ ...base, choices: [{ index: choice.index || 0, delta: {}, finish_reason: choice.finish_reason ?? null }] });
+  }
+
+  if (options.includeUsage && response.usage) {
+    chunks.push({ ...base, choices: [], usage: response.usage });
+  }
+
+  const last = chunks[chunks.length - 1];
+  if (last && response.usage && !last.usage) {
+    last.usage = response.usage;
+  }
+  if (last && response._hidden_params) {
+    last._hidden_params = response._hidden_params;
+  }
+
+  return chunks;
+}
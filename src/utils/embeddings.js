@@ -0,0 +1,65 @@
+/**
+ * Split embedding inputs into batches no larger than the provider accepts
+ *
+ * @param {Array} inputs - Embedding inputs
+ * @param {number} batchSize - Maximum inputs per request
+ * @returns {Array<Array>} - Batches
+ */
+export function splitIntoBatches(inputs, batchSize) {
+  if (!batchSize || batchSize >= inputs.length) {
+    return [inputs];
+  }
+
+  const batches = [];
+  for (let i = 0; i < inputs.length; i += batchSize) {
+    batches.push(inputs.slice(i, i + batchSize));
+  }
+  return batches;
+}
+
+/**
+ * Decode a base64 encoded embedding (little-endian float32) into a Float32Array.
+ * Plain number arrays, as returned by providers without base64 support, are converted as well.
+ *
+ * @param {string|Array<number>|Float32Array} embedding - Embedding as returned by the provider
+ * @returns {Float32Array} - Decoded embedding
+ */
+export function decodeEmbedding(embedding) {
+  if (embedding instanceof Float32Array) {
+    return embedding;
+  }
+  if (Array.isArray(embedding)) {
+    return Float32Array.from(embedding);
+  }
+
+  const binary = atob(embedding);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Float32Array(bytes.buffer, 0, Math.floor(bytes.length / 4));
+}
+
+/**
+ * Build an OpenAI format embedding response
+ *
+ * @param {string} model - Model name
+ * @param {Array<Array<number>>} embeddings - Embeddings in input order
+ * @param {number} [promptTokens=0] - Input tokens reported by the provider
+ * @returns {Object} - OpenAI format response ({ object, data, model, usage })
+ */
+export function createEmbeddingResponse(model, embeddings, promptTokens = 0) {
+  return {
+    object: 'list',
+    data: embeddings.map((embedding, index) => ({
+      object: 'embedding',
+      embedding: embedding,
+      index: index
+    })),
+    model: model,
+    usage: {
+      prompt_tokens: promptTokens,
+      total_tokens: promptTokens
+    }
+  };
+}
@@ -0,0 +1,339 @@
+import { isRetryableStatus } from './retry.js';
+
+// Provider messages for prompts that don't fit the model's context window
+const CONTEXT_WINDOW_PATTERN = /context[_ ]length|context window|maximum context|prompt is too long|too many tokens|input is too long|exceeds the (model's )?(maximum|max)/i;
+
+// Provider messages for requests refused by a safety or moderation system
+const CONTENT_POLICY_PATTERN = /content (management )?policy|content[_ ]filter|safety system|flagged by/i;
+
+/**
+ * Base class for all LiteLLM errors
+ */
+export class LiteLLMError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status, or the closest equivalent
+   * @param {Object} [data={}] - Parsed error payload
+   * @param {Object} [options] - Error details
+   * @param {string} [options.provider] - Provider the request went to
+   * @param {string} [options.model] - Model the request was for
+   * @param {boolean} [options.retryable] - Whether repeating the request may succeed, defaults to the error type's
+   * @param {string} [options.body] - Raw response body
+   * @param {Object} [options.headers] - Response headers
+   */
+  constructor(message, status, data = {}, options = {}) {
+    super(message);
+    this.name = 'LiteLLMError';
+    this.status = status;
+    this.data = data;
+    this.provider = options.provider ?? null;
+    this.model = options.model ?? null;
+    this.retryable = options.retryable ?? this.constructor.retryable ?? isRetryableStatus(status);
+    this.body = options.body ?? null;
+    this.headers = options.headers ?? {};
+  }
+}
+
+/**
+ * The request was invalid (400 and other client errors)
+ */
+export class BadRequestError extends LiteLLMError {
+  static retryable = false;
+
+  constructor(message, status = 400, data, options) {
+    super(message, status, data, options);
+    this.name = 'BadRequestError';
+  }
+}
+
+/**
+ * The API key or credentials were missing, invalid or lack permission (401, 403)
+ */
+export class AuthenticationError extends LiteLLMError {
+  static retryable = false;
+
+  constructor(message, status = 401, data, options) {
+    super(message, status, data, options);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * The model or resource does not exist (404)
+ */
+export class NotFoundError extends LiteLLMError {
+  static retryable = false;
+
+  constructor(message, status = 404, data, options) {
+    super(message, status, data, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The prompt does not fit the model's context window
+ */
+export class ContextWindowExceededError extends BadRequestError {
+  constructor(message, status = 400, data, options) {
+    super(message, status, data, options);
+    this.name = 'ContextWindowExceededError';
+  }
+}
+
+/**
+ * The request or response was blocked by the provider's content policy
+ */
+export class ContentPolicyViolationError extends BadRequestError {
+  constructor(message, status = 400, data, options) {
+    super(message, status, data, options);
+    this.name = 'ContentPolicyViolationError';
+  }
+}
+
+/**
+ * A rate limit or quota was hit (429)
+ */
+export class RateLimitError extends LiteLLMError {
+  static retryable = true;
+
+  constructor(message, status = 429, data, options) {
+    super(message, status, data, options);
+    this.name = 'RateLimitError';
+  }
+}
+
+/**
+ * The provider failed or is overloaded (5xx)
+ */
+export class ServiceUnavailableError extends LiteLLMError {
+  static retryable = true;
+
+  constructor(message, status = 503, data, options) {
+    super(message, status, data, options);
+    this.name = 'ServiceUnavailableError';
+  }
+}
+
+/**
+ * The request or stream timed out (408)
+ */
+export class TimeoutError extends LiteLLMError {
+  static retryable = true;
+
+  /**
+   * @param {string} message - Error message
+   * @param {number} [status=408] - HTTP status
+   * @param {Object} [data] - Error payload
+   * @param {Object} [options] - Error details, plus `timeout` in milliseconds
+   */
+  constructor(message, status = 408, data, options = {}) {
+    super(message, status, data, options);
+    this.name = 'TimeoutError';
+    this.timeout = options.timeout ?? null;
+  }
+}
+
+/**
+ * The provider could not be reached (connection refused, reset, DNS failure)
+ *
+ * No HTTP response was received, so `status` is null.
+ */
+export class APIConnectionError extends LiteLLMError {
+  static retryable = true;
+
+  /**
+   * @param {string} message - Error message
+   * @param {null} [status=null] - No HTTP status
+   * @param {Object} [data] - Error payload, with the fetch error as `originalError`
+   * @param {Object} [options] - Error details, plus `code`, the network error code such as ECONNRESET
+   */
+  constructor(message, status = null, data, options = {}) {
+    super(message, status, data, options);
+    this.name = 'APIConnectionError';
+    this.code = options.code ?? null;
+  }
+}
+
+/**
+ * A spend budget was used up (429)
+ *
+ * Not retryable, as the budget only frees up when its period resets.
+ */
+export class BudgetExceededError extends LiteLLMError {
+  static retryable = false;
+
+  /**
+   * @param {string} message - Error message
+   * @param {number} [status=429] - HTTP status
+   * @param {Object} [data] - Error payload
+   * @param {Object} [options] - Error details, plus `budget` ({ scope, id, maxBudget, period, spend, resetAt })
+   */
+  constructor(message, status = 429, data, options = {}) {
+    super(message, status, data, options);
+    this.name = 'BudgetExceededError';
+    this.budget = options.budget ?? null;
+  }
+}
+
+// Error classes by the type names providers classify errors with
+export const ERROR_TYPES = {
+  bad_request: BadRequestError,
+  authentication: AuthenticationError,
+  not_found: NotFoundError,
+  context_window_exceeded: ContextWindowExceededError,
+  content_policy_violation: ContentPolicyViolationError,
+  rate_limit: RateLimitError,
+  service_unavailable: ServiceUnavailableError,
+  timeout: TimeoutError,
+  api_connection: APIConnectionError,
+  budget_exceeded: BudgetExceededError
+};
+
+/**
+ * Get the error type for an HTTP status
+ *
+ * @param {number} status - HTTP status
+ * @returns {string|null} - Error type, or null for statuses without one (such as 499 for aborted requests)
+ */
+export function getErrorTypeForStatus(status) {
+  switch (status) {
+    case 401:
+    case 403:
+      return 'authentication';
+    case 404:
+      return 'not_found';
+    case 408:
+      return 'timeout';
+    case 429:
+      return 'rate_limit';
+  }
+  if (status >= 500) {
+    return 'service_unavailable';
+  }
+  if (status >= 400 && status !== 499) {
+    return 'bad_request';
+  }
+  return null;
+}
+
+/**
+ * Get the human readable message from an error payload
+ *
+ * @param {Object|string} data - Error payload
+ * @returns {string} - Message, or an empty string
+ */
+export function getErrorMessage(data) {
+  if (typeof data === 'string') {
+    return data;
+  }
+  const error = data?.error ?? data;
+  if (typeof error === 'string') {
+    return error;
+  }
+  return error?.message || error?.Message || data?.message || data?.detail || '';
+}
+
+/**
+ * Classify an error payload in the OpenAI format, or by its message
+ *
+ * Recognizes OpenAI and Azure error codes (context_length_exceeded,
+ * content_filter, invalid_api_key, ...) and context window and content
+ * policy messages of other providers.
+ *
+ * @param {number} status - HTTP status
+ * @param {Object|string} data - Error payload
+ * @returns {string|null} - Error type, or null if nothing specific was found
+ */
+export function detectErrorType(status, data) {
+  const error = data?.error ?? data;
+  const code = typeof error === 'object' && error !== null ? error.code || error.type : null;
+  const message = getErrorMessage(data);
+
+  if (code === 'context_length_exceeded' ||
+    ((status === 400 || status === 413) && CONTEXT_WINDOW_PATTERN.test(message))) {
+    return 'context_window_exceeded';
+  }
+  if (code === 'content_filter' || code === 'content_policy_violation' ||
+    error?.innererror?.code === 'ResponsibleAIPolicyViolation' ||
+    (status === 400 && CONTENT_POLICY_PATTERN.test(message))) {
+    return 'content_policy_violation';
+  }
+  if (code === 'invalid_api_key') {
+    return 'authentication';
+  }
+  if (code === 'model_not_found') {
+    return 'not_found';
+  }
+  if (code === 'rate_limit_exceeded' || code === 'insufficient_quota') {
+    return 'rate_limit';
+  }
+  return null;
+}
+
+/**
+ * Convert an error into the typed error hierarchy
+ *
+ * Only plain LiteLLMErrors are classified; errors that already have a
+ * specific type only get the missing provider and model filled in, and
+ * errors that are not LiteLLMErrors are returned as is.
+ *
+ * @param {Error} error - Error to convert
+ * @param {Object} [context] - Details of the failed request
+ * @param {string} [context.type] - Error type, if the provider classified the error
+ * @param {string} [context.provider] - Provider name
+ * @param {string} [context.model] - Model name
+ * @returns {Error} - Typed error
+ */
+export function toLiteLLMError(error, context = {}) {
+  if (!(error instanceof LiteLLMError)) {
+    return error;
+  }
+
+  let typed = error;
+
+  if (error.constructor === LiteLLMError) {
+    const type = context.type ||
+      detectErrorType(error.status, error.data) ||
+      getErrorTypeForStatus(error.status);
+    const ErrorClass = ERROR_TYPES[type];
+    if (ErrorClass) {
+      typed = new ErrorClass(error.message, error.status, error.data, {
+        provider: error.provider,
+        model: error.model,
+        retryable: getRetryableFromHeaders(error.headers),
+        body: error.body,
+        headers: error.headers
+      });
+      typed.stack = error.stack;
+    }
+  }
+
+  typed.provider = typed.provider ?? context.provider ?? null;
+  typed.model = typed.model ?? context.model ?? null;
+  return typed;
+}
+
+/**
+ * Read the `x-should-retry` header OpenAI and Anthropic send with errors
+ *
+ * @private
+ * @param {Object} headers - Response headers, with lowercase names
+ * @returns {boolean|undefined} - The server's decision, if it sent one
+ */
+function getRetryableFromHeaders(headers) {
+  const shouldRetry = headers?.['x-should-retry'];
+  if (shouldRetry === 'true') {
+    return true;
+  }
+  if (shouldRetry === 'false') {
+    return false;
+  }
+  return undefined;
+}
+
+// Names the errors were exported under before the hierarchy existed
+export {
+  LiteLLMError as LiteLLMProviderError,
+  TimeoutError as LiteLLMTimeoutError,
+  AuthenticationError as LiteLLMAuthError
+};
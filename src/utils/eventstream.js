@@ -0,0 +1,180 @@
+import { LiteLLMError } from '../client.js';
+
+/**
+ * @typedef {Object} EventStreamMessage
+ * @property {Object<string, *>} headers - Decoded message headers (e.g. ":event-type")
+ * @property {Uint8Array} payload - Raw message payload
+ */
+
+// Prelude: total length (4) + headers length (4) + prelude CRC (4)
+const PRELUDE_LENGTH = 12;
+// Trailing message CRC
+const MESSAGE_CRC_LENGTH = 4;
+
+let crcTable = null;
+
+/**
+ * CRC32 (IEEE) checksum used by the event stream framing
+ *
+ * @param {Uint8Array} bytes - Bytes to checksum
+ * @returns {number} - Unsigned CRC32
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Decode the headers section of an event stream message
+ *
+ * @param {Uint8Array} bytes - Header bytes
+ * @returns {Object<string, *>} - Decoded headers
+ */
+function decodeHeaders(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const textDecoder = new TextDecoder('utf-8');
+  const headers = {};
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    const nameLength = view.getUint8(offset);
+    offset += 1;
+    const name = textDecoder.decode(bytes.subarray(offset, offset + nameLength));
+    offset += nameLength;
+    const type = view.getUint8(offset);
+    offset += 1;
+
+    switch (type) {
+      case 0:
+        headers[name] = true;
+        break;
+      case 1:
+        headers[name] = false;
+        break;
+      case 2:
+        headers[name] = view.getInt8(offset);
+        offset += 1;
+        break;
+      case 3:
+        headers[name] = view.getInt16(offset);
+        offset += 2;
+        break;
+      case 4:
+        headers[name] = view.getInt32(offset);
+        offset += 4;
+        break;
+      case 5:
+        headers[name] = view.getBigInt64(offset);
+        offset += 8;
+        break;
+      case 6: {
+        const length = view.getUint16(offset);
+        offset += 2;
+        headers[name] = bytes.slice(offset, offset + length);
+        offset += length;
+        break;
+      }
+      case 7: {
+        const length = view.getUint16(offset);
+        offset += 2;
+        headers[name] = textDecoder.decode(bytes.subarray(offset, offset + length));
+        offset += length;
+        break;
+      }
+      case 8:
+        headers[name] = new Date(Number(view.getBigInt64(offset)));
+        offset += 8;
+        break;
+      case 9:
+        headers[name] = Array.from(bytes.subarray(offset, offset + 16))
+          .map(byte => byte.toString(16).padStart(2, '0'))
+          .join('');
+        offset += 16;
+        break;
+      default:
+        throw new LiteLLMError(`Unknown event stream header type: ${type}`, 500);
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Incremental decoder for the `application/vnd.amazon.eventstream` binary framing
+ * used by Bedrock streaming APIs. Network reads may split or join messages
+ * arbitrarily, so bytes are buffered until a complete message is available.
+ */
+class EventStreamDecoder {
+  constructor() {
+    this.buffer = new Uint8Array(0);
+  }
+
+  /**
+   * Feed bytes into the decoder
+   *
+   * @param {Uint8Array} bytes - Bytes read from the network
+   * @returns {Array<EventStreamMessage>} - Messages completed by these bytes
+   */
+  push(bytes) {
+    const merged = new Uint8Array(this.buffer.length + bytes.length);
+    merged.set(this.buffer, 0);
+    merged.set(bytes, this.buffer.length);
+    this.buffer = merged;
+
+    const messages = [];
+    while (this.buffer.length >= PRELUDE_LENGTH) {
+      const view = new DataView(this.buffer.buffer, this.buffer.byteOffset, this.buffer.byteLength);
+      const totalLength = view.getUint32(0);
+      if (this.buffer.length < totalLength) {
+        break;
+      }
+
+      messages.push(this._decodeMessage(this.buffer.subarray(0, totalLength)));
+      this.buffer = this.buffer.slice(totalLength);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Decode a single complete message
+   *
+   * @private
+   * @param {Uint8Array} message - Message bytes
+   * @returns {EventStreamMessage} - Decoded message
+   */
+  _decodeMessage(message) {
+    const view = new DataView(message.buffer, message.byteOffset, message.byteLength);
+    const totalLength = view.getUint32(0);
+    const headersLength = view.getUint32(4);
+
+    if (view.getUint32(8) !== crc32(message.subarray(0, 8))) {
+      throw new LiteLLMError('Event stream prelude checksum mismatch', 500);
+    }
+    if (view.getUint32(totalLength - MESSAGE_CRC_LENGTH) !== crc32(message.subarray(0, totalLength - MESSAGE_CRC_LENGTH))) {
+      throw new LiteLLMError('Event stream message checksum mismatch', 500);
+    }
+
+    const headersEnd = PRELUDE_LENGTH + headersLength;
+    return {
+      headers: decodeHeaders(message.subarray(PRELUDE_LENGTH, headersEnd)),
+      payload: message.slice(headersEnd, totalLength - MESSAGE_CRC_LENGTH)
+    };
+  }
+}
+
+export { EventStreamDecoder };
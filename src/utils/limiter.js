@@ -0,0 +1,244 @@
+import { LiteLLMError } from '../client.js';
+
+// Length of the sliding window rpm and tpm are measured over
+const WINDOW_MS = 60000;
+
+/**
+ * Client-side limiter for requests per minute, tokens per minute and
+ * concurrent requests
+ *
+ * Requests that would exceed a limit wait in a queue instead of failing.
+ * Higher priority requests are started first; requests with the same
+ * priority start in the order they were queued.
+ */
+export class RateLimiter {
+  /**
+   * Initialize a new limiter
+   *
+   * @param {RateLimits} [limits={}] - Limits; omitted limits are not enforced
+   */
+  constructor(limits = {}) {
+    this.rpm = limits.rpm || Infinity;
+    this.tpm = limits.tpm || Infinity;
+    this.maxConcurrent = limits.maxConcurrent || Infinity;
+    this.inFlight = 0;
+    this.queue = [];
+    // Requests started in the last minute ({ time, tokens })
+    this.window = [];
+    this.timer = null;
+  }
+
+  /**
+   * Wait for a slot to start a request
+   *
+   * @param {Object} [options] - Request details
+   * @param {number} [options.tokens=0] - Estimated tokens the request will use
+   * @param {number} [options.priority=0] - Higher priorities start first
+   * @param {AbortSignal} [options.signal] - Removes the request from the queue when aborted
+   * @returns {Promise<Function>} - Call release(actualTokens?) once the request has finished
+   */
+  acquire(options = {}) {
+    const { tokens = 0, priority = 0, signal } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this._createAbortError(signal));
+        return;
+      }
+
+      const entry = { tokens, priority, resolve, reject, signal, onAbort: null };
+      if (signal) {
+        entry.onAbort = () => {
+          const index = this.queue.indexOf(entry);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            reject(this._createAbortError(signal));
+            this._drain();
+          }
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      // Keep the queue ordered by priority, first come first served within a priority
+      const position = this.queue.findIndex(queued => queued.priority < priority);
+      if (position === -1) {
+        this.queue.push(entry);
+      } else {
+        this.queue.splice(position, 0, entry);
+      }
+
+      this._drain();
+    });
+  }
+
+  /**
+   * Get the current limiter state
+   *
+   * @returns {Object} - { inFlight, queued, requests, tokens } for the last minute
+   */
+  getStats() {
+    this._pruneWindow(Date.now());
+    return {
+      inFlight: this.inFlight,
+      queued: this.queue.length,
+      requests: this.window.length,
+      tokens: this.window.reduce((sum, item) => sum + item.tokens, 0)
+    };
+  }
+
+  /**
+   * Start queued requests while the limits allow it
+   *
+   * @private
+   * @returns {void}
+   */
+  _drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    while (this.queue.length > 0) {
+      const entry = this.queue[0];
+      const now = Date.now();
+      this._pruneWindow(now);
+
+      if (this.inFlight >= this.maxConcurrent) {
+        // A release will drain again
+        return;
+      }
+
+      const wait = this._getWait(entry, now);
+      if (wait > 0) {
+        this.timer = setTimeout(() => this._drain(), wait);
+        return;
+      }
+
+      this.queue.shift();
+      if (entry.signal) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+      entry.resolve(this._start(entry.tokens, now));
+    }
+  }
+
+  /**
+   * Get how long the head of the queue has to wait for the rpm and tpm windows
+   *
+   * @private
+   * @param {Object} entry - Queued request
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} - Wait in milliseconds, 0 if it can start now
+   */
+  _getWait(entry, now) {
+    let wait = 0;
+
+    if (this.window.length >= this.rpm) {
+      const oldest = this.window[this.window.length - this.rpm];
+      wait = Math.max(wait, oldest.time + WINDOW_MS - now);
+    }
+
+    // A request larger than the whole budget runs alone in an empty window
+    let used = this.window.reduce((sum, item) => sum + item.tokens, 0);
+    if (used > 0 && used + entry.tokens > this.tpm) {
+      for (const item of this.window) {
+        used -= item.tokens;
+        if (used + entry.tokens <= this.tpm || used === 0) {
+          wait = Math.max(wait, item.time + WINDOW_MS - now);
+          break;
+        }
+      }
+    }
+
+    return wait;
+  }
+
+  /**
+   * Record a started request
+   *
+   * @private
+   * @param {number} tokens - Estimated tokens
+   * @param {number} now - Current time in milliseconds
+   * @returns {Function} - Release function
+   */
+  _start(tokens, now) {
+    const item = { time: now, tokens };
+    this.window.push(item);
+    this.inFlight++;
+
+    let released = false;
+    return (actualTokens) => {
+      if (released) {
+        return;
+      }
+      released = true;
+      // Replace the estimate with what the provider reported
+      if (typeof actualTokens === 'number') {
+        item.tokens = actualTokens;
+      }
+      this.inFlight--;
+      this._drain();
+    };
+  }
+
+  /**
+   * Drop requests older than the window
+   *
+   * @private
+   * @param {number} now - Current time in milliseconds
+   * @returns {void}
+   */
+  _pruneWindow(now) {
+    while (this.window.length > 0 && this.window[0].time + WINDOW_MS <= now) {
+      this.window.shift();
+    }
+  }
+
+  /**
+   * Build the error for a request aborted while queued
+   *
+   * @private
+   * @param {AbortSignal} signal - Aborted signal
+   * @returns {LiteLLMError} - Error to reject with
+   */
+  _createAbortError(signal) {
+    return new LiteLLMError(
+      'Request was aborted while waiting for a rate limit slot',
+      499,
+      { originalError: signal.reason }
+    );
+  }
+}
+
+/**
+ * Estimate the tokens a request will use, for tokens-per-minute limits
+ *
+ * Counts roughly four characters per token of the messages (or embedding
+ * input) plus the requested max_tokens.
+ *
+ * @param {Object} options - Completion or embedding options
+ * @returns {number} - Estimated tokens
+ */
+export function estimateRequestTokens(options) {
+  let characters = 0;
+
+  for (const message of options.messages || []) {
+    if (typeof message.content === 'string') {
+      characters += message.content.length;
+    } else if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        characters += typeof part.text === 'string' ? part.text.length : 0;
+      }
+    }
+    if (message.tool_calls) {
+      characters += JSON.stringify(message.tool_calls).length;
+    }
+  }
+
+  const inputs = options.input === undefined ? [] : [].concat(options.input);
+  for (const input of inputs) {
+    characters += typeof input === 'string' ? input.length : 0;
+  }
+
+  return Math.ceil(characters / 4) + (options.max_tokens || options.max_completion_tokens || 0);
+}
@@ -0,0 +1,29 @@
+// Log levels, least severe first
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * @typedef {Object} Logger
+ * @property {function(...*): void} debug - Details useful when debugging
+ * @property {function(...*): void} info - Notable events, e.g. a proxy was registered
+ * @property {function(...*): void} warn - Recovered problems, e.g. a router fell back to another deployment
+ * @property {function(...*): void} error - Failures outside the request, e.g. a callback threw
+ */
+
+/**
+ * Create a logger writing to the console
+ *
+ * @param {string} [level='warn'] - Least severe level written: 'debug', 'info', 'warn', 'error', or 'silent' for none
+ * @returns {Logger} - Logger
+ */
+export function createConsoleLogger(level = 'warn') {
+  const threshold = level === 'silent' ? LEVELS.length : LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+
+  const logger = {};
+  LEVELS.forEach((name, index) => {
+    logger[name] = index >= threshold ? (...args) => console[name](...args) : () => {};
+  });
+  return logger;
+}
@@ -0,0 +1,197 @@
+/**
+ * @typedef {Object} ModelInfo
+ * @property {number} [inputCost] - USD per million input tokens
+ * @property {number} [outputCost] - USD per million output tokens
+ * @property {number} [cachedInputCost] - USD per million input tokens read from the prompt cache, defaults to inputCost
+ * @property {number} [cacheWriteCost] - USD per million input tokens written to the prompt cache, defaults to inputCost
+ * @property {number} [maxInputTokens] - Context window; prompt and max_tokens together must fit into it
+ * @property {number} [maxOutputTokens] - Most tokens the model generates in one response
+ */
+
+// Date and version suffixes of model snapshots (gpt-4o-2024-08-06, claude-3-5-haiku-20241022, ...-latest)
+const SNAPSHOT_SUFFIX = /-(\d{4}-\d{2}-\d{2}|\d{8}|latest|\d{3,4})$/;
+
+// Region and vendor prefix and version suffix of Bedrock model ids (us.anthropic.claude-3-5-sonnet-20241022-v2:0)
+const BEDROCK_MODEL_ID = /^(?:[a-z]{2,4}\.)?(?:anthropic|meta|mistral|cohere|amazon|ai21)\.(.+?)(?:-v\d+(?::\d+)?)?$/;
+
+/**
+ * Built-in model info, keyed by model name or "provider/model"
+ *
+ * Prices are list prices in USD per million tokens; for models with tiered
+ * pricing the lowest tier is used. maxInputTokens is the context window.
+ */
+export const MODEL_INFO = {
+  // OpenAI
+  'gpt-4o': { inputCost: 2.5, outputCost: 10, cachedInputCost: 1.25, maxInputTokens: 128000, maxOutputTokens: 16384 },
+  'gpt-4o-2024-05-13': { inputCost: 5, outputCost: 15, maxInputTokens: 128000, maxOutputTokens: 4096 },
+  'gpt-4o-mini': { inputCost: 0.15, outputCost: 0.6, cachedInputCost: 0.075, maxInputTokens: 128000, maxOutputTokens: 16384 },
+  'gpt-4.1': { inputCost: 2, outputCost: 8, cachedInputCost: 0.5, maxInputTokens: 1047576, maxOutputTokens: 32768 },
+  'gpt-4.1-mini': { inputCost: 0.4, outputCost: 1.6, cachedInputCost: 0.1, maxInputTokens: 1047576, maxOutputTokens: 32768 },
+  'gpt-4.1-nano': { inputCost: 0.1, outputCost: 0.4, cachedInputCost: 0.025, maxInputTokens: 1047576, maxOutputTokens: 32768 },
+  'gpt-4-turbo': { inputCost: 10, outputCost: 30, maxInputTokens: 128000, maxOutputTokens: 4096 },
+  'gpt-4': { inputCost: 30, outputCost: 60, maxInputTokens: 8192, maxOutputTokens: 4096 },
+  'gpt-3.5-turbo': { inputCost: 0.5, outputCost: 1.5, maxInputTokens: 16385, maxOutputTokens: 4096 },
+  'o1': { inputCost: 15, outputCost: 60, cachedInputCost: 7.5, maxInputTokens: 200000, maxOutputTokens: 100000 },
+  'o1-mini': { inputCost: 1.1, outputCost: 4.4, cachedInputCost: 0.55, maxInputTokens: 128000, maxOutputTokens: 65536 },
+  'o3': { inputCost: 2, outputCost: 8, cachedInputCost: 0.5, maxInputTokens: 200000, maxOutputTokens: 100000 },
+  'o3-mini': { inputCost: 1.1, outputCost: 4.4, cachedInputCost: 0.55, maxInputTokens: 200000, maxOutputTokens: 100000 },
+  'o4-mini': { inputCost: 1.1, outputCost: 4.4, cachedInputCost: 0.275, maxInputTokens: 200000, maxOutputTokens: 100000 },
+  'text-embedding-3-small': { inputCost: 0.02, outputCost: 0, maxInputTokens: 8191 },
+  'text-embedding-3-large': { inputCost: 0.13, outputCost: 0, maxInputTokens: 8191 },
+  'text-embedding-ada-002': { inputCost: 0.1, outputCost: 0, maxInputTokens: 8191 },
+
+  // Anthropic
+  'claude-opus-4': { inputCost: 15, outputCost: 75, cachedInputCost: 1.5, cacheWriteCost: 18.75, maxInputTokens: 200000, maxOutputTokens: 32000 },
+  'claude-sonnet-4': { inputCost: 3, outputCost: 15, cachedInputCost: 0.3, cacheWriteCost: 3.75, maxInputTokens: 200000, maxOutputTokens: 64000 },
+  'claude-3-7-sonnet': { inputCost: 3, outputCost: 15, cachedInputCost: 0.3, cacheWriteCost: 3.75, maxInputTokens: 200000, maxOutputTokens: 64000 },
+  'claude-3-5-sonnet': { inputCost: 3, outputCost: 15, cachedInputCost: 0.3, cacheWriteCost: 3.75, maxInputTokens: 200000, maxOutputTokens: 8192 },
+  'claude-3-5-haiku': { inputCost: 0.8, outputCost: 4, cachedInputCost: 0.08, cacheWriteCost: 1, maxInputTokens: 200000, maxOutputTokens: 8192 },
+  'claude-3-opus': { inputCost: 15, outputCost: 75, cachedInputCost: 1.5, cacheWriteCost: 18.75, maxInputTokens: 200000, maxOutputTokens: 4096 },
+  'claude-3-haiku': { inputCost: 0.25, outputCost: 1.25, cachedInputCost: 0.03, cacheWriteCost: 0.3, maxInputTokens: 200000, maxOutputTokens: 4096 },
+
+  // Google
+  'gemini-2.5-pro': { inputCost: 1.25, outputCost: 10, cachedInputCost: 0.31, maxInputTokens: 1048576, maxOutputTokens: 65536 },
+  'gemini-2.5-flash': { inputCost: 0.3, outputCost: 2.5, cachedInputCost: 0.075, maxInputTokens: 1048576, maxOutputTokens: 65536 },
+  'gemini-2.0-flash': { inputCost: 0.1, outputCost: 0.4, cachedInputCost: 0.025, maxInputTokens: 1048576, maxOutputTokens: 8192 },
+  'gemini-1.5-pro': { inputCost: 1.25, outputCost: 5, maxInputTokens: 2097152, maxOutputTokens: 8192 },
+  'gemini-1.5-flash': { inputCost: 0.075, outputCost: 0.3, maxInputTokens: 1048576, maxOutputTokens: 8192 },
+
+  // Cohere
+  'command-r-plus': { inputCost: 2.5, outputCost: 10, maxInputTokens: 128000, maxOutputTokens: 4000 },
+  'command-r': { inputCost: 0.15, outputCost: 0.6, maxInputTokens: 128000, maxOutputTokens: 4000 },
+
+  // OpenAI compatible presets
+  'deepseek/deepseek-chat': { inputCost: 0.27, outputCost: 1.1, cachedInputCost: 0.07, maxInputTokens: 65536, maxOutputTokens: 8192 },
+  'deepseek/deepseek-reasoner': { inputCost: 0.55, outputCost: 2.19, cachedInputCost: 0.14, maxInputTokens: 65536, maxOutputTokens: 8192 },
+  'mistral/mistral-large-latest': { inputCost: 2, outputCost: 6, maxInputTokens: 131072 },
+  'mistral/mistral-small-latest': { inputCost: 0.1, outputCost: 0.3, maxInputTokens: 131072 },
+  'groq/llama-3.3-70b-versatile': { inputCost: 0.59, outputCost: 0.79, maxInputTokens: 128000, maxOutputTokens: 32768 },
+  'groq/llama-3.1-8b-instant': { inputCost: 0.05, outputCost: 0.08, maxInputTokens: 128000, maxOutputTokens: 8192 }
+};
+
+/**
+ * Register info for a model, or override the built-in info
+ *
+ * The info is merged over what is already known, so a single price can be
+ * changed without repeating the others.
+ *
+ * @param {string} model - Model name, or "provider/model" to only match that provider
+ * @param {ModelInfo} info - Model info
+ */
+export function registerModelInfo(model, info) {
+  MODEL_INFO[model] = { ...MODEL_INFO[model], ...info };
+}
+
+/**
+ * Look up the info for a model
+ *
+ * Tries "provider/model" before the bare model name, then the same without
+ * a snapshot suffix, so "gpt-4o-2024-08-06" uses the "gpt-4o" prices.
+ * Models called through a proxy or an aggregator as "vendor/model", and
+ * Bedrock model ids, also match the info of the plain model name.
+ *
+ * @param {string} model - Model name as sent to the provider
+ * @param {string} [provider] - Provider type or prefix
+ * @returns {ModelInfo|null} - Model info or null if unknown
+ */
+export function getModelInfo(model, provider) {
+  if (!model) {
+    return null;
+  }
+
+  const names = [model];
+  const slash = model.indexOf('/');
+  if (slash !== -1) {
+    names.push(model.slice(slash + 1));
+  }
+  const bedrockModel = names[names.length - 1].match(BEDROCK_MODEL_ID);
+  if (bedrockModel) {
+    names.push(bedrockModel[1]);
+  }
+
+  const candidates = [];
+  for (const name of names) {
+    if (provider) {
+      candidates.push(`${provider}/${name}`);
+    }
+    candidates.push(name);
+  }
+  for (const candidate of [...candidates]) {
+    if (SNAPSHOT_SUFFIX.test(candidate)) {
+      candidates.push(candidate.replace(SNAPSHOT_SUFFIX, ''));
+    }
+  }
+
+  for (const candidate of candidates) {
+    if (MODEL_INFO[candidate]) {
+      return MODEL_INFO[candidate];
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the most tokens a model generates in one response
+ *
+ * @param {string} model - Model name, or "provider/model"
+ * @returns {number|null} - Max output tokens, or null if unknown
+ */
+export function getMaxTokens(model) {
+  return getModelInfo(model)?.maxOutputTokens || null;
+}
+
+/**
+ * Calculate the cost of a response in USD
+ *
+ * Cached prompt tokens (usage.prompt_tokens_details.cached_tokens) and
+ * prompt cache writes (usage.cache_creation_input_tokens) are charged at
+ * the model's cache prices.
+ *
+ * @param {Object} response - Completion or embedding response with usage
+ * @param {Object} [options] - Pricing options
+ * @param {string} [options.model] - Model to price against, defaults to the one the response came from
+ * @param {string} [options.provider] - Provider type or prefix, defaults to the one the response came from
+ * @returns {number|null} - Cost in USD, or null if the model's prices or the usage are unknown
+ */
+export function completionCost(response, options = {}) {
+  const hidden = response?._hidden_params || {};
+  const model = options.model || hidden.model || response?.model;
+  const info = getModelInfo(model, options.provider || hidden.provider);
+  const usage = response?.usage;
+
+  if (!hasPrice(info) || !usage) {
+    return null;
+  }
+  return usageCost(usage, info);
+}
+
+/**
+ * Calculate the cost of token usage at the given prices
+ *
+ * @param {Object} usage - OpenAI format usage
+ * @param {ModelInfo} prices - Prices in USD per million tokens
+ * @returns {number} - Cost in USD
+ */
+export function usageCost(usage, prices) {
+  const cached = usage.prompt_tokens_details?.cached_tokens || 0;
+  const cacheWrite = usage.cache_creation_input_tokens || 0;
+  const uncached = Math.max((usage.prompt_tokens || 0) - cached - cacheWrite, 0);
+  const inputCost = prices.inputCost || 0;
+
+  const cost = uncached * inputCost +
+    cached * (prices.cachedInputCost ?? inputCost) +
+    cacheWrite * (prices.cacheWriteCost ?? inputCost) +
+    (usage.completion_tokens || 0) * (prices.outputCost || 0);
+
+  return cost / 1e6;
+}
+
+/**
+ * Check whether model info includes prices
+ *
+ * @param {ModelInfo|null} info - Model info
+ * @returns {boolean} - True if an input or output price is set
+ */
+export function hasPrice(info) {
+  return info?.inputCost !== undefined || info?.outputCost !== undefined;
+}
@@ -0,0 +1,228 @@
+export const DEFAULT_RETRY_POLICY = {
+  maxRetries: 2,
+  initialDelay: 500,
+  maxDelay: 8000,
+  multiplier: 2,
+  jitter: 0.25,
+  maxRetryAfter: 60000
+};
+
+// Network error codes (Node.js, undici) that are safe to retry
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'EPIPE',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+/**
+ * Merge retry policies, later ones taking precedence
+ *
+ * `false` disables retries at that level.
+ *
+ * @param {...(RetryPolicy|false|undefined|null)} policies - Policies from the most general to the most specific
+ * @returns {RetryPolicy} - Effective policy
+ */
+export function mergeRetryPolicies(...policies) {
+  let merged = { ...DEFAULT_RETRY_POLICY };
+  for (const policy of policies) {
+    if (policy === false) {
+      merged = { ...merged, maxRetries: 0 };
+    } else if (policy) {
+      merged = { ...merged, ...policy };
+    }
+  }
+  return merged;
+}
+
+/**
+ * Layer a more specific retry policy over another without applying defaults
+ *
+ * @param {RetryPolicy|false|undefined} base - General policy
+ * @param {RetryPolicy|false|undefined} override - Specific policy
+ * @returns {RetryPolicy|false|undefined} - Combined policy
+ */
+export function combineRetryPolicies(base, override) {
+  if (override === undefined || override === null) {
+    return base;
+  }
+  if (override === false) {
+    return false;
+  }
+  if (base === false) {
+    return { maxRetries: 0, ...override };
+  }
+  return { ...base, ...override };
+}
+
+/**
+ * Check whether an HTTP status may succeed when the request is repeated
+ *
+ * @param {number} status - HTTP status
+ * @returns {boolean} - True for 408, 409, 429 and 5xx
+ */
+export function isRetryableStatus(status) {
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/**
+ * Check whether a fetch failure is a transient network error
+ *
+ * Aborted requests are never retried.
+ *
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean} - True for connection resets, refused connections and similar
+ */
+export function isRetryableNetworkError(error) {
+  if (!error || error.name === 'AbortError') {
+    return false;
+  }
+  const code = getNetworkErrorCode(error);
+  if (code) {
+    return RETRYABLE_ERROR_CODES.has(code);
+  }
+  // Browsers and undici report network failures as a bare TypeError
+  return error.name === 'TypeError' || error.type === 'system';
+}
+
+/**
+ * Get the code of a network error, such as ECONNRESET
+ *
+ * @param {Error} error - Error thrown by fetch
+ * @returns {string|null} - Error code, also looked up on the error's cause as undici reports it there
+ */
+export function getNetworkErrorCode(error) {
+  return error?.code || error?.errno || error?.cause?.code || null;
+}
+
+/**
+ * Check whether a failed response should be retried
+ *
+ * The `x-should-retry` header, sent by OpenAI and Anthropic, overrides the status check.
+ *
+ * @param {Response} response - Failed fetch response
+ * @returns {boolean} - True if the request should be repeated
+ */
+export function shouldRetryResponse(response) {
+  const shouldRetry = response.headers?.get?.('x-should-retry');
+  if (shouldRetry === 'true') {
+    return true;
+  }
+  if (shouldRetry === 'false') {
+    return false;
+  }
+  return isRetryableStatus(response.status);
+}
+
+/**
+ * Get the delay before the next attempt
+ *
+ * A delay requested by the server (`retry-after-ms`, `retry-after`,
+ * `x-ratelimit-reset-*`) is used when present and no longer than
+ * `maxRetryAfter`; otherwise exponential backoff with jitter applies.
+ *
+ * @param {number} retry - Zero based retry number
+ * @param {RetryPolicy} policy - Effective retry policy
+ * @param {Headers} [headers] - Headers of the failed response
+ * @returns {number} - Delay in milliseconds
+ */
+export function getRetryDelay(retry, policy, headers) {
+  const requested = headers ? parseRetryAfter(headers) : null;
+  if (requested !== null && requested >= 0 && requested <= policy.maxRetryAfter) {
+    return requested;
+  }
+
+  const backoff = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.multiplier, retry));
+  return backoff * (1 - policy.jitter * Math.random());
+}
+
+/**
+ * Read the delay a server asks for from its response headers
+ *
+ * @param {Headers} headers - Response headers
+ * @returns {number|null} - Delay in milliseconds, or null if none was given
+ */
+export function parseRetryAfter(headers) {
+  const retryAfterMs = headers.get('retry-after-ms');
+  if (retryAfterMs !== null && !isNaN(parseFloat(retryAfterMs))) {
+    return parseFloat(retryAfterMs);
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter !== null) {
+    const seconds = parseFloat(retryAfter);
+    if (!isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  // OpenAI style rate limit resets, e.g. "1s", "6m0s", "20ms"; wait for the later one
+  const resets = ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens', 'x-ratelimit-reset']
+    .map(name => headers.get(name))
+    .filter(value => value !== null)
+    .map(parseDuration)
+    .filter(value => value !== null);
+  if (resets.length > 0) {
+    return Math.max(...resets);
+  }
+
+  return null;
+}
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Rejects early when aborted
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason || new DOMException('The operation was aborted', 'AbortError'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason || new DOMException('The operation was aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Parse a rate limit reset duration
+ *
+ * @private
+ * @param {string} value - Duration such as "1.5s", "6m0s", "20ms" or a number of seconds
+ * @returns {number|null} - Duration in milliseconds
+ */
+function parseDuration(value) {
+  if (/^\d+(\.\d+)?$/.test(value.trim())) {
+    return parseFloat(value) * 1000;
+  }
+
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+    total += parseFloat(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? total : null;
+}
@@ -0,0 +1,120 @@
+// Controllers of streaming responses whose body is still being read
+const responseControllers = new WeakMap();
+
+/**
+ * Abort controller for one request, linked to a caller's signal and an
+ * optional timeout
+ *
+ * The request is aborted when the caller's signal aborts or the timeout
+ * expires, whichever comes first; `timedOut` tells the two apart.
+ */
+export class RequestController {
+  /**
+   * Initialize a new request controller
+   *
+   * @param {AbortSignal} [signal] - Caller's signal
+   * @param {number} [timeout] - Timeout in milliseconds; 0 or omitted for none
+   */
+  constructor(signal, timeout) {
+    this.controller = new AbortController();
+    this.parent = signal || null;
+    this.timedOut = false;
+    this.timeout = timeout || 0;
+    this.timer = null;
+    this._onParentAbort = () => this.controller.abort(this.parent.reason);
+
+    if (this.parent?.aborted) {
+      this.controller.abort(this.parent.reason);
+    } else if (this.parent) {
+      this.parent.addEventListener('abort', this._onParentAbort, { once: true });
+    }
+
+    if (this.timeout > 0 && this.timeout !== Infinity && !this.controller.signal.aborted) {
+      this.timer = setTimeout(() => {
+        this.timedOut = true;
+        this.controller.abort(new DOMException(`Request timed out after ${this.timeout}ms`, 'TimeoutError'));
+      }, this.timeout);
+    }
+  }
+
+  /**
+   * Signal to pass to fetch
+   *
+   * @returns {AbortSignal}
+   */
+  get signal() {
+    return this.controller.signal;
+  }
+
+  /**
+   * Abort the request
+   *
+   * @param {*} [reason] - Abort reason
+   * @returns {void}
+   */
+  abort(reason) {
+    this.controller.abort(reason);
+  }
+
+  /**
+   * Stop the timeout, keeping the link to the caller's signal
+   *
+   * @returns {void}
+   */
+  clearTimeout() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Stop the timeout and unlink the caller's signal once the request is done
+   *
+   * @returns {void}
+   */
+  dispose() {
+    this.clearTimeout();
+    this.parent?.removeEventListener('abort', this._onParentAbort);
+  }
+}
+
+/**
+ * Attach a request controller to a streaming response, so the request can
+ * be cancelled once the body is abandoned
+ *
+ * @param {Response} response - Fetch response
+ * @param {RequestController} controller - Controller of the request
+ * @returns {void}
+ */
+export function bindResponse(response, controller) {
+  responseControllers.set(response, controller);
+}
+
+/**
+ * Get the request controller attached to a streaming response
+ *
+ * @param {Response} response - Fetch response
+ * @returns {RequestController|undefined} - Controller, if the response came from client.request
+ */
+export function getResponseController(response) {
+  return responseControllers.get(response);
+}
+
+/**
+ * Release a streaming response once its body has been read or abandoned
+ *
+ * @param {Response} response - Fetch response
+ * @param {boolean} [cancel=false] - Abort the request, closing the connection
+ * @returns {void}
+ */
+export function releaseResponse(response, cancel = false) {
+  const controller = responseControllers.get(response);
+  if (!controller) {
+    return;
+  }
+
+  responseControllers.delete(response);
+  if (cancel) {
+    controller.abort(new DOMException('The response body was abandoned', 'AbortError'));
+  }
+  controller.dispose();
+}
@@ -0,0 +1,166 @@
+import { LiteLLMError } from '../client.js';
+
+/**
+ * @typedef {Object} AWSCredentials
+ * @property {string} accessKeyId - AWS access key id
+ * @property {string} secretAccessKey - AWS secret access key
+ * @property {string} [sessionToken] - Session token for temporary credentials
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Get the Web Crypto SubtleCrypto implementation
+ *
+ * @returns {SubtleCrypto} - SubtleCrypto instance
+ */
+function getSubtle() {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) {
+    throw new LiteLLMError('AWS request signing requires the Web Crypto API (globalThis.crypto.subtle)', 500);
+  }
+  return subtle;
+}
+
+/**
+ * Convert an ArrayBuffer to a lowercase hex string
+ *
+ * @param {ArrayBuffer} buffer - Bytes to convert
+ * @returns {string} - Hex string
+ */
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * SHA-256 digest as hex
+ *
+ * @param {string} data - Data to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+async function sha256Hex(data) {
+  return toHex(await getSubtle().digest('SHA-256', encoder.encode(data)));
+}
+
+/**
+ * HMAC-SHA256
+ *
+ * @param {ArrayBuffer|Uint8Array} key - HMAC key
+ * @param {string} data - Data to sign
+ * @returns {Promise<ArrayBuffer>} - Signature
+ */
+async function hmac(key, data) {
+  const cryptoKey = await getSubtle().importKey(
+    'raw',
+    key,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return await getSubtle().sign('HMAC', cryptoKey, encoder.encode(data));
+}
+
+/**
+ * URI encode a string as required by SigV4 (RFC 3986 unreserved characters only)
+ *
+ * @param {string} value - Value to encode
+ * @returns {string} - Encoded value
+ */
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Format a date as the SigV4 timestamp (YYYYMMDDTHHMMSSZ)
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} - Timestamp
+ */
+function toAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ *
+ * Only the host and x-amz-* headers are signed, which keeps the signature
+ * valid when the fetch implementation adds or rewrites other headers.
+ *
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full request URL
+ * @param {string} [request.body=''] - Request body exactly as it will be sent
+ * @param {string} request.region - AWS region
+ * @param {string} request.service - AWS service name used in the credential scope
+ * @param {AWSCredentials} request.credentials - AWS credentials
+ * @param {Date} [request.date=new Date()] - Signing time
+ * @returns {Promise<Object>} - Headers to add to the request
+ */
+export async function signRequest({ method, url, body = '', region, service, credentials, date = new Date() }) {
+  const { accessKeyId, secretAccessKey, sessionToken } = credentials || {};
+  if (!accessKeyId || !secretAccessKey) {
+    throw new LiteLLMError('AWS credentials (accessKeyId and secretAccessKey) are required', 401);
+  }
+
+  const parsedUrl = new URL(url);
+  const amzDate = toAmzDate(date);
+  const dateStamp = amzDate.slice(0, 8);
+
+  const headers = {
+    'host': parsedUrl.host,
+    'x-amz-date': amzDate
+  };
+  if (sessionToken) {
+    headers['x-amz-security-token'] = sessionToken;
+  }
+
+  // Non-S3 services encode each path segment twice: the URL already carries
+  // one level of percent-encoding, the canonical request adds another
+  const canonicalUri = parsedUrl.pathname
+    .split('/')
+    .map(segment => uriEncode(segment))
+    .join('/') || '/';
+
+  const canonicalQuery = [...parsedUrl.searchParams.entries()]
+    .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+    .sort(([a, av], [b, bv]) => (a < b ? -1 : a > b ? 1 : av < bv ? -1 : av > bv ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  const headerNames = Object.keys(headers).sort();
+  const canonicalHeaders = headerNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    canonicalUri,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    await sha256Hex(body || '')
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    await sha256Hex(canonicalRequest)
+  ].join('\n');
+
+  const kDate = await hmac(encoder.encode(`AWS4${secretAccessKey}`), dateStamp);
+  const kRegion = await hmac(kDate, region);
+  const kService = await hmac(kRegion, service);
+  const kSigning = await hmac(kService, 'aws4_request');
+  const signature = toHex(await hmac(kSigning, stringToSign));
+
+  // The host header is set by fetch itself and cannot be set in browsers
+  const { host, ...signedRequestHeaders } = headers;
+
+  return {
+    ...signedRequestHeaders,
+    'Authorization': `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
@@ -0,0 +1,455 @@
+import { LiteLLMError, createAbortError } from '../client.js';
+import { TimeoutError } from './errors.js';
+import { getResponseController, releaseResponse } from './signal.js';
+
+// Anthropic error types, for providers that report errors without an HTTP status
+const ERROR_TYPE_STATUS = {
+  invalid_request_error: 400,
+  authentication_error: 401,
+  permission_error: 403,
+  not_found_error: 404,
+  request_too_large: 413,
+  rate_limit_error: 429,
+  api_error: 500,
+  overloaded_error: 529
+};
+
+/**
+ * Read a fetch response body as a sequence of byte chunks
+ *
+ * Works with WHATWG ReadableStreams (browsers, Node 18+ fetch), Node.js
+ * Readable streams (node-fetch) and, as a last resort, responses that can
+ * only be read in one piece. Returning early (e.g. `break` in a `for await`
+ * loop) cancels the body and the underlying request.
+ *
+ * @param {Response} response - Fetch response
+ * @returns {AsyncGenerator<Uint8Array>} - Body chunks
+ */
+export async function* readStream(response) {
+  const body = response.body;
+  const controller = getResponseController(response);
+  let finished = false;
+
+  try {
+    // Browser environment or Node.js with fetch that supports ReadableStream
+    if (body && typeof body.getReader === 'function') {
+      const reader = body.getReader();
+
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+
+          if (done) {
+            break;
+          }
+
+          yield value;
+        }
+        finished = true;
+      } finally {
+        if (!finished) {
+          reader.cancel().catch(() => {});
+        }
+        reader.releaseLock();
+      }
+    }
+    // Node.js environment with response.body as a Node.js Readable stream
+    else if (body && typeof body.on === 'function') {
+      // Leaving the loop early destroys the stream
+      for await (const chunk of body) {
+        yield typeof chunk === 'string' ? new TextEncoder().encode(chunk) : new Uint8Array(chunk);
+      }
+      finished = true;
+    }
+    // Fallback for environments where we can't directly access the stream
+    else if (typeof response.arrayBuffer === 'function') {
+      yield new Uint8Array(await response.arrayBuffer());
+      finished = true;
+    }
+  } catch (error) {
+    if (controller?.signal.aborted) {
+      throw createAbortError(controller, error);
+    }
+    throw error;
+  } finally {
+    releaseResponse(response, !finished);
+  }
+}
+
+/**
+ * Read a fetch response body as UTF-8 text chunks
+ *
+ * Multi-byte characters split across network reads are kept intact.
+ *
+ * @param {Response} response - Fetch response
+ * @returns {AsyncGenerator<string>} - Decoded text chunks
+ */
+export async function* readTextStream(response) {
+  const decoder = new TextDecoder('utf-8');
+
+  for await (const chunk of readStream(response)) {
+    const text = decoder.decode(chunk, { stream: true });
+    if (text) {
+      yield text;
+    }
+  }
+
+  const rest = decoder.decode();
+  if (rest) {
+    yield rest;
+  }
+}
+
+/**
+ * Incremental decoder for Server-Sent Events (text/event-stream)
+ *
+ * Implements the event stream interpretation from the HTML spec: `data`
+ * lines are joined with newlines, `event`, `id` and `retry` fields are
+ * tracked, comments are skipped and events are dispatched on blank lines.
+ * Text may be pushed in arbitrary pieces.
+ */
+export class SSEDecoder {
+  constructor() {
+    this.buffer = '';
+    this.data = [];
+    this.eventType = '';
+    this.lastEventId = '';
+    this.retry = null;
+    this.pendingCR = false;
+  }
+
+  /**
+   * Decode the next piece of the stream
+   *
+   * @param {string} text - Stream text
+   * @returns {Array<Object>} - Complete events ({ event, data, id, retry })
+   */
+  push(text) {
+    // A "\r\n" split across two pieces is a single line terminator
+    if (this.pendingCR && text.startsWith('\n')) {
+      text = text.slice(1);
+    }
+    this.pendingCR = text.endsWith('\r');
+    this.buffer += text;
+
+    const events = [];
+    const lines = this.buffer.split(/\r\n|\r|\n/);
+    this.buffer = lines.pop();
+
+    for (const line of lines) {
+      const event = this._processLine(line);
+      if (event) {
+        events.push(event);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Decode whatever is left once the stream has ended
+   *
+   * Servers frequently omit the blank line after the final event, so a
+   * pending event is dispatched rather than discarded.
+   *
+   * @returns {Array<Object>} - Remaining events
+   */
+  flush() {
+    const events = [];
+    const lines = this.buffer.split(/\r\n|\r|\n/);
+    this.buffer = '';
+
+    for (const line of [...lines, '']) {
+      const event = this._processLine(line);
+      if (event) {
+        events.push(event);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Process one line of the stream
+   *
+   * @private
+   * @param {string} line - Line without its terminator
+   * @returns {Object|null} - Event dispatched by a blank line, if any
+   */
+  _processLine(line) {
+    if (line === '') {
+      return this._dispatch();
+    }
+    if (line.startsWith(':')) {
+      return null;
+    }
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'data':
+        this.data.push(value);
+        break;
+      case 'event':
+        this.eventType = value;
+        break;
+      case 'id':
+        if (!value.includes('\0')) {
+          this.lastEventId = value;
+        }
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          this.retry = parseInt(value, 10);
+        }
+        break;
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the pending event and reset the per-event fields
+   *
+   * @private
+   * @returns {Object|null} - Event, or null if no data was received
+   */
+  _dispatch() {
+    if (this.data.length === 0) {
+      this.eventType = '';
+      return null;
+    }
+
+    const event = {
+      event: this.eventType || 'message',
+      data: this.data.join('\n'),
+      id: this.lastEventId,
+      retry: this.retry
+    };
+
+    this.data = [];
+    this.eventType = '';
+    return event;
+  }
+}
+
+/**
+ * Incremental decoder for newline-delimited JSON streams
+ */
+export class NDJSONDecoder {
+  constructor() {
+    this.buffer = '';
+  }
+
+  /**
+   * Decode the next piece of the stream
+   *
+   * @param {string} text - Stream text
+   * @returns {Array<Object>} - Parsed values for every complete line
+   */
+  push(text) {
+    const lines = (this.buffer + text).split('\n');
+    this.buffer = lines.pop();
+    return lines.map(line => line.trim()).filter(Boolean).map(parseStreamJSON);
+  }
+
+  /**
+   * Decode a final line that was not newline terminated
+   *
+   * @returns {Array<Object>} - Remaining values
+   */
+  flush() {
+    const line = this.buffer.trim();
+    this.buffer = '';
+    return line ? [parseStreamJSON(line)] : [];
+  }
+}
+
+/**
+ * Iterate over the raw Server-Sent Events of a streaming response
+ *
+ * @param {Response} response - Fetch response
+ * @returns {AsyncGenerator<Object>} - Events ({ event, data, id, retry })
+ */
+export async function* iterateSSE(response) {
+  const decoder = new SSEDecoder();
+
+  for await (const text of readTextStream(response)) {
+    yield* decoder.push(text);
+  }
+
+  yield* decoder.flush();
+}
+
+/**
+ * Iterate over the JSON payloads of a Server-Sent Events response
+ *
+ * Stops at the OpenAI `[DONE]` sentinel and throws a LiteLLMError for
+ * `error` events and payloads carrying an `error` field.
+ *
+ * @param {Response} response - Fetch response
+ * @returns {AsyncGenerator<Object>} - Parsed event payloads
+ */
+export async function* streamSSE(response) {
+  for await (const event of iterateSSE(response)) {
+    const data = event.data.trim();
+    if (data === '[DONE]') {
+      return;
+    }
+    if (!data) {
+      continue;
+    }
+
+    let payload;
+    try {
+      payload = parseStreamJSON(data);
+    } catch (error) {
+      // Some servers send plain text error events
+      if (event.event === 'error') {
+        throw new LiteLLMError(`Stream error: ${data}`, 500, data);
+      }
+      throw error;
+    }
+
+    if (event.event === 'error' || payload?.error) {
+      throw createStreamError(payload);
+    }
+
+    yield payload;
+  }
+}
+
+/**
+ * Iterate over the values of a newline-delimited JSON response
+ *
+ * Throws a LiteLLMError for values carrying an `error` field.
+ *
+ * @param {Response} response - Fetch response
+ * @returns {AsyncGenerator<Object>} - Parsed values
+ */
+export async function* streamNDJSON(response) {
+  const decoder = new NDJSONDecoder();
+
+  for await (const text of readTextStream(response)) {
+    for (const value of decoder.push(text)) {
+      if (value?.error) {
+        throw createStreamError(value);
+      }
+      yield value;
+    }
+  }
+
+  for (const value of decoder.flush()) {
+    if (value?.error) {
+      throw createStreamError(value);
+    }
+    yield value;
+  }
+}
+
+/**
+ * Limit the time between the items of an async iterable
+ *
+ * If no item arrives within `idleTimeout` milliseconds, `onTimeout` is
+ * called (to abort the underlying request) and a TimeoutError is
+ * thrown. The time to the first item counts as well.
+ *
+ * @param {AsyncIterable} iterable - Items, such as completion chunks
+ * @param {number} idleTimeout - Longest wait for an item in milliseconds
+ * @param {Function} [onTimeout] - Called with the error when the timeout fires
+ * @returns {AsyncGenerator} - The same items
+ */
+export async function* withIdleTimeout(iterable, idleTimeout, onTimeout) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  let timedOut = false;
+  let finished = false;
+
+  try {
+    while (true) {
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const error = new TimeoutError(
+            `Stream timed out after ${idleTimeout}ms without data`,
+            408,
+            {},
+            { timeout: idleTimeout }
+          );
+          timedOut = true;
+          onTimeout?.(error);
+          reject(error);
+        }, idleTimeout);
+      });
+
+      let result;
+      try {
+        result = await Promise.race([iterator.next(), timeout]);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (result.done) {
+        finished = true;
+        return;
+      }
+      yield result.value;
+    }
+  } finally {
+    if (!finished) {
+      // A timed out iterator may still be waiting for data, so don't wait for it to close
+      const closing = iterator.return?.();
+      if (!timedOut) {
+        await closing;
+      } else {
+        closing?.catch(() => {});
+      }
+    }
+  }
+}
+
+/**
+ * Parse one JSON value from a stream
+ *
+ * @private
+ * @param {string} text - JSON text
+ * @returns {Object} - Parsed value
+ */
+function parseStreamJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new LiteLLMError(`Invalid JSON in stream: ${text}`, 500, text);
+  }
+}
+
+/**
+ * Build a LiteLLMError from an error event sent mid-stream
+ *
+ * Handles the OpenAI/Gemini (`{ error: { message, code } }`), Anthropic
+ * (`{ type: 'error', error: { type, message } }`) and TGI/Ollama
+ * (`{ error: '...' }`) shapes.
+ *
+ * @private
+ * @param {Object} payload - Error payload
+ * @returns {LiteLLMError} - Error to throw
+ */
+function createStreamError(payload) {
+  const error = payload?.error ?? payload;
+  const message = typeof error === 'string'
+    ? error
+    : error?.message || JSON.stringify(error);
+
+  let status = 500;
+  if (typeof error?.code === 'number') {
+    status = error.code;
+  } else if (ERROR_TYPE_STATUS[error?.type]) {
+    status = ERROR_TYPE_STATUS[error.type];
+  }
+
+  return new LiteLLMError(`Stream error: ${message}`, status, payload);
+}
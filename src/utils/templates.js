@@ -0,0 +1,165 @@
+import { LiteLLMError } from '../client.js';
+
+/**
+ * @typedef {Object} ChatTemplateRole
+ * @property {string} [pre=''] - Text inserted before the message content
+ * @property {string} [post=''] - Text inserted after the message content
+ */
+
+/**
+ * @typedef {Object} ChatTemplate
+ * @property {string} [bos=''] - Text the prompt starts with
+ * @property {Object<string, ChatTemplateRole>} [roles] - Per-role wrappers (system, user, assistant, tool)
+ * @property {string} [generationPrompt=''] - Text appended so the model answers as the assistant
+ * @property {Array<string>} [stop=[]] - Stop sequences that end the assistant turn
+ * @property {Function} [render] - Custom renderer `(messages) => string`, used instead of roles
+ */
+
+/**
+ * Flatten OpenAI message content to plain text
+ *
+ * @param {string|Array<Object>} content - Message content
+ * @returns {string} - Text content
+ */
+function contentToText(content) {
+  if (Array.isArray(content)) {
+    return content.filter(part => part.type === 'text').map(part => part.text).join('');
+  }
+  return content || '';
+}
+
+/**
+ * Mistral instruct format: system prompts are folded into the next user turn
+ *
+ * @param {Array<LLMMessage>} messages - Messages to render
+ * @returns {string} - Prompt
+ */
+function renderMistral(messages) {
+  let prompt = '<s>';
+  let system = [];
+
+  for (const message of messages) {
+    const content = contentToText(message.content);
+    if (message.role === 'system') {
+      system.push(content);
+    } else if (message.role === 'assistant') {
+      prompt += `${content}</s>`;
+    } else {
+      prompt += `[INST] ${[...system, content].join('\n\n')} [/INST]`;
+      system = [];
+    }
+  }
+
+  return prompt;
+}
+
+/**
+ * Built-in chat templates
+ */
+export const CHAT_TEMPLATES = {
+  llama3: {
+    bos: '<|begin_of_text|>',
+    roles: {
+      system: { pre: '<|start_header_id|>system<|end_header_id|>\n\n', post: '<|eot_id|>' },
+      user: { pre: '<|start_header_id|>user<|end_header_id|>\n\n', post: '<|eot_id|>' },
+      assistant: { pre: '<|start_header_id|>assistant<|end_header_id|>\n\n', post: '<|eot_id|>' },
+      tool: { pre: '<|start_header_id|>ipython<|end_header_id|>\n\n', post: '<|eot_id|>' }
+    },
+    generationPrompt: '<|start_header_id|>assistant<|end_header_id|>\n\n',
+    stop: ['<|eot_id|>']
+  },
+  chatml: {
+    roles: {
+      system: { pre: '<|im_start|>system\n', post: '<|im_end|>\n' },
+      user: { pre: '<|im_start|>user\n', post: '<|im_end|>\n' },
+      assistant: { pre: '<|im_start|>assistant\n', post: '<|im_end|>\n' },
+      tool: { pre: '<|im_start|>tool\n', post: '<|im_end|>\n' }
+    },
+    generationPrompt: '<|im_start|>assistant\n',
+    stop: ['<|im_end|>']
+  },
+  mistral: {
+    render: renderMistral,
+    stop: ['</s>']
+  },
+  alpaca: {
+    roles: {
+      system: { pre: '', post: '\n\n' },
+      user: { pre: '### Instruction:\n', post: '\n\n' },
+      assistant: { pre: '### Response:\n', post: '\n\n' }
+    },
+    generationPrompt: '### Response:\n',
+    stop: ['### Instruction:']
+  }
+};
+
+/**
+ * Register a custom chat template, or replace a built-in one
+ *
+ * @param {string} name - Template name
+ * @param {ChatTemplate} template - Template definition
+ */
+export function registerChatTemplate(name, template) {
+  CHAT_TEMPLATES[name] = template;
+}
+
+/**
+ * Look up a chat template by name, passing template objects through
+ *
+ * @param {string|ChatTemplate} template - Template name or definition
+ * @returns {ChatTemplate} - Template definition
+ */
+export function getChatTemplate(template) {
+  if (typeof template !== 'string') {
+    return template;
+  }
+  if (!CHAT_TEMPLATES[template]) {
+    throw new LiteLLMError(`Unknown chat template: ${template}`, 400);
+  }
+  return CHAT_TEMPLATES[template];
+}
+
+/**
+ * Guess the chat template for a model from its name
+ *
+ * @param {string} model - Model name, e.g. "meta-llama/Meta-Llama-3-8B-Instruct"
+ * @returns {string} - Template name
+ */
+export function inferChatTemplate(model = '') {
+  const name = model.toLowerCase();
+  if (/llama-?3/.test(name)) {
+    return 'llama3';
+  }
+  if (name.includes('mistral') || name.includes('mixtral')) {
+    return 'mistral';
+  }
+  if (name.includes('alpaca')) {
+    return 'alpaca';
+  }
+  return 'chatml';
+}
+
+/**
+ * Render messages into a single raw prompt
+ *
+ * @param {string|ChatTemplate} template - Template name or definition
+ * @param {Array<LLMMessage>} messages - Messages to render
+ * @returns {string} - Prompt
+ */
+export function renderChatTemplate(template, messages = []) {
+  const definition = getChatTemplate(template);
+
+  if (typeof definition.render === 'function') {
+    return definition.render(messages);
+  }
+
+  const roles = definition.roles || {};
+  let prompt = definition.bos || '';
+
+  for (const message of messages) {
+    const role = roles[message.role] || roles.user || {};
+    prompt += `${role.pre || ''}${contentToText(message.content)}${role.post || ''}`;
+  }
+
+  return prompt + (definition.generationPrompt || '');
+}
@@ -0,0 +1,284 @@
+import { Tiktoken } from 'js-tiktoken/lite';
+
+// Rank tables of the byte pair encodings, imported on first use as they are several megabytes;
+// the build splits them into chunks of their own, except in the UMD bundle
+const RANK_LOADERS = {
+  cl100k_base: () => import('js-tiktoken/ranks/cl100k_base'),
+  o200k_base: () => import('js-tiktoken/ranks/o200k_base')
+};
+
+// Models using o200k_base; other OpenAI models use cl100k_base
+const O200K_PATTERN = /^(gpt-4o|chatgpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o1|o3|o4)/;
+
+// Models using cl100k_base
+const CL100K_PATTERN = /^(gpt-4|gpt-3\.5|gpt-35|text-embedding-)/;
+
+// Fixed cost of every chat message and of priming the reply (OpenAI chat format)
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_NAME = 1;
+const REPLY_TOKENS = 3;
+
+// Image inputs, for 'low' detail and for a 1024x1024 image at 'high' or 'auto' detail
+const LOW_DETAIL_IMAGE_TOKENS = 85;
+const HIGH_DETAIL_IMAGE_TOKENS = 765;
+
+// Share by which an approximate count may be off from the model's own tokenizer
+export const APPROXIMATION_MARGIN = 0.25;
+
+// BPE merging takes quadratic time in the length of a word, so longer runs without
+// whitespace (Chinese or Japanese text, base64 data) are encoded in slices
+const MAX_WORD_LENGTH = 128;
+const LONG_WORD = new RegExp(`\\S{${MAX_WORD_LENGTH + 1},}`, 'g');
+
+// Encoders by encoding name, and the loads still in progress
+const encoders = {};
+const loading = {};
+
+/**
+ * Get the encoding a model's tokens are counted with
+ *
+ * OpenAI models use their own encoding. Other model families (Claude,
+ * Gemini, Llama, ...) ship tokenizers that are not available offline, so
+ * their counts are approximated with cl100k_base.
+ *
+ * @param {string} model - Model name, with or without a provider prefix
+ * @returns {Object} - { encoding, exact } where exact is false for approximations
+ */
+export function getEncodingForModel(model = '') {
+  const name = model.slice(model.lastIndexOf('/') + 1);
+
+  if (O200K_PATTERN.test(name)) {
+    return { encoding: 'o200k_base', exact: true };
+  }
+  return { encoding: 'cl100k_base', exact: CL100K_PATTERN.test(name) };
+}
+
+/**
+ * Load an encoding's rank table, if it isn't loaded yet
+ *
+ * @param {string} encoding - 'cl100k_base' or 'o200k_base'
+ * @returns {Promise<void>}
+ * @throws {Error} - If the encoding is unknown or its rank table can't be imported
+ */
+export async function loadEncoding(encoding) {
+  if (encoders[encoding]) {
+    return;
+  }
+  if (!RANK_LOADERS[encoding]) {
+    throw new Error(`Unknown encoding: ${encoding}`);
+  }
+
+  loading[encoding] = loading[encoding] || RANK_LOADERS[encoding]().then(
+    module => {
+      encoders[encoding] = new Tiktoken(module.default);
+    },
+    error => {
+      delete loading[encoding];
+      throw new Error(`Could not load the ${encoding} encoding, register it with registerEncoding: ${error.message}`);
+    }
+  );
+  await loading[encoding];
+}
+
+/**
+ * Register an encoding's rank table
+ *
+ * Only needed where the bundled rank tables can't be loaded, e.g. when the
+ * chunks of the build are not served; otherwise they are loaded on first use.
+ *
+ * @param {string} encoding - 'cl100k_base' or 'o200k_base'
+ * @param {Object} ranks - Rank table, the default export of js-tiktoken/ranks/<encoding>
+ * @returns {void}
+ */
+export function registerEncoding(encoding, ranks) {
+  encoders[encoding] = new Tiktoken(ranks);
+}
+
+/**
+ * Check whether an encoding can be used without loading it first
+ *
+ * @param {string} encoding - Encoding name
+ * @returns {boolean} - True if encode, decode and countTokens can use it
+ */
+export function isEncodingLoaded(encoding) {
+  return Boolean(encoders[encoding]);
+}
+
+/**
+ * Encode text into tokens
+ *
+ * Special tokens such as <|endoftext|> are encoded as plain text, as the
+ * APIs do with user content. Words over 128 characters are encoded in
+ * slices, which may count a token more per slice than the API does. The
+ * encoding must have been loaded with loadEncoding.
+ *
+ * @param {string} text - Text to encode
+ * @param {string} [encoding='cl100k_base'] - 'cl100k_base' or 'o200k_base'
+ * @returns {Array<number>} - Token ids
+ */
+export function encode(text, encoding = 'cl100k_base') {
+  const encoder = getEncoder(encoding);
+  return splitLongWords(text).flatMap(segment => encoder.encode(segment, [], []));
+}
+
+/**
+ * Decode tokens back into text
+ *
+ * The encoding must have been loaded with loadEncoding.
+ *
+ * @param {Array<number>} tokens - Token ids
+ * @param {string} [encoding='cl100k_base'] - 'cl100k_base' or 'o200k_base'
+ * @returns {string} - Text
+ */
+export function decode(tokens, encoding = 'cl100k_base') {
+  return getEncoder(encoding).decode(tokens);
+}
+
+/**
+ * Count the tokens of a prompt, loading the model's encoding if needed
+ *
+ * Messages are counted the way OpenAI's chat format adds them up: content,
+ * names and tool calls plus a fixed overhead per message. Images count as a
+ * fixed estimate, and tool definitions as the tokens of their JSON schema,
+ * so counts for requests with tools are approximate.
+ *
+ * @param {Object} options - What to count
+ * @param {string} [options.model] - Model name, selects the encoding
+ * @param {Array<LLMMessage>} [options.messages] - Chat messages
+ * @param {Array<Object>} [options.tools] - Tool definitions
+ * @param {string} [options.text] - Plain text, counted without message overhead
+ * @returns {Promise<number>} - Token count
+ */
+export async function tokenCounter(options = {}) {
+  await loadEncoding(getEncodingForModel(options.model).encoding);
+  return countTokens(options);
+}
+
+/**
+ * Count the tokens of a prompt whose encoding is already loaded
+ *
+ * @param {Object} options - What to count, see tokenCounter
+ * @returns {number} - Token count
+ */
+export function countTokens(options = {}) {
+  const { encoding } = getEncodingForModel(options.model);
+  const count = text => (text ? encode(text, encoding).length : 0);
+  let tokens = count(options.text);
+
+  if (options.messages) {
+    for (const message of options.messages) {
+      tokens += TOKENS_PER_MESSAGE + count(message.role);
+      tokens += countContent(message.content, count);
+
+      if (message.name) {
+        tokens += TOKENS_PER_NAME + count(message.name);
+      }
+      for (const toolCall of message.tool_calls || []) {
+        tokens += count(toolCall.function?.name) + count(toolCall.function?.arguments);
+      }
+      if (message.function_call) {
+        tokens += count(message.function_call.name) + count(message.function_call.arguments);
+      }
+    }
+    tokens += REPLY_TOKENS;
+  }
+
+  for (const tool of options.tools || options.functions || []) {
+    tokens += count(JSON.stringify(tool.function || tool));
+  }
+
+  return tokens;
+}
+
+/**
+ * Get an upper bound of a prompt's token count without encoding it
+ *
+ * Every token is at least one byte of UTF-8, so a prompt whose bound fits
+ * a limit doesn't need to be counted exactly.
+ *
+ * @param {Object} options - What to count, see tokenCounter
+ * @returns {number} - At least as many tokens as countTokens counts
+ */
+export function tokenUpperBound(options = {}) {
+  const { messages = [], tools, functions, text } = options;
+  let images = 0;
+  for (const message of messages) {
+    for (const part of Array.isArray(message.content) ? message.content : []) {
+      images += part.type === 'image_url' ? 1 : 0;
+    }
+  }
+
+  return new TextEncoder().encode(JSON.stringify({ messages, tools, functions, text })).length +
+    messages.length * (TOKENS_PER_MESSAGE + TOKENS_PER_NAME) +
+    images * HIGH_DETAIL_IMAGE_TOKENS +
+    REPLY_TOKENS;
+}
+
+/**
+ * Count the tokens of message content
+ *
+ * @private
+ * @param {string|Array<Object>} content - Text or content parts
+ * @param {Function} count - Counts the tokens of a string
+ * @returns {number} - Token count
+ */
+function countContent(content, count) {
+  if (typeof content === 'string') {
+    return count(content);
+  }
+
+  let tokens = 0;
+  for (const part of Array.isArray(content) ? content : []) {
+    if (part.type === 'text') {
+      tokens += count(part.text);
+    } else if (part.type === 'image_url') {
+      tokens += part.image_url?.detail === 'low' ? LOW_DETAIL_IMAGE_TOKENS : HIGH_DETAIL_IMAGE_TOKENS;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Get the encoder of a loaded encoding
+ *
+ * @private
+ * @param {string} encoding - Encoding name
+ * @returns {Tiktoken} - Encoder
+ */
+function getEncoder(encoding) {
+  if (!encoders[encoding]) {
+    throw new Error(`Encoding ${encoding} is not loaded, call loadEncoding first`);
+  }
+  return encoders[encoding];
+}
+
+/**
+ * Split text so that no run without whitespace is longer than MAX_WORD_LENGTH
+ *
+ * @private
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Segments in order
+ */
+function splitLongWords(text) {
+  const segments = [];
+  let start = 0;
+
+  for (const match of text.matchAll(LONG_WORD)) {
+    segments.push(text.slice(start, match.index));
+    const wordEnd = match.index + match[0].length;
+    for (let i = match.index; i < wordEnd;) {
+      let end = Math.min(i + MAX_WORD_LENGTH, wordEnd);
+      const code = text.charCodeAt(end);
+      // Don't split a surrogate pair
+      if (code >= 0xdc00 && code <= 0xdfff) {
+        end--;
+      }
+      segments.push(text.slice(i, end));
+      i = end;
+    }
+    start = wordEnd;
+  }
+  segments.push(text.slice(start));
+
+  return segments.filter(segment => segment.length > 0);
+}
@@ -0,0 +1,196 @@
+import { loadEncoding, countTokens, tokenUpperBound, encode, decode, getEncodingForModel } from './tokens.js';
+import { getModelInfo } from './models.js';
+
+// Tokens kept free for the response when the request doesn't set max_tokens
+const DEFAULT_RESERVE_TOKENS = 4096;
+
+// Put in place of the middle of a truncated message
+const TRUNCATION_MARKER = '\n...\n';
+
+/**
+ * Trim chat messages to fit a token budget
+ *
+ * The oldest turns are dropped first. System messages and the latest turn
+ * are always kept, and an assistant message with tool calls is only
+ * dropped together with its tool results. If a summarize function is
+ * given, the dropped messages are replaced by a system message with their
+ * summary. If the kept messages still don't fit, the largest non-system
+ * message is truncated from the middle; system messages and the summary are
+ * never cut, so the result can still be over budget if they alone don't fit.
+ *
+ * @param {Array<LLMMessage>} messages - Chat messages
+ * @param {Object} options - Trim options
+ * @param {string} options.model - Model name, selects the encoding and the context window
+ * @param {string} [options.provider] - Provider type or prefix, for the model info lookup
+ * @param {Array<Object>} [options.tools] - Tool definitions, counted against the budget
+ * @param {number} [options.maxTokens] - Token budget of the prompt, defaults to the model's context window minus reserveTokens
+ * @param {number} [options.reserveTokens=4096] - Tokens kept free for the response
+ * @param {function(Array<LLMMessage>): Promise<string>} [options.summarize] - Summarizes the dropped messages
+ * @returns {Promise<Array<LLMMessage>>} - The messages that fit; the input array if nothing had to be trimmed or the budget is unknown
+ */
+export async function trimMessages(messages, options = {}) {
+  const { model, tools } = options;
+  const maxTokens = options.maxTokens ?? getPromptBudget(options);
+  if (!maxTokens || tokenUpperBound({ messages, tools }) <= maxTokens) {
+    return messages;
+  }
+
+  const { encoding } = getEncodingForModel(model);
+  await loadEncoding(encoding);
+  if (countTokens({ model, messages, tools }) <= maxTokens) {
+    return messages;
+  }
+
+  const replyTokens = countTokens({ model, messages: [] });
+  const size = message => countTokens({ model, messages: [message] }) - replyTokens;
+
+  const pinned = messages.filter(message => message.role === 'system');
+  const turns = groupTurns(messages.filter(message => message.role !== 'system'), size);
+  let total = countTokens({ model, messages: pinned, tools }) + turns.reduce((sum, turn) => sum + turn.tokens, 0);
+  const dropped = [];
+
+  const dropOldest = () => {
+    // The latest turn is always kept; a conversation left starting with an assistant turn loses that one too
+    while (turns.length > 1 && (total > maxTokens || turns[0].messages[0].role !== 'user')) {
+      const turn = turns.shift();
+      total -= turn.tokens;
+      dropped.push(...turn.messages);
+    }
+  };
+  dropOldest();
+
+  let summary = null;
+  if (dropped.length > 0 && options.summarize) {
+    summary = { role: 'system', content: await options.summarize(dropped) };
+    total += size(summary);
+    dropOldest();
+  }
+
+  const kept = new Set([...pinned, ...turns.flatMap(turn => turn.messages)]);
+  const trimmed = messages.filter(message => kept.has(message));
+  if (summary) {
+    const index = trimmed.findIndex(message => message.role !== 'system');
+    trimmed.splice(index === -1 ? trimmed.length : index, 0, summary);
+  }
+
+  // Truncate the largest message until the rest fits, as long as there is non-system text left to cut
+  for (let attempt = 0; total > maxTokens && attempt < trimmed.length + 2; attempt++) {
+    let largest = -1;
+    for (let i = 0; i < trimmed.length; i++) {
+      if (trimmed[i].role !== 'system' && getLongestText(trimmed[i]) && (largest === -1 || size(trimmed[i]) > size(trimmed[largest]))) {
+        largest = i;
+      }
+    }
+    if (largest === -1) {
+      break;
+    }
+
+    const before = size(trimmed[largest]);
+    const truncated = truncateMessage(trimmed[largest], total - maxTokens, encoding);
+    const after = size(truncated);
+    if (after >= before) {
+      break;
+    }
+    trimmed[largest] = truncated;
+    total -= before - after;
+  }
+
+  return trimmed;
+}
+
+/**
+ * Get the token budget of a prompt from the model's context window
+ *
+ * @private
+ * @param {Object} options - Trim options
+ * @returns {number|null} - Token budget, or null if the context window is unknown
+ */
+function getPromptBudget(options) {
+  const contextWindow = getModelInfo(options.model, options.provider)?.maxInputTokens;
+  if (!contextWindow) {
+    return null;
+  }
+  return contextWindow - (options.reserveTokens ?? DEFAULT_RESERVE_TOKENS);
+}
+
+/**
+ * Group messages into turns that are kept or dropped as a whole
+ *
+ * Tool and function results belong to the turn of the assistant message
+ * that called them.
+ *
+ * @private
+ * @param {Array<LLMMessage>} messages - Non-system messages
+ * @param {Function} size - Counts the tokens of a message
+ * @returns {Array<Object>} - Turns as { messages, tokens }, oldest first
+ */
+function groupTurns(messages, size) {
+  const turns = [];
+  for (const message of messages) {
+    const isResult = message.role === 'tool' || message.role === 'function';
+    if (!isResult || turns.length === 0) {
+      turns.push({ messages: [], tokens: 0 });
+    }
+
+    const turn = turns[turns.length - 1];
+    turn.messages.push(message);
+    turn.tokens += size(message);
+  }
+  return turns;
+}
+
+/**
+ * Get the longest text of a message, either its content or a text part
+ *
+ * @private
+ * @param {LLMMessage} message - Message
+ * @returns {string|null} - Text, or null if the message has none
+ */
+function getLongestText(message) {
+  if (typeof message.content === 'string') {
+    return message.content || null;
+  }
+
+  let longest = null;
+  for (const part of Array.isArray(message.content) ? message.content : []) {
+    if (part.type === 'text' && part.text && part.text.length > (longest?.length || 0)) {
+      longest = part.text;
+    }
+  }
+  return longest;
+}
+
+/**
+ * Cut tokens out of the middle of a message's longest text
+ *
+ * @private
+ * @param {LLMMessage} message - Message
+ * @param {number} excess - Tokens to remove
+ * @param {string} encoding - Encoding name
+ * @returns {LLMMessage} - Copy of the message with the text truncated
+ */
+function truncateMessage(message, excess, encoding) {
+  const text = getLongestText(message);
+  const tokens = encode(text, encoding);
+  const keep = Math.max(tokens.length - excess - encode(TRUNCATION_MARKER, encoding).length, 0);
+  const head = Math.ceil(keep / 2);
+  const truncated = decode(tokens.slice(0, head), encoding) +
+    TRUNCATION_MARKER +
+    decode(tokens.slice(tokens.length - (keep - head)), encoding);
+
+  if (typeof message.content === 'string') {
+    return { ...message, content: truncated };
+  }
+
+  let replaced = false;
+  return {
+    ...message,
+    content: message.content.map(part => {
+      if (!replaced && part.type === 'text' && part.text === text) {
+        replaced = true;
+        return { ...part, text: truncated };
+      }
+      return part;
+    })
+  };
+}
@@ -13,7 +13,18 @@ liteLLM.registerProvider('anthropic', {
   apiKey: process.env.ANTHROPIC_API_KEY || 'your-anthropic-api-key'
 });
 
-console.log('已注册提供商: openai, anthropic');
+liteLLM.registerProvider('google', {
+  apiKey: process.env.GEMINI_API_KEY || 'your-gemini-api-key'
+});
+
+liteLLM.registerProvider('cohere', {
+  apiKey: process.env.COHERE_API_KEY || 'your-cohere-api-key'
+});
+
+// OpenAI 兼容预设，API key 默认读取 DEEPSEEK_API_KEY
+liteLLM.registerProvider('deepseek');
+
+console.log('已注册提供商: openai, anthropic, google, cohere, deepseek');
 
 // 创建普通代理
 liteLLM.createProxy({
@@ -41,6 +52,10 @@ async function testProviderForModel() {
     'openai/gpt-3.5-turbo',
     'claude-2',
     'anthropic/claude-2',
+    'gemini-1.5-flash',
+    'gemini/gemini-1.5-pro',
+    'command-r-plus',
+    'deepseek/deepseek-chat',
     'proxy-model',  // 使用标准代理，不替换模型名称
     'gpt-4-proxy'   // 使用 deepseek 代理，替换为 'deepseek-chat'
   ];
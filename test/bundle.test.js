@@ -0,0 +1,48 @@
+import vm from 'vm';
+import { rollup } from 'rollup';
+import configs from '../rollup.config.js';
+
+const umd = configs.find(config => config.output.format === 'umd');
+
+describe('UMD bundle', () => {
+  let litellm;
+  let fetch;
+
+  beforeAll(async () => {
+    const bundle = await rollup({ ...umd, onwarn: () => {} });
+    const { output } = await bundle.generate(umd.output);
+    await bundle.close();
+
+    // A browser-like global scope without module loaders, where fetch is the cross-fetch global
+    fetch = jest.fn();
+    const context = { fetch, console, TextEncoder, TextDecoder, URL, Response, AbortController, setTimeout, clearTimeout };
+    const chunks = output.filter(item => item.type === 'chunk');
+    expect(chunks).toHaveLength(1);
+    vm.runInNewContext(chunks[0].code, context);
+    litellm = context.litellm;
+  }, 60000);
+
+  test('counts tokens with the inlined rank tables', async () => {
+    expect(await litellm.tokenCounter({ model: 'gpt-4o', text: 'hello world' })).toBe(2);
+    expect(await litellm.tokenCounter({ model: 'gpt-4', messages: [{ role: 'user', content: 'hello world' }] })).toBe(9);
+  });
+
+  test('sends completions through the fetch global', async () => {
+    fetch.mockResolvedValue(new Response(JSON.stringify({
+      id: 'chatcmpl-1',
+      object: 'chat.completion',
+      created: 1700000000,
+      model: 'gpt-4o',
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 5, completion_tokens: 1, total_tokens: 6 }
+    }), { headers: { 'Content-Type': 'application/json' } }));
+    const client = new litellm.LiteLLM();
+    client.setLogger(false);
+    client.registerProvider('openai', { apiKey: 'key' });
+
+    const response = await client.completion({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }] });
+
+    expect(response.choices[0].message.content).toBe('Hi');
+    expect(fetch.mock.calls[0][0]).toBe('https://api.openai.com/v1/chat/completions');
+  });
+});
@@ -0,0 +1,158 @@
+import fetch from 'cross-fetch';
+import { LiteLLMClient } from '../src/client.js';
+import { LiteLLMError, APIConnectionError, TimeoutError, RateLimitError } from '../src/utils/errors.js';
+import { jsonResponse } from './helpers.js';
+
+jest.mock('cross-fetch', () => jest.fn());
+
+const client = new LiteLLMClient();
+const url = 'https://api.example.com/v1/chat/completions';
+// Defaults apart from the delay, so the tests don't wait
+const fast = { initialDelay: 1 };
+
+const connectionReset = () => Object.assign(new TypeError('fetch failed'), { cause: Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }) });
+
+// A fetch that never answers and rejects like fetch does once its signal aborts
+const hangingFetch = async (url, init) => new Promise((resolve, reject) => {
+  const abort = () => reject(new DOMException('This operation was aborted', 'AbortError'));
+  if (init.signal.aborted) {
+    abort();
+  }
+  init.signal.addEventListener('abort', abort, { once: true });
+});
+
+beforeEach(() => {
+  fetch.mockReset();
+});
+
+describe('LiteLLMClient retries', () => {
+  test('retries 408, 429 and 5xx responses up to twice by default', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ error: { message: 'Overloaded' } }, { status: 503 }))
+      .mockResolvedValueOnce(jsonResponse({ error: { message: 'Slow down' } }, { status: 429 }))
+      .mockResolvedValueOnce(jsonResponse({ ok: true }));
+
+    await expect(client.request(url, { method: 'POST', body: {}, retry: fast })).resolves.toEqual({ ok: true });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('throws the last error once the retries are used up', async () => {
+    fetch.mockImplementation(async () => jsonResponse({ error: { message: 'Timeout' } }, { status: 408 }));
+
+    await expect(client.request(url, { retry: fast })).rejects.toMatchObject({ status: 408, message: 'API request failed with status 408: Timeout' });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry client errors or when the server says not to', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse({ error: { message: 'Bad request' } }, { status: 400 }));
+    await expect(client.request(url, { retry: fast })).rejects.toMatchObject({ status: 400, retryable: false });
+
+    fetch.mockResolvedValueOnce(jsonResponse({}, { status: 500, headers: { 'x-should-retry': 'false' } }));
+    await expect(client.request(url, { retry: fast })).rejects.toMatchObject({ status: 500, retryable: false });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('waits as long as retry-after asks', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({}, { status: 429, headers: { 'retry-after-ms': '50' } }))
+      .mockResolvedValueOnce(jsonResponse({ ok: true }));
+
+    const start = Date.now();
+    await client.request(url, { retry: { initialDelay: 5000 } });
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(45);
+    expect(Date.now() - start).toBeLessThan(2000);
+  });
+
+  test('is disabled with retry false or maxRetries 0', async () => {
+    fetch.mockImplementation(async () => jsonResponse({}, { status: 503 }));
+
+    await expect(client.request(url, { retry: false })).rejects.toBeInstanceOf(LiteLLMError);
+    await expect(client.request(url, { retry: { maxRetries: 0 } })).rejects.toBeInstanceOf(LiteLLMError);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('LiteLLMClient connection errors', () => {
+  test('retries connection resets', async () => {
+    fetch
+      .mockRejectedValueOnce(connectionReset())
+      .mockResolvedValueOnce(jsonResponse({ ok: true }));
+
+    await expect(client.request(url, { retry: fast })).resolves.toEqual({ ok: true });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('throws an APIConnectionError without an HTTP status', async () => {
+    fetch.mockImplementation(async () => { throw connectionReset(); });
+
+    const error = await client.request(url, { retry: fast }).catch(error => error);
+
+    expect(error).toBeInstanceOf(APIConnectionError);
+    expect(error).toMatchObject({ status: null, code: 'ECONNRESET', retryable: true, message: 'Request failed: fetch failed' });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry errors that are not network failures', async () => {
+    fetch.mockRejectedValueOnce(Object.assign(new Error('certificate has expired'), { code: 'CERT_HAS_EXPIRED' }));
+
+    await expect(client.request(url, { retry: fast })).rejects.toMatchObject({ status: null, code: 'CERT_HAS_EXPIRED' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('LiteLLMClient timeouts and signals', () => {
+  test('throws a TimeoutError once the timeout expires', async () => {
+    fetch.mockImplementation(hangingFetch);
+
+    const error = await client.request(url, { timeout: 20 }).catch(error => error);
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error).toMatchObject({ status: 408, timeout: 20, message: 'Request timed out after 20ms' });
+  });
+
+  test('covers the retries with the timeout', async () => {
+    fetch.mockImplementation(async () => jsonResponse({}, { status: 503, headers: { 'retry-after': '5' } }));
+
+    const start = Date.now();
+    await expect(client.request(url, { timeout: 50 })).rejects.toBeInstanceOf(TimeoutError);
+    expect(Date.now() - start).toBeLessThan(2000);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('throws a 499 error when the caller aborts', async () => {
+    fetch.mockImplementation(hangingFetch);
+    const controller = new AbortController();
+
+    const request = client.request(url, { signal: controller.signal });
+    controller.abort();
+
+    await expect(request).rejects.toMatchObject({ name: 'LiteLLMError', status: 499, message: 'Request was aborted' });
+    await expect(client.request(url, { signal: controller.signal })).rejects.toMatchObject({ status: 499 });
+  });
+
+  test('passes a LiteLLMError abort reason through', async () => {
+    fetch.mockImplementation(hangingFetch);
+    const controller = new AbortController();
+    const reason = new RateLimitError('Budget for this minute is spent');
+
+    const request = client.request(url, { signal: controller.signal });
+    controller.abort(reason);
+
+    await expect(request).rejects.toBe(reason);
+  });
+
+  test('keeps the caller signal linked to a streaming response until its body is read', async () => {
+    fetch.mockResolvedValue(new Response('data: {}\n\n'));
+    const controller = new AbortController();
+
+    await client.request(url, { signal: controller.signal, timeout: 10, stream: true });
+    const fetchSignal = fetch.mock.calls[0][1].signal;
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(fetchSignal.aborted).toBe(false);
+
+    controller.abort();
+    expect(fetchSignal.aborted).toBe(true);
+  });
+});
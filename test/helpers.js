@@ -0,0 +1,121 @@
+import { crc32 } from 'zlib';
+
+// Helpers for tests that stub fetch with jest.mock('cross-fetch', () => jest.fn())
+
+/**
+ * Build a JSON response
+ *
+ * @param {Object} body - Response payload
+ * @param {Object} [init] - Response init, e.g. { status, headers }
+ * @returns {Response} - Fetch response
+ */
+export function jsonResponse(body, init = {}) {
+  return new Response(JSON.stringify(body), {
+    status: 200,
+    ...init,
+    headers: { 'content-type': 'application/json', ...init.headers }
+  });
+}
+
+/**
+ * Build a Server-Sent Events response
+ *
+ * @param {Array<Object|string>} events - Event payloads; objects are sent as JSON data, strings as they are
+ * @returns {Response} - Fetch response
+ */
+export function sseResponse(events) {
+  const text = events.map(event => typeof event === 'string' ? event : `data: ${JSON.stringify(event)}\n\n`).join('');
+  return new Response(text, { headers: { 'content-type': 'text/event-stream' } });
+}
+
+/**
+ * Build a newline-delimited JSON response
+ *
+ * @param {Array<Object>} values - Lines to send
+ * @returns {Response} - Fetch response
+ */
+export function ndjsonResponse(values) {
+  return new Response(values.map(value => `${JSON.stringify(value)}\n`).join(''), {
+    headers: { 'content-type': 'application/x-ndjson' }
+  });
+}
+
+/**
+ * Get a request made through the stubbed fetch
+ *
+ * @param {jest.Mock} fetch - The stubbed fetch
+ * @param {number} [index=-1] - Request index, negative counts from the last one
+ * @returns {Object} - { url, method, headers, body } with the JSON body parsed
+ */
+export function getRequest(fetch, index = -1) {
+  const calls = fetch.mock.calls;
+  const [url, options = {}] = calls[index < 0 ? calls.length + index : index];
+  let body = options.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      // Not JSON, keep the text
+    }
+  }
+  return { url, method: options.method, headers: options.headers, body };
+}
+
+/**
+ * Collect the values of an async iterable
+ *
+ * @param {AsyncIterable} iterable - Iterable to read to the end
+ * @returns {Promise<Array>} - Values in order
+ */
+export async function collect(iterable) {
+  const values = [];
+  for await (const value of iterable) {
+    values.push(value);
+  }
+  return values;
+}
+
+/**
+ * Encode a message in the AWS event stream framing, with string headers
+ *
+ * @param {Object<string, string>} headers - Message headers
+ * @param {Object|string} payload - Payload; objects are sent as JSON
+ * @returns {Uint8Array} - Message bytes
+ */
+export function encodeEventStreamMessage(headers, payload) {
+  const encoder = new TextEncoder();
+  const headerBytes = [];
+  for (const [name, value] of Object.entries(headers)) {
+    const nameBytes = encoder.encode(name);
+    const valueBytes = encoder.encode(value);
+    headerBytes.push(nameBytes.length, ...nameBytes, 7, valueBytes.length >> 8, valueBytes.length & 0xff, ...valueBytes);
+  }
+  const payloadBytes = encoder.encode(typeof payload === 'string' ? payload : JSON.stringify(payload));
+  const totalLength = 12 + headerBytes.length + payloadBytes.length + 4;
+
+  const message = new Uint8Array(totalLength);
+  const view = new DataView(message.buffer);
+  view.setUint32(0, totalLength);
+  view.setUint32(4, headerBytes.length);
+  view.setUint32(8, crc32(message.subarray(0, 8)));
+  message.set(headerBytes, 12);
+  message.set(payloadBytes, 12 + headerBytes.length);
+  view.setUint32(totalLength - 4, crc32(message.subarray(0, totalLength - 4)));
+  return message;
+}
+
+/**
+ * Build an AWS event stream response
+ *
+ * @param {Array<Uint8Array>} messages - Encoded messages
+ * @returns {Response} - Fetch response
+ */
+export function eventStreamResponse(messages) {
+  const bytes = new Uint8Array(messages.reduce((length, message) => length + message.length, 0));
+  let offset = 0;
+  for (const message of messages) {
+    bytes.set(message, offset);
+    offset += message.length;
+  }
+  return new Response(bytes, { headers: { 'content-type': 'application/vnd.amazon.eventstream' } });
+}
@@ -0,0 +1,543 @@
+import fetch from 'cross-fetch';
+import { LiteLLM } from '../src/litellm.js';
+import { TimeoutError, AuthenticationError, ServiceUnavailableError, RateLimitError, ContextWindowExceededError, BadRequestError } from '../src/utils/errors.js';
+import { BudgetManager } from '../src/utils/budget.js';
+import { registerModelInfo } from '../src/utils/models.js';
+import { jsonResponse, sseResponse, collect } from './helpers.js';
+
+jest.mock('cross-fetch', () => jest.fn());
+
+const completion = (content, usage = { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }) => ({
+  id: 'chatcmpl-1',
+  object: 'chat.completion',
+  created: 1700000000,
+  model: 'gpt-4o',
+  choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+  usage
+});
+
+const chunk = (content, finishReason = null) => ({
+  id: 'chatcmpl-1',
+  object: 'chat.completion.chunk',
+  created: 1700000000,
+  model: 'gpt-4o',
+  choices: [{ index: 0, delta: { content }, finish_reason: finishReason }]
+});
+
+const messages = [{ role: 'user', content: 'Hi' }];
+
+let litellm;
+let logger;
+
+beforeEach(() => {
+  fetch.mockReset();
+  logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  litellm = new LiteLLM();
+  litellm.setLogger(logger);
+  litellm.registerProvider('openai', { apiKey: 'key', retry: false });
+});
+
+describe('registerProvider', () => {
+  test('warns when a provider is replaced', () => {
+    litellm.registerProvider('openai', { apiKey: 'other' });
+
+    expect(logger.warn).toHaveBeenCalledWith('Provider openai is already registered and is replaced; pass a prefix to register another instance');
+  });
+
+  test('registers several instances of a provider under their prefixes', () => {
+    const second = litellm.registerProvider('openai', { apiKey: 'other', prefix: 'openai-b' });
+
+    expect(logger.warn).not.toHaveBeenCalled();
+    expect(litellm.getProviderForModel('openai-b/gpt-4o').provider).toBe(second);
+  });
+});
+
+describe('provider limits', () => {
+  test('queue requests over maxConcurrent until the running one finishes', async () => {
+    litellm.registerProvider('openai', { prefix: 'limited', apiKey: 'key', retry: false, limits: { maxConcurrent: 1 } });
+    const pending = [];
+    fetch.mockImplementation(() => new Promise(resolve => pending.push(() => resolve(jsonResponse(completion('Hi'))))));
+
+    const first = litellm.completion({ model: 'limited/gpt-4o', messages });
+    const second = litellm.completion({ model: 'limited/gpt-4o', messages });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    pending[0]();
+    await first;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    pending[1]();
+    await expect(second).resolves.toMatchObject({ choices: [{ message: { content: 'Hi' } }] });
+  });
+});
+
+describe('streamCompletion signals and timeouts', () => {
+  // A stream that sends its events and then stays open until the request is aborted, like fetch's
+  const openStream = (events, signal) => new Response(new ReadableStream({
+    start(controller) {
+      for (const event of events) {
+        controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify(event)}\n\n`));
+      }
+      signal.addEventListener('abort', () => controller.error(new DOMException('This operation was aborted', 'AbortError')), { once: true });
+    }
+  }));
+
+  test('cancels the request when the caller stops reading early', async () => {
+    fetch.mockResolvedValue(sseResponse([chunk('Hel'), chunk('lo'), chunk('', 'stop'), '[DONE]']));
+
+    for await (const received of litellm.streamCompletion({ model: 'gpt-4o', messages })) {
+      expect(received.choices[0].delta.content).toBe('Hel');
+      break;
+    }
+
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  test('throws a TimeoutError when no chunk arrives within streamIdleTimeout', async () => {
+    fetch.mockImplementation(async (url, init) => openStream([chunk('Hel')], init.signal));
+
+    const received = [];
+    const error = await (async () => {
+      for await (const item of litellm.streamCompletion({ model: 'gpt-4o', messages, streamIdleTimeout: 30 })) {
+        received.push(item);
+      }
+    })().catch(error => error);
+
+    expect(received).toHaveLength(1);
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.message).toBe('Stream timed out after 30ms without data');
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  test('aborts a stream in progress when the caller\'s signal aborts', async () => {
+    fetch.mockImplementation(async (url, init) => openStream([chunk('Hel')], init.signal));
+    const controller = new AbortController();
+
+    const chunks = litellm.streamCompletion({ model: 'gpt-4o', messages, signal: controller.signal });
+    await chunks.next();
+    controller.abort();
+
+    await expect(chunks.next()).rejects.toMatchObject({ status: 499 });
+  });
+
+  test('applies the provider timeout to completions', async () => {
+    litellm.registerProvider('openai', { prefix: 'slow', apiKey: 'key', retry: false, timeout: 20 });
+    fetch.mockImplementation((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('This operation was aborted', 'AbortError')));
+    }));
+
+    await expect(litellm.completion({ model: 'slow/gpt-4o', messages })).rejects.toMatchObject({ name: 'TimeoutError', timeout: 20 });
+    await expect(collect(litellm.streamCompletion({ model: 'slow/gpt-4o', messages, timeout: 10 }))).rejects.toMatchObject({ name: 'TimeoutError', timeout: 10 });
+  });
+});
+
+describe('error mapping', () => {
+  const failWith = (status, body) => fetch.mockResolvedValue(jsonResponse(body, { status }));
+
+  test('maps OpenAI errors by status and code', async () => {
+    failWith(401, { error: { message: 'Incorrect API key provided', code: 'invalid_api_key' } });
+    await expect(litellm.completion({ model: 'gpt-4o', messages })).rejects.toMatchObject({
+      constructor: AuthenticationError,
+      status: 401,
+      provider: 'openai',
+      model: 'gpt-4o',
+      retryable: false
+    });
+
+    failWith(400, { error: { message: 'maximum context length is 128000 tokens', code: 'context_length_exceeded' } });
+    await expect(litellm.completion({ model: 'gpt-4o', messages })).rejects.toBeInstanceOf(ContextWindowExceededError);
+  });
+
+  test('maps the error formats of other providers', async () => {
+    litellm.registerProvider('anthropic', { apiKey: 'key', retry: false });
+    litellm.registerProvider('google', { apiKey: 'key', retry: false });
+    litellm.registerProvider('cohere', { apiKey: 'key', retry: false });
+
+    failWith(529, { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } });
+    await expect(litellm.completion({ model: 'anthropic/claude-3-5-sonnet-20240620', messages, max_tokens: 10 }))
+      .rejects.toMatchObject({ constructor: ServiceUnavailableError, provider: 'anthropic', retryable: true });
+
+    failWith(400, { error: { code: 400, message: 'Quota exceeded', status: 'RESOURCE_EXHAUSTED' } });
+    await expect(litellm.completion({ model: 'google/gemini-1.5-pro', messages })).rejects.toBeInstanceOf(RateLimitError);
+
+    failWith(498, { message: 'invalid api token' });
+    await expect(litellm.completion({ model: 'cohere/command-r', messages })).rejects.toBeInstanceOf(AuthenticationError);
+  });
+
+  test('rejects embeddings for providers without them before sending anything', async () => {
+    litellm.registerProvider('anthropic', { apiKey: 'key', retry: false });
+
+    const error = await litellm.embedding({ model: 'anthropic/claude-3-5-sonnet-20240620', input: 'Hi' }).catch(error => error);
+
+    expect(error).toBeInstanceOf(BadRequestError);
+    expect(error.message).toBe('Embeddings are not supported for model: anthropic/claude-3-5-sonnet-20240620');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('context window check', () => {
+  const longMessages = [{ role: 'user', content: 'hello '.repeat(100) }];
+
+  beforeEach(() => {
+    fetch.mockImplementation(async () => jsonResponse(completion('Hi')));
+  });
+
+  test('rejects prompts over the context window before sending them', async () => {
+    registerModelInfo('gpt-4-tiny', { maxInputTokens: 50, maxOutputTokens: 10 });
+
+    const error = await litellm.completion({ model: 'gpt-4-tiny', messages: longMessages }).catch(error => error);
+
+    expect(error).toBeInstanceOf(ContextWindowExceededError);
+    expect(error.data).toMatchObject({ max_tokens: 0, context_window: 50, exact: true });
+    expect(error.data.prompt_tokens).toBeGreaterThan(100);
+    expect(fetch).not.toHaveBeenCalled();
+
+    await litellm.completion({ model: 'gpt-4-tiny', messages });
+    litellm.setContextWindowCheck(false);
+    await litellm.completion({ model: 'gpt-4-tiny', messages: longMessages });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('leaves approximate counts within the margin to the provider', async () => {
+    registerModelInfo('approx-model', { maxInputTokens: 100, maxOutputTokens: 10 });
+
+    await litellm.completion({ model: 'openai/approx-model', messages: longMessages });
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await expect(litellm.completion({ model: 'openai/approx-model', messages: longMessages, max_tokens: 50 }))
+      .rejects.toThrow('Prompt of about');
+  });
+
+  test('skips the check with a warning when the encoding can\'t be loaded', async () => {
+    let isolated;
+    jest.isolateModules(() => {
+      jest.doMock('js-tiktoken/ranks/cl100k_base', () => {
+        throw new Error('Cannot find module');
+      });
+      isolated = {
+        fetch: require('cross-fetch'),
+        LiteLLM: require('../src/litellm.js').LiteLLM,
+        registerModelInfo: require('../src/utils/models.js').registerModelInfo
+      };
+    });
+    isolated.fetch.mockImplementation(async () => jsonResponse(completion('Hi')));
+    const instance = new isolated.LiteLLM();
+    instance.setLogger(logger);
+    instance.registerProvider('openai', { apiKey: 'key', retry: false });
+    isolated.registerModelInfo('gpt-4-unloaded', { maxInputTokens: 50, maxOutputTokens: 10 });
+
+    await instance.completion({ model: 'gpt-4-unloaded', messages: longMessages });
+
+    expect(isolated.fetch).toHaveBeenCalledTimes(1);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Skipping the context window check of gpt-4-unloaded: Could not load the cl100k_base encoding'));
+  });
+});
+
+describe('cache', () => {
+  beforeEach(() => {
+    litellm.setCache();
+    fetch.mockImplementation(async () => jsonResponse(completion('Hi')));
+  });
+
+  test('answers a repeated call from the cache at no cost', async () => {
+    const first = await litellm.completion({ model: 'gpt-4o', messages });
+    const second = await litellm.completion({ model: 'gpt-4o', messages, timeout: 1000 });
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(first.cache_hit).toBe(false);
+    expect(second).toMatchObject({ cache_hit: true, choices: first.choices, _hidden_params: { response_cost: 0 } });
+  });
+
+  test('shares entries between completion and streamCompletion', async () => {
+    await litellm.completion({ model: 'gpt-4o', messages });
+
+    const chunks = await collect(litellm.streamCompletion({ model: 'gpt-4o', messages, stream_options: { include_usage: true } }));
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(chunks.every(chunk => chunk.cache_hit)).toBe(true);
+    expect(chunks[0].choices[0].delta.content).toBe('Hi');
+    expect(chunks[chunks.length - 1]).toMatchObject({ choices: [], usage: { total_tokens: 7 } });
+  });
+
+  test('honours cache false, noCache and noStore', async () => {
+    await litellm.completion({ model: 'gpt-4o', messages, cache: { noStore: true } });
+    await litellm.completion({ model: 'gpt-4o', messages, cache: false });
+    await litellm.completion({ model: 'gpt-4o', messages });
+    await litellm.completion({ model: 'gpt-4o', messages, cache: { noCache: true } });
+    await litellm.completion({ model: 'gpt-4o', messages });
+
+    expect(fetch).toHaveBeenCalledTimes(4);
+  });
+
+  test('keys trimmed calls on their trim options', async () => {
+    await litellm.completion({ model: 'gpt-4o', messages, trim_messages: { maxTokens: 1000 } });
+    await litellm.completion({ model: 'gpt-4o', messages, trim_messages: { maxTokens: 2000 } });
+    await litellm.completion({ model: 'gpt-4o', messages, trim_messages: { maxTokens: 1000 } });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not cache calls trimming with a summarize function', async () => {
+    const summarize = async () => 'Summary';
+
+    await litellm.completion({ model: 'gpt-4o', messages, trim_messages: { summarize } });
+    await litellm.completion({ model: 'gpt-4o', messages, trim_messages: { summarize } });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('stream cost', () => {
+  const usage = { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 };
+  const stream = () => sseResponse([
+    chunk('Hel'),
+    chunk('lo'),
+    chunk('', 'stop'),
+    { ...chunk(''), choices: [], usage },
+    '[DONE]'
+  ]);
+  // gpt-4o is priced at $2.5 in and $10 out per million tokens
+  const cost = (1000 * 2.5 + 100 * 10) / 1e6;
+
+  test('requests the usage and puts it with the cost on the last chunk', async () => {
+    fetch.mockResolvedValue(stream());
+
+    const chunks = await collect(litellm.streamCompletion({ model: 'gpt-4o', messages }));
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).stream_options).toEqual({ include_usage: true });
+    expect(chunks).toHaveLength(3);
+    const last = chunks[2];
+    expect(last.choices[0].finish_reason).toBe('stop');
+    expect(last.usage).toEqual(usage);
+    expect(last._hidden_params).toMatchObject({ provider: 'openai', model: 'gpt-4o' });
+    expect(last._hidden_params.response_cost).toBeCloseTo(cost, 10);
+  });
+
+  test('keeps the usage chunk for callers that asked for it', async () => {
+    fetch.mockResolvedValue(stream());
+
+    const chunks = await collect(litellm.streamCompletion({ model: 'gpt-4o', messages, stream_options: { include_usage: true } }));
+
+    expect(chunks).toHaveLength(4);
+    expect(chunks[2].usage).toBeUndefined();
+    expect(chunks[3]).toMatchObject({ choices: [], usage });
+    expect(chunks[3]._hidden_params.response_cost).toBeCloseTo(cost, 10);
+  });
+
+  test('counts the usage of providers that don\'t report it', async () => {
+    litellm.registerProvider('openai_compatible', { prefix: 'local', baseUrl: 'http://localhost:8000/v1' });
+    fetch.mockResolvedValue(sseResponse([chunk('Hello there'), chunk('', 'stop'), '[DONE]']));
+
+    const chunks = await collect(litellm.streamCompletion({ model: 'local/gpt-4o', messages }));
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).stream_options).toBeUndefined();
+    const last = chunks[chunks.length - 1];
+    expect(last.usage.prompt_tokens).toBeGreaterThan(0);
+    expect(last.usage.completion_tokens).toBe(2);
+    expect(last.usage.total_tokens).toBe(last.usage.prompt_tokens + 2);
+    expect(last._hidden_params.response_cost).toBeGreaterThan(0);
+  });
+
+  test('lets compatible providers opt into stream usage', async () => {
+    litellm.registerProvider('openai_compatible', { prefix: 'local', baseUrl: 'http://localhost:8000/v1', supportsStreamUsage: true });
+    fetch.mockResolvedValue(stream());
+
+    await collect(litellm.streamCompletion({ model: 'local/gpt-4o', messages }));
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).stream_options).toEqual({ include_usage: true });
+  });
+});
+
+describe('budgets', () => {
+  const usage = { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 };
+  const fallbackPrice = { inputCost: 1, outputCost: 3 };
+  const setBudgets = (options = {}) => {
+    const budgets = new BudgetManager({ budgets: [{ scope: 'user', id: 'alice', maxBudget: 1 }], ...options });
+    litellm.setBudgetManager(budgets);
+    return budgets;
+  };
+  const spend = async budgets => (await budgets.getBudget('user', 'alice')).spend;
+
+  beforeEach(() => {
+    litellm.registerProvider('openai', { prefix: 'backup', baseUrl: 'https://backup.example.com/v1', retry: false });
+  });
+
+  test('records the cost of a call and refuses calls once the budget is used up', async () => {
+    const budgets = setBudgets();
+    fetch.mockImplementation(async () => jsonResponse(completion('Hi', { prompt_tokens: 200000, completion_tokens: 50000, total_tokens: 250000 })));
+
+    await litellm.completion({ model: 'gpt-4o', messages, user: 'alice' });
+    // 200k in at $2.5 and 50k out at $10 per million tokens
+    expect(await spend(budgets)).toBeCloseTo(1, 10);
+
+    await expect(litellm.completion({ model: 'gpt-4o', messages, user: 'alice' })).rejects.toMatchObject({ name: 'BudgetExceededError', status: 429 });
+    await litellm.completion({ model: 'gpt-4o', messages, user: 'alice', budget: false });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('counts models without prices as free with a warning', async () => {
+    const budgets = setBudgets();
+    fetch.mockResolvedValue(jsonResponse(completion('Hi', usage)));
+
+    await litellm.completion({ model: 'backup/my-model', messages, user: 'alice' });
+
+    expect(await spend(budgets)).toBe(0);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Model my-model has no price'));
+  });
+
+  test('charges models without prices at the fallback price', async () => {
+    const budgets = setBudgets({ fallbackPrice });
+    fetch.mockResolvedValue(jsonResponse(completion('Hi', usage)));
+
+    await litellm.completion({ model: 'backup/my-model', messages, user: 'alice' });
+
+    expect(await spend(budgets)).toBeCloseTo((1000 * 1 + 100 * 3) / 1e6, 10);
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  test('does not charge local models the fallback price unless asked to', async () => {
+    litellm.registerProvider('ollama', {});
+    litellm.registerProvider('openai_compatible', { prefix: 'local', baseUrl: 'http://127.0.0.1:8000/v1' });
+    const ollama = () => jsonResponse({ message: { role: 'assistant', content: 'Hi' }, done: true, prompt_eval_count: 1000, eval_count: 100 });
+
+    const budgets = setBudgets({ fallbackPrice });
+    fetch.mockResolvedValueOnce(ollama()).mockResolvedValueOnce(jsonResponse(completion('Hi', usage)));
+    await litellm.completion({ model: 'ollama/llama3', messages, user: 'alice' });
+    await litellm.completion({ model: 'local/my-model', messages, user: 'alice' });
+
+    expect(await spend(budgets)).toBe(0);
+    expect(logger.warn).not.toHaveBeenCalled();
+
+    const charged = setBudgets({ fallbackPrice, chargeLocalModels: true });
+    fetch.mockResolvedValueOnce(ollama());
+    await litellm.completion({ model: 'ollama/llama3', messages, user: 'alice' });
+
+    expect(await spend(charged)).toBeCloseTo((1000 * 1 + 100 * 3) / 1e6, 10);
+  });
+
+  test('refuses budgeted calls to models without prices with strictPricing', async () => {
+    litellm.registerProvider('ollama', {});
+    setBudgets({ strictPricing: true });
+    fetch.mockImplementation(async () => jsonResponse(completion('Hi', usage)));
+
+    await expect(litellm.completion({ model: 'backup/my-model', messages, user: 'alice' })).rejects.toBeInstanceOf(BadRequestError);
+    expect(fetch).not.toHaveBeenCalled();
+
+    await litellm.completion({ model: 'backup/my-model', messages, user: 'bob' });
+    await litellm.completion({ model: 'gpt-4o', messages, user: 'alice' });
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    fetch.mockResolvedValueOnce(jsonResponse({ message: { role: 'assistant', content: 'Hi' }, done: true }));
+    await litellm.completion({ model: 'ollama/llama3', messages, user: 'alice' });
+
+    setBudgets({ strictPricing: true, fallbackPrice });
+    await litellm.completion({ model: 'backup/my-model', messages, user: 'alice' });
+  });
+
+  test('refuses router calls that may go to a deployment without prices with strictPricing', async () => {
+    setBudgets({ strictPricing: true });
+    litellm.registerRouter({ name: 'chat', deployments: ['openai/gpt-4o', { model: 'backup/my-model', id: 'backup' }] });
+
+    await expect(litellm.completion({ model: 'chat', messages, user: 'alice' })).rejects.toThrow('Model backup/my-model has no price');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('records the spend of a stream left early', async () => {
+    const budgets = setBudgets();
+    fetch.mockResolvedValue(sseResponse([chunk('Hello'), chunk(' there'), chunk('', 'stop'), { ...chunk(''), choices: [], usage }, '[DONE]']));
+
+    for await (const received of litellm.streamCompletion({ model: 'gpt-4o', messages, user: 'alice' })) {
+      expect(received.choices[0].delta.content).toBe('Hello');
+      break;
+    }
+
+    expect(await spend(budgets)).toBeGreaterThan(0);
+  });
+});
+
+describe('callbacks', () => {
+  const events = [];
+
+  beforeEach(() => {
+    events.length = 0;
+    for (const event of ['pre_call', 'post_call_success', 'post_call_failure', 'stream_end']) {
+      litellm.on(event, payload => {
+        events.push({ event, ...payload });
+      });
+    }
+  });
+
+  test('report completions with the options left by pre_call handlers', async () => {
+    fetch.mockResolvedValue(jsonResponse(completion('Hi')));
+    litellm.on('pre_call', ({ options }) => ({ ...options, temperature: 0 }));
+
+    await litellm.completion({ model: 'gpt-4o', messages });
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).temperature).toBe(0);
+    expect(events.map(({ event }) => event)).toEqual(['pre_call', 'post_call_success']);
+    expect(events[1]).toMatchObject({ callType: 'completion', provider: 'openai', usage: { total_tokens: 7 }, cost: expect.any(Number) });
+  });
+
+  test('report streams left early as abandoned', async () => {
+    fetch.mockResolvedValue(sseResponse([chunk('Hel'), chunk('lo'), chunk('', 'stop'), '[DONE]']));
+
+    for await (const received of litellm.streamCompletion({ model: 'gpt-4o', messages })) {
+      expect(received.choices[0].delta.content).toBe('Hel');
+      break;
+    }
+
+    expect(events.map(({ event }) => event)).toEqual(['pre_call', 'stream_end']);
+    expect(events[1]).toMatchObject({ callType: 'stream_completion', status: 'abandoned', chunks: 1 });
+  });
+
+  test('report image generation, transcription and speech calls', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ created: 1700000000, data: [{ url: 'https://example.com/cat.png' }] }))
+      .mockResolvedValueOnce(jsonResponse({ text: 'Hello' }))
+      .mockResolvedValueOnce(new Response(new Uint8Array([1, 2, 3])));
+    litellm.on('pre_call', ({ callType, options }) => {
+      if (callType === 'speech') {
+        options.voice = 'nova';
+      }
+    });
+
+    await litellm.imageGeneration({ model: 'dall-e-3', prompt: 'A cat' });
+    await litellm.transcription({ model: 'whisper-1', file: new Blob(['audio']) });
+    const audio = await litellm.speech({ model: 'tts-1', input: 'Hello', voice: 'alloy' });
+
+    expect(JSON.parse(fetch.mock.calls[2][1].body).voice).toBe('nova');
+    expect(audio.byteLength).toBe(3);
+    const successes = events.filter(({ event }) => event === 'post_call_success');
+    expect(successes.map(({ callType }) => callType)).toEqual(['image_generation', 'transcription', 'speech']);
+    expect(successes[0].response.data[0].url).toBe('https://example.com/cat.png');
+    expect(successes[1].response).toEqual({ text: 'Hello' });
+  });
+
+  test('report failed media calls to global and per-call handlers', async () => {
+    fetch.mockResolvedValue(jsonResponse({ error: { message: 'Incorrect API key provided' } }, { status: 401 }));
+    const perCall = { post_call_failure: jest.fn() };
+
+    await expect(litellm.imageGeneration({ model: 'dall-e-3', prompt: 'A cat' })).rejects.toBeInstanceOf(AuthenticationError);
+    await expect(litellm.speech({ model: 'unknown/tts', input: 'Hi', callbacks: perCall })).rejects.toThrow();
+
+    const failures = events.filter(({ event }) => event === 'post_call_failure');
+    expect(failures.map(({ callType }) => callType)).toEqual(['image_generation', 'speech']);
+    expect(failures[0]).toMatchObject({ error: expect.any(AuthenticationError), provider: 'openai' });
+    expect(perCall.post_call_failure).toHaveBeenCalledTimes(1);
+  });
+
+  test('log handler errors without failing the call', async () => {
+    fetch.mockResolvedValue(jsonResponse({ object: 'list', data: [{ object: 'embedding', embedding: [0.1], index: 0 }], usage: { prompt_tokens: 1, total_tokens: 1 } }));
+    const error = new Error('Handler failed');
+    litellm.on('post_call_success', () => {
+      throw error;
+    });
+
+    const response = await litellm.embedding({ model: 'text-embedding-3-small', input: 'Hi' });
+
+    expect(response.data[0].embedding).toEqual([0.1]);
+    expect(logger.error).toHaveBeenCalledWith('Callback for post_call_success failed:', error);
+  });
+});
@@ -0,0 +1,277 @@
+import fetch from 'cross-fetch';
+import AnthropicProvider from '../../src/providers/anthropic.js';
+import { registerModelInfo } from '../../src/utils/models.js';
+import { tokenCounter } from '../../src/utils/tokens.js';
+import { jsonResponse, sseResponse, getRequest, collect } from '../helpers.js';
+
+jest.mock('cross-fetch', () => jest.fn());
+
+const provider = new AnthropicProvider({ apiKey: 'key' });
+
+const weatherTool = {
+  type: 'function',
+  function: { name: 'get_weather', description: 'Get the weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } }
+};
+
+const message = (content, stopReason = 'end_turn') => jsonResponse({
+  id: 'msg_1',
+  type: 'message',
+  role: 'assistant',
+  content,
+  stop_reason: stopReason,
+  usage: { input_tokens: 10, output_tokens: 5 }
+});
+
+beforeEach(() => {
+  fetch.mockReset();
+});
+
+describe('AnthropicProvider requests', () => {
+  test('sends system messages as the system prompt and stop as stop_sequences', async () => {
+    fetch.mockResolvedValue(message([{ type: 'text', text: 'Hi' }]));
+
+    await provider.completion({
+      model: 'claude-3-5-sonnet-20240620',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'system', content: 'Answer in French.' },
+        { role: 'user', content: 'Hello' }
+      ],
+      max_tokens: 100,
+      stop: 'END'
+    });
+
+    const { url, headers, body } = getRequest(fetch);
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(headers).toMatchObject({ 'X-API-Key': 'key', 'anthropic-version': '2023-06-01' });
+    expect(body).toEqual({
+      model: 'claude-3-5-sonnet-20240620',
+      messages: [{ role: 'user', content: [{ type: 'text', text: 'Hello' }] }],
+      stream: false,
+      system: 'Be brief.\nAnswer in French.',
+      max_tokens: 100,
+      stop_sequences: ['END']
+    });
+  });
+
+  test('sends system content parts as text blocks', async () => {
+    fetch.mockResolvedValue(message([{ type: 'text', text: 'Hi' }]));
+
+    await provider.completion({
+      model: 'claude-3-5-sonnet-20240620',
+      messages: [
+        { role: 'system', content: [{ type: 'text', text: 'Long context', cache_control: { type: 'ephemeral' } }] },
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hello' }
+      ],
+      max_tokens: 100
+    });
+
+    expect(getRequest(fetch).body.system).toEqual([
+      { type: 'text', text: 'Long context', cache_control: { type: 'ephemeral' } },
+      { type: 'text', text: 'Be brief.' }
+    ]);
+  });
+
+  test('maps tools, parallel tool calls and their results', async () => {
+    fetch.mockResolvedValue(message([{ type: 'text', text: 'Sunny in both' }]));
+
+    await provider.completion({
+      model: 'claude-3-5-sonnet-20240620',
+      messages: [
+        { role: 'user', content: 'Weather in Paris and Rome?' },
+        {
+          role: 'assistant',
+          content: 'Checking',
+          tool_calls: [
+            { id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+            { id: 'toolu_2', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Rome"}' } }
+          ]
+        },
+        { role: 'tool', tool_call_id: 'toolu_1', content: '21 degrees' },
+        { role: 'tool', tool_call_id: 'toolu_2', content: '25 degrees' }
+      ],
+      tools: [weatherTool, { type: 'web_search_20250305', name: 'web_search' }],
+      tool_choice: 'required',
+      parallel_tool_calls: false,
+      max_tokens: 100
+    });
+
+    const { body } = getRequest(fetch);
+    expect(body.messages.slice(1)).toEqual([
+      {
+        role: 'assistant',
+        content: [
+          { type: 'text', text: 'Checking' },
+          { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } },
+          { type: 'tool_use', id: 'toolu_2', name: 'get_weather', input: { city: 'Rome' } }
+        ]
+      },
+      {
+        role: 'user',
+        content: [
+          { type: 'tool_result', tool_use_id: 'toolu_1', content: '21 degrees' },
+          { type: 'tool_result', tool_use_id: 'toolu_2', content: '25 degrees' }
+        ]
+      }
+    ]);
+    expect(body.tools).toEqual([
+      { name: 'get_weather', description: 'Get the weather', input_schema: weatherTool.function.parameters },
+      { type: 'web_search_20250305', name: 'web_search' }
+    ]);
+    expect(body.tool_choice).toEqual({ type: 'any', disable_parallel_tool_use: true });
+  });
+
+  test('matches legacy function results to their calls', async () => {
+    fetch.mockResolvedValue(message([{ type: 'text', text: 'Sunny' }]));
+
+    await provider.completion({
+      model: 'claude-3-5-sonnet-20240620',
+      messages: [
+        { role: 'user', content: 'Weather?' },
+        { role: 'assistant', content: null, function_call: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+        { role: 'function', name: 'get_weather', content: '21 degrees' }
+      ],
+      functions: [weatherTool.function],
+      function_call: 'none',
+      max_tokens: 100
+    });
+
+    const { body } = getRequest(fetch);
+    const toolUse = body.messages[1].content[0];
+    expect(toolUse).toEqual({ type: 'tool_use', id: expect.any(String), name: 'get_weather', input: { city: 'Paris' } });
+    expect(body.messages[2].content).toEqual([{ type: 'tool_result', tool_use_id: toolUse.id, content: '21 degrees' }]);
+    expect(body.tool_choice).toEqual({ type: 'none' });
+  });
+
+  test('defaults max_tokens to the output limit, or the room the prompt leaves', async () => {
+    registerModelInfo('claude-test', { maxInputTokens: 1000, maxOutputTokens: 800 });
+    fetch.mockImplementation(async () => message([{ type: 'text', text: 'Hi' }]));
+    const long = [{ role: 'user', content: 'hello '.repeat(300) }];
+
+    // The first call loads the encoding, so it counts the prompt like later calls do
+    await provider.completion({ model: 'claude-test', messages: long });
+    await provider.completion({ model: 'claude-test', messages: long });
+    await provider.completion({ model: 'claude-test', messages: [{ role: 'user', content: 'Hello' }] });
+    await provider.completion({ model: 'claude-unknown', messages: [{ role: 'user', content: 'Hello' }] });
+
+    const room = 1000 - Math.ceil(await tokenCounter({ model: 'claude-test', messages: long }) * 1.25);
+    expect([0, 1, 2, 3].map(i => getRequest(fetch, i).body.max_tokens)).toEqual([room, room, 800, 4096]);
+  });
+
+  test('rejects tool call arguments that are not JSON', async () => {
+    await expect(provider.completion({
+      model: 'claude-3-5-sonnet-20240620',
+      messages: [{ role: 'assistant', content: null, tool_calls: [{ id: 't', type: 'function', function: { name: 'f', arguments: '{oops' } }] }],
+      max_tokens: 100
+    })).rejects.toMatchObject({ status: 400 });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('AnthropicProvider responses', () => {
+  test('converts tool_use blocks to tool calls', async () => {
+    fetch.mockResolvedValue(message([
+      { type: 'text', text: 'Checking' },
+      { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } },
+      { type: 'tool_use', id: 'toolu_2', name: 'get_weather', input: { city: 'Rome' } }
+    ], 'tool_use'));
+
+    const response = await provider.completion({ model: 'claude-3-5-sonnet-20240620', messages: [{ role: 'user', content: 'Hi' }], tools: [weatherTool], max_tokens: 100 });
+
+    expect(response.choices[0]).toEqual({
+      index: 0,
+      message: {
+        role: 'assistant',
+        content: 'Checking',
+        tool_calls: [
+          { id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+          { id: 'toolu_2', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Rome"}' } }
+        ]
+      },
+      finish_reason: 'tool_calls'
+    });
+    expect(response.usage).toMatchObject({ prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 });
+  });
+
+  test('returns a single function_call to callers of the legacy functions API', async () => {
+    fetch.mockResolvedValue(message([{ type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }], 'tool_use'));
+
+    const response = await provider.completion({ model: 'claude-3-5-sonnet-20240620', messages: [{ role: 'user', content: 'Hi' }], functions: [weatherTool.function], max_tokens: 100 });
+
+    expect(response.choices[0].message).toEqual({
+      role: 'assistant',
+      content: null,
+      function_call: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+    });
+    expect(response.choices[0].finish_reason).toBe('function_call');
+  });
+});
+
+describe('AnthropicProvider streams', () => {
+  const events = [
+    { type: 'message_start', message: { id: 'msg_1', usage: { input_tokens: 12, output_tokens: 1, cache_read_input_tokens: 4 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking' } },
+    { type: 'content_block_stop', index: 0 },
+    { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} } },
+    { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city":' } },
+    { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"Paris"}' } },
+    { type: 'content_block_start', index: 2, content_block: { type: 'tool_use', id: 'toolu_2', name: 'get_weather', input: {} } },
+    { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: '{"city":"Rome"}' } },
+    { type: 'ping' },
+    { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 30 } },
+    { type: 'message_stop' }
+  ];
+  const stream = () => sseResponse(events.map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`));
+
+  test('streams text and parallel tool call deltas', async () => {
+    fetch.mockResolvedValue(stream());
+
+    const chunks = await collect(provider.streamCompletion({ model: 'claude-3-5-sonnet-20240620', messages: [{ role: 'user', content: 'Hi' }], tools: [weatherTool], max_tokens: 100 }));
+
+    expect(getRequest(fetch).body.stream).toBe(true);
+    expect(new Set(chunks.map(chunk => chunk.id)).size).toBe(1);
+    expect(chunks.map(chunk => chunk.choices[0].delta)).toEqual([
+      { role: 'assistant', content: '' },
+      { content: 'Checking' },
+      { tool_calls: [{ index: 0, id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '' } }] },
+      { tool_calls: [{ index: 0, function: { arguments: '{"city":' } }] },
+      { tool_calls: [{ index: 0, function: { arguments: '"Paris"}' } }] },
+      { tool_calls: [{ index: 1, id: 'toolu_2', type: 'function', function: { name: 'get_weather', arguments: '' } }] },
+      { tool_calls: [{ index: 1, function: { arguments: '{"city":"Rome"}' } }] },
+      {}
+    ]);
+    expect(chunks[chunks.length - 1].choices[0].finish_reason).toBe('tool_calls');
+  });
+
+  test('sends a trailing usage chunk when include_usage is set', async () => {
+    fetch.mockResolvedValue(stream());
+
+    const chunks = await collect(provider.streamCompletion({
+      model: 'claude-3-5-sonnet-20240620',
+      messages: [{ role: 'user', content: 'Hi' }],
+      tools: [weatherTool],
+      max_tokens: 100,
+      stream_options: { include_usage: true }
+    }));
+
+    const last = chunks[chunks.length - 1];
+    expect(last.choices).toEqual([]);
+    expect(last.usage).toMatchObject({ prompt_tokens: 16, completion_tokens: 30, total_tokens: 46, prompt_tokens_details: { cached_tokens: 4 } });
+  });
+
+  test('streams only the first call as function_call to callers of the legacy functions API', async () => {
+    fetch.mockResolvedValue(stream());
+
+    const chunks = await collect(provider.streamCompletion({ model: 'claude-3-5-sonnet-20240620', messages: [{ role: 'user', content: 'Hi' }], functions: [weatherTool.function], max_tokens: 100 }));
+
+    const deltas = chunks.map(chunk => chunk.choices[0].delta).filter(delta => delta.function_call);
+    expect(deltas.map(delta => delta.function_call)).toEqual([
+      { name: 'get_weather', arguments: '' },
+      { arguments: '{"city":' },
+      { arguments: '"Paris"}' }
+    ]);
+    expect(chunks[chunks.length - 1].choices[0].finish_reason).toBe('function_call');
+  });
+});
@@ -0,0 +1,220 @@
+import fetch from 'cross-fetch';
+import BedrockProvider from '../../src/providers/bedrock.js';
+import { jsonResponse, eventStreamResponse, encodeEventStreamMessage, getRequest, collect } from '../helpers.js';
+
+jest.mock('cross-fetch', () => jest.fn());
+
+const provider = new BedrockProvider({
+  region: 'eu-west-1',
+  accessKeyId: 'AKIDEXAMPLE',
+  secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY'
+});
+
+const event = (type, payload) => encodeEventStreamMessage({ ':event-type': type, ':message-type': 'event' }, payload);
+
+const weatherTool = {
+  type: 'function',
+  function: { name: 'get_weather', description: 'Get the weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } }
+};
+
+beforeEach(() => {
+  fetch.mockReset();
+});
+
+describe('BedrockProvider converse requests', () => {
+  test('signs the request and sends a Converse body', async () => {
+    fetch.mockResolvedValue(jsonResponse({ output: { message: { role: 'assistant', content: [{ text: 'Hi' }] } }, stopReason: 'end_turn' }));
+
+    await provider.completion({
+      model: 'meta.llama3-70b-instruct-v1:0',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hello' },
+        { role: 'user', content: [{ type: 'image_url', image_url: { url: 'data:image/jpg;base64,AAAA' } }] }
+      ],
+      max_tokens: 50,
+      temperature: 0.1,
+      stop: 'END'
+    });
+
+    const { url, headers, body } = getRequest(fetch);
+    expect(url).toBe('https://bedrock-runtime.eu-west-1.amazonaws.com/model/meta.llama3-70b-instruct-v1%3A0/converse');
+    expect(headers.Authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/eu-west-1\/bedrock\/aws4_request, SignedHeaders=[^,]+, Signature=[0-9a-f]{64}$/);
+    expect(headers['x-amz-date']).toMatch(/^\d{8}T\d{6}Z$/);
+    expect(body).toEqual({
+      messages: [{ role: 'user', content: [{ text: 'Hello' }, { image: { format: 'jpeg', source: { bytes: 'AAAA' } } }] }],
+      system: [{ text: 'Be brief.' }],
+      inferenceConfig: { maxTokens: 50, temperature: 0.1, stopSequences: ['END'] }
+    });
+  });
+
+  test('maps tools, tool calls and tool results', async () => {
+    fetch.mockResolvedValue(jsonResponse({ output: { message: { role: 'assistant', content: [{ text: 'Sunny' }] } } }));
+
+    await provider.completion({
+      model: 'mistral.mistral-large-2402-v1:0',
+      messages: [
+        { role: 'user', content: 'Weather?' },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', content: '21 degrees' }
+      ],
+      tools: [weatherTool],
+      tool_choice: 'required'
+    });
+
+    const { body } = getRequest(fetch);
+    expect(body.messages.slice(1)).toEqual([
+      { role: 'assistant', content: [{ toolUse: { toolUseId: 'call_1', name: 'get_weather', input: { city: 'Paris' } } }] },
+      { role: 'user', content: [{ toolResult: { toolUseId: 'call_1', content: [{ text: '21 degrees' }] } }] }
+    ]);
+    expect(body.toolConfig).toEqual({
+      tools: [{ toolSpec: { name: 'get_weather', description: 'Get the weather', inputSchema: { json: weatherTool.function.parameters } } }],
+      toolChoice: { any: {} }
+    });
+  });
+
+  test('translates legacy function calls and results', async () => {
+    fetch.mockResolvedValue(jsonResponse({ output: { message: { role: 'assistant', content: [{ text: 'Sunny' }] } } }));
+
+    await provider.completion({
+      model: 'mistral.mistral-large-2402-v1:0',
+      messages: [
+        { role: 'user', content: 'Weather?' },
+        { role: 'assistant', content: null, function_call: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+        { role: 'function', name: 'get_weather', content: '21 degrees' }
+      ],
+      functions: [weatherTool.function],
+      function_call: { name: 'get_weather' }
+    });
+
+    const { body } = getRequest(fetch);
+    const toolUse = body.messages[1].content[0].toolUse;
+    expect(toolUse).toEqual({ toolUseId: expect.any(String), name: 'get_weather', input: { city: 'Paris' } });
+    expect(body.messages[2]).toEqual({ role: 'user', content: [{ toolResult: { toolUseId: toolUse.toolUseId, content: [{ text: '21 degrees' }] } }] });
+    expect(body.toolConfig.toolChoice).toEqual({ tool: { name: 'get_weather' } });
+  });
+
+  test('leaves the tool config out for tool_choice none', async () => {
+    fetch.mockResolvedValue(jsonResponse({ output: { message: { role: 'assistant', content: [{ text: 'Hi' }] } } }));
+
+    await provider.completion({
+      model: 'mistral.mistral-large-2402-v1:0',
+      messages: [{ role: 'user', content: 'Hi' }],
+      tools: [weatherTool],
+      tool_choice: 'none'
+    });
+
+    expect(getRequest(fetch).body.toolConfig).toBeUndefined();
+  });
+});
+
+describe('BedrockProvider converse responses', () => {
+  test('converts the output message and usage', async () => {
+    fetch.mockResolvedValue(jsonResponse({
+      output: { message: { role: 'assistant', content: [{ text: 'Checking' }, { toolUse: { toolUseId: 't1', name: 'get_weather', input: { city: 'Paris' } } }] } },
+      stopReason: 'tool_use',
+      usage: { inputTokens: 10, outputTokens: 4, totalTokens: 14 }
+    }));
+
+    const response = await provider.completion({ model: 'mistral.mistral-large-2402-v1:0', messages: [{ role: 'user', content: 'Hi' }] });
+
+    expect(response.choices[0]).toEqual({
+      index: 0,
+      message: {
+        role: 'assistant',
+        content: 'Checking',
+        tool_calls: [{ id: 't1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+      },
+      finish_reason: 'tool_calls'
+    });
+    expect(response.usage).toEqual({ prompt_tokens: 10, completion_tokens: 4, total_tokens: 14 });
+  });
+
+  test('converts a converse stream', async () => {
+    fetch.mockResolvedValue(eventStreamResponse([
+      event('messageStart', { role: 'assistant' }),
+      event('contentBlockDelta', { contentBlockIndex: 0, delta: { text: 'Hi' } }),
+      event('contentBlockStart', { contentBlockIndex: 1, start: { toolUse: { toolUseId: 't1', name: 'get_weather' } } }),
+      event('contentBlockDelta', { contentBlockIndex: 1, delta: { toolUse: { input: '{"city":"Paris"}' } } }),
+      event('messageStop', { stopReason: 'tool_use' }),
+      event('metadata', { usage: { inputTokens: 5, outputTokens: 3, totalTokens: 8 } })
+    ]));
+
+    const chunks = await collect(provider.streamCompletion({ model: 'mistral.mistral-large-2402-v1:0', messages: [{ role: 'user', content: 'Hi' }] }));
+
+    expect(getRequest(fetch).url).toMatch(/\/converse-stream$/);
+    expect(chunks.map(chunk => chunk.choices[0].delta)).toEqual([
+      { role: 'assistant' },
+      { content: 'Hi' },
+      { tool_calls: [{ index: 0, id: 't1', type: 'function', function: { name: 'get_weather', arguments: '' } }] },
+      { tool_calls: [{ index: 0, function: { arguments: '{"city":"Paris"}' } }] },
+      {}
+    ]);
+    expect(chunks[4].choices[0].finish_reason).toBe('tool_calls');
+    expect(chunks[4].usage).toEqual({ prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 });
+  });
+
+  test('throws stream exceptions as errors', async () => {
+    fetch.mockResolvedValue(eventStreamResponse([
+      event('messageStart', { role: 'assistant' }),
+      encodeEventStreamMessage({ ':message-type': 'exception', ':exception-type': 'throttlingException' }, { message: 'Too many requests' })
+    ]));
+
+    await expect(collect(provider.streamCompletion({ model: 'mistral.mistral-large-2402-v1:0', messages: [{ role: 'user', content: 'Hi' }] })))
+      .rejects.toMatchObject({ message: 'Bedrock stream error (throttlingException): Too many requests', status: 429 });
+  });
+});
+
+describe('BedrockProvider Anthropic invoke', () => {
+  const model = 'anthropic.claude-3-5-sonnet-20240620-v1:0';
+
+  test('sends the Anthropic messages body without model and stream', async () => {
+    fetch.mockResolvedValue(jsonResponse({
+      id: 'msg_1',
+      type: 'message',
+      role: 'assistant',
+      content: [{ type: 'text', text: 'Hi' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 3, output_tokens: 1 }
+    }));
+
+    const response = await provider.completion({
+      model,
+      messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hello' }],
+      max_tokens: 100,
+      stop: ['END']
+    });
+
+    const { url, body } = getRequest(fetch);
+    expect(url).toBe(`https://bedrock-runtime.eu-west-1.amazonaws.com/model/${encodeURIComponent(model)}/invoke`);
+    expect(body).toMatchObject({
+      anthropic_version: 'bedrock-2023-05-31',
+      system: 'Be brief.',
+      messages: [{ role: 'user', content: [{ type: 'text', text: 'Hello' }] }],
+      max_tokens: 100,
+      stop_sequences: ['END']
+    });
+    expect(body).not.toHaveProperty('model');
+    expect(body).not.toHaveProperty('stream');
+    expect(body).not.toHaveProperty('stop');
+    expect(response.choices[0].message.content).toBe('Hi');
+    expect(response.usage).toMatchObject({ prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 });
+  });
+
+  test('unwraps the base64 Anthropic events of a response stream', async () => {
+    const chunk = payload => event('chunk', { bytes: Buffer.from(JSON.stringify(payload)).toString('base64') });
+    fetch.mockResolvedValue(eventStreamResponse([
+      chunk({ type: 'message_start', message: { id: 'msg_1', usage: { input_tokens: 3, output_tokens: 0 } } }),
+      chunk({ type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }),
+      chunk({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello' } }),
+      chunk({ type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } }),
+      chunk({ type: 'message_stop' })
+    ]));
+
+    const chunks = await collect(provider.streamCompletion({ model, messages: [{ role: 'user', content: 'Hi' }], max_tokens: 10 }));
+
+    expect(getRequest(fetch).url).toMatch(/\/invoke-with-response-stream$/);
+    expect(chunks.map(chunk => chunk.choices[0].delta.content).join('')).toBe('Hello');
+    expect(chunks.some(chunk => chunk.choices[0].finish_reason === 'stop')).toBe(true);
+  });
+});
@@ -0,0 +1,140 @@
+import fetch from 'cross-fetch';
+import CohereProvider from '../../src/providers/cohere.js';
+import { jsonResponse, ndjsonResponse, getRequest, collect } from '../helpers.js';
+
+jest.mock('cross-fetch', () => jest.fn());
+
+const provider = new CohereProvider({ apiKey: 'key' });
+
+beforeEach(() => {
+  fetch.mockReset();
+});
+
+describe('CohereProvider requests', () => {
+  test('sends the last user message as message and the rest as chat_history', async () => {
+    fetch.mockResolvedValue(jsonResponse({ text: 'Hi' }));
+
+    await provider.completion({
+      model: 'command-r',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hello' },
+        { role: 'assistant', content: 'Hi there' },
+        { role: 'user', content: [{ type: 'text', text: 'How are ' }, { type: 'text', text: 'you?' }] }
+      ],
+      top_p: 0.9,
+      stop: 'END'
+    });
+
+    const { url, headers, body } = getRequest(fetch);
+    expect(url).toBe('https://api.cohere.com/v1/chat');
+    expect(headers.Authorization).toBe('Bearer key');
+    expect(body).toEqual({
+      model: 'command-r',
+      message: 'How are you?',
+      chat_history: [
+        { role: 'USER', message: 'Hello' },
+        { role: 'CHATBOT', message: 'Hi there' }
+      ],
+      stream: false,
+      preamble: 'Be brief.',
+      p: 0.9,
+      stop_sequences: ['END']
+    });
+  });
+
+  test('maps tools and sends trailing tool results as tool_results', async () => {
+    fetch.mockResolvedValue(jsonResponse({ text: 'It is sunny' }));
+
+    await provider.completion({
+      model: 'command-r',
+      messages: [
+        { role: 'user', content: 'Weather?' },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', content: '{"temp":21}' }
+      ],
+      tools: [{
+        type: 'function',
+        function: {
+          name: 'get_weather',
+          parameters: { type: 'object', properties: { city: { type: 'string', description: 'City' }, days: { type: 'array', items: { type: 'integer' } } }, required: ['city'] }
+        }
+      }]
+    });
+
+    const { body } = getRequest(fetch);
+    expect(body.message).toBe('');
+    expect(body.chat_history[1]).toEqual({
+      role: 'CHATBOT',
+      message: '',
+      tool_calls: [{ name: 'get_weather', parameters: { city: 'Paris' } }]
+    });
+    expect(body.tool_results).toEqual([{ call: { name: 'get_weather', parameters: { city: 'Paris' } }, outputs: [{ temp: 21 }] }]);
+    expect(body.tools).toEqual([{
+      name: 'get_weather',
+      description: '',
+      parameter_definitions: {
+        city: { description: 'City', type: 'str', required: true },
+        days: { type: 'List[int]', required: false }
+      }
+    }]);
+  });
+
+  test('leaves the tools out for tool_choice none', async () => {
+    fetch.mockResolvedValue(jsonResponse({ text: 'Hi' }));
+
+    await provider.completion({
+      model: 'command-r',
+      messages: [{ role: 'user', content: 'Hi' }],
+      tools: [{ type: 'function', function: { name: 'f' } }],
+      tool_choice: 'none'
+    });
+
+    expect(getRequest(fetch).body.tools).toBeUndefined();
+  });
+});
+
+describe('CohereProvider responses', () => {
+  test('converts text, tool calls and usage to the OpenAI format', async () => {
+    fetch.mockResolvedValue(jsonResponse({
+      text: '',
+      tool_calls: [{ name: 'get_weather', parameters: { city: 'Paris' } }],
+      finish_reason: 'COMPLETE',
+      meta: { billed_units: { input_tokens: 12, output_tokens: 7 } }
+    }));
+
+    const response = await provider.completion({ model: 'command-r', messages: [{ role: 'user', content: 'Hi' }] });
+
+    expect(response.choices[0].message.content).toBeNull();
+    expect(response.choices[0].message.tool_calls[0].function).toEqual({ name: 'get_weather', arguments: '{"city":"Paris"}' });
+    expect(response.choices[0].finish_reason).toBe('tool_calls');
+    expect(response.usage).toEqual({ prompt_tokens: 12, completion_tokens: 7, total_tokens: 19 });
+  });
+
+  test('converts a stream to OpenAI chunks', async () => {
+    fetch.mockResolvedValue(ndjsonResponse([
+      { event_type: 'stream-start', generation_id: 'g' },
+      { event_type: 'text-generation', text: 'Let me check' },
+      { event_type: 'tool-calls-chunk', text: 'plan' },
+      { event_type: 'tool-calls-chunk', tool_call_delta: { index: 0, name: 'get_weather' } },
+      { event_type: 'tool-calls-chunk', tool_call_delta: { index: 0, parameters: '{"city":' } },
+      { event_type: 'tool-calls-chunk', tool_call_delta: { index: 0, parameters: '"Paris"}' } },
+      { event_type: 'tool-calls-generation', tool_calls: [{ name: 'get_weather', parameters: { city: 'Paris' } }] },
+      { event_type: 'stream-end', finish_reason: 'COMPLETE', response: { meta: { tokens: { input_tokens: 5, output_tokens: 9 } } } }
+    ]));
+
+    const chunks = await collect(provider.streamCompletion({ model: 'command-r', messages: [{ role: 'user', content: 'Weather?' }] }));
+
+    expect(getRequest(fetch).body.stream).toBe(true);
+    expect(chunks.map(chunk => chunk.choices[0].delta)).toEqual([
+      { role: 'assistant' },
+      { content: 'Let me check' },
+      { tool_calls: [{ index: 0, id: expect.any(String), type: 'function', function: { name: 'get_weather', arguments: '' } }] },
+      { tool_calls: [{ index: 0, function: { arguments: '{"city":' } }] },
+      { tool_calls: [{ index: 0, function: { arguments: '"Paris"}' } }] },
+      {}
+    ]);
+    expect(chunks[chunks.length - 1].choices[0].finish_reason).toBe('tool_calls');
+    expect(chunks[chunks.length - 1].usage).toEqual({ prompt_tokens: 5, completion_tokens: 9, total_tokens: 14 });
+  });
+});
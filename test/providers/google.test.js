@@ -0,0 +1,134 @@
+import fetch from 'cross-fetch';
+import GoogleProvider from '../../src/providers/google.js';
+import { jsonResponse, sseResponse, getRequest, collect } from '../helpers.js';
+
+jest.mock('cross-fetch', () => jest.fn());
+
+const provider = new GoogleProvider({ apiKey: 'key' });
+
+beforeEach(() => {
+  fetch.mockReset();
+});
+
+describe('GoogleProvider requests', () => {
+  test('sends system messages as systemInstruction and merges consecutive turns', async () => {
+    fetch.mockResolvedValue(jsonResponse({ candidates: [] }));
+
+    await provider.completion({
+      model: 'gemini-1.5-pro',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'user', content: [{ type: 'text', text: 'Look' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] },
+        { role: 'assistant', content: 'Hello' }
+      ],
+      temperature: 0.2,
+      max_tokens: 100,
+      stop: 'END'
+    });
+
+    const { url, headers, body } = getRequest(fetch);
+    expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:generateContent');
+    expect(headers['x-goog-api-key']).toBe('key');
+    expect(body).toEqual({
+      contents: [
+        { role: 'user', parts: [{ text: 'Hi' }, { text: 'Look' }, { inlineData: { mimeType: 'image/png', data: 'AAAA' } }] },
+        { role: 'model', parts: [{ text: 'Hello' }] }
+      ],
+      systemInstruction: { parts: [{ text: 'Be brief.' }] },
+      generationConfig: { temperature: 0.2, maxOutputTokens: 100, stopSequences: ['END'] }
+    });
+  });
+
+  test('maps tools, tool calls and tool results', async () => {
+    fetch.mockResolvedValue(jsonResponse({ candidates: [] }));
+
+    await provider.completion({
+      model: 'gemini-1.5-pro',
+      messages: [
+        { role: 'user', content: 'Weather in Paris?' },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', content: '{"temp":21}' }
+      ],
+      tools: [{
+        type: 'function',
+        function: {
+          name: 'get_weather',
+          description: 'Get the weather',
+          parameters: { type: 'object', properties: { city: { type: 'string' } }, additionalProperties: false }
+        }
+      }],
+      tool_choice: { type: 'function', function: { name: 'get_weather' } }
+    });
+
+    const { body } = getRequest(fetch);
+    expect(body.contents.slice(1)).toEqual([
+      { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+      { role: 'user', parts: [{ functionResponse: { name: 'get_weather', response: { temp: 21 } } }] }
+    ]);
+    expect(body.tools).toEqual([{
+      functionDeclarations: [{
+        name: 'get_weather',
+        description: 'Get the weather',
+        parameters: { type: 'object', properties: { city: { type: 'string' } } }
+      }]
+    }]);
+    expect(body.toolConfig).toEqual({ functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['get_weather'] } });
+  });
+});
+
+describe('GoogleProvider responses', () => {
+  test('converts candidates and usage to the OpenAI format', async () => {
+    fetch.mockResolvedValue(jsonResponse({
+      candidates: [{
+        content: { role: 'model', parts: [{ text: 'thinking', thought: true }, { text: 'Sunny' }, { functionCall: { name: 'log', args: { a: 1 } } }] },
+        finishReason: 'STOP'
+      }],
+      usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, thoughtsTokenCount: 3, totalTokenCount: 18 }
+    }));
+
+    const response = await provider.completion({ model: 'gemini-1.5-pro', messages: [{ role: 'user', content: 'Hi' }] });
+
+    expect(response.object).toBe('chat.completion');
+    expect(response.choices[0].message).toMatchObject({ role: 'assistant', content: 'Sunny' });
+    expect(response.choices[0].message.tool_calls[0].function).toEqual({ name: 'log', arguments: '{"a":1}' });
+    expect(response.choices[0].finish_reason).toBe('tool_calls');
+    expect(response.usage).toEqual({
+      prompt_tokens: 10,
+      completion_tokens: 8,
+      total_tokens: 18,
+      completion_tokens_details: { reasoning_tokens: 3 }
+    });
+  });
+
+  test('reports a blocked prompt as content_filter', async () => {
+    fetch.mockResolvedValue(jsonResponse({ promptFeedback: { blockReason: 'SAFETY' } }));
+
+    const response = await provider.completion({ model: 'gemini-1.5-pro', messages: [{ role: 'user', content: 'Hi' }] });
+    expect(response.choices).toEqual([{ index: 0, message: { role: 'assistant', content: null }, finish_reason: 'content_filter' }]);
+  });
+
+  test('converts a stream to OpenAI chunks with usage on the last one', async () => {
+    fetch.mockResolvedValue(sseResponse([
+      { candidates: [{ content: { parts: [{ text: 'Hel' }] } }], usageMetadata: { promptTokenCount: 4 } },
+      { candidates: [{ content: { parts: [{ text: 'lo' }] } }] },
+      {
+        candidates: [{ content: { parts: [{ functionCall: { name: 'f', args: {} } }] }, finishReason: 'STOP' }],
+        usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 2, totalTokenCount: 6 }
+      }
+    ]));
+
+    const chunks = await collect(provider.streamCompletion({ model: 'gemini-1.5-pro', messages: [{ role: 'user', content: 'Hi' }] }));
+
+    expect(getRequest(fetch).url).toContain(':streamGenerateContent?alt=sse');
+    expect(new Set(chunks.map(chunk => chunk.id)).size).toBe(1);
+    expect(chunks.map(chunk => chunk.choices[0].delta)).toEqual([
+      { role: 'assistant', content: 'Hel' },
+      { content: 'lo' },
+      { tool_calls: [{ index: 0, id: expect.any(String), type: 'function', function: { name: 'f', arguments: '{}' } }] }
+    ]);
+    expect(chunks.map(chunk => chunk.choices[0].finish_reason)).toEqual([null, null, 'tool_calls']);
+    expect(chunks[0].usage).toBeUndefined();
+    expect(chunks[2].usage).toEqual({ prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 });
+  });
+});
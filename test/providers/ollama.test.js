@@ -0,0 +1,110 @@
+import fetch from 'cross-fetch';
+import OllamaProvider from '../../src/providers/ollama.js';
+import { jsonResponse, ndjsonResponse, getRequest, collect } from '../helpers.js';
+
+jest.mock('cross-fetch', () => jest.fn());
+
+const provider = new OllamaProvider({ baseUrl: 'http://localhost:11434/', keepAlive: '5m' });
+
+beforeEach(() => {
+  fetch.mockReset();
+});
+
+describe('OllamaProvider requests', () => {
+  test('moves sampling parameters into options and images into a separate list', async () => {
+    fetch.mockResolvedValue(jsonResponse({ message: { role: 'assistant', content: 'Hi' }, done: true }));
+
+    await provider.completion({
+      model: 'llama3',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] }
+      ],
+      temperature: 0.5,
+      max_tokens: 64,
+      stop: 'END',
+      response_format: { type: 'json_object' }
+    });
+
+    const { url, headers, body } = getRequest(fetch);
+    expect(url).toBe('http://localhost:11434/api/chat');
+    expect(headers.Authorization).toBeUndefined();
+    expect(body).toEqual({
+      model: 'llama3',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'What is this?', images: ['AAAA'] }
+      ],
+      stream: false,
+      options: { temperature: 0.5, num_predict: 64, stop: ['END'] },
+      format: 'json',
+      keep_alive: '5m'
+    });
+  });
+
+  test('sends tool calls with parsed arguments and names the tool results', async () => {
+    fetch.mockResolvedValue(jsonResponse({ message: { role: 'assistant', content: 'Sunny' }, done: true }));
+    const tools = [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object' } } }];
+
+    await provider.completion({
+      model: 'llama3',
+      messages: [
+        { role: 'user', content: 'Weather?' },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', content: '21 degrees' }
+      ],
+      tools
+    });
+
+    const { body } = getRequest(fetch);
+    expect(body.messages.slice(1)).toEqual([
+      { role: 'assistant', content: '', tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }] },
+      { role: 'tool', content: '21 degrees', tool_name: 'get_weather' }
+    ]);
+    expect(body.tools).toEqual(tools);
+  });
+});
+
+describe('OllamaProvider responses', () => {
+  test('converts a response with tool calls to the OpenAI format', async () => {
+    fetch.mockResolvedValue(jsonResponse({
+      message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }] },
+      done: true,
+      done_reason: 'stop',
+      prompt_eval_count: 20,
+      eval_count: 6
+    }));
+
+    const response = await provider.completion({ model: 'llama3', messages: [{ role: 'user', content: 'Weather?' }] });
+
+    expect(response.choices[0].message.content).toBeNull();
+    expect(response.choices[0].message.tool_calls[0].function).toEqual({ name: 'get_weather', arguments: '{"city":"Paris"}' });
+    expect(response.choices[0].finish_reason).toBe('tool_calls');
+    expect(response.usage).toEqual({ prompt_tokens: 20, completion_tokens: 6, total_tokens: 26 });
+  });
+
+  test('converts a stream to OpenAI chunks with usage on the last one', async () => {
+    fetch.mockResolvedValue(ndjsonResponse([
+      { message: { role: 'assistant', content: 'Hel' }, done: false },
+      { message: { role: 'assistant', content: 'lo' }, done: false },
+      { message: { role: 'assistant', content: '' }, done: true, done_reason: 'length', prompt_eval_count: 3, eval_count: 2 }
+    ]));
+
+    const chunks = await collect(provider.streamCompletion({ model: 'llama3', messages: [{ role: 'user', content: 'Hi' }] }));
+
+    expect(getRequest(fetch).body.stream).toBe(true);
+    expect(new Set(chunks.map(chunk => chunk.id)).size).toBe(1);
+    expect(chunks.map(chunk => chunk.choices[0].delta)).toEqual([{ role: 'assistant', content: 'Hel' }, { content: 'lo' }, {}]);
+    expect(chunks.map(chunk => chunk.choices[0].finish_reason)).toEqual([null, null, 'length']);
+    expect(chunks[2].usage).toEqual({ prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 });
+  });
+
+  test('lists the local models', async () => {
+    fetch.mockResolvedValue(jsonResponse({ models: [{ name: 'llama3:latest', modified_at: '2024-05-01T00:00:00Z', details: { family: 'llama' } }] }));
+
+    const models = await provider.listModels();
+
+    expect(getRequest(fetch)).toMatchObject({ url: 'http://localhost:11434/api/tags', method: 'GET' });
+    expect(models.data).toEqual([{ id: 'llama3:latest', object: 'model', created: 1714521600, owned_by: 'ollama', details: { family: 'llama' } }]);
+  });
+});
@@ -0,0 +1,261 @@
+import fetch from 'cross-fetch';
+import { LiteLLM } from '../src/litellm.js';
+import { RateLimitError, BadRequestError } from '../src/utils/errors.js';
+import { jsonResponse, sseResponse, collect } from './helpers.js';
+
+jest.mock('cross-fetch', () => jest.fn());
+
+const completion = (content, usage = { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }) => ({
+  id: 'chatcmpl-1',
+  object: 'chat.completion',
+  created: 1700000000,
+  model: 'gpt-4o',
+  choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+  usage
+});
+
+const chunk = content => ({
+  id: 'chatcmpl-1',
+  object: 'chat.completion.chunk',
+  created: 1700000000,
+  model: 'gpt-4o',
+  choices: [{ index: 0, delta: { content }, finish_reason: null }]
+});
+
+const errorResponse = (status, message, code) => jsonResponse({ error: { message, code } }, { status });
+
+const messages = [{ role: 'user', content: 'Hi' }];
+
+// Answer each host with the next of its responses
+function stubHosts(responses) {
+  fetch.mockImplementation(async url => {
+    const host = new URL(url).hostname;
+    const next = responses[host].shift();
+    if (!next) {
+      throw new Error(`Unexpected request to ${host}`);
+    }
+    return typeof next === 'function' ? next() : next;
+  });
+}
+
+const requestedHosts = () => fetch.mock.calls.map(([url]) => new URL(url).hostname);
+
+let litellm;
+
+beforeEach(() => {
+  fetch.mockReset();
+  litellm = new LiteLLM();
+  litellm.setLogger(false);
+  litellm.registerProvider('openai', { apiKey: 'key', retry: false });
+  litellm.registerProvider('openai', { prefix: 'backup', baseUrl: 'https://backup.example.com/v1', apiKey: 'key', retry: false });
+  litellm.registerRouter({ name: 'chat', deployments: ['openai/gpt-4o', { model: 'backup/gpt-4o', id: 'backup', temperature: 0 }] });
+});
+
+describe('Router completion', () => {
+  test('falls through to the next deployment on retryable errors', async () => {
+    stubHosts({
+      'api.openai.com': [errorResponse(429, 'Rate limit reached')],
+      'backup.example.com': [jsonResponse(completion('From backup'))]
+    });
+
+    const response = await litellm.completion({ model: 'chat', messages });
+
+    expect(requestedHosts()).toEqual(['api.openai.com', 'backup.example.com']);
+    expect(response.choices[0].message.content).toBe('From backup');
+    expect(response.deployment).toBe('backup');
+    expect(JSON.parse(fetch.mock.calls[1][1].body)).toMatchObject({ model: 'gpt-4o', temperature: 0 });
+  });
+
+  test('falls through on context window errors', async () => {
+    stubHosts({
+      'api.openai.com': [errorResponse(400, 'This model\'s maximum context length is 128000 tokens', 'context_length_exceeded')],
+      'backup.example.com': [jsonResponse(completion('From backup'))]
+    });
+
+    const response = await litellm.completion({ model: 'chat', messages });
+
+    expect(response.deployment).toBe('backup');
+  });
+
+  test('falls through on connection errors, which have no status', async () => {
+    stubHosts({
+      'api.openai.com': [() => { throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }); }],
+      'backup.example.com': [jsonResponse(completion('From backup'))]
+    });
+
+    const response = await litellm.completion({ model: 'chat', messages });
+
+    expect(response.deployment).toBe('backup');
+  });
+
+  test('does not fall through when the server says the error is not retryable', async () => {
+    stubHosts({ 'api.openai.com': [jsonResponse({ error: { message: 'Overloaded' } }, { status: 503, headers: { 'x-should-retry': 'false' } })] });
+
+    await expect(litellm.completion({ model: 'chat', messages })).rejects.toMatchObject({ status: 503, retryable: false });
+    expect(requestedHosts()).toEqual(['api.openai.com']);
+  });
+
+  test('throws other errors without trying the next deployment', async () => {
+    stubHosts({ 'api.openai.com': [errorResponse(400, 'Invalid temperature')] });
+
+    await expect(litellm.completion({ model: 'chat', messages })).rejects.toBeInstanceOf(BadRequestError);
+    expect(requestedHosts()).toEqual(['api.openai.com']);
+  });
+
+  test('reports every failure when all deployments fail', async () => {
+    stubHosts({
+      'api.openai.com': [errorResponse(503, 'Overloaded')],
+      'backup.example.com': [errorResponse(429, 'Slow down')]
+    });
+
+    const error = await litellm.completion({ model: 'chat', messages }).catch(error => error);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.status).toBe(429);
+    expect(error.model).toBe('chat');
+    expect(error.message).toMatch(/^All deployments failed for model chat \(openai\/gpt-4o: .*Overloaded.*; backup: .*Slow down.*\)$/);
+    expect(error.data.errors.map(({ deployment, status }) => ({ deployment, status }))).toEqual([
+      { deployment: 'openai/gpt-4o', status: 503 },
+      { deployment: 'backup', status: 429 }
+    ]);
+  });
+
+  test('routes embeddings', async () => {
+    stubHosts({
+      'api.openai.com': [errorResponse(500, 'Server error')],
+      'backup.example.com': [jsonResponse({ object: 'list', data: [{ object: 'embedding', index: 0, embedding: [0.1] }], model: 'gpt-4o' })]
+    });
+
+    const response = await litellm.embedding({ model: 'chat', input: 'Hi' });
+
+    expect(response.data[0].embedding).toEqual([0.1]);
+    expect(response.deployment).toBe('backup');
+  });
+
+  test('rejects routers without deployments or routing to themselves', () => {
+    expect(() => litellm.registerRouter({ name: 'empty', deployments: [] })).toThrow(BadRequestError);
+    expect(() => litellm.registerRouter({ name: 'loop', deployments: ['loop'] })).toThrow('Router loop cannot route to itself');
+  });
+});
+
+describe('Router streamCompletion', () => {
+  test('falls through when a deployment fails before its first chunk', async () => {
+    stubHosts({
+      'api.openai.com': [errorResponse(502, 'Bad gateway')],
+      'backup.example.com': [sseResponse([chunk('Hel'), chunk('lo'), '[DONE]'])]
+    });
+
+    const chunks = await collect(litellm.streamCompletion({ model: 'chat', messages }));
+
+    expect(chunks.map(chunk => chunk.choices[0].delta.content).join('')).toBe('Hello');
+    expect(chunks.every(chunk => chunk.deployment === 'backup')).toBe(true);
+  });
+
+  test('throws errors after the first chunk instead of restarting on another deployment', async () => {
+    stubHosts({
+      'api.openai.com': [sseResponse([chunk('Hel'), { error: { message: 'Overloaded', code: 503 } }])],
+      'backup.example.com': []
+    });
+
+    const received = [];
+    await expect((async () => {
+      for await (const chunk of litellm.streamCompletion({ model: 'chat', messages })) {
+        received.push(chunk);
+      }
+    })()).rejects.toThrow('Overloaded');
+    expect(received).toHaveLength(1);
+    expect(requestedHosts()).toEqual(['api.openai.com']);
+  });
+});
+
+describe('Router strategies', () => {
+  const deployments = [{ model: 'openai/gpt-4o', id: 'a' }, { model: 'backup/gpt-4o', id: 'b' }];
+  const served = async (router, count) => {
+    const names = [];
+    for (let i = 0; i < count; i++) {
+      names.push((await router.completion({ model: router.name, messages })).deployment);
+    }
+    return names;
+  };
+
+  beforeEach(() => {
+    fetch.mockImplementation(async () => jsonResponse(completion('Hi')));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('ordered tries the deployments in the configured order', async () => {
+    const router = litellm.registerRouter({ name: 'ordered', deployments });
+    expect(await served(router, 2)).toEqual(['a', 'a']);
+  });
+
+  test('simple-shuffle picks by weight', async () => {
+    const router = litellm.registerRouter({ name: 'shuffle', strategy: 'simple-shuffle', deployments: [{ ...deployments[0], weight: 1 }, { ...deployments[1], weight: 3 }] });
+
+    jest.spyOn(Math, 'random').mockReturnValue(0.2);
+    expect(await served(router, 1)).toEqual(['a']);
+    Math.random.mockReturnValue(0.3);
+    expect(await served(router, 1)).toEqual(['b']);
+  });
+
+  test('least-busy skips deployments with requests in flight', async () => {
+    const router = litellm.registerRouter({ name: 'busy', strategy: 'least-busy', deployments });
+    let finish;
+    fetch.mockImplementationOnce(() => new Promise(resolve => { finish = () => resolve(jsonResponse(completion('Slow'))); }));
+
+    const slow = router.completion({ model: 'busy', messages });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const fast = await router.completion({ model: 'busy', messages });
+    finish();
+
+    expect(fast.deployment).toBe('b');
+    expect((await slow).deployment).toBe('a');
+  });
+
+  test('lowest-latency prefers the deployment that answered fastest', async () => {
+    const router = litellm.registerRouter({ name: 'latency', strategy: 'lowest-latency', deployments });
+    fetch.mockImplementationOnce(() => new Promise(resolve => setTimeout(() => resolve(jsonResponse(completion('Slow'))), 30)));
+
+    // Unmeasured deployments are tried first
+    expect(await served(router, 3)).toEqual(['a', 'b', 'b']);
+    expect(router.getDeploymentStats()[0].averageLatency).toBeGreaterThan(router.getDeploymentStats()[1].averageLatency);
+  });
+
+  test('latency-based is kept as the earlier name of lowest-latency', async () => {
+    const router = litellm.registerRouter({ name: 'latency', strategy: 'latency-based', deployments });
+    expect(router.strategy).toBe('latency-based');
+  });
+
+  test('usage-based prefers the lowest share of the rpm budget used', async () => {
+    const router = litellm.registerRouter({ name: 'usage', strategy: 'usage-based', deployments: [{ ...deployments[0], rpm: 1 }, { ...deployments[1], rpm: 10 }] });
+
+    expect(await served(router, 3)).toEqual(['a', 'b', 'b']);
+    expect(router.getDeploymentStats().map(stats => stats.requests)).toEqual([1, 2]);
+  });
+
+  test('rejects unknown strategies', () => {
+    expect(() => litellm.registerRouter({ name: 'x', strategy: 'random', deployments })).toThrow('Unknown routing strategy: random');
+  });
+
+  test('takes deployments out of rotation after allowedFails failures', async () => {
+    const router = litellm.registerRouter({ name: 'cool', deployments, allowedFails: 1, cooldownTime: 60000 });
+    fetch.mockImplementationOnce(async () => errorResponse(429, 'Slow down'));
+
+    expect(await served(router, 2)).toEqual(['b', 'b']);
+    expect(requestedHosts()).toEqual(['api.openai.com', 'backup.example.com', 'backup.example.com']);
+    expect(router.getDeploymentStats().map(stats => stats.coolingDown)).toEqual([true, false]);
+  });
+
+  test('throws a rate limit error while every deployment cools down', async () => {
+    const router = litellm.registerRouter({ name: 'cool', deployments: [deployments[0]], allowedFails: 1 });
+    fetch.mockImplementationOnce(async () => errorResponse(503, 'Overloaded'));
+
+    await expect(served(router, 1)).rejects.toMatchObject({ status: 503 });
+    const error = await router.completion({ model: 'cool', messages }).catch(error => error);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.message).toBe('No deployments available for model cool, all are cooling down');
+    expect(error.data.retryAfter).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,98 @@
+import { BudgetManager } from '../../src/utils/budget.js';
+import { BudgetExceededError, BadRequestError } from '../../src/utils/errors.js';
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('BudgetManager', () => {
+  test('rejects invalid budgets', () => {
+    const budgets = new BudgetManager();
+
+    expect(() => budgets.setBudget({ scope: 'team', id: 'a', maxBudget: 1 })).toThrow(BadRequestError);
+    expect(() => budgets.setBudget({ scope: 'user', maxBudget: 1 })).toThrow('Budget requires an id');
+    expect(() => budgets.setBudget({ scope: 'user', id: 'a', maxBudget: -1 })).toThrow('Invalid maxBudget');
+    expect(() => budgets.setBudget({ scope: 'user', id: 'a', maxBudget: 1, period: 'weekly' })).toThrow('Unknown budget period');
+  });
+
+  test('records spend against every budget of a request and refuses it once one is used up', async () => {
+    const budgets = new BudgetManager({
+      budgets: [
+        { scope: 'user', id: 'alice', maxBudget: 1 },
+        { scope: 'tag', id: 'batch', maxBudget: 10 }
+      ]
+    });
+    const context = { user: 'alice', tags: ['batch'], deployment: 'gpt-4o' };
+
+    expect(budgets.hasBudget(context)).toBe(true);
+    expect(budgets.hasBudget({ user: 'bob', deployment: 'gpt-4o' })).toBe(false);
+
+    await budgets.recordSpend(context, 0.6);
+    await budgets.check(context);
+    await budgets.recordSpend(context, 0.6);
+
+    await expect(budgets.check(context)).rejects.toBeInstanceOf(BudgetExceededError);
+    await expect(budgets.check(context)).rejects.toMatchObject({
+      status: 429,
+      message: 'Budget exceeded for user alice: spent $1.2 of $1',
+      budget: { scope: 'user', id: 'alice', maxBudget: 1, spend: 1.2 }
+    });
+    expect(await budgets.isWithinBudget({ tags: ['batch'] })).toBe(true);
+    expect((await budgets.getBudget('tag', 'batch')).spend).toBeCloseTo(1.2, 10);
+  });
+
+  test('adds up concurrent spend', async () => {
+    const budgets = new BudgetManager({ budgets: [{ scope: 'user', id: 'alice', maxBudget: 100 }] });
+
+    await Promise.all(Array.from({ length: 10 }, () => budgets.recordSpend({ user: 'alice' }, 1)));
+
+    expect((await budgets.getBudget('user', 'alice')).spend).toBe(10);
+  });
+
+  test('resets the spend of periodic budgets at the start of the next period', async () => {
+    jest.useFakeTimers({ now: Date.UTC(2024, 0, 31, 23, 0) });
+    const budgets = new BudgetManager({
+      budgets: [
+        { scope: 'user', id: 'alice', maxBudget: 1, period: 'daily' },
+        { scope: 'tag', id: 'batch', maxBudget: 1, period: 'monthly' },
+        { scope: 'deployment', id: 'gpt-4o', maxBudget: 1 }
+      ]
+    });
+    const context = { user: 'alice', tags: ['batch'], deployment: 'gpt-4o' };
+    await budgets.recordSpend(context, 0.5);
+
+    expect((await budgets.getBudget('user', 'alice')).resetAt).toBe(Date.UTC(2024, 1, 1));
+    expect((await budgets.getBudget('tag', 'batch')).resetAt).toBe(Date.UTC(2024, 1, 1));
+    expect((await budgets.getBudget('deployment', 'gpt-4o')).resetAt).toBeNull();
+
+    jest.setSystemTime(Date.UTC(2024, 1, 1, 1, 0));
+
+    expect((await budgets.getBudget('user', 'alice')).spend).toBe(0);
+    expect((await budgets.getBudget('tag', 'batch')).spend).toBe(0);
+    expect((await budgets.getBudget('deployment', 'gpt-4o')).spend).toBe(0.5);
+  });
+
+  test('keeps the spend when a budget changes and drops it when it is removed or reset', async () => {
+    const budgets = new BudgetManager({ budgets: [{ scope: 'user', id: 'alice', maxBudget: 1 }] });
+    await budgets.recordSpend({ user: 'alice' }, 0.5);
+
+    budgets.setBudget({ scope: 'user', id: 'alice', maxBudget: 2 });
+    expect(await budgets.getBudget('user', 'alice')).toMatchObject({ maxBudget: 2, spend: 0.5 });
+
+    await budgets.resetSpend('user', 'alice');
+    expect((await budgets.getBudget('user', 'alice')).spend).toBe(0);
+
+    await budgets.removeBudget('user', 'alice');
+    expect(await budgets.getBudget('user', 'alice')).toBeNull();
+  });
+
+  test('prices usage at the fallback price', () => {
+    const usage = { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 };
+
+    expect(new BudgetManager().getFallbackCost(usage)).toBeNull();
+
+    const budgets = new BudgetManager({ fallbackPrice: { inputCost: 1, outputCost: 3 } });
+    expect(budgets.getFallbackCost(usage)).toBeCloseTo((1000 * 1 + 100 * 3) / 1e6, 10);
+    expect(budgets.getFallbackCost(null)).toBeNull();
+  });
+});
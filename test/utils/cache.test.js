@@ -0,0 +1,120 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { InMemoryCache, FileSystemCache, JSONFileStore, ResponseCache, getCacheKey, stableStringify } from '../../src/utils/cache.js';
+
+const messages = [{ role: 'user', content: 'Hi' }];
+
+describe('getCacheKey', () => {
+  test('does not depend on property order', async () => {
+    expect(await getCacheKey({ model: 'gpt-4o', messages, temperature: 0 }))
+      .toBe(await getCacheKey({ temperature: 0, messages: [{ content: 'Hi', role: 'user' }], model: 'gpt-4o' }));
+  });
+
+  test('leaves out the options that only control how the call is made', async () => {
+    const key = await getCacheKey({ model: 'gpt-4o', messages });
+
+    expect(await getCacheKey({
+      model: 'gpt-4o',
+      messages,
+      stream: true,
+      stream_options: { include_usage: true },
+      retry: false,
+      priority: 2,
+      signal: new AbortController().signal,
+      timeout: 1000,
+      streamIdleTimeout: 100,
+      cache: { ttl: 10 },
+      tags: ['search'],
+      budget: false,
+      callbacks: false
+    })).toBe(key);
+  });
+
+  test('changes with the model, messages, parameters and trim options', async () => {
+    const key = await getCacheKey({ model: 'gpt-4o', messages });
+
+    expect(await getCacheKey({ model: 'gpt-4o-mini', messages })).not.toBe(key);
+    expect(await getCacheKey({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hello' }] })).not.toBe(key);
+    expect(await getCacheKey({ model: 'gpt-4o', messages, temperature: 1 })).not.toBe(key);
+    expect(await getCacheKey({ model: 'gpt-4o', messages, trim_messages: true })).not.toBe(key);
+    expect(await getCacheKey({ model: 'gpt-4o', messages, trim_messages: { maxTokens: 100 } }))
+      .not.toBe(await getCacheKey({ model: 'gpt-4o', messages, trim_messages: { maxTokens: 200 } }));
+  });
+});
+
+describe('stableStringify', () => {
+  test('sorts object keys and drops undefined properties', () => {
+    expect(stableStringify({ b: [1, undefined, { d: 1, c: 2 }], a: 'x', e: undefined })).toBe('{"a":"x","b":[1,null,{"c":2,"d":1}]}');
+  });
+});
+
+describe('InMemoryCache', () => {
+  test('evicts the least recently used entry', async () => {
+    const cache = new InMemoryCache({ maxSize: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    expect(await cache.get('a')).toBe(1);
+    expect(await cache.get('b')).toBeUndefined();
+    expect(await cache.get('c')).toBe(3);
+  });
+
+  test('expires entries after their ttl', async () => {
+    const cache = new InMemoryCache();
+    await cache.set('a', 1, 10);
+    expect(await cache.get('a')).toBe(1);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(await cache.get('a')).toBeUndefined();
+  });
+});
+
+describe('file stores', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'litellm-cache-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test('FileSystemCache keeps one file per entry', async () => {
+    const cache = new FileSystemCache({ directory });
+    await cache.set('litellm:abc', { response: { id: 'x' } });
+
+    expect(await new FileSystemCache({ directory }).get('litellm:abc')).toEqual({ response: { id: 'x' } });
+    await cache.delete('litellm:abc');
+    expect(await cache.get('litellm:abc')).toBeUndefined();
+  });
+
+  test('JSONFileStore keeps its entries across instances', async () => {
+    const path = join(directory, 'store.json');
+    const store = new JSONFileStore({ path });
+    await store.set('a', { spend: 1 });
+    await store.set('b', { spend: 2 });
+
+    expect(await new JSONFileStore({ path }).get('a')).toEqual({ spend: 1 });
+    expect(() => new JSONFileStore()).toThrow('JSONFileStore requires a path');
+  });
+});
+
+describe('ResponseCache', () => {
+  test('does not store cache_hit and treats store failures as misses', async () => {
+    const cache = new ResponseCache();
+    await cache.set('k', { id: 'x', cache_hit: false });
+    expect(await cache.get('k')).toEqual({ id: 'x' });
+
+    const broken = new ResponseCache({ store: { get: async () => { throw new Error('down'); }, set: async () => { throw new Error('down'); } } });
+    await expect(broken.set('k', { id: 'x' })).resolves.toBeUndefined();
+    expect(await broken.get('k')).toBeNull();
+  });
+
+  test('prefixes keys with the namespace', async () => {
+    expect(await new ResponseCache({ namespace: 'app' }).getKey({ model: 'gpt-4o', messages })).toMatch(/^app:[0-9a-f]{64}$/);
+  });
+});
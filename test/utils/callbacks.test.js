@@ -0,0 +1,117 @@
+import { CallbackManager } from '../../src/utils/callbacks.js';
+import { BadRequestError } from '../../src/utils/errors.js';
+
+const completion = {
+  choices: [{ index: 0, message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }],
+  usage: { prompt_tokens: 5, completion_tokens: 1, total_tokens: 6 },
+  deployment: 'primary',
+  _hidden_params: { provider: 'openai', response_cost: 0.01 }
+};
+
+describe('CallbackManager', () => {
+  test('rejects unknown events and handlers that are not functions', () => {
+    const callbacks = new CallbackManager();
+
+    expect(() => callbacks.on('done', () => {})).toThrow(BadRequestError);
+    expect(() => callbacks.on('pre_call', 'handler')).toThrow('Handler for pre_call must be a function');
+  });
+
+  test('lets pre_call handlers change or replace the options', async () => {
+    const callbacks = new CallbackManager();
+    callbacks.on('pre_call', ({ options }) => {
+      options.temperature = 0;
+    });
+    callbacks.on('pre_call', async ({ options }) => ({ ...options, user: 'alice' }));
+
+    const options = { model: 'gpt-4o', callbacks: { pre_call: ({ options }) => ({ ...options, seed: 1 }) } };
+    const call = await callbacks.start('completion', options);
+
+    expect(call.options).toMatchObject({ model: 'gpt-4o', temperature: 0, user: 'alice', seed: 1 });
+    expect(options).not.toHaveProperty('temperature');
+  });
+
+  test('reports calls rejected by a pre_call handler as failures', async () => {
+    const callbacks = new CallbackManager();
+    const failure = jest.fn();
+    callbacks.on('post_call_failure', failure);
+    callbacks.on('pre_call', () => {
+      throw new Error('Blocked');
+    });
+
+    await expect(callbacks.start('completion', { model: 'gpt-4o' })).rejects.toThrow('Blocked');
+    expect(failure).toHaveBeenCalledWith(expect.objectContaining({ callType: 'completion', model: 'gpt-4o', error: expect.any(Error) }));
+  });
+
+  test('reports the response with its usage, cost and latency', async () => {
+    const callbacks = new CallbackManager();
+    const success = jest.fn();
+    callbacks.on('post_call_success', success);
+
+    const call = await callbacks.start('completion', { model: 'gpt-4o' });
+    callbacks.success(call, completion);
+
+    expect(success).toHaveBeenCalledWith(expect.objectContaining({
+      callId: call.id,
+      callType: 'completion',
+      response: completion,
+      provider: 'openai',
+      deployment: 'primary',
+      usage: completion.usage,
+      cost: 0.01,
+      cacheHit: false,
+      latency: expect.any(Number)
+    }));
+  });
+
+  test('reports stream chunks and rebuilds the completion at the end', async () => {
+    const callbacks = new CallbackManager();
+    const events = [];
+    for (const event of ['stream_chunk', 'post_call_success', 'stream_end']) {
+      callbacks.on(event, payload => events.push([event, payload]));
+    }
+    const chunk = (delta, finishReason = null) => ({ id: 'c', model: 'gpt-4o', choices: [{ index: 0, delta, finish_reason: finishReason }] });
+    const chunks = [chunk({ role: 'assistant', content: 'Hel' }), chunk({ content: 'lo' }), chunk({}, 'stop')];
+
+    const call = await callbacks.start('stream_completion', { model: 'gpt-4o' });
+    chunks.forEach(received => callbacks.chunk(call, received));
+    callbacks.streamSuccess(call, chunks);
+    callbacks.streamEnd(call, 'completed');
+
+    expect(events.map(([event]) => event)).toEqual(['stream_chunk', 'stream_chunk', 'stream_chunk', 'post_call_success', 'stream_end']);
+    expect(events[1][1]).toMatchObject({ index: 1, chunk: chunks[1], timeToFirstToken: expect.any(Number) });
+    expect(events[3][1].response.choices[0]).toMatchObject({ message: { content: 'Hello' }, finish_reason: 'stop' });
+    expect(events[4][1]).toMatchObject({ status: 'completed', chunks: 3 });
+  });
+
+  test('runs global handlers before per-call ones and none with callbacks false', async () => {
+    const callbacks = new CallbackManager();
+    const order = [];
+    const off = callbacks.on('post_call_success', () => order.push('global'));
+
+    callbacks.success(await callbacks.start('embedding', { callbacks: [{ post_call_success: () => order.push('call') }] }), {});
+    callbacks.success(await callbacks.start('embedding', { callbacks: false }), {});
+    off();
+    callbacks.success(await callbacks.start('embedding', {}), {});
+
+    expect(order).toEqual(['global', 'call']);
+  });
+
+  test('passes handler errors to onError without throwing', async () => {
+    const onError = jest.fn();
+    const callbacks = new CallbackManager({ onError });
+    const error = new Error('Handler failed');
+    callbacks.on('post_call_success', () => {
+      throw error;
+    });
+    callbacks.on('post_call_failure', async () => {
+      throw error;
+    });
+
+    const call = await callbacks.start('completion', {});
+    callbacks.success(call, {});
+    callbacks.failure(call, new Error('Call failed'));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(onError.mock.calls).toEqual([[error, 'post_call_success'], [error, 'post_call_failure']]);
+  });
+});
@@ -0,0 +1,106 @@
+import { streamChunkBuilder, completionToChunks } from '../../src/utils/chunks.js';
+
+const chunk = (choices, extra = {}) => ({ id: 'chatcmpl-1', object: 'chat.completion.chunk', created: 1700000000, model: 'gpt-4o', choices, ...extra });
+
+describe('streamChunkBuilder', () => {
+  test('concatenates content and merges tool call fragments by index', () => {
+    const response = streamChunkBuilder([
+      chunk([{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }]),
+      chunk([{ index: 0, delta: { content: 'Let me ' }, finish_reason: null }]),
+      chunk([{ index: 0, delta: { content: 'check' }, finish_reason: null }]),
+      chunk([{ index: 0, delta: { tool_calls: [{ index: 1, id: 'call_2', type: 'function', function: { name: 'get_time', arguments: '' } }] }, finish_reason: null }]),
+      chunk([{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":' } }] }, finish_reason: null }]),
+      chunk([{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '"Paris"}' } }, { index: 1, function: { arguments: '{}' } }] }, finish_reason: null }]),
+      chunk([{ index: 0, delta: {}, finish_reason: 'tool_calls' }], { system_fingerprint: 'fp_1' }),
+      chunk([], { usage: { prompt_tokens: 5, completion_tokens: 7, total_tokens: 12 } })
+    ]);
+
+    expect(response).toEqual({
+      id: 'chatcmpl-1',
+      object: 'chat.completion',
+      created: 1700000000,
+      model: 'gpt-4o',
+      system_fingerprint: 'fp_1',
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: 'Let me check',
+          tool_calls: [
+            { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+            { id: 'call_2', type: 'function', function: { name: 'get_time', arguments: '{}' } }
+          ]
+        },
+        finish_reason: 'tool_calls'
+      }],
+      usage: { prompt_tokens: 5, completion_tokens: 7, total_tokens: 12 }
+    });
+  });
+
+  test('builds legacy function calls, refusals and several choices', () => {
+    const response = streamChunkBuilder([
+      chunk([{ index: 1, delta: { role: 'assistant', refusal: 'I can' }, finish_reason: null }]),
+      chunk([{ index: 0, delta: { role: 'assistant', function_call: { name: 'get_weather', arguments: '' } }, finish_reason: null }]),
+      chunk([{ index: 0, delta: { function_call: { arguments: '{}' } }, finish_reason: 'function_call' }]),
+      chunk([{ index: 1, delta: { refusal: 'not' }, finish_reason: 'stop' }])
+    ]);
+
+    expect(response.choices).toEqual([
+      { index: 0, message: { role: 'assistant', content: null, function_call: { name: 'get_weather', arguments: '{}' } }, finish_reason: 'function_call' },
+      { index: 1, message: { role: 'assistant', content: null, refusal: 'I cannot' }, finish_reason: 'stop' }
+    ]);
+  });
+
+  test('skips empty chunks and keeps the last hidden params', () => {
+    const response = streamChunkBuilder([
+      null,
+      chunk([{ index: 0, delta: { content: 'Hi' }, finish_reason: 'stop' }], { _hidden_params: { response_cost: 0.1 } }),
+      chunk([], { _hidden_params: { response_cost: 0.2 } })
+    ]);
+
+    expect(response.choices[0].message.content).toBe('Hi');
+    expect(response._hidden_params).toEqual({ response_cost: 0.2 });
+  });
+});
+
+describe('completionToChunks', () => {
+  const response = {
+    id: 'chatcmpl-1',
+    object: 'chat.completion',
+    created: 1700000000,
+    model: 'gpt-4o',
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{}' } }] },
+      finish_reason: 'tool_calls'
+    }],
+    usage: { prompt_tokens: 5, completion_tokens: 7, total_tokens: 12 },
+    _hidden_params: { cache_hit: true }
+  };
+
+  test('sends each choice as a delta followed by its finish_reason', () => {
+    const chunks = completionToChunks(response);
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks[0]).toEqual(chunk([{
+      index: 0,
+      delta: { role: 'assistant', content: null, tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{}' } }] },
+      finish_reason: null
+    }]));
+    expect(chunks[1].choices).toEqual([{ index: 0, delta: {}, finish_reason: 'tool_calls' }]);
+    expect(chunks[1].usage).toEqual(response.usage);
+    expect(chunks[1]._hidden_params).toEqual({ cache_hit: true });
+  });
+
+  test('sends the usage in a final chunk without choices when includeUsage is set', () => {
+    const chunks = completionToChunks(response, { includeUsage: true });
+
+    expect(chunks).toHaveLength(3);
+    expect(chunks[1].usage).toBeUndefined();
+    expect(chunks[2]).toMatchObject({ choices: [], usage: response.usage, _hidden_params: { cache_hit: true } });
+  });
+
+  test('is reversed by streamChunkBuilder', () => {
+    expect(streamChunkBuilder(completionToChunks(response))).toEqual(response);
+  });
+});
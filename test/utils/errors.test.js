@@ -0,0 +1,102 @@
+import {
+  LiteLLMError,
+  BadRequestError,
+  AuthenticationError,
+  NotFoundError,
+  ContextWindowExceededError,
+  ContentPolicyViolationError,
+  RateLimitError,
+  ServiceUnavailableError,
+  TimeoutError,
+  LiteLLMProviderError,
+  LiteLLMTimeoutError,
+  LiteLLMAuthError,
+  detectErrorType,
+  getErrorTypeForStatus,
+  getErrorMessage,
+  toLiteLLMError
+} from '../../src/utils/errors.js';
+
+describe('error classification', () => {
+  test.each([
+    [401, 'authentication'],
+    [403, 'authentication'],
+    [404, 'not_found'],
+    [408, 'timeout'],
+    [422, 'bad_request'],
+    [429, 'rate_limit'],
+    [499, null],
+    [529, 'service_unavailable'],
+    [null, null]
+  ])('maps status %p to %p', (status, type) => {
+    expect(getErrorTypeForStatus(status)).toBe(type);
+  });
+
+  test('recognizes OpenAI error codes and provider messages', () => {
+    expect(detectErrorType(400, { error: { code: 'context_length_exceeded' } })).toBe('context_window_exceeded');
+    expect(detectErrorType(400, { error: { type: 'invalid_request_error', message: 'prompt is too long: 210000 tokens > 200000 maximum' } })).toBe('context_window_exceeded');
+    expect(detectErrorType(400, { error: { code: 'content_filter', message: 'Filtered' } })).toBe('content_policy_violation');
+    expect(detectErrorType(400, { message: 'Your request was rejected by our safety system' })).toBe('content_policy_violation');
+    expect(detectErrorType(429, { error: { code: 'insufficient_quota' } })).toBe('rate_limit');
+    expect(detectErrorType(500, { error: { message: 'maximum context length' } })).toBeNull();
+  });
+
+  test('reads the message of the usual payload shapes', () => {
+    expect(getErrorMessage({ error: { message: 'A' } })).toBe('A');
+    expect(getErrorMessage({ error: 'B' })).toBe('B');
+    expect(getErrorMessage({ Message: 'C' })).toBe('C');
+    expect(getErrorMessage({ detail: 'D' })).toBe('D');
+    expect(getErrorMessage('E')).toBe('E');
+    expect(getErrorMessage({})).toBe('');
+  });
+});
+
+describe('toLiteLLMError', () => {
+  const error = (status, data = {}, headers = {}) => new LiteLLMError('failed', status, data, { headers });
+
+  test.each([
+    [400, {}, BadRequestError, false],
+    [401, {}, AuthenticationError, false],
+    [404, {}, NotFoundError, false],
+    [400, { error: { code: 'context_length_exceeded' } }, ContextWindowExceededError, false],
+    [400, { error: { code: 'content_filter' } }, ContentPolicyViolationError, false],
+    [429, {}, RateLimitError, true],
+    [503, {}, ServiceUnavailableError, true],
+    [408, {}, TimeoutError, true]
+  ])('converts status %p with %j to the typed error', (status, data, ErrorClass, retryable) => {
+    const typed = toLiteLLMError(error(status, data), { provider: 'openai', model: 'gpt-4o' });
+
+    expect(typed).toBeInstanceOf(ErrorClass);
+    expect(typed).toBeInstanceOf(LiteLLMError);
+    expect(typed).toMatchObject({ status, data, provider: 'openai', model: 'gpt-4o', retryable, message: 'failed' });
+  });
+
+  test('uses the type a provider classified the error as', () => {
+    expect(toLiteLLMError(error(500), { type: 'rate_limit' })).toBeInstanceOf(RateLimitError);
+  });
+
+  test('lets x-should-retry decide whether the error is retryable', () => {
+    expect(toLiteLLMError(error(503, {}, { 'x-should-retry': 'false' })).retryable).toBe(false);
+    expect(toLiteLLMError(error(400, {}, { 'x-should-retry': 'true' })).retryable).toBe(true);
+  });
+
+  test('keeps typed errors and passes other errors through', () => {
+    const typed = new RateLimitError('slow down', 429, {}, { provider: 'anthropic' });
+    expect(toLiteLLMError(typed, { provider: 'openai', model: 'gpt-4o' })).toMatchObject({ provider: 'anthropic', model: 'gpt-4o' });
+
+    const plain = new TypeError('oops');
+    expect(toLiteLLMError(plain)).toBe(plain);
+  });
+
+  test('keeps the errors of 499 aborted requests untyped', () => {
+    expect(toLiteLLMError(error(499)).constructor).toBe(LiteLLMError);
+  });
+});
+
+describe('legacy error names', () => {
+  test('are aliases of the hierarchy', () => {
+    expect(LiteLLMProviderError).toBe(LiteLLMError);
+    expect(LiteLLMTimeoutError).toBe(TimeoutError);
+    expect(LiteLLMAuthError).toBe(AuthenticationError);
+  });
+});
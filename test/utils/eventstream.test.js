@@ -0,0 +1,55 @@
+import { crc32 } from 'zlib';
+import { EventStreamDecoder } from '../../src/utils/eventstream.js';
+import { encodeEventStreamMessage } from '../helpers.js';
+
+// Push bytes to a decoder in pieces of the given size
+function decodeInPieces(bytes, size) {
+  const decoder = new EventStreamDecoder();
+  const messages = [];
+  for (let i = 0; i < bytes.length; i += size) {
+    messages.push(...decoder.push(bytes.subarray(i, i + size)));
+  }
+  return messages;
+}
+
+describe('EventStreamDecoder', () => {
+  const first = encodeEventStreamMessage({ ':event-type': 'chunk', ':message-type': 'event' }, '{"bytes":"eyJhIjoxfQ=="}');
+  const second = encodeEventStreamMessage({ ':event-type': 'metadata' }, '{}');
+  const bytes = new Uint8Array([...first, ...second]);
+
+  test.each([1, 7, first.length, bytes.length])('decodes messages pushed in pieces of %i bytes', size => {
+    const messages = decodeInPieces(bytes, size);
+
+    expect(messages).toHaveLength(2);
+    expect(messages[0].headers).toEqual({ ':event-type': 'chunk', ':message-type': 'event' });
+    expect(new TextDecoder().decode(messages[0].payload)).toBe('{"bytes":"eyJhIjoxfQ=="}');
+    expect(messages[1].headers).toEqual({ ':event-type': 'metadata' });
+  });
+
+  test('decodes the other header types', () => {
+    // "n" int32 258, "b" true, "u" uuid
+    const headers = [1, 110, 4, 0, 0, 1, 2, 1, 98, 0, 1, 117, 9, ...Array(16).fill(0xab)];
+    const bytes = new Uint8Array(12 + headers.length + 1 + 4);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, bytes.length);
+    view.setUint32(4, headers.length);
+    view.setUint32(8, crc32(bytes.subarray(0, 8)));
+    bytes.set(headers, 12);
+    bytes[12 + headers.length] = 120;
+    view.setUint32(bytes.length - 4, crc32(bytes.subarray(0, bytes.length - 4)));
+
+    const [message] = new EventStreamDecoder().push(bytes);
+    expect(message.headers).toEqual({ n: 258, b: true, u: 'ab'.repeat(16) });
+    expect(new TextDecoder().decode(message.payload)).toBe('x');
+  });
+
+  test('rejects corrupted messages', () => {
+    const corrupted = first.slice();
+    corrupted[corrupted.length - 6] ^= 0xff;
+    expect(() => new EventStreamDecoder().push(corrupted)).toThrow('Event stream message checksum mismatch');
+
+    const badPrelude = first.slice();
+    badPrelude[9] ^= 0xff;
+    expect(() => new EventStreamDecoder().push(badPrelude)).toThrow('Event stream prelude checksum mismatch');
+  });
+});
@@ -0,0 +1,135 @@
+import { RateLimiter, estimateRequestTokens } from '../../src/utils/limiter.js';
+
+// Let resolved acquire promises run their callbacks
+const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+// Acquire a slot and record when it was granted
+function track(limiter, started, name, options) {
+  return limiter.acquire(options).then(release => {
+    started.push(name);
+    return release;
+  });
+}
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('queues requests over maxConcurrent until a slot is released', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    const started = [];
+
+    const first = track(limiter, started, 'first');
+    track(limiter, started, 'second');
+    await flush();
+    expect(started).toEqual(['first']);
+    expect(limiter.getStats()).toMatchObject({ inFlight: 1, queued: 1 });
+
+    (await first)();
+    await flush();
+    expect(started).toEqual(['first', 'second']);
+  });
+
+  test('starts higher priorities first and equal priorities in order', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    const started = [];
+    const releases = {};
+    const queue = (name, options) => track(limiter, started, name, options).then(release => { releases[name] = release; });
+
+    queue('first');
+    queue('low', { priority: -1 });
+    queue('normal');
+    queue('high', { priority: 5 });
+    queue('normal 2');
+    await flush();
+
+    for (let i = 0; i < 4; i++) {
+      releases[started[started.length - 1]]();
+      await flush();
+    }
+    expect(started).toEqual(['first', 'high', 'normal', 'normal 2', 'low']);
+  });
+
+  test('waits for the oldest request to leave the window once rpm is reached', async () => {
+    const limiter = new RateLimiter({ rpm: 2 });
+    const started = [];
+
+    track(limiter, started, 'a');
+    jest.advanceTimersByTime(10000);
+    track(limiter, started, 'b');
+    track(limiter, started, 'c');
+    await flush();
+    expect(started).toEqual(['a', 'b']);
+
+    jest.advanceTimersByTime(49999);
+    await flush();
+    expect(started).toEqual(['a', 'b']);
+
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(started).toEqual(['a', 'b', 'c']);
+  });
+
+  test('counts the actual tokens reported on release against tpm', async () => {
+    const limiter = new RateLimiter({ tpm: 1000 });
+    const started = [];
+
+    const first = await track(limiter, started, 'a', { tokens: 900 });
+    first(200);
+    track(limiter, started, 'b', { tokens: 700 });
+    track(limiter, started, 'c', { tokens: 500 });
+    await flush();
+
+    expect(started).toEqual(['a', 'b']);
+    expect(limiter.getStats().tokens).toBe(900);
+
+    jest.advanceTimersByTime(60000);
+    await flush();
+    expect(started).toEqual(['a', 'b', 'c']);
+  });
+
+  test('runs a request larger than tpm alone in an empty window', async () => {
+    const limiter = new RateLimiter({ tpm: 100 });
+    const started = [];
+
+    track(limiter, started, 'small', { tokens: 10 });
+    track(limiter, started, 'huge', { tokens: 500 });
+    await flush();
+    expect(started).toEqual(['small']);
+
+    jest.advanceTimersByTime(60000);
+    await flush();
+    expect(started).toEqual(['small', 'huge']);
+  });
+
+  test('removes aborted requests from the queue', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    const controller = new AbortController();
+
+    await limiter.acquire();
+    const queued = limiter.acquire({ signal: controller.signal });
+    controller.abort();
+
+    await expect(queued).rejects.toMatchObject({ status: 499, message: 'Request was aborted while waiting for a rate limit slot' });
+    expect(limiter.getStats().queued).toBe(0);
+    await expect(limiter.acquire({ signal: controller.signal })).rejects.toMatchObject({ status: 499 });
+  });
+});
+
+describe('estimateRequestTokens', () => {
+  test('counts four characters per token plus max_tokens', () => {
+    expect(estimateRequestTokens({
+      messages: [
+        { role: 'system', content: 'x'.repeat(40) },
+        { role: 'user', content: [{ type: 'text', text: 'y'.repeat(20) }, { type: 'image_url', image_url: { url: 'data:' } }] }
+      ],
+      max_tokens: 100
+    })).toBe(115);
+    expect(estimateRequestTokens({ input: ['abcd', 'efgh'] })).toBe(2);
+  });
+});
@@ -0,0 +1,60 @@
+import { mergeRetryPolicies, combineRetryPolicies, getRetryDelay, parseRetryAfter, DEFAULT_RETRY_POLICY } from '../../src/utils/retry.js';
+
+describe('retry policies', () => {
+  test('layer over the defaults, false disabling retries', () => {
+    expect(mergeRetryPolicies()).toEqual(DEFAULT_RETRY_POLICY);
+    expect(DEFAULT_RETRY_POLICY.maxRetries).toBe(2);
+    expect(mergeRetryPolicies({ maxRetries: 5 }, { initialDelay: 10 })).toMatchObject({ maxRetries: 5, initialDelay: 10 });
+    expect(mergeRetryPolicies({ maxRetries: 5 }, false).maxRetries).toBe(0);
+    expect(mergeRetryPolicies(false, { maxRetries: 1 }).maxRetries).toBe(1);
+  });
+
+  test('combine provider and call policies without applying defaults', () => {
+    expect(combineRetryPolicies({ maxRetries: 5 }, undefined)).toEqual({ maxRetries: 5 });
+    expect(combineRetryPolicies({ maxRetries: 5 }, { initialDelay: 10 })).toEqual({ maxRetries: 5, initialDelay: 10 });
+    expect(combineRetryPolicies({ maxRetries: 5 }, false)).toBe(false);
+    expect(combineRetryPolicies(false, { initialDelay: 10 })).toEqual({ maxRetries: 0, initialDelay: 10 });
+  });
+});
+
+describe('getRetryDelay', () => {
+  const policy = { ...DEFAULT_RETRY_POLICY, jitter: 0 };
+
+  test('backs off exponentially up to maxDelay', () => {
+    expect([0, 1, 2, 3, 4, 5].map(retry => getRetryDelay(retry, policy))).toEqual([500, 1000, 2000, 4000, 8000, 8000]);
+  });
+
+  test('randomizes up to the jitter fraction of the delay', () => {
+    for (let i = 0; i < 20; i++) {
+      const delay = getRetryDelay(1, { ...policy, jitter: 0.25 });
+      expect(delay).toBeGreaterThan(750);
+      expect(delay).toBeLessThanOrEqual(1000);
+    }
+  });
+
+  test('uses the delay the server asks for unless it is too long', () => {
+    expect(getRetryDelay(0, policy, new Headers({ 'retry-after': '3' }))).toBe(3000);
+    expect(getRetryDelay(0, policy, new Headers({ 'retry-after': '600' }))).toBe(500);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('reads retry-after-ms, retry-after seconds and dates', () => {
+    expect(parseRetryAfter(new Headers({ 'retry-after-ms': '250', 'retry-after': '9' }))).toBe(250);
+    expect(parseRetryAfter(new Headers({ 'retry-after': '1.5' }))).toBe(1500);
+
+    const delay = parseRetryAfter(new Headers({ 'retry-after': new Date(Date.now() + 10000).toUTCString() }));
+    expect(delay).toBeGreaterThan(8000);
+    expect(delay).toBeLessThanOrEqual(10000);
+  });
+
+  test('waits for the later of the rate limit resets', () => {
+    expect(parseRetryAfter(new Headers({ 'x-ratelimit-reset-requests': '1s', 'x-ratelimit-reset-tokens': '6m0s' }))).toBe(360000);
+    expect(parseRetryAfter(new Headers({ 'x-ratelimit-reset-tokens': '20ms' }))).toBe(20);
+  });
+
+  test('returns null without a delay', () => {
+    expect(parseRetryAfter(new Headers({ 'retry-after': 'soon' }))).toBeNull();
+    expect(parseRetryAfter(new Headers())).toBeNull();
+  });
+});
@@ -0,0 +1,62 @@
+import { SSEDecoder, NDJSONDecoder, streamSSE, streamNDJSON } from '../../src/utils/stream.js';
+import { collect } from '../helpers.js';
+
+// Push text to a decoder in pieces of the given size
+function decodeInPieces(decoder, input, size) {
+  const results = [];
+  for (let i = 0; i < input.length; i += size) {
+    results.push(...decoder.push(input.slice(i, i + size)));
+  }
+  results.push(...decoder.flush());
+  return results;
+}
+
+describe('SSEDecoder', () => {
+  const text = ': comment\r\nevent: update\r\ndata: line1\r\ndata:line2\r\nid: 7\r\nretry: 100\r\n\r\ndata: {"a":1}\n\ndata: {"b":2}';
+  const expected = [
+    { event: 'update', data: 'line1\nline2', id: '7', retry: 100 },
+    { event: 'message', data: '{"a":1}', id: '7', retry: 100 },
+    { event: 'message', data: '{"b":2}', id: '7', retry: 100 }
+  ];
+
+  test.each([1, 2, 3, 5, text.length])('decodes events pushed in pieces of %i characters', size => {
+    expect(decodeInPieces(new SSEDecoder(), text, size)).toEqual(expected);
+  });
+
+  test('dispatches nothing for events without data', () => {
+    const decoder = new SSEDecoder();
+    expect(decoder.push('event: ping\n\nid: 1\n\n')).toEqual([]);
+    expect(decoder.push('data: x\n\n')).toEqual([{ event: 'message', data: 'x', id: '1', retry: null }]);
+  });
+});
+
+describe('NDJSONDecoder', () => {
+  test('parses lines split across pieces', () => {
+    const decoder = new NDJSONDecoder();
+    expect(decoder.push('{"x":1}\n{"y"')).toEqual([{ x: 1 }]);
+    expect(decoder.push(':2}\n\n{"z":3}')).toEqual([{ y: 2 }]);
+    expect(decoder.flush()).toEqual([{ z: 3 }]);
+  });
+});
+
+describe('streamSSE', () => {
+  test('yields JSON payloads until [DONE]', async () => {
+    const response = new Response('data: {"a":"é"}\n\ndata: [DONE]\n\ndata: {"b":1}\n\n');
+    expect(await collect(streamSSE(response))).toEqual([{ a: 'é' }]);
+  });
+
+  test('throws for error events and error payloads', async () => {
+    const errorEvent = new Response('event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n');
+    await expect(collect(streamSSE(errorEvent))).rejects.toThrow('Overloaded');
+
+    const errorPayload = new Response('data: {"error":{"code":429,"message":"quota"}}\n\n');
+    await expect(collect(streamSSE(errorPayload))).rejects.toMatchObject({ message: expect.stringContaining('quota'), status: 429 });
+  });
+});
+
+describe('streamNDJSON', () => {
+  test('yields one value per line', async () => {
+    const response = new Response('{"done":false}\n{"done":true}');
+    expect(await collect(streamNDJSON(response))).toEqual([{ done: false }, { done: true }]);
+  });
+});
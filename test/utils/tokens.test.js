@@ -0,0 +1,108 @@
+import {
+  getEncodingForModel,
+  loadEncoding,
+  isEncodingLoaded,
+  encode,
+  decode,
+  tokenCounter,
+  countTokens,
+  tokenUpperBound
+} from '../../src/utils/tokens.js';
+
+describe('getEncodingForModel', () => {
+  test('selects the encoding of OpenAI models', () => {
+    expect(getEncodingForModel('gpt-4o')).toEqual({ encoding: 'o200k_base', exact: true });
+    expect(getEncodingForModel('openai/gpt-4o-mini')).toEqual({ encoding: 'o200k_base', exact: true });
+    expect(getEncodingForModel('gpt-4')).toEqual({ encoding: 'cl100k_base', exact: true });
+    expect(getEncodingForModel('gpt-3.5-turbo')).toEqual({ encoding: 'cl100k_base', exact: true });
+  });
+
+  test('approximates other models with cl100k_base', () => {
+    expect(getEncodingForModel('claude-3-5-sonnet-20240620')).toEqual({ encoding: 'cl100k_base', exact: false });
+    expect(getEncodingForModel('ollama/llama3')).toEqual({ encoding: 'cl100k_base', exact: false });
+    expect(getEncodingForModel()).toEqual({ encoding: 'cl100k_base', exact: false });
+  });
+});
+
+describe('loadEncoding', () => {
+  test('encode requires the encoding to be loaded', async () => {
+    expect(isEncodingLoaded('o200k_base')).toBe(false);
+    expect(() => encode('hello', 'o200k_base')).toThrow('Encoding o200k_base is not loaded, call loadEncoding first');
+
+    await Promise.all([loadEncoding('o200k_base'), loadEncoding('o200k_base')]);
+    expect(isEncodingLoaded('o200k_base')).toBe(true);
+    expect(encode('hello world', 'o200k_base')).toHaveLength(2);
+  });
+
+  test('rejects unknown encodings', async () => {
+    await expect(loadEncoding('p50k_base')).rejects.toThrow('Unknown encoding: p50k_base');
+  });
+});
+
+describe('encode', () => {
+  beforeAll(() => loadEncoding('cl100k_base'));
+
+  test('round trips text through decode', () => {
+    const text = 'Hello, 世界! The quick brown fox jumps over the lazy dog.';
+    expect(decode(encode(text))).toBe(text);
+  });
+
+  test('encodes words longer than 128 characters in slices', () => {
+    const word = 'a1b2c3d4'.repeat(100);
+    const tokens = encode(word);
+
+    expect(decode(tokens)).toBe(word);
+    expect(tokens.length).toBeLessThanOrEqual(encode(word.slice(0, 128)).length * 7);
+  });
+});
+
+describe('tokenCounter', () => {
+  const messages = [
+    { role: 'system', content: 'You are a helpful assistant.' },
+    { role: 'user', name: 'alice', content: 'hello world' }
+  ];
+
+  test('counts text without message overhead', async () => {
+    expect(await tokenCounter({ model: 'gpt-4', text: 'hello world' })).toBe(2);
+    expect(await tokenCounter({ model: 'gpt-4' })).toBe(0);
+  });
+
+  test('adds the chat format overhead per message', async () => {
+    // 3 per message + role + content, 1 + the name, 3 for the reply
+    expect(await tokenCounter({ model: 'gpt-4', messages: [{ role: 'user', content: 'hello world' }] })).toBe(9);
+    expect(await tokenCounter({ model: 'gpt-4', messages: [] })).toBe(3);
+    expect(await tokenCounter({ model: 'gpt-4', messages })).toBe(9 + 3 + 1 + 6 + 1 + 1);
+  });
+
+  test('counts tool calls and tool definitions', async () => {
+    const toolCall = { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] };
+    const tool = { type: 'function', function: { name: 'get_weather', parameters: { type: 'object' } } };
+
+    const base = await tokenCounter({ model: 'gpt-4', messages: [] });
+    expect(await tokenCounter({ model: 'gpt-4', messages: [toolCall] })).toBeGreaterThan(base + 3);
+    expect(await tokenCounter({ model: 'gpt-4', tools: [tool] })).toBe(await tokenCounter({ model: 'gpt-4', text: JSON.stringify(tool.function) }));
+  });
+
+  test('counts images as a fixed estimate', async () => {
+    const image = detail => [{ role: 'user', content: [{ type: 'image_url', image_url: { url: 'https://example.com/a.png', detail } }] }];
+    expect(await tokenCounter({ model: 'gpt-4o', messages: image('low') })).toBeLessThan(await tokenCounter({ model: 'gpt-4o', messages: image('high') }));
+  });
+
+  test('countTokens matches tokenCounter once the encoding is loaded', async () => {
+    const count = await tokenCounter({ model: 'gpt-4o', messages });
+    expect(countTokens({ model: 'gpt-4o', messages })).toBe(count);
+  });
+});
+
+describe('tokenUpperBound', () => {
+  beforeAll(() => Promise.all([loadEncoding('cl100k_base'), loadEncoding('o200k_base')]));
+
+  test.each([
+    ['gpt-4', [{ role: 'user', content: 'hello world' }]],
+    ['gpt-4o', [{ role: 'user', name: 'bob', content: '你好世界'.repeat(50) }]],
+    ['gpt-4', [{ role: 'user', content: [{ type: 'text', text: 'look' }, { type: 'image_url', image_url: { url: 'x' } }] }]],
+    ['gpt-4', []]
+  ])('is never below the count for %s', (model, messages) => {
+    expect(tokenUpperBound({ messages })).toBeGreaterThanOrEqual(countTokens({ model, messages }));
+  });
+});
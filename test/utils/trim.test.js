@@ -0,0 +1,121 @@
+import { trimMessages } from '../../src/utils/trim.js';
+import { tokenCounter } from '../../src/utils/tokens.js';
+
+const filler = words => 'word '.repeat(words);
+const count = messages => tokenCounter({ model: 'gpt-4', messages });
+
+// A system message, ten user/assistant turns and a final question
+function conversation() {
+  const messages = [{ role: 'system', content: 'You are a helpful assistant.' }];
+  for (let i = 0; i < 10; i++) {
+    messages.push(
+      { role: 'user', content: `question ${i} ${filler(200)}` },
+      { role: 'assistant', content: `answer ${i} ${filler(200)}` }
+    );
+  }
+  messages.push({ role: 'user', content: 'latest question' });
+  return messages;
+}
+
+describe('trimMessages', () => {
+  test('returns the messages unchanged when they fit', async () => {
+    const messages = conversation();
+    expect(await trimMessages(messages, { model: 'gpt-4', maxTokens: 100000 })).toBe(messages);
+  });
+
+  test('returns the messages unchanged when the budget is unknown', async () => {
+    const messages = conversation();
+    expect(await trimMessages(messages, { model: 'unknown-model' })).toBe(messages);
+  });
+
+  test('drops the oldest turns and keeps the system message and the latest turn', async () => {
+    const messages = conversation();
+    const trimmed = await trimMessages(messages, { model: 'gpt-4', maxTokens: 1500 });
+
+    expect(await count(trimmed)).toBeLessThanOrEqual(1500);
+    expect(trimmed[0]).toBe(messages[0]);
+    expect(trimmed[1].role).toBe('user');
+    expect(trimmed[trimmed.length - 1]).toBe(messages[messages.length - 1]);
+    // What is kept is the most recent part of the conversation, in order
+    expect(trimmed.slice(1)).toEqual(messages.slice(messages.length - trimmed.length + 1));
+    expect(messages).toHaveLength(22);
+  });
+
+  test('drops a tool call together with its results', async () => {
+    const messages = conversation();
+    messages.splice(3, 0,
+      { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'search', arguments: '{}' } }] },
+      { role: 'tool', tool_call_id: 'c1', content: filler(100) }
+    );
+    const total = await count(messages);
+
+    for (const maxTokens of [total - 300, total - 500, total - 700]) {
+      const trimmed = await trimMessages(messages, { model: 'gpt-4', maxTokens });
+      const hasCall = trimmed.some(message => message.tool_calls);
+      const hasResult = trimmed.some(message => message.role === 'tool');
+
+      expect(await count(trimmed)).toBeLessThanOrEqual(maxTokens);
+      expect(hasCall).toBe(hasResult);
+    }
+  });
+
+  test('replaces the dropped messages with a summary', async () => {
+    const messages = conversation();
+    const calls = [];
+    const summarize = async dropped => {
+      calls.push(dropped);
+      return 'The user asked about words.';
+    };
+    const trimmed = await trimMessages(messages, { model: 'gpt-4', maxTokens: 1500, summarize });
+
+    expect(calls).toHaveLength(1);
+    const dropped = calls[0];
+    expect(dropped[0]).toBe(messages[1]);
+    expect(trimmed[1]).toEqual({ role: 'system', content: 'The user asked about words.' });
+    expect(trimmed.length + dropped.length).toBe(messages.length + 1);
+    expect(await count(trimmed)).toBeLessThanOrEqual(1500);
+  });
+
+  test('truncates an oversized message from the middle', async () => {
+    const messages = [
+      { role: 'system', content: 'You are a helpful assistant.' },
+      { role: 'user', content: `START ${filler(5000)} END` }
+    ];
+    const trimmed = await trimMessages(messages, { model: 'gpt-4', maxTokens: 1000 });
+
+    expect(await count(trimmed)).toBeLessThanOrEqual(1000);
+    expect(trimmed[0]).toBe(messages[0]);
+    expect(trimmed[1].content.startsWith('START')).toBe(true);
+    expect(trimmed[1].content.endsWith('END')).toBe(true);
+    expect(trimmed[1].content).toContain('\n...\n');
+    expect(messages[1].content).toHaveLength(25010);
+  });
+
+  test('truncates the text part of multimodal content', async () => {
+    const image = { type: 'image_url', image_url: { url: 'https://example.com/a.png' } };
+    const messages = [{ role: 'user', content: [{ type: 'text', text: filler(3000) }, image] }];
+    const trimmed = await trimMessages(messages, { model: 'gpt-4o', maxTokens: 1500 });
+
+    expect(await tokenCounter({ model: 'gpt-4o', messages: trimmed })).toBeLessThanOrEqual(1500);
+    expect(trimmed[0].content[0].text).toContain('\n...\n');
+    expect(trimmed[0].content[1]).toBe(image);
+  });
+
+  test('never truncates system messages or the summary', async () => {
+    const system = { role: 'system', content: filler(3000) };
+    const trimmed = await trimMessages([system, { role: 'user', content: 'hi '.repeat(2000) }], { model: 'gpt-4', maxTokens: 3500 });
+
+    expect(trimmed[0]).toBe(system);
+    expect(trimmed[1].content).toContain('\n...\n');
+
+    // Nothing but system messages left to cut: over budget, but intact
+    const tooLong = await trimMessages([system, { role: 'user', content: 'hi' }], { model: 'gpt-4', maxTokens: 1000 });
+    expect(tooLong).toEqual([system, { role: 'user', content: 'hi' }]);
+
+    const summary = filler(2000);
+    const messages = conversation();
+    const summarized = await trimMessages(messages, { model: 'gpt-4', maxTokens: 1500, summarize: async () => summary });
+    expect(summarized[1]).toEqual({ role: 'system', content: summary });
+    expect(summarized[summarized.length - 1]).toBe(messages[messages.length - 1]);
+  });
+});